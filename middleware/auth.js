@@ -1,29 +1,31 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models').User;
+const { verifyAccessToken } = require('../services/auth-sessions');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).populate('department_id employee_id');
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token.' });
+    const result = await verifyAccessToken(token, { populate: 'department_id employee_id' });
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
     }
 
+    const { user, decoded } = result;
+
     req.user = {
       id: user._id,
       email: user.email,
       role: user.role,
       department: user.department_id,
-      employee: user.employee_id
+      employee: user.employee_id,
+      roleIds: user.role_ids || [],
+      sessionId: decoded.sid || null
     };
-    
+
     next();
   } catch (error) {
     res.status(401).json({ error: 'Invalid token.' });
@@ -0,0 +1,59 @@
+const { authenticateApiKey, logPartnerUsage } = require('../services/partners');
+
+/**
+ * Middleware factory: authenticate a partner API key (X-API-Key header) holding the scope and
+ * log the request once the response is sent. Sets req.partner and req.partnerKey; routes put
+ * the booking they touched in res.locals.bookingId for the usage log.
+ * @param {string} scope - e.g. 'bookings:create'
+ */
+const partnerAuth = (scope) => async (req, res, next) => {
+  try {
+    const key = req.header('X-API-Key');
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required in the X-API-Key header'
+      });
+    }
+
+    const result = await authenticateApiKey(key);
+    if (result.error) {
+      return res.status(401).json({ success: false, error: result.error });
+    }
+
+    const { apiKey, partner } = result;
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      logPartnerUsage({
+        partner_id: partner._id,
+        api_key_id: apiKey._id,
+        method: req.method,
+        path: req.originalUrl,
+        status_code: res.statusCode,
+        idempotency_key: req.header('Idempotency-Key') || undefined,
+        booking_id: res.locals.bookingId,
+        ip: req.ip,
+        duration_ms: Date.now() - startedAt,
+      });
+    });
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing scope: ${scope}`
+      });
+    }
+
+    req.partner = { id: partner._id, code: partner.code, name: partner.name };
+    req.partnerKey = { id: apiKey._id, scopes: apiKey.scopes };
+    next();
+  } catch (error) {
+    console.error('Error in partnerAuth middleware:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = partnerAuth;
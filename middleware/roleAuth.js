@@ -1,9 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models').User;
+const { getRequestPermissions, hasPermission } = require('../services/permissions');
+
+/**
+ * Middleware factory: allow the request when the user holds every listed permission
+ * (see services/permissions.js). Must be used after auth middleware.
+ * @param {...string} actions - e.g. 'invoice:create'
+ */
+const requirePermission = (...actions) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const permissions = await getRequestPermissions(req);
+    const missing = actions.find((action) => !hasPermission(permissions, action));
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Missing permission: ${missing}`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error in requirePermission middleware:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
 
 /**
  * Middleware to check if user has required role (SUPERADMIN or ADMIN)
  * Must be used after auth middleware
+ * @deprecated Use requirePermission
  */
 const requireAdmin = async (req, res, next) => {
   try {
@@ -37,6 +72,7 @@ const requireAdmin = async (req, res, next) => {
 /**
  * Middleware to check if user has SUPERADMIN role only
  * Must be used after auth middleware
+ * @deprecated Use requirePermission
  */
 const requireSuperAdmin = async (req, res, next) => {
   try {
@@ -79,4 +115,5 @@ const requireSuperAdmin = async (req, res, next) => {
 
 module.exports = requireAdmin;
 module.exports.requireSuperAdmin = requireSuperAdmin;
+module.exports.requirePermission = requirePermission;
 
@@ -12,6 +12,48 @@ const departmentSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Roles granted to every user in this department (empty = built-in default for the department name)
+  role_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+  }],
+}, {
+  timestamps: true,
+});
+
+// name index is automatically created by unique: true
+
+// Role Schema - named bundle of permission actions (see services/permissions.js for the registry)
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  description: {
+    type: String,
+    required: false,
+  },
+  permissions: [{
+    type: String,
+    trim: true,
+  }],
+  // Built-in roles are seeded from code and cannot be deleted
+  is_system: {
+    type: Boolean,
+    default: false,
+  },
+  // Permissions the code has granted this built-in role so far (used to roll out new ones once)
+  seeded_permissions: [{
+    type: String,
+  }],
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
 }, {
   timestamps: true,
 });
@@ -79,6 +121,21 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
   },
+  // Roles granted to this user on top of their legacy role and department roles
+  role_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+  }],
+  // Access tokens issued before this instant are rejected (password reset, disable, admin revoke)
+  sessions_revoked_at: {
+    type: Date,
+    required: false,
+  },
+  // Legacy access tokens (no session id) issued before this instant are rejected
+  password_changed_at: {
+    type: Date,
+    required: false,
+  },
 }, {
   timestamps: true,
 });
@@ -86,6 +143,7 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+  if (!this.isNew) this.password_changed_at = new Date();
   
   try {
     // Check if password is already a bcrypt hash (starts with $2a$, $2b$, or $2y$)
@@ -112,6 +170,58 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.index({ department_id: 1 });
 userSchema.index({ role: 1 });
 
+// User Session Schema - one document per login, holds the current rotating refresh token
+const userSessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // SHA-256 of the refresh token currently valid for this session (raw token is never stored)
+  refresh_token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Hash of the token that was rotated out; presenting it again means the token was replayed
+  previous_refresh_token_hash: {
+    type: String,
+    required: false,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  last_used_at: {
+    type: Date,
+    required: false,
+  },
+  revoked_at: {
+    type: Date,
+    required: false,
+  },
+  revoked_reason: {
+    type: String,
+    required: false,
+  },
+  ip_address: {
+    type: String,
+    required: false,
+  },
+  user_agent: {
+    type: String,
+    required: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// refresh_token_hash index is automatically created by unique: true
+userSessionSchema.index({ user_id: 1, revoked_at: 1 });
+userSessionSchema.index({ previous_refresh_token_hash: 1 });
+// Expired sessions are removed by MongoDB automatically
+userSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
 // Client Schema
 const clientSchema = new mongoose.Schema({
   company_name: {
@@ -311,6 +421,21 @@ const cashTrackerSchema = new mongoose.Schema({
     required: true,
     enum: ['clients', 'suppliers', 'employees', 'assets', 'investors', 'N/A'],
   },
+  currency: {
+    type: String,
+    enum: ['AED', 'PHP'],
+    default: 'AED',
+  },
+  // Units of currency per 1 AED at the transaction date; 1 for AED
+  exchange_rate: {
+    type: Number,
+    required: false,
+  },
+  // Amount in AED, used by summaries
+  base_amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: false,
+  },
 }, {
   timestamps: true,
 });
@@ -725,6 +850,11 @@ const invoiceRequestSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.Decimal128,
       required: false,
     },
+    // Rate agreed for this shipment; takes precedence over the client's rate card
+    special_rate: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: false,
+    },
     shipment_classification: {
       type: String,
       enum: ['FLOMIC', 'COMMERCIAL', 'PERSONAL', 'GENERAL'],
@@ -801,6 +931,25 @@ const invoiceRequestSchema = new mongoose.Schema({
     required: false,
     default: 'N/A',
   },
+
+  // Set when the source booking is amended after processing started (see services/booking-amendments.js)
+  booking_amendment_flag: {
+    pending: {
+      type: Boolean,
+      default: false,
+    },
+    fields: [String],
+    amendment_ids: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingAmendment',
+    }],
+    flagged_at: Date,
+    acknowledged_at: Date,
+    acknowledged_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
 }, {
   timestamps: true,
 });
@@ -939,8 +1088,10 @@ collectionsSchema.index({ client_name: 1 });
 
 // Export models
 const Department = mongoose.models.Department || mongoose.model('Department', departmentSchema);
+const Role = mongoose.models.Role || mongoose.model('Role', roleSchema);
 const Employee = mongoose.models.Employee || mongoose.model('Employee', employeeSchema);
 const User = mongoose.models.User || mongoose.model('User', userSchema);
+const UserSession = mongoose.models.UserSession || mongoose.model('UserSession', userSessionSchema);
 const Client = mongoose.models.Client || mongoose.model('Client', clientSchema);
 const Request = mongoose.models.Request || mongoose.model('Request', requestSchema);
 const Ticket = mongoose.models.Ticket || mongoose.model('Ticket', ticketSchema);
@@ -1085,6 +1236,7 @@ const bookingSchema = new mongoose.Schema({
       'Shipment Departed',
       'Shipment Arrived',
       'Shipment Delivered',
+      'Shipment Cancelled',
       // Legacy statuses (for backward compatibility)
       'SHIPMENT_RECEIVED',
       'SHIPMENT_PROCESSING',
@@ -1125,6 +1277,83 @@ const bookingSchema = new mongoose.Schema({
     },
   }],
   
+  // Duplicate detection (services/booking-duplicates.js)
+  duplicate_keys: {
+    type: [String],
+    default: undefined,
+  },
+  duplicate_check: {
+    status: {
+      type: String,
+      enum: ['PENDING', 'MERGED', 'DISMISSED'],
+    },
+    duplicate_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+    score: Number,
+    matched_on: [String],
+    checked_at: Date,
+    resolved_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolved_at: Date,
+    notes: String,
+  },
+  // Last auto-review decision; HOLD keeps the booking out of the auto-review worker
+  auto_review_decision: {
+    action: {
+      type: String,
+      enum: ['APPROVE', 'HOLD', 'REJECT'],
+    },
+    rule_name: String,
+    reason: String,
+    decided_at: Date,
+  },
+  
+  // Watchlist escalation (services/watchlist.js); PENDING keeps the booking out of auto-review
+  watchlist_flag: {
+    status: {
+      type: String,
+      enum: ['PENDING', 'CLEARED'],
+    },
+    entry_ids: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WatchlistEntry',
+    }],
+    flagged_at: Date,
+    cleared_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cleared_at: Date,
+  },
+  
+  // Booking sent through the partner API (routes/partner-api.js)
+  partner: {
+    partner_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Partner',
+    },
+    code: String,
+    api_key_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PartnerApiKey',
+    },
+    // The partner's own reference for the booking
+    reference: String,
+    idempotency_key: String,
+    // SHA-256 of the request body, to refuse a reused key with a different body
+    request_hash: String,
+  },
+  
+  // Duplicates merged into this booking
+  merged_booking_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  }],
+  
   // Shipment Type: Document or Non-Document
   shipmentType: {
     type: String,
@@ -1144,6 +1373,14 @@ bookingSchema.index({ review_status: 1 });
 bookingSchema.index({ createdAt: -1 });
 bookingSchema.index({ shipment_status: 1 });
 bookingSchema.index({ batch_no: 1 });
+bookingSchema.index({ duplicate_keys: 1, createdAt: -1 });
+bookingSchema.index({ 'duplicate_check.status': 1 });
+bookingSchema.index({ 'watchlist_flag.status': 1 });
+bookingSchema.index(
+  { 'partner.partner_id': 1, 'partner.idempotency_key': 1 },
+  { unique: true, partialFilterExpression: { 'partner.idempotency_key': { $type: 'string' } } }
+);
+bookingSchema.index({ 'partner.partner_id': 1, 'partner.reference': 1 });
 // Indexes for review-related fields (used in review-requests queries)
 bookingSchema.index({ reviewed_at: 1 });
 bookingSchema.index({ reviewed_by_employee_id: 1 });
@@ -1168,38 +1405,945 @@ bookingSchema.index({ 'sender.name': 'text', 'receiver.name': 'text', 'customer_
 
 const Booking = mongoose.models.Booking || mongoose.model('Booking', bookingSchema);
 
-// Singleton system settings (admin-controlled)
-const systemSettingsSchema = new mongoose.Schema({
-  key: {
-    type: String,
+// Booking amendment - one edit of a booking as a field-level diff
+const bookingAmendmentSchema = new mongoose.Schema({
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
     required: true,
-    unique: true,
-    default: 'global',
   },
-  booking_auto_review_enabled: {
-    type: Boolean,
-    default: false,
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true,
+    },
+    old_value: mongoose.Schema.Types.Mixed,
+    new_value: mongoose.Schema.Types.Mixed,
+  }],
+  reason: {
+    type: String,
+    required: false,
   },
-  booking_auto_review_reviewer_employee_id: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Employee',
+  // Booking review_status when the edit was made
+  review_status: {
+    type: String,
     required: false,
   },
-  booking_auto_review_updated_by: {
+  changed_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: false,
   },
-  booking_auto_review_updated_at: {
+  changed_by_email: {
+    type: String,
+    required: false,
+  },
+  // What happened to the invoice request created from the booking
+  invoice_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvoiceRequest',
+    required: false,
+  },
+  invoice_request_action: {
+    type: String,
+    enum: ['NONE', 'PROPAGATED', 'FLAGGED'],
+    default: 'NONE',
+  },
+  propagated_fields: [String],
+  flagged_fields: [String],
+}, {
+  timestamps: true,
+});
+
+bookingAmendmentSchema.index({ booking_id: 1, createdAt: -1 });
+
+const BookingAmendment = mongoose.models.BookingAmendment || mongoose.model('BookingAmendment', bookingAmendmentSchema);
+
+// Batch (consolidation) - bookings shipped together on one flight or vessel.
+// Bookings reference it through batch_no.
+const batchSchema = new mongoose.Schema({
+  batch_no: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED', 'DEPARTED', 'ARRIVED'],
+    default: 'OPEN',
+  },
+  transport_mode: {
+    type: String,
+    enum: ['AIR', 'SEA'],
+    required: false,
+  },
+  carrier: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+  // Flight number or vessel name / voyage
+  flight_or_vessel: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+  origin: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+  destination: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+  route: {
+    type: String,
+    enum: ['PH_TO_UAE', 'UAE_TO_PH'],
+    required: false,
+  },
+  // Planned dates; departed_at / arrived_at record the actual ones
+  departure_date: {
+    type: Date,
+    required: false,
+  },
+  arrival_date: {
+    type: Date,
+    required: false,
+  },
+  departed_at: {
+    type: Date,
+    required: false,
+  },
+  arrived_at: {
     type: Date,
     required: false,
   },
+  seal_number: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+  // Recomputed from the bookings whenever they change
+  totals: {
+    booking_count: { type: Number, default: 0 },
+    boxes: { type: Number, default: 0 },
+    actual_weight_kg: { type: Number, default: 0 },
+    chargeable_weight_kg: { type: Number, default: 0 },
+    declared_value: { type: Number, default: 0 },
+  },
+  status_history: [{
+    status: {
+      type: String,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    notes: {
+      type: String,
+      required: false,
+    },
+  }],
+  notes: {
+    type: String,
+    required: false,
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
 }, {
   timestamps: true,
 });
 
-const SystemSettings =
-  mongoose.models.SystemSettings || mongoose.model('SystemSettings', systemSettingsSchema);
+batchSchema.index({ status: 1, createdAt: -1 });
+batchSchema.index({ departure_date: -1 });
+
+const Batch = mongoose.models.Batch || mongoose.model('Batch', batchSchema);
+
+// One auto-review rule. Unset conditions are ignored; all set conditions must hold.
+const autoReviewRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  conditions: {
+    routes: [String],
+    sources: [String],
+    declared_value_min: Number,
+    declared_value_max: Number,
+    weight_min: Number,
+    weight_max: Number,
+    otp_verified: Boolean,
+    identity_documents_present: Boolean,
+    sender_blacklisted: Boolean,
+  },
+  action: {
+    type: String,
+    enum: ['APPROVE', 'HOLD', 'REJECT'],
+    required: true,
+  },
+  // Rejection reason, or note for reviewers on HOLD
+  reason: {
+    type: String,
+    required: false,
+  },
+});
+
+// Carrier routing rule (services/carriers.js), first match wins
+const carrierRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Empty conditions match every shipment
+  conditions: {
+    routes: [String],
+    destination_countries: [String],
+    // Case-insensitive match against the destination place or receiver address
+    destination_keywords: [String],
+  },
+  carrier: {
+    type: String,
+    required: true,
+  },
+});
+
+// Singleton system settings (admin-controlled)
+const systemSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'global',
+  },
+  booking_auto_review_enabled: {
+    type: Boolean,
+    default: false,
+  },
+  booking_auto_review_reviewer_employee_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: false,
+  },
+  booking_auto_review_updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  booking_auto_review_updated_at: {
+    type: Date,
+    required: false,
+  },
+  // Auto-review rules, first match wins (services/booking-auto-review-rules.js)
+  booking_auto_review_rules: [autoReviewRuleSchema],
+  // Action when no rule matches
+  booking_auto_review_default_action: {
+    type: String,
+    enum: ['APPROVE', 'HOLD', 'REJECT'],
+    default: 'APPROVE',
+  },
+  // Sender phones, emails or names for the sender_blacklisted condition
+  booking_sender_blacklist: [String],
+  // Carrier per route or destination; shipments no rule matches go to carrier_default
+  carrier_rules: [carrierRuleSchema],
+  carrier_default: {
+    type: String,
+    default: 'EMPOST',
+  },
+  carrier_rules_updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  carrier_rules_updated_at: {
+    type: Date,
+    required: false,
+  },
+}, {
+  timestamps: true,
+});
+
+const SystemSettings =
+  mongoose.models.SystemSettings || mongoose.model('SystemSettings', systemSettingsSchema);
+
+// Auto-review decision log - one entry per booking evaluated
+const autoReviewDecisionSchema = new mongoose.Schema({
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['APPROVE', 'HOLD', 'REJECT'],
+    required: true,
+  },
+  // What actually happened; APPROVE can still fail in performBookingReview, SKIPPED when no reviewer was found
+  outcome: {
+    type: String,
+    enum: ['APPROVED', 'HELD', 'REJECTED', 'FAILED', 'SKIPPED'],
+    required: true,
+  },
+  rule_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false,
+  },
+  // Rule name at decision time; "default" when no rule matched
+  rule_name: {
+    type: String,
+    required: true,
+  },
+  reason: String,
+  // Booking facts the rules were checked against
+  facts: mongoose.Schema.Types.Mixed,
+  invoice_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvoiceRequest',
+    required: false,
+  },
+  error: String,
+}, {
+  timestamps: true,
+});
+
+autoReviewDecisionSchema.index({ booking_id: 1, createdAt: -1 });
+autoReviewDecisionSchema.index({ action: 1, createdAt: -1 });
+
+const AutoReviewDecision =
+  mongoose.models.AutoReviewDecision || mongoose.model('AutoReviewDecision', autoReviewDecisionSchema);
+
+// Watchlist - senders/receivers whose shipments are refused (BLOCK) or need a second look (ESCALATE)
+const watchlistEntrySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: false,
+  },
+  phone: {
+    type: String,
+    required: false,
+  },
+  id_number: {
+    type: String,
+    required: false,
+  },
+  // Matching forms, set by services/watchlist.js
+  name_tokens: [String],
+  phone_normalized: String,
+  id_number_normalized: String,
+  party: {
+    type: String,
+    enum: ['SENDER', 'RECEIVER', 'ANY'],
+    default: 'ANY',
+  },
+  action: {
+    type: String,
+    enum: ['BLOCK', 'ESCALATE'],
+    required: true,
+  },
+  category: {
+    type: String,
+    enum: ['UNPAID_BALANCE', 'FRAUD', 'CUSTOMS_HOLD', 'OTHER'],
+    default: 'OTHER',
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  expires_at: Date,
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+watchlistEntrySchema.index({ active: 1, phone_normalized: 1 });
+watchlistEntrySchema.index({ active: 1, id_number_normalized: 1 });
+
+const WatchlistEntry =
+  mongoose.models.WatchlistEntry || mongoose.model('WatchlistEntry', watchlistEntrySchema);
+
+// Watchlist hit log - one entry per matched entry per screening
+const watchlistHitSchema = new mongoose.Schema({
+  entry_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WatchlistEntry',
+    required: true,
+  },
+  stage: {
+    type: String,
+    enum: ['BOOKING_CREATE', 'BOOKING_REVIEW', 'INVOICE_CREATE'],
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['BLOCK', 'ESCALATE'],
+    required: true,
+  },
+  // BLOCKED/ESCALATED stopped or flagged the shipment; ACKNOWLEDGED let an escalation through
+  outcome: {
+    type: String,
+    enum: ['BLOCKED', 'ESCALATED', 'ACKNOWLEDGED'],
+    required: true,
+  },
+  party: {
+    type: String,
+    enum: ['SENDER', 'RECEIVER'],
+    required: true,
+  },
+  matched_on: {
+    type: String,
+    enum: ['name', 'phone', 'id_number'],
+    required: true,
+  },
+  matched_value: String,
+  score: Number,
+  // Entry reason at screening time
+  reason: String,
+  // Unset for a booking refused on creation (never saved)
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: false,
+  },
+  invoice_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvoiceRequest',
+    required: false,
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+}, {
+  timestamps: true,
+});
+
+watchlistHitSchema.index({ entry_id: 1, createdAt: -1 });
+watchlistHitSchema.index({ booking_id: 1, createdAt: -1 });
+watchlistHitSchema.index({ stage: 1, createdAt: -1 });
+
+const WatchlistHit =
+  mongoose.models.WatchlistHit || mongoose.model('WatchlistHit', watchlistHitSchema);
+
+// Partner - agent sending bookings through the partner API
+const partnerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  // Short code stored on the partner's bookings
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  contact_email: String,
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  notes: String,
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+const Partner = mongoose.models.Partner || mongoose.model('Partner', partnerSchema);
+
+// Partner API key - only a hash is stored; the key is shown once when created
+const partnerApiKeySchema = new mongoose.Schema({
+  partner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  // First characters of the key, to tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scopes: [{
+    type: String,
+    enum: ['bookings:create', 'bookings:read'],
+  }],
+  expires_at: Date,
+  last_used_at: Date,
+  revoked_at: Date,
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+partnerApiKeySchema.index({ partner_id: 1, createdAt: -1 });
+
+const PartnerApiKey = mongoose.models.PartnerApiKey || mongoose.model('PartnerApiKey', partnerApiKeySchema);
+
+// Partner API usage log - one entry per authenticated request, kept for 180 days
+const partnerApiUsageSchema = new mongoose.Schema({
+  partner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true,
+  },
+  api_key_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PartnerApiKey',
+    required: true,
+  },
+  method: String,
+  path: String,
+  status_code: Number,
+  idempotency_key: String,
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: false,
+  },
+  ip: String,
+  duration_ms: Number,
+}, {
+  timestamps: true,
+});
+
+partnerApiUsageSchema.index({ partner_id: 1, createdAt: -1 });
+partnerApiUsageSchema.index({ api_key_id: 1, createdAt: -1 });
+partnerApiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const PartnerApiUsage = mongoose.models.PartnerApiUsage || mongoose.model('PartnerApiUsage', partnerApiUsageSchema);
+
+// Webhook endpoint - outbound event subscription (services/webhooks.js)
+const WEBHOOK_EVENTS = [
+  'booking.created',
+  'booking.reviewed',
+  'shipment.status_changed',
+  'invoice.created',
+  'invoice.paid',
+  'delivery.completed',
+  'remittance.confirmed',
+];
+
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  description: String,
+  // Signs deliveries; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS,
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+webhookEndpointSchema.index({ active: 1, events: 1 });
+
+const WebhookEndpoint =
+  mongoose.models.WebhookEndpoint || mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+// Webhook delivery - one event sent to one endpoint, with its attempts
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true,
+  },
+  event: {
+    type: String,
+    enum: [...WEBHOOK_EVENTS, 'ping'],
+    required: true,
+  },
+  // Same for every endpoint the event went to, and for redeliveries
+  event_id: {
+    type: String,
+    required: true,
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  // PENDING waits for next_attempt_at; FAILED has used up its attempts
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SUCCEEDED', 'FAILED'],
+    default: 'PENDING',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  next_attempt_at: Date,
+  locked_at: Date,
+  attempt_log: [{
+    _id: false,
+    at: Date,
+    status_code: Number,
+    error: String,
+    duration_ms: Number,
+  }],
+  last_status_code: Number,
+  last_error: String,
+  delivered_at: Date,
+  redelivery_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    required: false,
+  },
+  redelivered_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+}, {
+  timestamps: true,
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ endpoint_id: 1, createdAt: -1 });
+webhookDeliverySchema.index({ event_id: 1 });
+
+const WebhookDelivery =
+  mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// HS code mapping - commodity keywords to a tariff code for customs documents (services/customs-documents.js)
+const hsCodeMappingSchema = new mongoose.Schema({
+  // Digits with dots, e.g. 6309.00
+  hs_code: {
+    type: String,
+    required: true,
+  },
+  // Tariff description printed on the commercial invoice
+  description: {
+    type: String,
+    required: true,
+  },
+  // Lowercase words or phrases matched against commodity descriptions
+  keywords: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+  }],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+hsCodeMappingSchema.index({ active: 1 });
+hsCodeMappingSchema.index({ keywords: 1 });
+
+const HsCodeMapping = mongoose.models.HsCodeMapping || mongoose.model('HsCodeMapping', hsCodeMappingSchema);
+
+// EMPOST outbox - one EMPOST API call, sent and retried by services/empost-outbox.js
+const empostOutboxSchema = new mongoose.Schema({
+  operation: {
+    type: String,
+    enum: ['CREATE_SHIPMENT', 'UPDATE_SHIPMENT_STATUS', 'ISSUE_INVOICE', 'ISSUE_CREDIT_NOTE', 'CANCEL_DELIVERY'],
+    required: true,
+  },
+  // Items for the same tracking number are sent one at a time, oldest first
+  tracking_number: {
+    type: String,
+    required: true,
+  },
+  // Request body as mapped when the item was queued
+  request_payload: mongoose.Schema.Types.Mixed,
+  response_payload: mongoose.Schema.Types.Mixed,
+  // Records the outcome is written back to
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  invoice_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvoiceRequest',
+  },
+  delivery_assignment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryAssignment',
+  },
+  credit_note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote',
+  },
+  // Why it was queued, e.g. "invoice created"
+  reason: String,
+  // PENDING waits for next_attempt_at; DEAD_LETTER has used up its attempts or was rejected outright
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SUCCEEDED', 'DEAD_LETTER', 'SKIPPED'],
+    default: 'PENDING',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  max_attempts: Number,
+  next_attempt_at: Date,
+  locked_at: Date,
+  attempt_log: [{
+    _id: false,
+    at: Date,
+    status_code: Number,
+    error: String,
+    duration_ms: Number,
+  }],
+  last_status_code: Number,
+  last_error: String,
+  // UHAWB EMPOST returned for the shipment
+  uhawb: String,
+  completed_at: Date,
+  retried_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  skipped_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  skip_reason: String,
+}, {
+  timestamps: true,
+});
+
+empostOutboxSchema.index({ status: 1, next_attempt_at: 1 });
+empostOutboxSchema.index({ tracking_number: 1, status: 1 });
+empostOutboxSchema.index({ operation: 1, createdAt: -1 });
+empostOutboxSchema.index({ delivery_assignment_id: 1 }, { sparse: true });
+empostOutboxSchema.index({ credit_note_id: 1 }, { sparse: true });
+
+const EmpostOutbox = mongoose.models.EmpostOutbox || mongoose.model('EmpostOutbox', empostOutboxSchema);
+
+// Tracking event reported by a carrier (services/carriers.js), merged into the shipment timeline
+const carrierTrackingEventSchema = new mongoose.Schema({
+  carrier: {
+    type: String,
+    required: true,
+  },
+  // Our AWB / tracking number, upper-cased
+  awb: {
+    type: String,
+    required: true,
+  },
+  // The carrier's own reference for the shipment, e.g. the UHAWB
+  carrier_reference: String,
+  // Timeline status (STATUS_LABELS in services/shipment-tracking.js)
+  status: {
+    type: String,
+    required: true,
+  },
+  // Status as the carrier worded it
+  carrier_status: String,
+  occurred_at: {
+    type: Date,
+    required: true,
+  },
+  location: String,
+  description: String,
+  source: {
+    type: String,
+    enum: ['POLL', 'MANUAL', 'WEBHOOK', 'CSV'],
+    required: true,
+  },
+  // carrier|awb|status|occurred_at; the same event reported twice is stored once
+  dedupe_key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  raw: mongoose.Schema.Types.Mixed,
+  recorded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // What the event did to the shipment status (services/carrier-tracking-ingest.js)
+  shipment_update: {
+    result: {
+      type: String,
+      enum: ['APPLIED', 'UNCHANGED', 'SKIPPED', 'NOT_APPLICABLE', 'FAILED'],
+    },
+    shipment_status: String,
+    reason: String,
+    at: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+carrierTrackingEventSchema.index({ awb: 1, occurred_at: 1 });
+
+const CarrierTrackingEvent =
+  mongoose.models.CarrierTrackingEvent || mongoose.model('CarrierTrackingEvent', carrierTrackingEventSchema);
+
+// EMPOST reconciliation report (see services/empost-reconciliation.js): one per run
+const empostReconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['SCHEDULED', 'MANUAL'],
+    default: 'SCHEDULED',
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING',
+  },
+  run_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  started_at: Date,
+  completed_at: Date,
+  // Records created in this window are checked; newer than grace_minutes are left to the outbox
+  lookback_days: Number,
+  grace_minutes: Number,
+  checked: {
+    invoices: { type: Number, default: 0 },
+    invoice_requests: { type: Number, default: 0 },
+    delivery_assignments: { type: Number, default: 0 },
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    missing_uhawb: { type: Number, default: 0 },
+    cancellation_not_synced: { type: Number, default: 0 },
+    status_mismatch: { type: Number, default: 0 },
+  },
+  findings: [{
+    issue: {
+      type: String,
+      enum: ['MISSING_UHAWB', 'CANCELLATION_NOT_SYNCED', 'STATUS_MISMATCH'],
+      required: true,
+    },
+    record_type: {
+      type: String,
+      enum: ['Invoice', 'InvoiceRequest', 'DeliveryAssignment'],
+      required: true,
+    },
+    record_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // invoice_id, invoice_number or assignment_id
+    reference: String,
+    tracking_number: String,
+    empost_uhawb: String,
+    our_status: String,
+    // mapDeliveryStatus(our_status), and what the last successful EMPOST call sent
+    expected_empost_status: String,
+    reported_empost_status: String,
+    reported_at: Date,
+    // Latest outbox item for the tracking number when the report ran
+    outbox_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmpostOutbox',
+    },
+    outbox_status: String,
+    last_error: String,
+    resync: {
+      status: {
+        type: String,
+        enum: ['QUEUED', 'FAILED'],
+      },
+      outbox_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EmpostOutbox',
+      },
+      error: String,
+      at: Date,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+  }],
+  // More findings than EMPOST_RECONCILIATION_MAX_FINDINGS; the summary still counts them all
+  truncated: {
+    type: Boolean,
+    default: false,
+  },
+  error: String,
+}, {
+  timestamps: true,
+});
+
+empostReconciliationReportSchema.index({ createdAt: -1 });
+empostReconciliationReportSchema.index({ status: 1, started_at: -1 });
+
+const EmpostReconciliationReport =
+  mongoose.models.EmpostReconciliationReport || mongoose.model('EmpostReconciliationReport', empostReconciliationReportSchema);
 
 // Audit Report Schema for tracking cancellations and deletions
 const auditReportSchema = new mongoose.Schema({
@@ -1267,8 +2411,10 @@ const AuditReport = mongoose.models.AuditReport || mongoose.model('AuditReport',
 
 module.exports = {
   Department,
+  Role,
   Employee,
   User,
+  UserSession,
   Client,
   Request,
   Ticket,
@@ -1278,7 +2424,21 @@ module.exports = {
   Collections,
   PerformanceMetrics,
   Booking,
+  BookingAmendment,
+  Batch,
   SystemSettings,
+  AutoReviewDecision,
+  WatchlistEntry,
+  WatchlistHit,
+  Partner,
+  PartnerApiKey,
+  PartnerApiUsage,
+  WebhookEndpoint,
+  WebhookDelivery,
+  HsCodeMapping,
+  EmpostOutbox,
+  EmpostReconciliationReport,
+  CarrierTrackingEvent,
   ChatRoom,
   ChatMessage,
   AuditReport
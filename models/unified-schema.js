@@ -555,6 +555,32 @@ const internalRequestSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Exchange rate used for a document in a non-base currency (see services/exchange-rates.js)
+const exchangeRateSnapshot = {
+  currency: {
+    type: String,
+    required: false,
+  },
+  base_currency: {
+    type: String,
+    required: false,
+  },
+  // Units of `currency` per 1 unit of `base_currency`
+  rate: {
+    type: Number,
+    required: false,
+  },
+  rate_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRate',
+    required: false,
+  },
+  effective_date: {
+    type: Date,
+    required: false,
+  },
+};
+
 // Invoice Schema
 const invoiceSchema = new mongoose.Schema({
   invoice_id: {
@@ -676,7 +702,7 @@ const invoiceSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['PAID', 'UNPAID', 'OVERDUE', 'CANCELLED', 'COLLECTED_BY_DRIVER', 'REMITTED'],
+    enum: ['PAID', 'PARTIALLY_PAID', 'UNPAID', 'OVERDUE', 'CANCELLED', 'COLLECTED_BY_DRIVER', 'REMITTED'],
     default: 'UNPAID',
   },
   line_items: [{
@@ -750,6 +776,87 @@ const invoiceSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // Sums of issued credit notes and posted payments, and what is still owed
+  // (see services/invoice-payments.js)
+  credited_amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: false,
+    default: 0,
+  },
+  paid_amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: false,
+    default: 0,
+  },
+  balance_due: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: false,
+  },
+  // Client contract rate card the shipping charge was priced with, if any
+  rate_card: {
+    rate_card_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClientRateCard',
+      required: false,
+    },
+    name: {
+      type: String,
+      required: false,
+    },
+    rate: {
+      type: Number,
+      required: false,
+    },
+    discount_percent: {
+      type: Number,
+      required: false,
+    },
+    minimum_charge: {
+      type: Number,
+      required: false,
+    },
+  },
+  // Server-side quote the submitted totals were checked against (POST /api/quotes)
+  quote_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: false,
+  },
+  // Price bracket version in force when the invoice was created (see PriceBracketVersion)
+  price_bracket_version: {
+    version_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceBracketVersion',
+      required: false,
+    },
+    route: {
+      type: String,
+      required: false,
+    },
+    version: {
+      type: Number,
+      required: false,
+    },
+    effective_from: {
+      type: Date,
+      required: false,
+    },
+    bracket_label: {
+      type: String,
+      required: false,
+    },
+    bracket_rate: {
+      type: Number,
+      required: false,
+    },
+  },
+  // Billing currency. Amounts are stored in AED; PHP invoices keep the rate they were issued at
+  currency: {
+    type: String,
+    enum: ['AED', 'PHP'],
+    default: 'AED',
+  },
+  exchange_rate: exchangeRateSnapshot,
 }, {
   timestamps: true,
 });
@@ -807,6 +914,21 @@ const cashFlowTransactionSchema = new mongoose.Schema({
     ref: 'Employee',
     required: false,
   },
+  currency: {
+    type: String,
+    enum: ['AED', 'PHP'],
+    default: 'AED',
+  },
+  // Units of currency per 1 AED at the transaction date; 1 for AED
+  exchange_rate: {
+    type: Number,
+    required: false,
+  },
+  // Amount in AED, used by summaries
+  base_amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: false,
+  },
 }, {
   timestamps: true,
 });
@@ -1516,7 +1638,37 @@ paymentRemittanceSchema.index({ driver_id: 1 });
 paymentRemittanceSchema.index({ status: 1 });
 paymentRemittanceSchema.index({ remitted_at: 1 });
 
+// Single weight bracket (shared by the legacy per-route document and its versions)
+const bracketSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  max: {
+    type: Number,
+    default: null, // null means infinity (unlimited)
+    validate: {
+      validator: function(value) {
+        return value === null || value > this.min;
+      },
+      message: 'Max must be greater than min or null'
+    }
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  label: {
+    type: String,
+    required: true
+  }
+});
+
 // Price Bracket Schema
+// Legacy single mutable bracket set per route. Pricing now reads PriceBracketVersion; this
+// document only seeds the first version of a route.
 const priceBracketSchema = new mongoose.Schema({
   route: {
     type: String,
@@ -1524,37 +1676,399 @@ const priceBracketSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  brackets: [{
-    min: {
-      type: Number,
-      required: true,
-      min: 0
+  brackets: [bracketSchema],
+  updated_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Price Bracket indexes
+// Note: route field already has unique: true, so no need for explicit index definition
+
+// Price Bracket Version Schema - effective-dated bracket set for a route.
+// Versions of a route never overlap: effective_to is the next version's effective_from
+// (null for the latest one). See services/price-brackets.js.
+const priceBracketVersionSchema = new mongoose.Schema({
+  route: {
+    type: String,
+    enum: ['PH_TO_UAE', 'UAE_TO_PH'],
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  brackets: [bracketSchema],
+  effective_from: {
+    type: Date,
+    required: true
+  },
+  effective_to: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    required: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Price Bracket Version indexes
+priceBracketVersionSchema.index({ route: 1, version: 1 }, { unique: true });
+priceBracketVersionSchema.index({ route: 1, effective_from: 1 }, { unique: true });
+
+// Client Rate Card Schema - negotiated pricing for a client on one route.
+// Rate resolution: card bracket -> card rate_per_kg -> route price bracket; then the
+// discount and minimum charge are applied (see services/client-rate-cards.js).
+const clientRateCardSchema = new mongoose.Schema({
+  client_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  route: {
+    type: String,
+    enum: ['PH_TO_UAE', 'UAE_TO_PH'],
+    required: true
+  },
+  // Flat contract rate per kg (used when no card bracket matches)
+  rate_per_kg: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Optional weight-specific contract rates
+  brackets: [bracketSchema],
+  // Percentage off the shipping charge
+  discount_percent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Floor for the shipping charge after discount
+  minimum_charge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  effective_from: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  effective_to: {
+    type: Date,
+    default: null
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    required: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Client Rate Card indexes
+clientRateCardSchema.index({ client_id: 1, route: 1, is_active: 1, effective_from: -1 });
+
+// Quote Schema - server-side price quote (see services/quote-engine.js)
+const quoteSchema = new mongoose.Schema({
+  route: {
+    type: String,
+    enum: ['PH_TO_UAE', 'UAE_TO_PH'],
+    required: true
+  },
+  client_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: false
+  },
+  // Normalised request as priced
+  input: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Full breakdown returned to the caller
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Currency of billing.total; result amounts are in AED
+  currency: {
+    type: String,
+    enum: ['AED', 'PHP'],
+    default: 'AED'
+  },
+  exchange_rate: exchangeRateSnapshot,
+  price_bracket_version_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceBracketVersion',
+    required: false
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Quote indexes
+quoteSchema.index({ created_by: 1, createdAt: -1 });
+quoteSchema.index({ invoice_id: 1 });
+
+// Credit Note Schema - full or partial credit against an issued invoice
+const creditNoteSchema = new mongoose.Schema({
+  credit_note_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  // Invoice number at the time of issue (INV-######)
+  invoice_number: {
+    type: String,
+    required: true
+  },
+  client_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  awb_number: {
+    type: String,
+    required: false
+  },
+  service_code: {
+    type: String,
+    required: false
+  },
+  reason_code: {
+    type: String,
+    enum: ['WEIGHT_DISPUTE', 'DAMAGED_CARGO', 'PRICING_ERROR', 'SERVICE_FAILURE', 'OTHER'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Credited invoice line items; amounts are on the same VAT basis as the line
+  lines: [{
+    line_item_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
     },
-    max: {
-      type: Number,
-      default: null, // null means infinity (unlimited)
-      validate: {
-        validator: function(value) {
-          return value === null || value > this.min;
-        },
-        message: 'Max must be greater than min or null'
-      }
+    description: {
+      type: String,
+      required: true
     },
-    rate: {
-      type: Number,
-      required: true,
-      min: 0
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true
     },
-    label: {
-      type: String,
+    net_amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true
+    },
+    tax_amount: {
+      type: mongoose.Schema.Types.Decimal128,
       required: true
     }
   }],
-  updated_at: {
+  subtotal: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  tax_rate: {
+    type: Number,
+    default: 0
+  },
+  tax_amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0
+  },
+  total_amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  vat_inclusive: {
+    type: Boolean,
+    default: false
+  },
+  // REFUND when the credit exceeds the invoice's open balance
+  settlement: {
+    type: String,
+    enum: ['BALANCE_REDUCTION', 'REFUND'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ISSUED', 'VOID'],
+    default: 'ISSUED'
+  },
+  issue_date: {
     type: Date,
+    required: true,
     default: Date.now
   },
-  updated_by: {
+  voided_at: {
+    type: Date,
+    required: false
+  },
+  void_reason: {
+    type: String,
+    required: false
+  },
+  empost_status: {
+    type: String,
+    enum: ['PENDING', 'REPORTED', 'FAILED', 'SKIPPED'],
+    default: 'PENDING'
+  },
+  empost_reported_at: {
+    type: Date,
+    required: false
+  },
+  empost_error: {
+    type: String,
+    required: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Credit Note indexes
+// credit_note_id index is automatically created by unique: true
+creditNoteSchema.index({ invoice_id: 1, status: 1 });
+creditNoteSchema.index({ client_id: 1, issue_date: -1 });
+
+// Invoice Payment Schema - one receipt against an invoice (payments sub-ledger)
+const invoicePaymentSchema = new mongoose.Schema({
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['CASH', 'COD', 'BANK_TRANSFER', 'BANK_PAYMENT', 'CARD', 'CHEQUE', 'TABBY', 'OTHER'],
+    required: true
+  },
+  // Receipts in the invoice's billing currency are converted at the invoice's rate; amount is AED
+  currency: {
+    type: String,
+    enum: ['AED', 'PHP'],
+    default: 'AED'
+  },
+  original_amount: {
+    type: mongoose.Schema.Types.Decimal128,
+    required: false
+  },
+  exchange_rate: {
+    type: Number,
+    required: false
+  },
+  reference: {
+    type: String,
+    required: false,
+    trim: true
+  },
+  received_at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Where the receipt was posted from; source_id is the DeliveryAssignment or Collections document
+  source: {
+    type: String,
+    enum: ['MANUAL', 'DRIVER_COLLECTION', 'COLLECTION', 'STATUS_UPDATE'],
+    default: 'MANUAL'
+  },
+  source_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  notes: {
+    type: String,
+    required: false
+  },
+  status: {
+    type: String,
+    enum: ['POSTED', 'REVERSED'],
+    default: 'POSTED'
+  },
+  reversed_at: {
+    type: Date,
+    required: false
+  },
+  reversal_reason: {
+    type: String,
+    required: false
+  },
+  recorded_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: false
@@ -1563,8 +2077,57 @@ const priceBracketSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Price Bracket indexes
-// Note: route field already has unique: true, so no need for explicit index definition
+// Invoice Payment indexes
+invoicePaymentSchema.index({ invoice_id: 1, status: 1 });
+invoicePaymentSchema.index({ received_at: -1 });
+// One posted receipt per driver collection / collections entry
+invoicePaymentSchema.index(
+  { source: 1, source_id: 1 },
+  { unique: true, partialFilterExpression: { status: 'POSTED', source_id: { $exists: true } } }
+);
+
+// Exchange Rate Schema - dated rates entered by finance, one per currency per date
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    enum: ['PHP'],
+    required: true
+  },
+  base_currency: {
+    type: String,
+    enum: ['AED'],
+    default: 'AED'
+  },
+  // Units of currency per 1 unit of base_currency (e.g. 15.35 PHP per AED)
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Start of the day the rate applies from (UTC)
+  effective_date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    required: false,
+    trim: true
+  },
+  notes: {
+    type: String,
+    required: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, effective_date: -1 }, { unique: true });
 
 // ========================================
 // EXPORT MODELS
@@ -1587,6 +2150,12 @@ const DeliveryAssignment = mongoose.models.DeliveryAssignment || mongoose.model(
 const QRPaymentSession = mongoose.models.QRPaymentSession || mongoose.model('QRPaymentSession', qrPaymentSessionSchema);
 const PaymentRemittance = mongoose.models.PaymentRemittance || mongoose.model('PaymentRemittance', paymentRemittanceSchema);
 const PriceBracket = mongoose.models.PriceBracket || mongoose.model('PriceBracket', priceBracketSchema);
+const PriceBracketVersion = mongoose.models.PriceBracketVersion || mongoose.model('PriceBracketVersion', priceBracketVersionSchema);
+const ClientRateCard = mongoose.models.ClientRateCard || mongoose.model('ClientRateCard', clientRateCardSchema);
+const Quote = mongoose.models.Quote || mongoose.model('Quote', quoteSchema);
+const CreditNote = mongoose.models.CreditNote || mongoose.model('CreditNote', creditNoteSchema);
+const InvoicePayment = mongoose.models.InvoicePayment || mongoose.model('InvoicePayment', invoicePaymentSchema);
+const ExchangeRate = mongoose.models.ExchangeRate || mongoose.model('ExchangeRate', exchangeRateSchema);
 
 module.exports = {
   Department,
@@ -1603,5 +2172,11 @@ module.exports = {
   DeliveryAssignment,
   QRPaymentSession,
   PaymentRemittance,
-  PriceBracket
+  PriceBracket,
+  PriceBracketVersion,
+  ClientRateCard,
+  Quote,
+  CreditNote,
+  InvoicePayment,
+  ExchangeRate
 };
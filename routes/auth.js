@@ -1,8 +1,14 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { User } = require('../models');
+const { User, UserSession } = require('../models');
+const auth = require('../middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  hashRefreshToken,
+} = require('../services/auth-sessions');
 
 const router = express.Router();
 
@@ -51,12 +57,11 @@ router.post('/login', [
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken, expiresIn, refreshExpiresAt } = await createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
 
     // Return user data (without password)
     const userData = {
@@ -75,6 +80,9 @@ router.post('/login', [
       data: {
         user: userData,
         token: token,
+        refreshToken: refreshToken,
+        expiresIn: expiresIn,
+        refreshExpiresAt: refreshExpiresAt,
         requiresPasswordChange: requiresPasswordChange
       },
       message: 'Login successful' 
@@ -89,4 +97,76 @@ router.post('/login', [
   }
 });
 
+// Refresh endpoint - exchanges a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Token refreshed'
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Logout endpoint - revokes the current session (and its WebSocket connection)
+router.post('/logout', auth, async (req, res) => {
+  try {
+    let sessionId = req.user.sessionId;
+
+    // Tokens without a session id can still end a session by presenting its refresh token
+    if (!sessionId && req.body?.refreshToken) {
+      const session = await UserSession.findOne({
+        refresh_token_hash: hashRefreshToken(req.body.refreshToken),
+        user_id: req.user.id,
+      }).select('_id');
+      sessionId = session?._id || null;
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
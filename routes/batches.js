@@ -0,0 +1,214 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { Batch } = require('../models');
+const {
+  BATCH_STATUSES,
+  findBatch,
+  createBatch,
+  updateBatch,
+  addBookings,
+  removeBookings,
+  changeBatchStatus,
+} = require('../services/batches');
+const { buildManifest, manifestToXlsx } = require('../services/batch-manifest');
+const { generateBatchManifestPDF } = require('../services/batch-manifest-pdf');
+
+const router = express.Router();
+
+router.use(auth);
+
+const sendResult = (res, result, message, status = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 500).json({
+      success: false,
+      error: result.error
+    });
+  }
+  return res.status(status).json({
+    success: true,
+    data: result.batch,
+    message
+  });
+};
+
+// GET /api/batches?status= - newest first
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      const status = String(req.query.status).toUpperCase();
+      if (!BATCH_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${BATCH_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+
+    const batches = await Batch.find(query)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+    res.json({
+      success: true,
+      data: batches
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batches'
+    });
+  }
+});
+
+// GET /api/batches/:id/manifest?format=json|pdf|xlsx - :id is the batch _id or batch_no
+router.get('/:id/manifest', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!['json', 'pdf', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json, pdf or xlsx' });
+    }
+
+    const result = await buildManifest(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const { manifest } = result;
+    const filename = `manifest-${manifest.batch.batch_no.replace(/[^\w.-]+/g, '_')}`;
+    if (format === 'pdf') {
+      const pdfBuffer = await generateBatchManifestPDF(manifest);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(Buffer.from(pdfBuffer));
+    }
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(manifestToXlsx(manifest));
+    }
+
+    res.json({
+      success: true,
+      data: manifest
+    });
+  } catch (error) {
+    console.error('Error building batch manifest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build batch manifest'
+    });
+  }
+});
+
+// GET /api/batches/:id - :id is the batch _id or batch_no
+router.get('/:id', async (req, res) => {
+  try {
+    const batch = await findBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    await batch.populate('status_history.by', 'full_name email');
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batch'
+    });
+  }
+});
+
+// POST /api/batches - { batch_no, transport_mode?, carrier?, flight_or_vessel?, origin?, destination?, route?, departure_date?, arrival_date?, seal_number?, notes? }
+router.post('/', requirePermission('batch:manage'), async (req, res) => {
+  try {
+    const result = await createBatch(req.body, req.user.id);
+    sendResult(res, result, 'Batch created', 201);
+  } catch (error) {
+    console.error('Error creating batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create batch'
+    });
+  }
+});
+
+// PUT /api/batches/:id - flight/vessel details; frozen once the batch departs
+router.put('/:id', requirePermission('batch:manage'), async (req, res) => {
+  try {
+    const result = await updateBatch(req.params.id, req.body);
+    sendResult(res, result, 'Batch updated');
+  } catch (error) {
+    console.error('Error updating batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update batch'
+    });
+  }
+});
+
+// POST /api/batches/:id/bookings - { booking_ids } (batch must be OPEN)
+router.post('/:id/bookings', requirePermission('batch:manage'), async (req, res) => {
+  try {
+    const result = await addBookings(req.params.id, req.body.booking_ids);
+    sendResult(res, result, 'Bookings added to batch');
+  } catch (error) {
+    console.error('Error adding bookings to batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add bookings to batch'
+    });
+  }
+});
+
+// POST /api/batches/:id/bookings/remove - { booking_ids } (batch must be OPEN)
+router.post('/:id/bookings/remove', requirePermission('batch:manage'), async (req, res) => {
+  try {
+    const result = await removeBookings(req.params.id, req.body.booking_ids);
+    sendResult(res, result, 'Bookings removed from batch');
+  } catch (error) {
+    console.error('Error removing bookings from batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove bookings from batch'
+    });
+  }
+});
+
+// POST /api/batches/:id/status - { status: OPEN|CLOSED|DEPARTED|ARRIVED, notes?, at? }
+router.post('/:id/status', requirePermission('batch:manage'), async (req, res) => {
+  try {
+    const { status, notes, at } = req.body;
+    const result = await changeBatchStatus(req.params.id, status, {
+      userId: req.user.id,
+      updatedBy: req.user.email || req.user.id,
+      notes,
+      at
+    });
+    if (!result.success) {
+      return sendResult(res, result);
+    }
+
+    res.json({
+      success: true,
+      data: result.batch,
+      bookings_updated: result.bookings_updated,
+      bookings_skipped: result.bookings_skipped,
+      message: `Batch ${result.batch.batch_no} is now ${result.batch.status}`
+    });
+  } catch (error) {
+    console.error('Error changing batch status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change batch status'
+    });
+  }
+});
+
+module.exports = router;
@@ -7,9 +7,22 @@ const { syncInvoiceWithEMPost } = require('../utils/empost-sync');
 const { generateUniqueAWBNumber, generateUniqueInvoiceID } = require('../utils/id-generators');
 const { syncClientFromBooking } = require('../utils/client-sync');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const { performBookingReview } = require('../services/booking-review-approve');
-const { tryAutoReviewNewBookingAfterCreate } = require('../services/booking-auto-review-on-create');
-const { toValidObjectIdString } = require('../services/system-settings');
+const { findBatch, createBatch, addBookings } = require('../services/batches');
+const { transitionShipment } = require('../services/shipment-state-machine');
+const { getRequestPermissions, hasPermission } = require('../services/permissions');
+const { diffBooking, amendmentNeedsReason, recordBookingAmendment, getBookingHistory } = require('../services/booking-amendments');
+const { checkBookingForDuplicates, scanBookingBacklog, resolveDuplicate } = require('../services/booking-duplicates');
+const { bookingParties, screenShipment } = require('../services/watchlist');
+const {
+  PENDING_REVIEW_QUERY,
+  ELIGIBLE_FILTER: AUTO_REVIEW_ELIGIBLE_FILTER,
+  tryAutoReviewNewBookingAfterCreate,
+  applyAutoReviewRules,
+} = require('../services/booking-auto-review-on-create');
+const { emitWebhookEvent } = require('../services/webhooks');
+const { toValidObjectIdString, getOrCreateSettings } = require('../services/system-settings');
 const { validateObjectIdParam, sanitizeRegex } = require('../middleware/security');
 const { generateBookingPDF, pickUaePassUserInfoFromBooking } = require('../services/pdf-generator');
 const googleDriveService = require('../services/google-drive');
@@ -30,6 +43,70 @@ async function enqueueBookingIdentityPurge(bookingId) {
   }
 }
 
+/** Flag a new booking that looks like an earlier one; never blocks creation. */
+async function flagPossibleDuplicate(booking) {
+  try {
+    const result = await checkBookingForDuplicates(booking);
+    if (result.flagged) {
+      console.log(`⚠️ Booking ${booking._id} looks like a duplicate of ${result.duplicate_of} (score ${result.score})`);
+    }
+    return result.flagged;
+  } catch (err) {
+    console.error('Duplicate booking check error:', err?.message || err);
+    return false;
+  }
+}
+
+/**
+ * Screen a new booking against the watchlist before it is saved. An escalation flags the booking
+ * for review; returns true when it must be refused.
+ */
+async function screenNewBooking(booking) {
+  const screening = await screenShipment({
+    stage: 'BOOKING_CREATE',
+    parties: bookingParties(booking),
+    bookingId: booking._id,
+  });
+  if (screening.status === 'ESCALATED') {
+    booking.watchlist_flag = { status: 'PENDING', entry_ids: screening.entry_ids, flagged_at: new Date() };
+  }
+  return screening.status === 'BLOCKED';
+}
+
+/**
+ * Follow-up on a saved new booking: client sync (in the background), duplicate check and
+ * auto-review. Returns the booking as it is afterwards.
+ */
+async function afterBookingCreated(booking) {
+  syncClientFromBooking(booking).catch(err => {
+    console.error('[CLIENT_SYNC] Background client sync failed:', err);
+  });
+
+  const possibleDuplicate = await flagPossibleDuplicate(booking);
+
+  await emitWebhookEvent('booking.created', {
+    booking_id: booking._id,
+    reference_number: booking.referenceNumber,
+    awb: booking.awb || null,
+    source: booking.source || null,
+    service_code: booking.service_code || null,
+    review_status: booking.review_status,
+    partner_code: booking.partner?.code || null,
+    created_at: booking.createdAt,
+  });
+
+  await tryAutoReviewNewBookingAfterCreate(booking, getBookingReviewDeps(), {
+    reviewedByEmployeeId: toValidObjectIdString(booking.created_by_employee_id),
+  });
+  return { booking: await Booking.findById(booking._id), possibleDuplicate };
+}
+
+// Does not say why: the watchlist is not shown to customers
+const WATCHLIST_REFUSED_RESPONSE = {
+  success: false,
+  error: 'This booking cannot be accepted. Please contact customer support.'
+};
+
 const DEFAULT_LIMIT = 50;
 const MAX_LIMIT = 500;
 const HEAVY_FIELDS_PROJECTION = '-identityDocuments -attachments -documents -files';
@@ -120,7 +197,8 @@ const LIGHTWEIGHT_PROJECTION = [
   '-receiver.images',
   '-receiver.selfie',
   '-receiver.customerImage',
-  '-receiver.customerImages'
+  '-receiver.customerImages',
+  '-duplicate_keys'
 ].join(' ');
 
 // ========================================
@@ -408,6 +486,144 @@ function decodeImageField(field) {
     .replace(/&#39;/g, "'");        // Decimal encoding: &#39; -> '
 }
 
+/**
+ * Booking document for a validated sales booking (see validateSalesBooking): normalized sender,
+ * receiver, items and identity documents, with the shipmentType insurance rules applied.
+ */
+function buildSalesBookingData(bookingData, referenceNumber) {
+  // Normalize review_status: convert 'pending' to 'not reviewed' (valid enum values: 'not reviewed', 'reviewed', 'rejected')
+  let reviewStatus = bookingData.review_status || 'not reviewed';
+  if (reviewStatus === 'pending') {
+    reviewStatus = 'not reviewed';
+  }
+  if (!['not reviewed', 'reviewed', 'rejected'].includes(reviewStatus)) {
+    reviewStatus = 'not reviewed'; // Default to 'not reviewed' if invalid value
+  }
+
+  // Normalize sender data
+  const sender = {
+    firstName: bookingData.sender.firstName,
+    lastName: bookingData.sender.lastName,
+    fullName: bookingData.sender.fullName || `${bookingData.sender.firstName} ${bookingData.sender.lastName}`,
+    name: bookingData.sender.name || bookingData.sender.fullName || `${bookingData.sender.firstName} ${bookingData.sender.lastName}`,
+    country: bookingData.sender.country,
+    address: bookingData.sender.address || bookingData.sender.addressLine1,
+    addressLine1: bookingData.sender.addressLine1 || bookingData.sender.address,
+    completeAddress: bookingData.sender.completeAddress || bookingData.sender.addressLine1 || bookingData.sender.address,
+    deliveryOption: bookingData.sender.deliveryOption,
+    phone: bookingData.sender.phone || bookingData.sender.phoneNumber || bookingData.sender.contactNo,
+    phoneNumber: bookingData.sender.phoneNumber || bookingData.sender.phone || bookingData.sender.contactNo,
+    contactNo: bookingData.sender.contactNo || bookingData.sender.phone || bookingData.sender.phoneNumber,
+    email: bookingData.sender.email || bookingData.sender.emailAddress || null,
+    emailAddress: bookingData.sender.emailAddress || bookingData.sender.email || null,
+    agentName: bookingData.sender.agentName || null
+  };
+
+  // Normalize receiver data
+  const receiver = {
+    firstName: bookingData.receiver.firstName,
+    lastName: bookingData.receiver.lastName,
+    fullName: bookingData.receiver.fullName || `${bookingData.receiver.firstName} ${bookingData.receiver.lastName}`,
+    name: bookingData.receiver.name || bookingData.receiver.fullName || `${bookingData.receiver.firstName} ${bookingData.receiver.lastName}`,
+    country: bookingData.receiver.country,
+    address: bookingData.receiver.address || bookingData.receiver.addressLine1,
+    addressLine1: bookingData.receiver.addressLine1 || bookingData.receiver.address,
+    completeAddress: bookingData.receiver.completeAddress || bookingData.receiver.addressLine1 || bookingData.receiver.address,
+    deliveryOption: bookingData.receiver.deliveryOption,
+    phone: bookingData.receiver.phone || bookingData.receiver.phoneNumber || bookingData.receiver.contactNo,
+    phoneNumber: bookingData.receiver.phoneNumber || bookingData.receiver.phone || bookingData.receiver.contactNo,
+    contactNo: bookingData.receiver.contactNo || bookingData.receiver.phone || bookingData.receiver.phoneNumber,
+    email: bookingData.receiver.email || bookingData.receiver.emailAddress || null,
+    emailAddress: bookingData.receiver.emailAddress || bookingData.receiver.email || null
+  };
+
+  // Normalize items
+  const items = bookingData.items.map(item => ({
+    commodity: item.commodity || item.name,
+    name: item.name || item.commodity,
+    description: item.description || null,
+    qty: item.qty || item.quantity,
+    quantity: item.quantity || item.qty
+  }));
+
+  // Extract service code to determine if additional documents are valid
+  const serviceCode = normalizeServiceCode(bookingData.service_code || bookingData.service);
+  const isUaeToPh = serviceCode === 'UAE_TO_PH' || (serviceCode && serviceCode.startsWith('UAE_TO_PH'));
+  const isPhToUae = serviceCode === 'PH_TO_UAE' || (serviceCode && serviceCode.startsWith('PH_TO_UAE'));
+
+  // Prepare identity documents (base64 images)
+  // Decode HTML entities to ensure images are stored correctly (e.g., &#x2F; -> /)
+  // Include all provided documents (some may be null/undefined for PH_TO_UAE)
+  const identityDocuments = {
+    eidFrontImage: bookingData.identityDocuments.eidFrontImage ? decodeImageField(bookingData.identityDocuments.eidFrontImage) : null,
+    eidBackImage: bookingData.identityDocuments.eidBackImage ? decodeImageField(bookingData.identityDocuments.eidBackImage) : null,
+    philippinesIdFront: bookingData.identityDocuments.philippinesIdFront ? decodeImageField(bookingData.identityDocuments.philippinesIdFront) : null,
+    philippinesIdBack: bookingData.identityDocuments.philippinesIdBack ? decodeImageField(bookingData.identityDocuments.philippinesIdBack) : null,
+    // Additional optional documents (only for UAE_TO_PH and PH_TO_UAE)
+    confirmationForm: (isUaeToPh || isPhToUae) && bookingData.identityDocuments.confirmationForm 
+      ? decodeImageField(bookingData.identityDocuments.confirmationForm) 
+      : null,
+    tradeLicense: (isUaeToPh || isPhToUae) && bookingData.identityDocuments.tradeLicense 
+      ? decodeImageField(bookingData.identityDocuments.tradeLicense) 
+      : null
+  };
+
+  // Extract AWB if provided from frontend (optional)
+  const awb = bookingData.awb || bookingData.awb_number || bookingData.tracking_code;
+  const awbValue = awb ? awb.toUpperCase().trim() : null;
+
+  // Enforce shipmentType business rules
+  const shipmentType = bookingData.shipmentType || 'non_document'; // Default to non_document for backward compatibility
+  let insured = bookingData.insured || false;
+  let declaredAmount = bookingData.declaredAmount || null;
+
+  if (shipmentType === 'document') {
+    // Document shipments: insured must be false, declaredAmount must be 0
+    insured = false;
+    declaredAmount = 0;
+  } else if (shipmentType === 'non_document') {
+    // Non-document shipments: insured must be true, declaredAmount must be > 0
+    insured = true;
+    // Ensure declaredAmount is provided and > 0 (validation already checked in validateSalesBooking)
+    if (!declaredAmount || declaredAmount <= 0) {
+      throw new Error('Declared amount is required and must be greater than 0 for non-document shipments');
+    }
+  }
+
+  // Prepare booking data
+  const salesBookingData = {
+    service: bookingData.service,
+    service_code: bookingData.service_code,
+    source: bookingData.source,
+    status: bookingData.status || 'pending',
+    review_status: reviewStatus, // Valid values: 'not reviewed', 'reviewed', 'rejected'
+    sender: sender,
+    receiver: receiver,
+    items: items,
+    identityDocuments: identityDocuments,
+    shipmentType: shipmentType,
+    insured: insured,
+    declaredAmount: declaredAmount,
+    created_by_employee_id: bookingData.created_by_employee_id,
+    referenceNumber: referenceNumber,
+    number_of_boxes: bookingData.number_of_boxes || items.length || 1
+  };
+
+  // Add AWB fields if provided from frontend
+  if (awbValue) {
+    salesBookingData.awb = awbValue;
+    salesBookingData.awb_number = awbValue;
+    salesBookingData.tracking_code = awbValue;
+  }
+
+  // Invoice Requests "New Booking" — must be manually reviewed (never auto-approved)
+  if (bookingData.skip_auto_review === true) {
+    salesBookingData.skip_auto_review = true;
+  }
+
+  return salesBookingData;
+}
+
 /**
  * Generate unique reference number
  * Format: KNX followed by alphanumeric string (e.g., KNXMJO699KQ)
@@ -444,8 +660,9 @@ async function generateReferenceNumber() {
 
 /**
  * Validate Sales booking request body
+ * @param {object} [options] - { partner }: partner API bookings have no source or employee to check
  */
-function validateSalesBooking(req) {
+function validateSalesBooking(req, { partner = false } = {}) {
   const errors = [];
   const data = req.body;
 
@@ -456,10 +673,10 @@ function validateSalesBooking(req) {
   if (!data.service_code || !['UAE_TO_PH', 'PH_TO_UAE'].includes(data.service_code)) {
     errors.push('service_code must be "UAE_TO_PH" or "PH_TO_UAE"');
   }
-  if (!data.source || data.source !== 'sales') {
+  if (!partner && (!data.source || data.source !== 'sales')) {
     errors.push('source must be "sales"');
   }
-  if (!data.created_by_employee_id) {
+  if (!partner && !data.created_by_employee_id) {
     errors.push('created_by_employee_id is required');
   }
 
@@ -691,154 +908,21 @@ router.post('/', async (req, res) => {
       // Generate unique reference number
       const referenceNumber = await generateReferenceNumber();
 
-      // Normalize review_status: convert 'pending' to 'not reviewed' (valid enum values: 'not reviewed', 'reviewed', 'rejected')
-      let reviewStatus = bookingData.review_status || 'not reviewed';
-      if (reviewStatus === 'pending') {
-        reviewStatus = 'not reviewed';
-      }
-      if (!['not reviewed', 'reviewed', 'rejected'].includes(reviewStatus)) {
-        reviewStatus = 'not reviewed'; // Default to 'not reviewed' if invalid value
-      }
-
-      // Normalize sender data
-      const sender = {
-        firstName: bookingData.sender.firstName,
-        lastName: bookingData.sender.lastName,
-        fullName: bookingData.sender.fullName || `${bookingData.sender.firstName} ${bookingData.sender.lastName}`,
-        name: bookingData.sender.name || bookingData.sender.fullName || `${bookingData.sender.firstName} ${bookingData.sender.lastName}`,
-        country: bookingData.sender.country,
-        address: bookingData.sender.address || bookingData.sender.addressLine1,
-        addressLine1: bookingData.sender.addressLine1 || bookingData.sender.address,
-        completeAddress: bookingData.sender.completeAddress || bookingData.sender.addressLine1 || bookingData.sender.address,
-        deliveryOption: bookingData.sender.deliveryOption,
-        phone: bookingData.sender.phone || bookingData.sender.phoneNumber || bookingData.sender.contactNo,
-        phoneNumber: bookingData.sender.phoneNumber || bookingData.sender.phone || bookingData.sender.contactNo,
-        contactNo: bookingData.sender.contactNo || bookingData.sender.phone || bookingData.sender.phoneNumber,
-        email: bookingData.sender.email || bookingData.sender.emailAddress || null,
-        emailAddress: bookingData.sender.emailAddress || bookingData.sender.email || null,
-        agentName: bookingData.sender.agentName || null
-      };
-
-      // Normalize receiver data
-      const receiver = {
-        firstName: bookingData.receiver.firstName,
-        lastName: bookingData.receiver.lastName,
-        fullName: bookingData.receiver.fullName || `${bookingData.receiver.firstName} ${bookingData.receiver.lastName}`,
-        name: bookingData.receiver.name || bookingData.receiver.fullName || `${bookingData.receiver.firstName} ${bookingData.receiver.lastName}`,
-        country: bookingData.receiver.country,
-        address: bookingData.receiver.address || bookingData.receiver.addressLine1,
-        addressLine1: bookingData.receiver.addressLine1 || bookingData.receiver.address,
-        completeAddress: bookingData.receiver.completeAddress || bookingData.receiver.addressLine1 || bookingData.receiver.address,
-        deliveryOption: bookingData.receiver.deliveryOption,
-        phone: bookingData.receiver.phone || bookingData.receiver.phoneNumber || bookingData.receiver.contactNo,
-        phoneNumber: bookingData.receiver.phoneNumber || bookingData.receiver.phone || bookingData.receiver.contactNo,
-        contactNo: bookingData.receiver.contactNo || bookingData.receiver.phone || bookingData.receiver.phoneNumber,
-        email: bookingData.receiver.email || bookingData.receiver.emailAddress || null,
-        emailAddress: bookingData.receiver.emailAddress || bookingData.receiver.email || null
-      };
-
-      // Normalize items
-      const items = bookingData.items.map(item => ({
-        commodity: item.commodity || item.name,
-        name: item.name || item.commodity,
-        description: item.description || null,
-        qty: item.qty || item.quantity,
-        quantity: item.quantity || item.qty
-      }));
-
-      // Extract service code to determine if additional documents are valid
-      const serviceCode = normalizeServiceCode(bookingData.service_code || bookingData.service);
-      const isUaeToPh = serviceCode === 'UAE_TO_PH' || (serviceCode && serviceCode.startsWith('UAE_TO_PH'));
-      const isPhToUae = serviceCode === 'PH_TO_UAE' || (serviceCode && serviceCode.startsWith('PH_TO_UAE'));
-
-      // Prepare identity documents (base64 images)
-      // Decode HTML entities to ensure images are stored correctly (e.g., &#x2F; -> /)
-      // Include all provided documents (some may be null/undefined for PH_TO_UAE)
-      const identityDocuments = {
-        eidFrontImage: bookingData.identityDocuments.eidFrontImage ? decodeImageField(bookingData.identityDocuments.eidFrontImage) : null,
-        eidBackImage: bookingData.identityDocuments.eidBackImage ? decodeImageField(bookingData.identityDocuments.eidBackImage) : null,
-        philippinesIdFront: bookingData.identityDocuments.philippinesIdFront ? decodeImageField(bookingData.identityDocuments.philippinesIdFront) : null,
-        philippinesIdBack: bookingData.identityDocuments.philippinesIdBack ? decodeImageField(bookingData.identityDocuments.philippinesIdBack) : null,
-        // Additional optional documents (only for UAE_TO_PH and PH_TO_UAE)
-        confirmationForm: (isUaeToPh || isPhToUae) && bookingData.identityDocuments.confirmationForm 
-          ? decodeImageField(bookingData.identityDocuments.confirmationForm) 
-          : null,
-        tradeLicense: (isUaeToPh || isPhToUae) && bookingData.identityDocuments.tradeLicense 
-          ? decodeImageField(bookingData.identityDocuments.tradeLicense) 
-          : null
-      };
-
-      // Extract AWB if provided from frontend (optional)
-      const awb = bookingData.awb || bookingData.awb_number || bookingData.tracking_code;
-      const awbValue = awb ? awb.toUpperCase().trim() : null;
-
-      // Enforce shipmentType business rules
-      const shipmentType = bookingData.shipmentType || 'non_document'; // Default to non_document for backward compatibility
-      let insured = bookingData.insured || false;
-      let declaredAmount = bookingData.declaredAmount || null;
-
-      if (shipmentType === 'document') {
-        // Document shipments: insured must be false, declaredAmount must be 0
-        insured = false;
-        declaredAmount = 0;
-      } else if (shipmentType === 'non_document') {
-        // Non-document shipments: insured must be true, declaredAmount must be > 0
-        insured = true;
-        // Ensure declaredAmount is provided and > 0 (validation already checked in validateSalesBooking)
-        if (!declaredAmount || declaredAmount <= 0) {
-          throw new Error('Declared amount is required and must be greater than 0 for non-document shipments');
-        }
-      }
-
-      // Prepare booking data
-      const salesBookingData = {
-        service: bookingData.service,
-        service_code: bookingData.service_code,
-        source: bookingData.source,
-        status: bookingData.status || 'pending',
-        review_status: reviewStatus, // Valid values: 'not reviewed', 'reviewed', 'rejected'
-        sender: sender,
-        receiver: receiver,
-        items: items,
-        identityDocuments: identityDocuments,
-        shipmentType: shipmentType,
-        insured: insured,
-        declaredAmount: declaredAmount,
-        created_by_employee_id: bookingData.created_by_employee_id,
-        referenceNumber: referenceNumber,
-        number_of_boxes: bookingData.number_of_boxes || items.length || 1
-      };
-
-      // Add AWB fields if provided from frontend
-      if (awbValue) {
-        salesBookingData.awb = awbValue;
-        salesBookingData.awb_number = awbValue;
-        salesBookingData.tracking_code = awbValue;
-      }
-
-      // Invoice Requests "New Booking" — must be manually reviewed (never auto-approved)
-      if (bookingData.skip_auto_review === true) {
-        salesBookingData.skip_auto_review = true;
-      }
+      const salesBookingData = buildSalesBookingData(bookingData, referenceNumber);
 
       // Create booking
       const booking = new Booking(salesBookingData);
+      if (await screenNewBooking(booking)) {
+        return res.status(403).json(WATCHLIST_REFUSED_RESPONSE);
+      }
       await booking.save();
 
-      // Sync client in background (don't wait for it to complete)
-      syncClientFromBooking(booking).catch(err => {
-        console.error('[CLIENT_SYNC] Background client sync failed:', err);
-      });
-
-      const reviewDeps = getBookingReviewDeps();
-      await tryAutoReviewNewBookingAfterCreate(booking, reviewDeps, {
-        reviewedByEmployeeId: toValidObjectIdString(booking.created_by_employee_id),
-      });
-      const salesBookingOut = await Booking.findById(booking._id);
+      const { booking: salesBookingOut, possibleDuplicate } = await afterBookingCreated(booking);
 
       res.status(201).json({
         success: true,
         data: salesBookingOut || booking,
+        possible_duplicate: possibleDuplicate,
         message: 'Sales booking created successfully'
       });
     } else {
@@ -887,25 +971,22 @@ router.post('/', async (req, res) => {
       
       // Ensure shipmentType is set
       bookingData.shipmentType = shipmentType;
+      // Set by watchlist screening only
+      delete bookingData.watchlist_flag;
       
       // Create booking
       const booking = new Booking(bookingData);
+      if (await screenNewBooking(booking)) {
+        return res.status(403).json(WATCHLIST_REFUSED_RESPONSE);
+      }
       await booking.save();
 
-      // Sync client in background (don't wait for it to complete)
-      syncClientFromBooking(booking).catch(err => {
-        console.error('[CLIENT_SYNC] Background client sync failed:', err);
-      });
-
-      const reviewDepsRegular = getBookingReviewDeps();
-      await tryAutoReviewNewBookingAfterCreate(booking, reviewDepsRegular, {
-        reviewedByEmployeeId: toValidObjectIdString(booking.created_by_employee_id),
-      });
-      const regularBookingOut = await Booking.findById(booking._id);
+      const { booking: regularBookingOut, possibleDuplicate } = await afterBookingCreated(booking);
 
       res.status(201).json({
         success: true,
         data: regularBookingOut || booking,
+        possible_duplicate: possibleDuplicate,
         message: 'Booking created successfully'
       });
     }
@@ -930,11 +1011,36 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update booking
-router.put('/:id', validateObjectIdParam('id'), async (req, res) => {
+/**
+ * First key in an update body that is an update operator ("$set") or dotted path ("a.b"),
+ * at any depth; null when there is none.
+ */
+function findUpdateOperatorKey(value, isTopLevel = true) {
+  if (!value || typeof value !== 'object') return null;
+  for (const [key, child] of Object.entries(value)) {
+    if (key.startsWith('$') || (isTopLevel && key.includes('.'))) return key;
+    const nested = findUpdateOperatorKey(child, false);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// Update booking. Every edit is recorded in the booking history; after review it needs
+// amendment_reason.
+router.put('/:id', auth, validateObjectIdParam('id'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { amendment_reason, ...updateData } = req.body;
+
+    // updateData goes to findByIdAndUpdate as-is: update operators or dotted paths would get
+    // past the protected-field checks below
+    const operatorKey = findUpdateOperatorKey(updateData);
+    if (operatorKey) {
+      return res.status(400).json({
+        success: false,
+        error: `Field "${operatorKey}" is not allowed; send plain booking fields`
+      });
+    }
     
     // Get existing booking to check service code
     const existingBooking = await Booking.findById(id);
@@ -1113,6 +1219,44 @@ router.put('/:id', validateObjectIdParam('id'), async (req, res) => {
     
     // Ensure shipmentType is set in updateData
     updateData.shipmentType = shipmentType;
+
+    // Shipment status only changes through the state machine
+    if (updateData.shipment_status !== undefined && updateData.shipment_status !== existingBooking.shipment_status) {
+      return res.status(400).json({
+        success: false,
+        error: 'shipment_status cannot be changed here; use PUT /api/bookings/:id/shipment-status'
+      });
+    }
+    delete updateData.shipment_status;
+    delete updateData.shipment_status_history;
+    // Batch membership changes through the batch endpoints, which check the batch is OPEN and
+    // keep its totals
+    if (updateData.batch_no !== undefined && (updateData.batch_no || null) !== (existingBooking.batch_no || null)) {
+      return res.status(400).json({
+        success: false,
+        error: 'batch_no cannot be changed here; use POST /api/batches/:id/bookings or /api/batches/:id/bookings/remove'
+      });
+    }
+    delete updateData.batch_no;
+    // Duplicate flags are resolved through POST /api/bookings/:id/duplicate
+    delete updateData.duplicate_keys;
+    delete updateData.duplicate_check;
+    delete updateData.merged_booking_ids;
+    // Set by watchlist screening only
+    delete updateData.watchlist_flag;
+
+    const before = existingBooking.toObject();
+    const reason = typeof amendment_reason === 'string' ? amendment_reason.trim() : '';
+    if (!reason && amendmentNeedsReason(existingBooking)) {
+      const preview = Booking.hydrate(existingBooking.toObject());
+      preview.set(updateData);
+      if (diffBooking(before, preview.toObject()).length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Booking is ${existingBooking.review_status}; amendment_reason is required to change it`
+        });
+      }
+    }
     
     // Find and update booking
     const booking = await Booking.findByIdAndUpdate(
@@ -1128,6 +1272,13 @@ router.put('/:id', validateObjectIdParam('id'), async (req, res) => {
       });
     }
     
+    let amendment = null;
+    try {
+      amendment = await recordBookingAmendment(before, booking.toObject(), { reason, user: req.user });
+    } catch (amendmentError) {
+      console.error('Error recording booking amendment:', amendmentError);
+    }
+    
     // Sync client in background (don't wait for it to complete)
     syncClientFromBooking(booking).catch(err => {
       console.error('[CLIENT_SYNC] Background client sync failed:', err);
@@ -1136,6 +1287,7 @@ router.put('/:id', validateObjectIdParam('id'), async (req, res) => {
     res.json({
       success: true,
       data: booking,
+      amendment,
       message: 'Booking updated successfully'
     });
   } catch (error) {
@@ -1736,7 +1888,7 @@ router.get('/', async (req, res) => {
 router.get('/status/:reviewStatus', async (req, res) => {
   try {
     const { reviewStatus } = req.params;
-    const { awb, all } = req.query;
+    const { awb, all, duplicates } = req.query;
     
     // Sanitize inputs
     const sanitizedStatus = sanitizeStatus(reviewStatus);
@@ -1768,6 +1920,16 @@ router.get('/status/:reviewStatus', async (req, res) => {
       }
     }
     
+    // duplicates=only shows bookings flagged as likely duplicates, duplicates=exclude hides them
+    if (duplicates === 'only' || duplicates === 'exclude') {
+      const duplicateQuery = duplicates === 'only'
+        ? { 'duplicate_check.status': 'PENDING' }
+        : { 'duplicate_check.status': { $ne: 'PENDING' } };
+      const combinedQuery = Object.keys(query).length > 0 ? { $and: [{ ...query }, duplicateQuery] } : duplicateQuery;
+      Object.keys(query).forEach(key => delete query[key]);
+      Object.assign(query, combinedQuery);
+    }
+    
     // Use pagination for all statuses to improve performance
     // Only skip pagination if explicitly requested with all=true AND no AWB filter
     const normalizedStatus = normalizeStatus(reviewStatus);
@@ -1844,44 +2006,6 @@ router.get('/status/:reviewStatus', async (req, res) => {
 // ========================================
 // These endpoints must be defined BEFORE /:id to ensure proper route matching
 
-// Valid shipment status values
-// New simplified statuses (primary)
-const VALID_SHIPMENT_STATUSES = [
-  'Shipment Received',
-  'Shipment Processing',
-  'Shipment Departed',
-  'Shipment Arrived',
-  'Shipment Delivered',
-  // Legacy statuses (for backward compatibility)
-  'SHIPMENT_RECEIVED',
-  'SHIPMENT_PROCESSING',
-  'DEPARTED_FROM_MANILA',
-  'IN_TRANSIT_TO_DUBAI',
-  'ARRIVED_AT_DUBAI',
-  'SHIPMENT_CLEARANCE',
-  'OUT_FOR_DELIVERY',
-  'DELIVERED'
-];
-
-/**
- * Map old shipment status to new status format
- * @param {string} oldStatus - Old status value
- * @returns {string} - New status value
- */
-function mapOldStatusToNew(oldStatus) {
-  const statusMap = {
-    'SHIPMENT_RECEIVED': 'Shipment Received',
-    'SHIPMENT_PROCESSING': 'Shipment Processing',
-    'DEPARTED_FROM_MANILA': 'Shipment Departed',
-    'IN_TRANSIT_TO_DUBAI': 'Shipment Departed', // Map to Departed
-    'ARRIVED_AT_DUBAI': 'Shipment Arrived',
-    'SHIPMENT_CLEARANCE': 'Shipment Arrived', // Map to Arrived
-    'OUT_FOR_DELIVERY': 'Shipment Arrived', // Map to Arrived
-    'DELIVERED': 'Shipment Delivered'
-  };
-  return statusMap[oldStatus] || oldStatus; // Return as-is if no mapping found
-}
-
 /**
  * Build MongoDB projection object from comma-separated field list
  * Supports nested fields (e.g., 'sender.completeAddress')
@@ -2189,22 +2313,6 @@ router.put('/batch/shipment-status', auth, async (req, res) => {
       });
     }
 
-    // Normalize shipment_status: trim whitespace
-    const normalizedStatus = shipment_status.trim();
-    
-    // Try to map old status to new format if needed
-    const finalStatus = mapOldStatusToNew(normalizedStatus) || normalizedStatus;
-
-    // Validate shipment_status value
-    if (!VALID_SHIPMENT_STATUSES.includes(finalStatus)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid shipment_status. Must be one of: ${VALID_SHIPMENT_STATUSES.join(', ')}`,
-        received: shipment_status,
-        normalized: finalStatus
-      });
-    }
-
     // Find all bookings to verify they exist
     const bookings = await Booking.find({ _id: { $in: booking_ids } });
     
@@ -2218,35 +2326,65 @@ router.put('/batch/shipment-status', auth, async (req, res) => {
 
     // Get updated_by from request body or default to user email or 'system'
     const updatedByValue = updated_by || req.user?.email || 'system';
+    const permissions = await getRequestPermissions(req);
+    if (batch_no && !hasPermission(permissions, 'batch:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'batch:manage permission is required to add bookings to a batch'
+      });
+    }
 
-    // Prepare bulk update operations
-    const updateOps = booking_ids.map(bookingId => ({
-      updateOne: {
-        filter: { _id: bookingId },
-        update: {
-          $set: {
-            shipment_status: finalStatus,
-            updatedAt: new Date(),
-            ...(batch_no && { batch_no: batch_no })
-          },
-          $push: {
-            shipment_status_history: {
-              status: finalStatus,
-              updated_at: new Date(),
-              updated_by: updatedByValue,
-              notes: notes || ''
-            }
-          }
+    // All or nothing: one illegal transition rejects the whole batch
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    const transitions = [];
+    try {
+      // Joining a batch goes through the batch service: it must be OPEN and its totals follow
+      const joining = batch_no ? bookings.filter(booking => booking.batch_no !== batch_no).map(booking => booking._id) : [];
+      if (joining.length) {
+        const added = await addBookings(batch_no, joining, { session });
+        if (!added.success) {
+          await session.abortTransaction();
+          return res.status(added.statusCode || 500).json({
+            success: false,
+            error: added.error
+          });
         }
       }
-    }));
 
-    // Execute bulk update
-    const result = await Booking.bulkWrite(updateOps, { ordered: false });
+      for (const booking of bookings) {
+        const result = await transitionShipment({ booking }, shipment_status, {
+          permissions,
+          updatedBy: updatedByValue,
+          notes,
+          source: 'booking',
+          session
+        });
+        if (!result.success) {
+          await session.abortTransaction();
+          return res.status(result.statusCode || 500).json({
+            success: false,
+            error: `Booking ${booking.tracking_code || booking.awb_number || booking._id}: ${result.error}`
+          });
+        }
+        transitions.push(result);
+      }
+      await session.commitTransaction();
+    } catch (transactionError) {
+      await session.abortTransaction();
+      throw transactionError;
+    } finally {
+      session.endSession();
+    }
 
-    await Promise.all(
-      booking_ids.map((bookingId) => enqueueBookingIdentityPurge(bookingId)),
-    );
+    // The changes are committed; a failing sync or webhook must not report them as failed
+    for (const transition of transitions) {
+      try {
+        await transition.runSideEffects();
+      } catch (sideEffectError) {
+        console.error('Error running shipment side effects after bulk status update:', sideEffectError);
+      }
+    }
 
     // Fetch updated bookings with full details for response
     const updatedBookings = await Booking.find({
@@ -2256,7 +2394,7 @@ router.put('/batch/shipment-status', auth, async (req, res) => {
     res.json({
       success: true,
       data: {
-        updated_count: result.modifiedCount,
+        updated_count: transitions.filter(t => t.changed).length,
         bookings: updatedBookings.map(booking => ({
           _id: booking._id,
           tracking_code: booking.tracking_code || booking.awb_number || null,
@@ -2277,10 +2415,10 @@ router.put('/batch/shipment-status', auth, async (req, res) => {
 });
 
 // POST /api/bookings/batch/create
-// Create a batch and assign multiple bookings to it
+// Create a batch (or reuse an OPEN one) and assign multiple bookings to it
 router.post('/batch/create', auth, async (req, res) => {
   try {
-    const { batch_no, booking_ids, created_by, notes } = req.body;
+    const { batch_no, booking_ids, notes } = req.body;
 
     // Validate required fields
     if (!batch_no || !batch_no.trim()) {
@@ -2297,35 +2435,26 @@ router.post('/batch/create', auth, async (req, res) => {
       });
     }
 
-    // Check if all booking IDs exist
-    const existingBookings = await Booking.find({
-      _id: { $in: booking_ids }
-    }).select('_id').lean();
+    const batchNo = batch_no.trim();
+    if (!(await findBatch(batchNo))) {
+      const created = await createBatch({ batch_no: batchNo, notes }, req.user.id);
+      // 409 here means a concurrent request created it first; carry on with that one
+      if (!created.success && created.statusCode !== 409) {
+        return res.status(created.statusCode || 500).json({
+          success: false,
+          error: created.error
+        });
+      }
+    }
 
-    if (existingBookings.length !== booking_ids.length) {
-      const existingIds = existingBookings.map(b => b._id.toString());
-      const missingIds = booking_ids.filter(id => !existingIds.includes(id.toString()));
-      return res.status(404).json({
+    const result = await addBookings(batchNo, booking_ids);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
         success: false,
-        error: `Some booking IDs not found: ${missingIds.join(', ')}`
+        error: result.error
       });
     }
 
-    // Update all bookings with the batch_no
-    const updateOps = booking_ids.map(bookingId => ({
-      updateOne: {
-        filter: { _id: bookingId },
-        update: {
-          $set: {
-            batch_no: batch_no,
-            updatedAt: new Date()
-          }
-        }
-      }
-    }));
-
-    const result = await Booking.bulkWrite(updateOps, { ordered: false });
-
     // Fetch updated bookings
     const updatedBookings = await Booking.find({
       _id: { $in: booking_ids }
@@ -2334,8 +2463,9 @@ router.post('/batch/create', auth, async (req, res) => {
     res.json({
       success: true,
       data: {
-        batch_no: batch_no,
-        booking_count: result.modifiedCount,
+        batch_no: batchNo,
+        booking_count: updatedBookings.length,
+        batch: result.batch,
         bookings: updatedBookings.map(booking => ({
           _id: booking._id,
           batch_no: booking.batch_no
@@ -2384,9 +2514,12 @@ router.get('/batch/:batchNo', auth, async (req, res) => {
       updatedAt: booking.updatedAt
     }));
 
+    const batch = await findBatch(batchNo.trim());
+
     res.json({
       success: true,
-      data: formattedBookings
+      data: formattedBookings,
+      batch: batch || null
     });
   } catch (error) {
     console.error('Error fetching bookings by batch:', error);
@@ -2414,22 +2547,6 @@ router.put('/:id/shipment-status', auth, async (req, res) => {
       });
     }
 
-    // Normalize shipment_status: trim whitespace
-    const normalizedStatus = shipment_status.trim();
-    
-    // Try to map old status to new format if needed
-    const finalStatus = mapOldStatusToNew(normalizedStatus) || normalizedStatus;
-
-    // Validate shipment_status value
-    if (!VALID_SHIPMENT_STATUSES.includes(finalStatus)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid shipment_status. Must be one of: ${VALID_SHIPMENT_STATUSES.join(', ')}`,
-        received: shipment_status,
-        normalized: finalStatus
-      });
-    }
-
     // Find booking
     const booking = await Booking.findById(id);
     if (!booking) {
@@ -2442,26 +2559,19 @@ router.put('/:id/shipment-status', auth, async (req, res) => {
     // Get updated_by from request body or default to user email or 'system'
     const updatedByValue = updated_by || req.user?.email || 'system';
 
-    // Update shipment status (use normalized/mapped status)
-    booking.shipment_status = finalStatus;
-
-    // Add entry to shipment_status_history
-    if (!booking.shipment_status_history) {
-      booking.shipment_status_history = [];
-    }
-    booking.shipment_status_history.push({
-      status: finalStatus,
-      updated_at: new Date(),
-      updated_by: updatedByValue,
-      notes: notes || ''
+    const result = await transitionShipment({ booking }, shipment_status, {
+      permissions: await getRequestPermissions(req),
+      updatedBy: updatedByValue,
+      notes,
+      source: 'booking'
     });
-
-    // Update updatedAt timestamp
-    booking.updatedAt = new Date();
-
-    await booking.save();
-
-    await enqueueBookingIdentityPurge(id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error,
+        current_status: result.from || null
+      });
+    }
 
     // Populate booking to get full details
     const populatedBooking = await Booking.findById(id)
@@ -2815,6 +2925,31 @@ router.get('/:id/review', auth, validateObjectIdParam('id'), async (req, res) =>
   }
 });
 
+// GET /api/bookings/:id/history - field-level amendments, newest first
+router.get('/:id/history', auth, validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).select('_id').lean();
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    const history = await getBookingHistory(booking._id, { limit: req.query.limit });
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching booking history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch booking history'
+    });
+  }
+});
+
 // Get booking by ID
 router.get('/:id', validateObjectIdParam('id'), async (req, res) => {
   try {
@@ -2858,9 +2993,9 @@ router.get('/:id', validateObjectIdParam('id'), async (req, res) => {
   }
 });
 // Review and approve booking (convert to invoice request)
-router.post('/:id/review', validateObjectIdParam('id'), async (req, res) => {
+router.post('/:id/review', auth, requirePermission('booking:review'), validateObjectIdParam('id'), async (req, res) => {
   try {
-    const { reviewed_by_employee_id } = req.body;
+    const { reviewed_by_employee_id, acknowledge_watchlist } = req.body;
     if (!reviewed_by_employee_id) {
       return res.status(400).json({
         success: false,
@@ -2870,13 +3005,15 @@ router.post('/:id/review', validateObjectIdParam('id'), async (req, res) => {
     const result = await performBookingReview(
       req.params.id,
       reviewed_by_employee_id,
-      getBookingReviewDeps()
+      getBookingReviewDeps(),
+      { acknowledgeWatchlist: acknowledge_watchlist === true, userId: req.user.id }
     );
     if (!result.success) {
       return res.status(result.statusCode || 500).json({
         success: false,
         error: result.error,
         details: result.details,
+        watchlist: result.watchlist,
       });
     }
     return res.json(result);
@@ -2890,8 +3027,63 @@ router.post('/:id/review', validateObjectIdParam('id'), async (req, res) => {
   }
 });
 
-// Auto-review and approve all pending bookings (batch)
-router.post('/auto-review/batch', auth, async (req, res) => {
+// POST /api/bookings/duplicates/scan - { since?, until?, limit?, dry_run? } run the duplicate check over existing bookings
+router.post('/duplicates/scan', auth, requirePermission('booking:review'), async (req, res) => {
+  try {
+    const { since, until, limit = 1000, dry_run } = req.body;
+    if ((since && isNaN(new Date(since).getTime())) || (until && isNaN(new Date(until).getTime()))) {
+      return res.status(400).json({ success: false, error: 'since and until must be valid dates' });
+    }
+
+    const result = await scanBookingBacklog({
+      since,
+      until,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 1000, 1), 5000),
+      dryRun: dry_run === true,
+    });
+    res.json({
+      success: true,
+      data: result,
+      message: `Scanned ${result.scanned} booking(s); ${result.flagged} likely duplicate(s)`
+    });
+  } catch (error) {
+    console.error('Error scanning bookings for duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to scan bookings for duplicates'
+    });
+  }
+});
+
+// POST /api/bookings/:id/duplicate - { action: merge|dismiss, notes? } resolve a duplicate flag
+router.post('/:id/duplicate', auth, requirePermission('booking:review'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const { action, notes } = req.body;
+    const result = await resolveDuplicate(req.params.id, action, { userId: req.user.id, notes });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.booking,
+      message: action === 'merge' ? 'Duplicate booking merged into the original' : 'Duplicate flag dismissed'
+    });
+  } catch (error) {
+    console.error('Error resolving duplicate booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve duplicate booking'
+    });
+  }
+});
+
+// Auto-review all pending bookings (batch): each goes through the auto-review rules like a new
+// booking, so it is approved, held or rejected and the decision is logged
+router.post('/auto-review/batch', auth, requirePermission('booking:review'), async (req, res) => {
   try {
     const { reviewed_by_employee_id, limit = 50, booking_ids } = req.body;
 
@@ -2903,46 +3095,52 @@ router.post('/auto-review/batch', auth, async (req, res) => {
     }
 
     const maxLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
-    const autoReviewEligibleFilter = { skip_auto_review: { $ne: true } };
-    let query = { ...buildStatusQuery('not_reviewed'), ...autoReviewEligibleFilter };
+    let query = { ...PENDING_REVIEW_QUERY, ...AUTO_REVIEW_ELIGIBLE_FILTER };
 
     if (Array.isArray(booking_ids) && booking_ids.length > 0) {
       const validIds = booking_ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
       query = {
         _id: { $in: validIds.map((id) => new mongoose.Types.ObjectId(id)) },
-        ...buildStatusQuery('not_reviewed'),
-        ...autoReviewEligibleFilter,
+        ...PENDING_REVIEW_QUERY,
+        ...AUTO_REVIEW_ELIGIBLE_FILTER,
       };
     }
 
     const pending = await Booking.find(query)
-      .select('_id awb referenceNumber review_status')
       .sort({ createdAt: 1 })
       .limit(maxLimit)
       .lean();
 
+    const settings = await getOrCreateSettings();
     const deps = getBookingReviewDeps();
     const succeeded = [];
+    const held = [];
+    const rejected = [];
     const failed = [];
 
     for (const row of pending) {
       const bookingId = row._id.toString();
       const label = row.awb || row.referenceNumber || bookingId;
       try {
-        const result = await performBookingReview(bookingId, reviewed_by_employee_id, deps);
-        if (result.success) {
+        const result = await applyAutoReviewRules(row, settings, deps, {
+          reviewedByEmployeeId: reviewed_by_employee_id,
+        });
+        const rule = result.decision?.rule_name;
+        if (result.reason === 'held') {
+          held.push({ booking_id: bookingId, label, rule });
+        } else if (result.skipped) {
+          failed.push({ booking_id: bookingId, label, rule, error: `Skipped: ${result.reason}` });
+        } else if (!result.success) {
+          failed.push({ booking_id: bookingId, label, rule, error: result.error || 'Review failed' });
+        } else if (result.decision.action === 'REJECT') {
+          rejected.push({ booking_id: bookingId, label, rule, reason: result.decision.reason });
+        } else {
           succeeded.push({
             booking_id: bookingId,
             label,
+            rule,
             invoice_request_id: result.invoiceRequest?._id?.toString?.() || result.invoiceRequest?._id,
           });
-        } else {
-          failed.push({
-            booking_id: bookingId,
-            label,
-            error: result.error || 'Review failed',
-            details: result.details,
-          });
         }
       } catch (err) {
         failed.push({
@@ -2954,7 +3152,7 @@ router.post('/auto-review/batch', auth, async (req, res) => {
     }
 
     console.log(
-      `🤖 Auto-review batch: ${succeeded.length} succeeded, ${failed.length} failed (of ${pending.length} processed)`
+      `🤖 Auto-review batch: ${succeeded.length} approved, ${held.length} held, ${rejected.length} rejected, ${failed.length} failed (of ${pending.length} processed)`
     );
 
     return res.json({
@@ -2962,9 +3160,13 @@ router.post('/auto-review/batch', auth, async (req, res) => {
       summary: {
         processed: pending.length,
         succeeded: succeeded.length,
+        held: held.length,
+        rejected: rejected.length,
         failed: failed.length,
       },
       succeeded,
+      held,
+      rejected,
       failed,
       message:
         succeeded.length > 0
@@ -3012,6 +3214,7 @@ router.put('/:id/status', validateObjectIdParam('id'), async (req, res) => {
     }
 
     // Update booking status
+    const previousReviewStatus = booking.review_status;
     booking.review_status = review_status;
     
     // Update reviewed_by_employee_id if provided
@@ -3034,6 +3237,17 @@ router.put('/:id/status', validateObjectIdParam('id'), async (req, res) => {
 
     await booking.save();
 
+    if (review_status !== previousReviewStatus && ['reviewed', 'rejected'].includes(review_status)) {
+      await emitWebhookEvent('booking.reviewed', {
+        booking_id: booking._id,
+        reference_number: booking.referenceNumber,
+        awb: booking.awb || null,
+        review_status,
+        reason: review_status === 'rejected' ? reason : undefined,
+        reviewed_at: booking.reviewed_at,
+      });
+    }
+
     // When status is set to 'reviewed', generate PDF and upload to Drive (same as review flow)
     if (review_status === 'reviewed') {
       const invoiceRequest = await InvoiceRequest.findOne({ booking_id: id }).lean();
@@ -3066,8 +3280,8 @@ router.put('/:id/status', validateObjectIdParam('id'), async (req, res) => {
   }
 });
 
-// Update booking shipment status history
-router.put('/:id/shipment-status-history', validateObjectIdParam('id'), async (req, res) => {
+// Update booking shipment status history (goes through the shipment state machine)
+router.put('/:id/shipment-status-history', auth, validateObjectIdParam('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { shipment_status_history } = req.body;
@@ -3087,29 +3301,25 @@ router.put('/:id/shipment-status-history', validateObjectIdParam('id'), async (r
       });
     }
     
-    // Update shipment_status_history
-    // If it's an array, add new entry; otherwise, set as string or convert to array
-    const newStatusEntry = {
-      status: shipment_status_history,
-      updated_at: new Date(),
-      updated_by: req.body.updated_by || 'System',
-      notes: req.body.notes || ''
-    };
-    
-    if (Array.isArray(booking.shipment_status_history)) {
-      booking.shipment_status_history.push(newStatusEntry);
-    } else {
-      // Convert to array format
-      booking.shipment_status_history = [newStatusEntry];
+    const result = await transitionShipment({ booking }, shipment_status_history, {
+      permissions: await getRequestPermissions(req),
+      updatedBy: req.body.updated_by || req.user?.email || 'System',
+      notes: req.body.notes,
+      source: 'booking'
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error,
+        current_status: result.from || null
+      });
     }
     
-    await booking.save();
-    
-    console.log(`✅ Updated booking ${id} shipment_status_history to "${shipment_status_history}"`);
+    console.log(`✅ Updated booking ${id} shipment status to "${result.booking.shipment_status}"`);
     
     res.json({
       success: true,
-      data: booking.toObject ? booking.toObject() : booking,
+      data: result.booking.toObject ? result.booking.toObject() : result.booking,
       message: 'Shipment status history updated successfully'
     });
   } catch (error) {
@@ -3386,7 +3596,62 @@ function getBookingReviewDeps() {
   };
 }
 
+/**
+ * Create a booking sent through the partner API (routes/partner-api.js). Validated like a sales
+ * booking; the AWB is assigned here and the partner is recorded as the source.
+ * @param {object} bookingData - request body
+ * @param {object} partnerInfo - { partner_id, code, api_key_id, reference, idempotency_key, request_hash }
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, details?: string[], booking?, possibleDuplicate? }>}
+ */
+async function createPartnerBooking(bookingData, partnerInfo) {
+  const validationErrors = validateSalesBooking({ body: bookingData }, { partner: true });
+  if (validationErrors.length > 0) {
+    return { success: false, statusCode: 400, error: 'Validation error', details: validationErrors };
+  }
+
+  const referenceNumber = await generateReferenceNumber();
+  let salesBookingData;
+  try {
+    // Partners cannot set the review state, preset an AWB or attribute the booking to our staff
+    salesBookingData = buildSalesBookingData({
+      ...bookingData,
+      review_status: 'not reviewed',
+      status: 'pending',
+      skip_auto_review: false,
+      awb: undefined,
+      awb_number: undefined,
+      tracking_code: undefined,
+      created_by_employee_id: undefined,
+      source: 'partner',
+      sender: bookingData.sender && { ...bookingData.sender, agentName: undefined },
+    }, referenceNumber);
+  } catch (error) {
+    return { success: false, statusCode: 400, error: 'Validation error', details: [error.message] };
+  }
+
+  // Checked against invoice requests like on approval, so the booking keeps this AWB
+  const isPhToUae = salesBookingData.service_code === 'PH_TO_UAE';
+  const awb = await generateUniqueAWBNumber(InvoiceRequest, isPhToUae ? { prefix: 'PHL' } : {});
+
+  const booking = new Booking({
+    ...salesBookingData,
+    source: 'partner',
+    awb,
+    awb_number: awb,
+    tracking_code: awb,
+    partner: partnerInfo,
+  });
+  if (await screenNewBooking(booking)) {
+    return { success: false, statusCode: 403, error: WATCHLIST_REFUSED_RESPONSE.error };
+  }
+  await booking.save();
+
+  const { booking: created, possibleDuplicate } = await afterBookingCreated(booking);
+  return { success: true, booking: created || booking, possibleDuplicate };
+}
+
 module.exports = router;
 module.exports.generateAndUploadBookingPDF = generateAndUploadBookingPDF;
 module.exports.getBookingReviewDeps = getBookingReviewDeps;
+module.exports.createPartnerBooking = createPartnerBooking;
 
@@ -0,0 +1,48 @@
+const express = require('express');
+const { verifyWebhookSignature, ingestTrackingEvents } = require('../services/carrier-tracking-ingest');
+
+const router = express.Router();
+
+// POST /api/carrier-webhooks/:carrier - tracking events pushed by a carrier. No user session: the
+// call is signed with CARRIER_WEBHOOK_SECRET_<CARRIER> (see verifyWebhookSignature). Body is
+// { events: [{ awb | uhawb, status, occurred_at, location?, description?, carrier_reference? }] },
+// the bare array or a single event. Events we cannot use are reported back but still answer
+// 200, so the carrier does not resend them.
+router.post('/:carrier', async (req, res) => {
+  try {
+    const carrierCode = String(req.params.carrier || '').toUpperCase();
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const check = verifyWebhookSignature(carrierCode, {
+      timestamp: req.get('X-Webhook-Timestamp'),
+      signature: req.get('X-Webhook-Signature'),
+      body,
+    });
+    if (!check.success) {
+      return res.status(check.statusCode).json({ success: false, error: check.error });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ success: false, error: 'Body must be JSON' });
+    }
+    const events = Array.isArray(payload) ? payload : Array.isArray(payload?.events) ? payload.events : [payload];
+
+    const result = await ingestTrackingEvents(events.map(event => ({ ...event, raw: event })), {
+      carrierCode,
+      source: 'WEBHOOK',
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, error: result.error });
+    }
+
+    const { recorded, duplicates, rejected } = result;
+    res.json({ success: true, data: { recorded, duplicates, rejected } });
+  } catch (error) {
+    console.error('Error receiving carrier tracking webhook:', error);
+    res.status(500).json({ success: false, error: 'Failed to process tracking events' });
+  }
+});
+
+module.exports = router;
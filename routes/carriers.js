@@ -0,0 +1,207 @@
+const express = require('express');
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const {
+  listCarriers,
+  shipmentRouting,
+  resolveCarrier,
+  findShipmentByAwb,
+  getCarrierRouting,
+  setCarrierRouting,
+  listTrackingEvents,
+} = require('../services/carriers');
+const {
+  ingestTrackingEvents,
+  refreshAndApplyTracking,
+  parseTrackingCsv,
+} = require('../services/carrier-tracking-ingest');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+router.use(auth);
+
+const sendError = (res, result) => res.status(result.statusCode || 500).json({
+  success: false,
+  error: result.error
+});
+
+const normalizeAwb = (value) => String(value || '').trim().toUpperCase();
+
+// GET /api/carriers - registered carriers and whether they offer tracking
+router.get('/', (req, res) => {
+  res.json({ success: true, data: listCarriers() });
+});
+
+// GET /api/carriers/rules
+router.get('/rules', requirePermission('carrier:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await getCarrierRouting() });
+  } catch (error) {
+    console.error('Error reading carrier rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to read carrier rules' });
+  }
+});
+
+// PUT /api/carriers/rules - { rules?, default_carrier? }; rules replace the whole list, first match wins
+router.put('/rules', requirePermission('carrier:manage'), async (req, res) => {
+  try {
+    const result = await setCarrierRouting(req.body || {}, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.data, message: 'Carrier rules updated' });
+  } catch (error) {
+    console.error('Error updating carrier rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to update carrier rules' });
+  }
+});
+
+// GET /api/carriers/resolve?awb= - which carrier the rules pick for a shipment
+router.get('/resolve', requirePermission('carrier:manage'), async (req, res) => {
+  try {
+    const awb = normalizeAwb(req.query.awb);
+    if (!awb) {
+      return res.status(400).json({ success: false, error: 'awb is required' });
+    }
+    const { invoiceRequest, invoice } = await findShipmentByAwb(awb);
+    const record = invoice || invoiceRequest;
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'No shipment found for this AWB' });
+    }
+    const carrier = await resolveCarrier(record);
+    res.json({
+      success: true,
+      data: { awb, carrier: carrier.code, routing: shipmentRouting(record) }
+    });
+  } catch (error) {
+    console.error('Error resolving carrier:', error);
+    res.status(500).json({ success: false, error: 'Failed to resolve carrier' });
+  }
+});
+
+// GET /api/carriers/tracking/:awb - stored carrier tracking events, oldest first
+router.get('/tracking/:awb', requirePermission('carrier-tracking:record'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await listTrackingEvents(req.params.awb) });
+  } catch (error) {
+    console.error('Error fetching carrier tracking events:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch tracking events' });
+  }
+});
+
+// POST /api/carriers/tracking/:awb/refresh - pull new events from the shipment's carrier and
+// apply them to the shipment status
+router.post('/tracking/:awb/refresh', requirePermission('carrier-tracking:record'), async (req, res) => {
+  try {
+    const result = await refreshAndApplyTracking(req.params.awb, { userId: req.user.id, updatedBy: req.user.email });
+    if (!result.success) return sendError(res, result);
+    const { carrier, recorded, duplicates, rejected, shipment } = result;
+    res.json({
+      success: true,
+      data: { carrier, recorded, duplicates, rejected, shipment },
+      message: `${recorded} new tracking event(s) from ${carrier}`
+    });
+  } catch (error) {
+    console.error('Error refreshing carrier tracking:', error);
+    res.status(502).json({ success: false, error: `Failed to fetch tracking from the carrier: ${error.message}` });
+  }
+});
+
+// POST /api/carriers/tracking-events - { awb, carrier?, events: [{ status, occurred_at, location?,
+// description?, carrier_reference? }] }, or a single event's fields instead of events.
+// awb may be the EMPOST UHAWB; carrier defaults to the one the rules pick for the shipment.
+// New events are applied to the shipment status.
+router.post('/tracking-events', requirePermission('carrier-tracking:record'), async (req, res) => {
+  try {
+    const { awb: rawAwb, carrier: carrierCode, events, ...single } = req.body || {};
+    const awb = normalizeAwb(rawAwb);
+    if (!awb) {
+      return res.status(400).json({ success: false, error: 'awb is required' });
+    }
+    if (events !== undefined && !Array.isArray(events)) {
+      return res.status(400).json({ success: false, error: 'events must be an array' });
+    }
+
+    const { invoiceRequest, invoice } = await findShipmentByAwb(awb);
+    if (!invoiceRequest && !invoice) {
+      return res.status(404).json({ success: false, error: 'No shipment found for this AWB' });
+    }
+
+    const result = await ingestTrackingEvents((events || [single]).map(event => ({ ...event, awb, uhawb: undefined })), {
+      carrierCode: carrierCode ? String(carrierCode).toUpperCase() : undefined,
+      source: 'MANUAL',
+      userId: req.user.id,
+      updatedBy: req.user.email,
+    });
+    if (!result.success) return sendError(res, result);
+
+    const { recorded, duplicates, rejected, shipments } = result;
+    if (!recorded && !duplicates) {
+      return res.status(400).json({ success: false, error: 'No valid tracking events', data: { rejected } });
+    }
+    res.status(recorded ? 201 : 200).json({
+      success: true,
+      data: { recorded, duplicates, rejected, shipment: shipments[0] || null },
+      message: `${recorded} tracking event(s) recorded${duplicates ? `, ${duplicates} already stored` : ''}${rejected.length ? `, ${rejected.length} rejected` : ''}`
+    });
+  } catch (error) {
+    console.error('Error recording carrier tracking events:', error);
+    res.status(500).json({ success: false, error: 'Failed to record tracking events' });
+  }
+});
+
+// POST /api/carriers/tracking-events/import - multipart: file (CSV, one event per row with
+// awb or uhawb, status, occurred_at and optional location, description, carrier_reference),
+// carrier? (default: each shipment's carrier). Rejected rows are reported by line number.
+router.post('/tracking-events/import', requirePermission('carrier-tracking:record'), (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No CSV file provided' });
+    }
+
+    const events = await parseTrackingCsv(req.file.buffer);
+    if (!events.length) {
+      return res.status(400).json({ success: false, error: 'The CSV file has no rows' });
+    }
+    const result = await ingestTrackingEvents(events, {
+      carrierCode: req.body.carrier ? String(req.body.carrier).toUpperCase() : undefined,
+      source: 'CSV',
+      userId: req.user.id,
+      updatedBy: req.user.email,
+    });
+    if (!result.success) return sendError(res, result);
+
+    const { recorded, duplicates, shipments } = result;
+    // Line 1 is the header
+    const rejected = result.rejected.map(({ index, ...entry }) => ({ line: index + 2, ...entry }));
+    const applied = shipments.reduce((sum, shipment) => sum + shipment.applied, 0);
+    res.json({
+      success: true,
+      data: { rows: events.length, recorded, duplicates, applied, rejected, shipments },
+      message: `${recorded} tracking event(s) recorded, ${applied} status change(s) applied${duplicates ? `, ${duplicates} already stored` : ''}${rejected.length ? `, ${rejected.length} row(s) rejected` : ''}`
+    });
+  } catch (error) {
+    console.error('Error importing carrier tracking events:', error);
+    res.status(500).json({ success: false, error: 'Failed to import tracking events' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { CashTracker } = require('../models');
 const { CashFlowTransaction } = require('../models/unified-schema');
+const { BASE_CURRENCY, normalizeCurrency, getRateSnapshot, toBase, baseAmountExpression } = require('../services/exchange-rates');
 
 const router = express.Router();
 
@@ -78,6 +79,9 @@ router.get('/', async (req, res) => {
           ? parseFloat(transactionData.amount.toString())
           : parseFloat(transactionData.amount);
       }
+      if (transactionData.base_amount) {
+        transactionData.base_amount = parseFloat(transactionData.base_amount.toString());
+      }
       
       return transactionData;
     });
@@ -119,16 +123,29 @@ router.get('/', async (req, res) => {
 // Create cash tracker transaction
 router.post('/', async (req, res) => {
   try {
-    const { category, amount, direction, payment_method, notes, entity_id, entity_type } = req.body;
+    const { category, amount, direction, payment_method, notes, entity_id, entity_type, currency: requestedCurrency } = req.body;
     
     if (!category || !amount || !direction || !payment_method || !entity_type) {
       return res.status(400).json({ error: 'Category, amount, direction, payment method, and entity type are required' });
     }
 
+    const currency = requestedCurrency ? normalizeCurrency(requestedCurrency) : BASE_CURRENCY;
+    if (!currency) {
+      return res.status(400).json({ error: 'Currency must be AED or PHP' });
+    }
+    // Snapshot today's rate so the summary stays in AED
+    const exchangeRate = await getRateSnapshot(currency);
+    if (!exchangeRate) {
+      return res.status(400).json({ error: `No ${currency} exchange rate on file` });
+    }
+
     const transaction = new CashTracker({
       _id: generateCashTrackerId(),
       category,
       amount: parseFloat(amount),
+      currency,
+      exchange_rate: exchangeRate.rate,
+      base_amount: toBase(parseFloat(amount), exchangeRate),
       direction,
       payment_method,
       notes,
@@ -149,7 +166,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get cash flow summary (from both CashTracker and CashFlowTransaction)
+// Get cash flow summary (from both CashTracker and CashFlowTransaction), in AED
 // Uses aggregation for better performance and memory efficiency
 router.get('/summary', async (req, res) => {
   try {
@@ -160,7 +177,7 @@ router.get('/summary', async (req, res) => {
       {
         $group: {
           _id: '$direction',
-          total: { $sum: { $toDouble: '$amount' } }
+          total: { $sum: baseAmountExpression() }
         }
       }
     ]);
@@ -169,7 +186,7 @@ router.get('/summary', async (req, res) => {
       {
         $group: {
           _id: '$direction',
-          total: { $sum: { $toDouble: '$amount' } }
+          total: { $sum: baseAmountExpression() }
         }
       }
     ]);
@@ -188,6 +205,7 @@ router.get('/summary', async (req, res) => {
     });
 
     summary.netCashFlow = summary.totalIncome - summary.totalExpenses;
+    summary.currency = BASE_CURRENCY;
     
     // Final memory cleanup
     forceGarbageCollection();
@@ -0,0 +1,335 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Client, ClientRateCard } = require('../models/unified-schema');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  PRICE_BRACKET_ROUTES,
+  validateBrackets,
+  normalizeBrackets,
+} = require('../services/price-brackets');
+const { resolveClientRateCard, findOverlappingRateCard } = require('../services/client-rate-cards');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('rate-card:manage'));
+
+const parseOptionalNumber = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return parseFloat(value);
+};
+
+/**
+ * Validate a create/update body merged over the existing card (if any).
+ * @returns {{ error?: string, fields?: object }}
+ */
+function validateRateCardFields(body, existing = null) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    fields.name = body.name.trim();
+  } else if (!existing) {
+    return { error: 'name is required' };
+  }
+
+  if (body.route !== undefined) {
+    const route = String(body.route).toUpperCase();
+    if (!PRICE_BRACKET_ROUTES.includes(route)) {
+      return { error: 'route must be PH_TO_UAE or UAE_TO_PH' };
+    }
+    fields.route = route;
+  } else if (!existing) {
+    return { error: 'route is required' };
+  }
+
+  const ratePerKg = parseOptionalNumber(body.rate_per_kg);
+  if (ratePerKg !== undefined) {
+    if (ratePerKg !== null && (isNaN(ratePerKg) || ratePerKg < 0)) {
+      return { error: 'rate_per_kg must be a number >= 0' };
+    }
+    fields.rate_per_kg = ratePerKg;
+  }
+
+  const discount = parseOptionalNumber(body.discount_percent);
+  if (discount !== undefined) {
+    if (discount === null || isNaN(discount) || discount < 0 || discount > 100) {
+      return { error: 'discount_percent must be between 0 and 100' };
+    }
+    fields.discount_percent = discount;
+  }
+
+  const minimum = parseOptionalNumber(body.minimum_charge);
+  if (minimum !== undefined) {
+    if (minimum === null || isNaN(minimum) || minimum < 0) {
+      return { error: 'minimum_charge must be a number >= 0' };
+    }
+    fields.minimum_charge = minimum;
+  }
+
+  if (body.brackets !== undefined) {
+    if (Array.isArray(body.brackets) && body.brackets.length === 0) {
+      fields.brackets = [];
+    } else {
+      const validation = validateBrackets(body.brackets);
+      if (!validation.valid) {
+        return { error: `Invalid brackets: ${validation.error}` };
+      }
+      fields.brackets = normalizeBrackets(body.brackets);
+    }
+  }
+
+  for (const field of ['effective_from', 'effective_to']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      if (field === 'effective_from') {
+        return { error: 'effective_from cannot be empty' };
+      }
+      fields[field] = null;
+      continue;
+    }
+    const date = new Date(body[field]);
+    if (isNaN(date.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+    fields[field] = date;
+  }
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active === true || body.is_active === 'true';
+  }
+  if (body.notes !== undefined) {
+    fields.notes = body.notes;
+  }
+
+  const merged = { ...(existing || {}), ...fields };
+  const effectiveFrom = merged.effective_from || new Date();
+  if (merged.effective_to && merged.effective_to <= effectiveFrom) {
+    return { error: 'effective_to must be after effective_from' };
+  }
+  const hasRate = (merged.rate_per_kg !== null && merged.rate_per_kg !== undefined) ||
+    (merged.brackets && merged.brackets.length > 0);
+  if (!hasRate && !merged.discount_percent && !merged.minimum_charge) {
+    return { error: 'A rate card needs a rate_per_kg, brackets, a discount_percent or a minimum_charge' };
+  }
+
+  return { fields };
+}
+
+// GET /api/client-rate-cards?client_id=&route=&active=
+router.get('/', async (req, res) => {
+  try {
+    const { client_id, route, active } = req.query;
+    const query = {};
+    if (client_id) {
+      if (!mongoose.Types.ObjectId.isValid(client_id)) {
+        return res.status(400).json({ success: false, error: 'Invalid client_id' });
+      }
+      query.client_id = client_id;
+    }
+    if (route) query.route = String(route).toUpperCase();
+    if (active === 'true') query.is_active = true;
+    if (active === 'false') query.is_active = false;
+
+    const rateCards = await ClientRateCard.find(query)
+      .populate('client_id', 'client_id company_name contact_name')
+      .sort({ client_id: 1, route: 1, effective_from: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: rateCards
+    });
+  } catch (error) {
+    console.error('Error fetching client rate cards:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch client rate cards'
+    });
+  }
+});
+
+// GET /api/client-rate-cards/resolve?client_id=&route=&date= - card in force for a client
+router.get('/resolve', async (req, res) => {
+  try {
+    const { client_id, route, date } = req.query;
+    if (!client_id || !mongoose.Types.ObjectId.isValid(client_id)) {
+      return res.status(400).json({ success: false, error: 'A valid client_id is required' });
+    }
+    const normalizedRoute = String(route || '').toUpperCase();
+    if (!PRICE_BRACKET_ROUTES.includes(normalizedRoute)) {
+      return res.status(400).json({ success: false, error: 'route must be PH_TO_UAE or UAE_TO_PH' });
+    }
+    const at = date ? new Date(date) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ success: false, error: 'date must be a valid date' });
+    }
+
+    const rateCard = await resolveClientRateCard(client_id, normalizedRoute, at);
+    res.json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    console.error('Error resolving client rate card:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve client rate card'
+    });
+  }
+});
+
+// GET /api/client-rate-cards/:id
+router.get('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const rateCard = await ClientRateCard.findById(req.params.id)
+      .populate('client_id', 'client_id company_name contact_name')
+      .lean();
+    if (!rateCard) {
+      return res.status(404).json({ success: false, error: 'Rate card not found' });
+    }
+    res.json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    console.error('Error fetching client rate card:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch client rate card'
+    });
+  }
+});
+
+// POST /api/client-rate-cards
+router.post('/', async (req, res) => {
+  try {
+    const { client_id } = req.body;
+    if (!client_id || !mongoose.Types.ObjectId.isValid(client_id)) {
+      return res.status(400).json({ success: false, error: 'A valid client_id is required' });
+    }
+    const client = await Client.findById(client_id).select('_id');
+    if (!client) {
+      return res.status(404).json({ success: false, error: 'Client not found' });
+    }
+
+    const { error, fields } = validateRateCardFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const effectiveFrom = fields.effective_from || new Date();
+    if (fields.is_active !== false) {
+      const overlap = await findOverlappingRateCard({
+        clientId: client._id,
+        route: fields.route,
+        effectiveFrom,
+        effectiveTo: fields.effective_to || null
+      });
+      if (overlap) {
+        return res.status(409).json({
+          success: false,
+          error: `Overlaps active rate card "${overlap.name}" for ${fields.route}`
+        });
+      }
+    }
+
+    const rateCard = await ClientRateCard.create({
+      ...fields,
+      client_id: client._id,
+      effective_from: effectiveFrom,
+      created_by: req.user.id,
+      updated_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rateCard,
+      message: 'Rate card created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating client rate card:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create client rate card'
+    });
+  }
+});
+
+// PUT /api/client-rate-cards/:id
+router.put('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const rateCard = await ClientRateCard.findById(req.params.id);
+    if (!rateCard) {
+      return res.status(404).json({ success: false, error: 'Rate card not found' });
+    }
+
+    const { error, fields } = validateRateCardFields(req.body, rateCard.toObject());
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    rateCard.set(fields);
+    if (rateCard.is_active) {
+      const overlap = await findOverlappingRateCard({
+        clientId: rateCard.client_id,
+        route: rateCard.route,
+        effectiveFrom: rateCard.effective_from,
+        effectiveTo: rateCard.effective_to,
+        excludeId: rateCard._id
+      });
+      if (overlap) {
+        return res.status(409).json({
+          success: false,
+          error: `Overlaps active rate card "${overlap.name}" for ${rateCard.route}`
+        });
+      }
+    }
+    rateCard.updated_by = req.user.id;
+    await rateCard.save();
+
+    res.json({
+      success: true,
+      data: rateCard,
+      message: 'Rate card updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating client rate card:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update client rate card'
+    });
+  }
+});
+
+// DELETE /api/client-rate-cards/:id - deactivate (invoices keep referencing the card)
+router.delete('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const rateCard = await ClientRateCard.findByIdAndUpdate(
+      req.params.id,
+      { $set: { is_active: false, updated_by: req.user.id } },
+      { new: true }
+    );
+    if (!rateCard) {
+      return res.status(404).json({ success: false, error: 'Rate card not found' });
+    }
+
+    res.json({
+      success: true,
+      data: rateCard,
+      message: 'Rate card deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Error deactivating client rate card:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate client rate card'
+    });
+  }
+});
+
+module.exports = router;
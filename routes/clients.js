@@ -1,8 +1,21 @@
 const express = require('express');
 const { Client } = require('../models/unified-schema');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const { buildClientStatement } = require('../services/client-statement');
+const { generateClientStatementPDF } = require('../services/client-statement-pdf');
 
 const router = express.Router();
 
+// Date-only `to` covers the whole day
+const parseStatementDate = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
 // Get all clients
 router.get('/', async (req, res) => {
   try {
@@ -118,6 +131,59 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/clients/:id/statement?from=&to=&format=json|pdf - statement of account (default: this month to date)
+router.get('/:id/statement', auth, requirePermission('receivables:view'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json or pdf' });
+    }
+
+    const now = new Date();
+    const from = req.query.from
+      ? parseStatementDate(req.query.from)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to ? parseStatementDate(req.query.to, true) : now;
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+    }
+    if (from > to) {
+      return res.status(400).json({ success: false, error: 'from must be on or before to' });
+    }
+
+    const result = await buildClientStatement(req.params.id, { from, to });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    if (format === 'pdf') {
+      const { statement } = result;
+      const pdfBuffer = await generateClientStatementPDF(statement);
+      const accountRef = statement.client.client_id || statement.client._id;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="statement-${accountRef}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.pdf"`
+      );
+      return res.send(Buffer.from(pdfBuffer));
+    }
+
+    res.json({
+      success: true,
+      data: result.statement
+    });
+  } catch (error) {
+    console.error('Error building client statement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build client statement'
+    });
+  }
+});
+
 // Update client
 router.put('/:id', async (req, res) => {
   try {
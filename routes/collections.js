@@ -1,7 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const { Collections, InvoiceRequest } = require('../models');
+const { Invoice } = require('../models/unified-schema');
 const auth = require('../middleware/auth');
+const { recordPayment, reverseSourcePayment } = require('../services/invoice-payments');
+
+// Collections carry the invoice number (INV-...) and the invoice request, not the Invoice _id
+async function findInvoiceForCollection(collection) {
+  const byNumber = await Invoice.findOne({ invoice_id: collection.invoice_id }).select('_id');
+  if (byNumber) return byNumber;
+  const requestId = collection.invoice_request_id?._id || collection.invoice_request_id;
+  return requestId ? Invoice.findOne({ request_id: requestId }).select('_id') : null;
+}
+
+// Keep the invoice payments ledger in step with a collection's paid status
+async function syncCollectionToLedger(collection, userId) {
+  if (collection.status === 'paid') {
+    const invoice = await findInvoiceForCollection(collection);
+    if (!invoice) {
+      console.warn(`⚠️ No invoice found for collection ${collection._id} (${collection.invoice_id}); payment not posted to ledger`);
+      return;
+    }
+    const result = await recordPayment({
+      invoiceId: invoice._id,
+      amount: collection.amount?.toString(),
+      method: collection.payment_method,
+      receivedAt: collection.paid_at,
+      source: 'COLLECTION',
+      sourceId: collection._id,
+      clampToBalance: true,
+      userId
+    });
+    if (!result.success) {
+      console.error(`❌ Failed to post collection ${collection._id} to payments ledger:`, result.error);
+    }
+    return;
+  }
+
+  const result = await reverseSourcePayment('COLLECTION', collection._id, `Collection marked ${collection.status}`);
+  if (!result.success) {
+    console.error(`❌ Failed to reverse ledger payment for collection ${collection._id}:`, result.error);
+  }
+}
 
 // Get all collections
 router.get('/', auth, async (req, res) => {
@@ -63,6 +103,13 @@ router.patch('/:id/status', auth, async (req, res) => {
       return res.status(404).json({ message: 'Collection not found' });
     }
     
+    try {
+      await syncCollectionToLedger(collection, req.user?.id);
+    } catch (ledgerError) {
+      // Don't fail the status change if the ledger post fails
+      console.error('Error syncing collection to payments ledger:', ledgerError);
+    }
+    
     res.json(collection);
   } catch (error) {
     console.error('Error updating collection status:', error);
@@ -115,6 +162,14 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Collection not found' });
     }
     
+    if (collection.status === 'paid') {
+      try {
+        await reverseSourcePayment('COLLECTION', collection._id, 'Collection deleted');
+      } catch (ledgerError) {
+        console.error('Error reversing ledger payment for deleted collection:', ledgerError);
+      }
+    }
+    
     res.json({ message: 'Collection deleted successfully' });
   } catch (error) {
     console.error('Error deleting collection:', error);
@@ -0,0 +1,236 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Invoice, CreditNote } = require('../models/unified-schema');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  createCreditNote,
+  voidCreditNote,
+  reportCreditNoteToEmpost,
+} = require('../services/credit-notes');
+const { generateCreditNotePDF } = require('../services/credit-note-pdf');
+
+const router = express.Router();
+
+router.use(auth);
+
+const convertDecimal128 = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'object' && value.toString ? parseFloat(value.toString()) : value;
+};
+
+// Convert Decimal128 amounts to numbers for the response
+const transformCreditNote = (creditNote) => {
+  const creditNoteObj = creditNote.toObject ? creditNote.toObject() : creditNote;
+  return {
+    ...creditNoteObj,
+    subtotal: convertDecimal128(creditNoteObj.subtotal),
+    tax_amount: convertDecimal128(creditNoteObj.tax_amount),
+    total_amount: convertDecimal128(creditNoteObj.total_amount),
+    lines: (creditNoteObj.lines || []).map((line) => ({
+      ...line,
+      amount: convertDecimal128(line.amount),
+      net_amount: convertDecimal128(line.net_amount),
+      tax_amount: convertDecimal128(line.tax_amount),
+    })),
+  };
+};
+
+// GET /api/credit-notes?invoice_id=&client_id=&status=
+router.get('/', async (req, res) => {
+  try {
+    const { invoice_id, client_id, status } = req.query;
+    const query = {};
+    for (const [field, value] of Object.entries({ invoice_id, client_id })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, error: `Invalid ${field}` });
+      }
+      query[field] = value;
+    }
+    if (status) query.status = String(status).toUpperCase();
+
+    const creditNotes = await CreditNote.find(query)
+      .populate('client_id', 'client_id company_name contact_name')
+      .sort({ issue_date: -1 })
+      .limit(500)
+      .lean();
+
+    res.json({
+      success: true,
+      data: creditNotes.map(transformCreditNote)
+    });
+  } catch (error) {
+    console.error('Error fetching credit notes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credit notes'
+    });
+  }
+});
+
+// GET /api/credit-notes/:id
+router.get('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('client_id', 'client_id company_name contact_name')
+      .lean();
+    if (!creditNote) {
+      return res.status(404).json({ success: false, error: 'Credit note not found' });
+    }
+
+    res.json({
+      success: true,
+      data: transformCreditNote(creditNote)
+    });
+  } catch (error) {
+    console.error('Error fetching credit note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credit note'
+    });
+  }
+});
+
+// GET /api/credit-notes/:id/pdf
+router.get('/:id/pdf', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id).lean();
+    if (!creditNote) {
+      return res.status(404).json({ success: false, error: 'Credit note not found' });
+    }
+    const invoice = await Invoice.findById(creditNote.invoice_id)
+      .populate('client_id', 'company_name contact_name')
+      .lean();
+
+    const pdfBuffer = await generateCreditNotePDF(creditNote, invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${creditNote.credit_note_id}.pdf"`);
+    res.send(Buffer.from(pdfBuffer));
+  } catch (error) {
+    console.error('Error generating credit note PDF:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate credit note PDF'
+    });
+  }
+});
+
+// POST /api/credit-notes - credit invoice line items
+router.post('/', requirePermission('credit-note:create'), async (req, res) => {
+  try {
+    const { invoice_id, lines, reason, reason_code } = req.body;
+    if (!invoice_id || !mongoose.Types.ObjectId.isValid(invoice_id)) {
+      return res.status(400).json({ success: false, error: 'A valid invoice_id is required' });
+    }
+
+    const result = await createCreditNote({
+      invoiceId: invoice_id,
+      lines,
+      reason,
+      reasonCode: reason_code,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    // Reported after commit; the outcome is kept on the credit note (empost_status)
+    const creditNote = await reportCreditNoteToEmpost(result.creditNote._id) || result.creditNote;
+
+    res.status(201).json({
+      success: true,
+      data: {
+        credit_note: transformCreditNote(creditNote),
+        invoice_balance: result.balance
+      },
+      message: `Credit note ${creditNote.credit_note_id} issued successfully`
+    });
+  } catch (error) {
+    console.error('Error creating credit note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create credit note'
+    });
+  }
+});
+
+// POST /api/credit-notes/:id/report-empost - retry a failed EMPOST report
+router.post('/:id/report-empost', requirePermission('credit-note:create'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const existing = await CreditNote.findById(req.params.id).select('status empost_status').lean();
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Credit note not found' });
+    }
+    if (existing.status !== 'ISSUED' || existing.empost_status === 'REPORTED') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only issued credit notes that have not been reported can be sent to EMPOST'
+      });
+    }
+
+    const creditNote = await reportCreditNoteToEmpost(req.params.id);
+    if (creditNote.empost_status === 'SKIPPED') {
+      return res.status(409).json({
+        success: false,
+        error: `Credit note not sent to EMPOST: ${creditNote.empost_error || 'EMPOST API is disabled'}`,
+        data: transformCreditNote(creditNote)
+      });
+    }
+    if (creditNote.empost_status !== 'REPORTED') {
+      return res.status(502).json({
+        success: false,
+        error: creditNote.empost_status === 'FAILED'
+          ? `EMPOST rejected the credit note: ${creditNote.empost_error}`
+          : `EMPOST did not accept the credit note yet; it will be retried: ${creditNote.empost_error || 'queued'}`,
+        data: transformCreditNote(creditNote)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transformCreditNote(creditNote)
+    });
+  } catch (error) {
+    console.error('Error reporting credit note to EMPOST:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report credit note to EMPOST'
+    });
+  }
+});
+
+// POST /api/credit-notes/:id/void
+router.post('/:id/void', requirePermission('credit-note:create'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await voidCreditNote(req.params.id, { reason: req.body.reason });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        credit_note: transformCreditNote(result.creditNote),
+        invoice_balance: result.balance
+      },
+      message: 'Credit note voided successfully'
+    });
+  } catch (error) {
+    console.error('Error voiding credit note:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to void credit note'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,7 +6,7 @@ const { Readable } = require('stream');
 const crypto = require('crypto');
 const { Invoice, Client, DeliveryAssignment } = require('../models/unified-schema');
 const { Report, User } = require('../models');
-const empostAPI = require('../services/empost-api');
+const { queueInvoiceShipment, queueInvoiceIssue, queueShipmentData } = require('../services/empost-outbox');
 const { generateUniqueInvoiceID, generateUniqueAWBNumber } = require('../utils/id-generators');
 
 const router = express.Router();
@@ -576,33 +576,18 @@ router.post('/bulk-create', auth, upload.single('csvFile'), async (req, res) =>
         console.log('✅ Invoice created:', invoice.invoice_id || invoice._id);
         createdInvoices.push(invoice);
 
-        // Integrate with EMpost API
+        // Integrate with EMpost API; the outbox sends the shipment first, then the invoice
         try {
-          const empostAPI = require('../services/empost-api');
           // Populate invoice with client data for EMpost
           const populatedInvoice = await Invoice.findById(invoice._id)
             .populate('client_id', 'company_name contact_name email phone address city country');
           
-          console.log('📦 Starting EMpost integration for CSV invoice:', invoice.invoice_id);
-          
-          // Create shipment in EMpost
-          const shipmentResult = await empostAPI.createShipment(populatedInvoice);
-          
-          if (shipmentResult && shipmentResult.data && shipmentResult.data.uhawb) {
-            // Update invoice with uhawb
-            invoice.empost_uhawb = shipmentResult.data.uhawb;
-            await invoice.save();
-            console.log('✅ Updated invoice with EMpost uhawb:', shipmentResult.data.uhawb);
-          }
-          
-          // Issue invoice in EMpost
-          await empostAPI.issueInvoice(populatedInvoice);
-          console.log('✅ EMpost integration completed successfully for CSV invoice');
-          
+          console.log('📦 Queuing EMpost shipment + invoice for CSV invoice:', invoice.invoice_id);
+          await queueInvoiceShipment(populatedInvoice, { reason: 'CSV invoice upload' });
+          await queueInvoiceIssue(populatedInvoice, { reason: 'CSV invoice upload' });
         } catch (empostError) {
           // Log error but don't block invoice creation
-          console.error('❌ EMpost integration failed for CSV invoice (invoice creation will continue):', empostError.message);
-          console.error('Error details:', empostError.response?.data || empostError.message);
+          console.error('❌ EMpost integration could not be queued for CSV invoice (invoice creation will continue):', empostError.message);
         }
 
         // Create audit report for CSV-uploaded invoice - This happens immediately after invoice creation
@@ -1329,15 +1314,23 @@ router.post('/historical', auth, upload.fields([{ name: 'csvFile', maxCount: 1 }
         const shipmentData = await mapCSVToEMPOSTShipment(row, client);
 
         // Call EMPOST API to create shipment
+        // Sent through the outbox and waited for so the UHAWB lands in the audit report; a failed
+        // call is retried in the background and can be followed up from the EMPOST outbox.
         let uhawb = null;
         try {
-          const empostAPI = require('../services/empost-api');
           console.log(`📦 Creating shipment in EMPOST for AWB: ${shipmentData.trackingNumber || 'N/A'}`);
           
-          const shipmentResult = await empostAPI.createShipmentFromData(shipmentData);
+          const outboxItem = await queueShipmentData(shipmentData, { reason: 'historical CSV upload', wait: true });
           
-          if (shipmentResult && shipmentResult.data && shipmentResult.data.uhawb) {
-            uhawb = shipmentResult.data.uhawb;
+          if (outboxItem && outboxItem.status !== 'SUCCEEDED') {
+            console.error(`❌ EMPOST shipment API error for row ${rowNumber}:`, outboxItem.last_error || outboxItem.status);
+            errors.push({
+              row: rowNumber,
+              error: `EMPOST shipment API error: ${outboxItem.last_error || 'waiting for an earlier EMPOST call'}${outboxItem.status === 'PENDING' ? ' (queued for retry)' : ''}`,
+              awb: awbNo || 'N/A'
+            });
+          } else if (outboxItem && outboxItem.uhawb) {
+            uhawb = outboxItem.uhawb;
             summary.shipments_created++;
             console.log(`✅ Shipment created in EMPOST with UHAWB: ${uhawb}`);
           } else {
@@ -1348,7 +1341,7 @@ router.post('/historical', auth, upload.fields([{ name: 'csvFile', maxCount: 1 }
           // Don't fail the entire process, just log the error
           errors.push({
             row: rowNumber,
-            error: `EMPOST shipment API error: ${empostError.response?.data?.message || empostError.message}`,
+            error: `EMPOST shipment API error: ${empostError.message}`,
             awb: awbNo || 'N/A'
           });
         }
@@ -1358,7 +1351,6 @@ router.post('/historical', auth, upload.fields([{ name: 'csvFile', maxCount: 1 }
         // We do NOT create Invoice documents in the database collection
         // NOTE: For historical uploads, we use ONLY data from CSV - NO automatic tax calculation
         try {
-          const empostAPI = require('../services/empost-api');
           // Extract invoice-related fields from CSV (use 0 for missing data - no business rules applied)
           const invoiceAmount = parseFloat(getColumnValue(row, ['invoice_amount', 'invoiceamount', 'amount', 'total_amount', 'totalamount']) || 0);
           const deliveryChargeValue = parseFloat(getColumnValue(row, ['delivery charge rate before discount', 'delivery charge', 'delivery_charge', 'deliverycharge', ' delivery charge rate before discount ']) || 0);
@@ -1405,9 +1397,16 @@ router.post('/historical', auth, upload.fields([{ name: 'csvFile', maxCount: 1 }
           };
           
           // Call EMPOST invoice API - this only sends data to external API, does NOT create database records
-          const invoiceResult = await empostAPI.issueInvoice(invoiceData);
+          const invoiceItem = await queueInvoiceIssue(invoiceData, { reason: 'historical CSV upload', wait: true });
           
-          if (invoiceResult) {
+          if (invoiceItem && invoiceItem.status !== 'SUCCEEDED') {
+            console.error(`❌ EMPOST invoice API error for row ${rowNumber}:`, invoiceItem.last_error || invoiceItem.status);
+            errors.push({
+              row: rowNumber,
+              error: `EMPOST invoice API error: ${invoiceItem.last_error || 'waiting for an earlier EMPOST call'}${invoiceItem.status === 'PENDING' ? ' (queued for retry)' : ''}`,
+              awb: awbNo || 'N/A'
+            });
+          } else if (invoiceItem) {
             summary.invoices_created++;
             console.log(`✅ Invoice issued in EMPOST for AWB: ${invoiceData.awb_number}`);
           }
@@ -1416,7 +1415,7 @@ router.post('/historical', auth, upload.fields([{ name: 'csvFile', maxCount: 1 }
           // Don't fail the entire process, just log the error
           errors.push({
             row: rowNumber,
-            error: `EMPOST invoice API error: ${invoiceError.response?.data?.message || invoiceError.message}`,
+            error: `EMPOST invoice API error: ${invoiceError.message}`,
             awb: awbNo || 'N/A'
           });
         }
@@ -0,0 +1,149 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  DOCUMENT_TYPES,
+  getShipmentCustomsDocument,
+  getBatchCustomsDocuments,
+  listHsMappings,
+  createHsMapping,
+  updateHsMapping,
+  lookupHsCodes,
+} = require('../services/customs-documents');
+const { generateCustomsDocumentPDF } = require('../services/customs-documents-pdf');
+
+const router = express.Router();
+
+router.use(auth);
+
+const sendError = (res, result) => res.status(result.statusCode || 500).json({
+  success: false,
+  error: result.error
+});
+
+const safeFilename = (value) => String(value || 'shipment').replace(/[^\w.-]+/g, '_');
+
+const sendPDF = (res, buffer, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  return res.send(buffer);
+};
+
+// GET /api/customs/hs-codes?q=&active= - saved mappings (the built-in defaults are not listed)
+router.get('/hs-codes', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listHsMappings(req.query) });
+  } catch (error) {
+    console.error('Error fetching HS code mappings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch HS code mappings' });
+  }
+});
+
+// POST /api/customs/hs-codes/lookup - { descriptions: [...] }; the HS code each would get
+router.post('/hs-codes/lookup', async (req, res) => {
+  try {
+    const { descriptions } = req.body;
+    if (!Array.isArray(descriptions) || !descriptions.length) {
+      return res.status(400).json({ success: false, error: 'descriptions must be a non-empty array' });
+    }
+    res.json({ success: true, data: await lookupHsCodes(descriptions.slice(0, 200)) });
+  } catch (error) {
+    console.error('Error looking up HS codes:', error);
+    res.status(500).json({ success: false, error: 'Failed to look up HS codes' });
+  }
+});
+
+// POST /api/customs/hs-codes - { hs_code, description, keywords }
+router.post('/hs-codes', requirePermission('hs-code:manage'), async (req, res) => {
+  try {
+    const result = await createHsMapping(req.body, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.status(201).json({ success: true, data: result.mapping, message: 'HS code mapping created' });
+  } catch (error) {
+    console.error('Error creating HS code mapping:', error);
+    res.status(500).json({ success: false, error: 'Failed to create HS code mapping' });
+  }
+});
+
+// PUT /api/customs/hs-codes/:id - { hs_code?, description?, keywords?, active? }
+router.put('/hs-codes/:id', requirePermission('hs-code:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await updateHsMapping(req.params.id, req.body, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.mapping, message: 'HS code mapping updated' });
+  } catch (error) {
+    console.error('Error updating HS code mapping:', error);
+    res.status(500).json({ success: false, error: 'Failed to update HS code mapping' });
+  }
+});
+
+// DELETE /api/customs/hs-codes/:id - deactivate
+router.delete('/hs-codes/:id', requirePermission('hs-code:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await updateHsMapping(req.params.id, { active: false }, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.mapping, message: 'HS code mapping deactivated' });
+  } catch (error) {
+    console.error('Error deactivating HS code mapping:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate HS code mapping' });
+  }
+});
+
+DOCUMENT_TYPES.forEach((type) => {
+  // GET /api/customs/shipments/:reference/<type>?format=json|pdf - :reference is an AWB, invoice number,
+  // booking reference or invoice request id. JSON carries both documents.
+  router.get(`/shipments/:reference/${type}`, async (req, res) => {
+    try {
+      const { format = 'json' } = req.query;
+      if (!['json', 'pdf'].includes(format)) {
+        return res.status(400).json({ success: false, error: 'format must be json or pdf' });
+      }
+
+      const result = await getShipmentCustomsDocument(req.params.reference);
+      if (!result.success) return sendError(res, result);
+
+      const { document } = result;
+      if (format === 'pdf') {
+        const pdf = await generateCustomsDocumentPDF(type, [document], `AWB ${document.awb || 'N/A'}`);
+        return sendPDF(res, pdf, `${type}-${safeFilename(document.awb || document.invoice_number)}`);
+      }
+      res.json({ success: true, data: document });
+    } catch (error) {
+      console.error(`Error building ${type}:`, error);
+      res.status(500).json({ success: false, error: 'Failed to build customs document' });
+    }
+  });
+
+  // GET /api/customs/batches/:id/<type>?format=json|pdf - :id is the batch _id or batch_no; one section per shipment
+  router.get(`/batches/:id/${type}`, async (req, res) => {
+    try {
+      const { format = 'json' } = req.query;
+      if (!['json', 'pdf'].includes(format)) {
+        return res.status(400).json({ success: false, error: 'format must be json or pdf' });
+      }
+
+      const result = await getBatchCustomsDocuments(req.params.id);
+      if (!result.success) return sendError(res, result);
+
+      if (format === 'pdf') {
+        const pdf = await generateCustomsDocumentPDF(type, result.documents, `Batch ${result.batch.batch_no}`);
+        return sendPDF(res, pdf, `${type}-${safeFilename(result.batch.batch_no)}`);
+      }
+      res.json({
+        success: true,
+        data: {
+          batch: result.batch,
+          documents: result.documents,
+          missing: result.missing,
+          totals: result.totals,
+        }
+      });
+    } catch (error) {
+      console.error(`Error building batch ${type}:`, error);
+      res.status(500).json({ success: false, error: 'Failed to build customs documents' });
+    }
+  });
+});
+
+module.exports = router;
@@ -6,21 +6,11 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const dataRetentionService = require('../services/data-retention');
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'SUPERADMIN' && req.user.role !== 'ADMIN') {
-    return res.status(403).json({
-      success: false,
-      error: 'Forbidden: Admin access required'
-    });
-  }
-  next();
-};
-
 // GET /api/data-retention/stats - Get retention statistics
-router.get('/stats', auth, requireAdmin, async (req, res) => {
+router.get('/stats', auth, requirePermission('data-retention:manage'), async (req, res) => {
   try {
     const stats = await dataRetentionService.getStats();
     
@@ -49,7 +39,7 @@ router.get('/stats', auth, requireAdmin, async (req, res) => {
 });
 
 // POST /api/data-retention/run - Manually trigger data retention cleanup
-router.post('/run', auth, requireAdmin, async (req, res) => {
+router.post('/run', auth, requirePermission('data-retention:manage'), async (req, res) => {
   try {
     if (dataRetentionService.isRunning) {
       return res.status(409).json({
@@ -4,8 +4,12 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const { DeliveryAssignment, Driver, ShipmentRequest, Invoice, Client } = require('../models/unified-schema');
 const crypto = require('crypto');
-const empostService = require('../services/empost-api');
-const { cleanupBookingIdentityDocumentsForDeliveredInvoiceRequest } = require('../utils/booking-identity-cleanup');
+const { resolveCarrierForTracking } = require('../services/carriers');
+const { buildDeliveryCancellationData } = require('../utils/empost-status-sync');
+const { recordPayment } = require('../services/invoice-payments');
+const { getRequestPermissions } = require('../services/permissions');
+const { previewShipmentTransition, transitionShipment } = require('../services/shipment-state-machine');
+const { emitWebhookEvent } = require('../services/webhooks');
 
 const normalizeAssignmentStatus = (status) => {
   if (status === 'DELIVERED') return 'DELIVERED';
@@ -13,6 +17,17 @@ const normalizeAssignmentStatus = (status) => {
   return 'NOT_DELIVERED';
 };
 
+// delivery.completed webhook; invoice_id may be populated
+const emitDeliveryCompleted = (assignment) => emitWebhookEvent('delivery.completed', {
+  delivery_assignment_id: assignment._id,
+  assignment_number: assignment.assignment_id,
+  invoice_id: assignment.invoice_id?._id || assignment.invoice_id || null,
+  awb: assignment.invoice_id?.awb_number || null,
+  delivery_date: assignment.delivery_date || new Date(),
+  payment_collected: assignment.payment_collected === true,
+  payment_method: assignment.payment_method || null,
+});
+
 async function applyPayloadToExistingAssignment(existing, assignmentData, invoiceAmount) {
   existing.amount = mongoose.Types.Decimal128.fromString(invoiceAmount.toFixed(2));
   existing.client_id = assignmentData.client_id;
@@ -443,6 +458,21 @@ router.put('/:id', auth, async (req, res) => {
     const oldStatus = currentAssignment.status;
     const normalizedStatus = normalizeAssignmentStatus(status);
     
+    // Delivering must be a legal move for the shipment (e.g. not while it is still in transit)
+    if (normalizedStatus === 'DELIVERED' && oldStatus !== 'DELIVERED' && currentAssignment.invoice_id) {
+      const preview = await previewShipmentTransition({ invoiceId: currentAssignment.invoice_id }, 'DELIVERED', {
+        permissions: await getRequestPermissions(req),
+        notes: req.body.notes
+      });
+      if (!preview.success && preview.statusCode !== 404) {
+        return res.status(preview.statusCode || 409).json({
+          success: false,
+          error: preview.error,
+          current_status: preview.from
+        });
+      }
+    }
+    
     const updateData = { status: normalizedStatus };
     
     // Handle cancellation
@@ -525,6 +555,32 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
     
+    // Payment collected on delivery goes to the invoice payments ledger (same entry as the QR flow)
+    if (updateData.payment_collected && assignment.invoice_id) {
+      try {
+        const collectedAmount = parseFloat(assignment.amount?.toString() || '0');
+        if (collectedAmount > 0) {
+          const ledgerResult = await recordPayment({
+            invoiceId: assignment.invoice_id._id || assignment.invoice_id,
+            amount: collectedAmount,
+            method: payment_method,
+            reference: assignment.payment_reference,
+            source: 'DRIVER_COLLECTION',
+            sourceId: assignment._id,
+            clampToBalance: true,
+            settledStatus: 'COLLECTED_BY_DRIVER',
+            userId: req.user?.id
+          });
+          if (!ledgerResult.success) {
+            console.error('❌ Failed to post driver collection to payments ledger:', ledgerResult.error);
+          }
+        }
+      } catch (ledgerError) {
+        // Don't fail the assignment update if the ledger post fails
+        console.error('❌ Error posting driver collection to payments ledger:', ledgerError);
+      }
+    }
+    
     // If status changed to CANCELLED, trigger Empost sync in background
     if (normalizedStatus === 'CANCELLED' && oldStatus !== 'CANCELLED') {
       // Don't wait for sync to complete - do it in background
@@ -556,7 +612,6 @@ router.put('/:id', auth, async (req, res) => {
     // If status is DELIVERED, update related documents
     if (normalizedStatus === 'DELIVERED') {
       try {
-        const { InvoiceRequest, Booking } = require('../models');
         const { Invoice, ShipmentRequest } = require('../models/unified-schema');
         
         // Get the invoice ID (either populated or as string)
@@ -601,135 +656,28 @@ router.put('/:id', auth, async (req, res) => {
           }
         }
         
-        // 3. Find and update InvoiceRequest
-        let invoiceRequest = null;
+        // 3. Move the shipment (booking + invoice request) to DELIVERED; handles EMPOST sync and identity cleanup
         if (invoiceId) {
-          const invoice = await Invoice.findById(invoiceId);
-          
-          if (invoice) {
-            // Try multiple methods to find the invoice request
-            if (invoice.request_id) {
-              // Check if request_id points to InvoiceRequest (might be ShipmentRequest)
-              invoiceRequest = await InvoiceRequest.findById(invoice.request_id);
-            }
-            
-            if (!invoiceRequest && invoice.invoice_id) {
-              invoiceRequest = await InvoiceRequest.findOne({ invoice_number: invoice.invoice_id });
-            }
-            
-            if (!invoiceRequest && invoice.notes) {
-              const match = invoice.notes.match(/Invoice for request ([a-fA-F0-9]{24})/);
-              if (match && match[1]) {
-                invoiceRequest = await InvoiceRequest.findById(match[1]);
-              }
-            }
-            
-            // Also try matching by tracking_code/awb_number if available
-            if (!invoiceRequest && invoice.awb_number) {
-              invoiceRequest = await InvoiceRequest.findOne({
-                $or: [
-                  { tracking_code: invoice.awb_number },
-                  { awb_number: invoice.awb_number }
-                ]
-              });
-            }
-          }
-        }
-        
-        if (invoiceRequest) {
-          const oldDeliveryStatus = invoiceRequest.delivery_status;
-          invoiceRequest.delivery_status = 'DELIVERED';
-          await invoiceRequest.save();
-          console.log('✅ Invoice request delivery_status updated to DELIVERED');
-
-          if (oldDeliveryStatus !== 'DELIVERED') {
-            await cleanupBookingIdentityDocumentsForDeliveredInvoiceRequest(invoiceRequest);
-          }
-          
-          // Check if invoice request should be marked as COMPLETED
-          // (e.g., if invoice is generated, payment collected, and now delivered)
-          if (invoiceRequest.status !== 'COMPLETED' && 
-              invoiceRequest.status !== 'CANCELLED') {
-            // You can add additional conditions here (e.g., payment collected)
-            // For now, we'll just update delivery_status
-          }
-          
-          // Sync DELIVERED status to EMPOST
-          if (oldDeliveryStatus !== 'DELIVERED') {
-            try {
-              const { syncStatusToEMPost, getTrackingNumberFromInvoiceRequest } = require('../utils/empost-status-sync');
-              const trackingNumber = getTrackingNumberFromInvoiceRequest(invoiceRequest);
-              
-              await syncStatusToEMPost({
-                trackingNumber,
-                status: 'DELIVERED',
-                additionalData: {
-                  deliveryDate: new Date(),
-                  invoiceRequest,
-                }
-              });
-            } catch (empostError) {
-              console.warn('⚠️ Error syncing to EMPOST:', empostError.message);
-            }
-          }
-          
-          // 4. CRITICAL: Update Booking's shipment_status
-          // This makes the status appear in Review Requests page (Cargo Status Management)
-          try {
-            const bookingUpdateResult = await Booking.updateMany(
-              { converted_to_invoice_request_id: invoiceRequest._id },
-              { 
-                shipment_status: 'DELIVERED',
-                updatedAt: new Date()
-              }
-            );
-            
-            if (bookingUpdateResult.modifiedCount > 0) {
-              console.log(`✅ Updated ${bookingUpdateResult.modifiedCount} booking(s) shipment_status to DELIVERED`);
-            } else {
-              console.log('ℹ️  No bookings found with converted_to_invoice_request_id:', invoiceRequest._id);
-            }
-          } catch (bookingError) {
-            console.error('❌ Error updating booking shipment_status:', bookingError);
-          }
-        } else {
-          console.warn('⚠️ Invoice request not found for invoice:', invoiceId);
-          
-          // Fallback: Try to find booking by invoice_id if invoice request not found
-          // Some bookings might have invoice_id directly
-          if (invoiceId) {
-            try {
-              // Try to find booking by matching invoice_number or tracking_code
-              const invoice = await Invoice.findById(invoiceId);
-              if (invoice && invoice.invoice_id) {
-                const bookingUpdateResult = await Booking.updateMany(
-                  { 
-                    $or: [
-                      { invoice_id: invoice.invoice_id },
-                      { invoice_number: invoice.invoice_id },
-                      { tracking_code: invoice.awb_number },
-                      { awb_number: invoice.awb_number }
-                    ]
-                  },
-                  { 
-                    shipment_status: 'DELIVERED',
-                    updatedAt: new Date()
-                  }
-                );
-                
-                if (bookingUpdateResult.modifiedCount > 0) {
-                  console.log(`✅ Updated ${bookingUpdateResult.modifiedCount} booking(s) shipment_status to DELIVERED (fallback method)`);
-                }
-              }
-            } catch (fallbackError) {
-              console.warn('⚠️ Error in fallback booking update:', fallbackError.message);
-            }
+          const transition = await transitionShipment({ invoiceId }, 'DELIVERED', {
+            permissions: await getRequestPermissions(req),
+            updatedBy: req.user?.email || req.user?.id,
+            notes: req.body.notes,
+            at: assignment.delivery_date || new Date(),
+            source: 'delivery_assignment'
+          });
+          if (!transition.success) {
+            console.warn('⚠️ Shipment status not updated for invoice:', invoiceId, transition.error);
+          } else if (transition.changed) {
+            console.log(`✅ Shipment moved from ${transition.from} to DELIVERED`);
           }
         }
       } catch (syncError) {
         console.error('❌ Error syncing related documents:', syncError);
         // Don't fail assignment update if sync fails
       }
+      if (oldStatus !== 'DELIVERED') {
+        await emitDeliveryCompleted(assignment);
+      }
     } else if (normalizedStatus === 'NOT_DELIVERED') {
       // If status is NOT_DELIVERED, we might want to reset delivery_status in related documents
       // For now, we'll leave them as is, but you can add logic here if needed
@@ -897,6 +845,25 @@ router.put('/qr/:qrCode/status', async (req, res) => {
      .populate('invoice_id', 'invoice_id total_amount awb_number receiver_name receiver_phone receiver_address')
      .populate('client_id', 'company_name');
     
+    if (normalizedStatus === 'DELIVERED' && assignment.status !== 'DELIVERED' && assignment.invoice_id) {
+      try {
+        const transition = await transitionShipment({ invoiceId: assignment.invoice_id }, 'DELIVERED', {
+          updatedBy: driver_name || 'QR delivery',
+          at: updateData.delivery_date,
+          source: 'delivery_assignment',
+          ifAllowed: true
+        });
+        if (transition.skipped) {
+          console.warn('⚠️ Shipment status not updated for assignment:', assignment._id, transition.reason);
+        }
+      } catch (transitionError) {
+        console.error('❌ Error updating shipment status after QR delivery:', transitionError);
+      }
+    }
+    if (normalizedStatus === 'DELIVERED' && assignment.status !== 'DELIVERED') {
+      await emitDeliveryCompleted(updatedAssignment);
+    }
+    
     const assignmentData = updatedAssignment.toObject();
     
     // Enrich with invoice data if receiver info is missing
@@ -949,6 +916,8 @@ router.post('/qr/:qrCode/payment', async (req, res) => {
       });
     }
     
+    const wasDelivered = assignment.status === 'DELIVERED';
+
     // Update assignment with payment details
     assignment.payment_collected = true;
     assignment.payment_method = payment_method;
@@ -962,7 +931,7 @@ router.post('/qr/:qrCode/payment', async (req, res) => {
     
     await assignment.save();
     
-    // Update invoice status to COLLECTED_BY_DRIVER
+    // Post the collected amount to the invoice payments ledger; a settled invoice becomes COLLECTED_BY_DRIVER
     if (assignment.invoice_id) {
       const { Invoice } = require('../models/unified-schema');
       // Handle both populated and non-populated invoice_id
@@ -970,14 +939,56 @@ router.post('/qr/:qrCode/payment', async (req, res) => {
         ? assignment.invoice_id._id.toString() 
         : assignment.invoice_id.toString();
       
-      await Invoice.findByIdAndUpdate(
-        invoiceId,
-        { status: 'COLLECTED_BY_DRIVER' }
-      );
-      console.log('✅ Invoice status updated to COLLECTED_BY_DRIVER for invoice:', invoiceId);
+      const collectedAmount = parseFloat(assignment.amount?.toString() || '0');
+      let ledgerResult = null;
+      if (collectedAmount > 0) {
+        ledgerResult = await recordPayment({
+          invoiceId,
+          amount: collectedAmount,
+          method: payment_method || 'COD',
+          reference: payment_reference,
+          notes: payment_notes,
+          source: 'DRIVER_COLLECTION',
+          sourceId: assignment._id,
+          clampToBalance: true,
+          settledStatus: 'COLLECTED_BY_DRIVER'
+        });
+        if (!ledgerResult.success) {
+          console.error('❌ Failed to post driver collection to payments ledger:', ledgerResult.error);
+        }
+      }
+
+      if (ledgerResult?.payment && !ledgerResult.skipped) {
+        console.log(`✅ QR collection posted to invoice ${invoiceId}; invoice status: ${ledgerResult.balance.status}`);
+      } else {
+        // Nothing to post (prepaid or already settled): keep marking the invoice as collected
+        await Invoice.updateOne(
+          { _id: invoiceId, status: { $nin: ['CANCELLED', 'REMITTED', 'PARTIALLY_PAID'] } },
+          { status: 'COLLECTED_BY_DRIVER' }
+        );
+        console.log('✅ Invoice status updated to COLLECTED_BY_DRIVER for invoice:', invoiceId);
+      }
+
+      // Shipment follows the delivery when the move is legal (QR flow has no user to override)
+      try {
+        const transition = await transitionShipment({ invoiceId }, 'DELIVERED', {
+          updatedBy: 'QR payment',
+          at: assignment.delivery_date,
+          source: 'delivery_assignment',
+          ifAllowed: true
+        });
+        if (transition.skipped) {
+          console.warn('⚠️ Shipment status not updated for invoice:', invoiceId, transition.reason);
+        }
+      } catch (transitionError) {
+        console.error('❌ Error updating shipment status after QR payment:', transitionError);
+      }
     } else {
       console.warn('⚠️ No invoice_id found in assignment, cannot update invoice status');
     }
+    if (!wasDelivered) {
+      await emitDeliveryCompleted(assignment);
+    }
     
     // Create QR payment session record
     const { QRPaymentSession } = require('../models/unified-schema');
@@ -1067,65 +1078,15 @@ async function syncWithEmpostAsync(assignmentId) {
     }
     
     // Prepare data for Empost
-    const awbNumber = assignment.invoice_id?.awb_number || 
-                     assignment.request_id?.awb_number || 
-                     assignment.assignment_id;
-    
-    const empostData = {
-      assignment_id: assignment.assignment_id,
-      awb_number: awbNumber,
-      tracking_code: assignment.assignment_id,
-      customer_name: assignment.receiver_name || assignment.invoice_id?.receiver_name || 'N/A',
-      customer_phone: assignment.receiver_phone || assignment.invoice_id?.receiver_phone || 'N/A',
-      delivery_address: assignment.delivery_address || assignment.invoice_id?.receiver_address || 'N/A',
-      amount: assignment.amount ? parseFloat(assignment.amount.toString()) : 0,
-      status: 'CANCELLED',
-      cancellation_reason: assignment.cancellation_reason,
-      cancelled_at: assignment.cancelled_at || new Date().toISOString(),
-      invoice_id: assignment.invoice_id?._id?.toString(),
-      driver_id: assignment.driver_id?.toString(),
-      original_status: 'NOT_DELIVERED'
-    };
-    
-    // Call Empost API
-    const empostResponse = await empostService.cancelDelivery(empostData);
-    
-    // Update assignment with sync status
-    if (empostResponse.success) {
-      assignment.empost_sync = {
-        status: 'synced',
-        reference: empostResponse.reference,
-        synced_at: new Date(),
-        error_message: null,
-        retry_count: assignment.empost_sync?.retry_count || 0
-      };
-      console.log(`✅ Empost sync successful for assignment ${assignmentId}, reference: ${empostResponse.reference}`);
-    } else {
-      // Handle sync failure
-      const retryCount = (assignment.empost_sync?.retry_count || 0) + 1;
-      assignment.empost_sync = {
-        status: retryCount < 3 ? 'pending' : 'failed',
-        reference: null,
-        synced_at: null,
-        error_message: empostResponse.error,
-        retry_count: retryCount
-      };
-      
-      // Retry logic with exponential backoff
-      if (retryCount < 3) {
-        const delay = retryCount === 1 ? 60000 : retryCount === 2 ? 300000 : 900000; // 1min, 5min, 15min
-        console.log(`⚠️ Empost sync failed for assignment ${assignmentId}, retrying in ${delay/1000}s (attempt ${retryCount}/3)`);
-        setTimeout(() => {
-          syncWithEmpostAsync(assignmentId).catch(err => {
-            console.error('Retry sync failed:', err);
-          });
-        }, delay);
-      } else {
-        console.error(`❌ Empost sync failed for assignment ${assignmentId} after ${retryCount} attempts: ${empostResponse.error}`);
-      }
+    const empostData = buildDeliveryCancellationData(assignment);
+    
+    // Queue with the shipment's carrier; for EMPOST the outbox worker retries and keeps
+    // assignment.empost_sync current
+    const carrier = await resolveCarrierForTracking(empostData.awb_number, assignment.invoice_id);
+    const outboxItem = await carrier.cancelShipment(empostData, assignment._id);
+    if (outboxItem) {
+      console.log(`📤 ${carrier.code} cancellation queued for assignment ${assignmentId} (${outboxItem._id})`);
     }
-    
-    await assignment.save();
   } catch (error) {
     console.error(`❌ Error in background Empost sync for assignment ${assignmentId}:`, error);
     // Update assignment with error status
@@ -1173,76 +1134,50 @@ router.post('/:id/sync-empost', auth, async (req, res) => {
     }
     
     // Prepare data for Empost
-    const awbNumber = assignment.invoice_id?.awb_number || 
-                     assignment.request_id?.awb_number || 
-                     assignment.assignment_id;
-    
-    const empostData = {
-      assignment_id: assignment.assignment_id,
-      awb_number: awbNumber,
-      tracking_code: assignment.assignment_id,
-      customer_name: assignment.receiver_name || assignment.invoice_id?.receiver_name || 'N/A',
-      customer_phone: assignment.receiver_phone || assignment.invoice_id?.receiver_phone || 'N/A',
-      delivery_address: assignment.delivery_address || assignment.invoice_id?.receiver_address || 'N/A',
-      amount: assignment.amount ? parseFloat(assignment.amount.toString()) : 0,
-      status: 'CANCELLED',
-      cancellation_reason: assignment.cancellation_reason,
-      cancelled_at: assignment.cancelled_at || new Date().toISOString(),
-      invoice_id: assignment.invoice_id?._id?.toString(),
-      driver_id: assignment.driver_id?.toString(),
-      original_status: 'NOT_DELIVERED'
-    };
+    const empostData = buildDeliveryCancellationData(assignment);
     
-    // Call Empost API
-    const empostResponse = await empostService.cancelDelivery(empostData);
-    
-    if (empostResponse.success) {
-      // Update assignment with sync status
-      assignment.empost_sync = {
-        status: 'synced',
-        reference: empostResponse.reference,
-        synced_at: new Date(),
-        error_message: null,
-        retry_count: assignment.empost_sync?.retry_count || 0
-      };
-      await assignment.save();
-      
+    const carrier = await resolveCarrierForTracking(empostData.awb_number, assignment.invoice_id);
+    if (carrier.code !== 'EMPOST') {
+      return res.status(400).json({
+        success: false,
+        error: `Shipment is carried by ${carrier.name || carrier.code}, not EMPOST`
+      });
+    }
+
+    // Send through the outbox now; on failure it keeps retrying in the background
+    const outboxItem = await carrier.cancelShipment(empostData, assignment._id, {
+      reason: 'manual sync',
+      wait: true
+    });
+    if (!outboxItem) {
+      return res.status(503).json({
+        success: false,
+        error: 'EMPOST API is disabled'
+      });
+    }
+
+    const updated = await DeliveryAssignment.findById(assignment._id).select('assignment_id empost_sync').lean();
+    if (outboxItem.status === 'SUCCEEDED') {
       return res.json({
         success: true,
         data: {
-          assignment_id: assignment.assignment_id,
+          assignment_id: updated.assignment_id,
           empost_sync_status: 'synced',
-          empost_reference: empostResponse.reference,
-          synced_at: assignment.empost_sync.synced_at
+          empost_reference: updated.empost_sync?.reference || null,
+          synced_at: updated.empost_sync?.synced_at
         }
       });
-    } else {
-      // Handle sync failure
-      const retryCount = (assignment.empost_sync?.retry_count || 0) + 1;
-      assignment.empost_sync = {
-        status: retryCount < 3 ? 'pending' : 'failed',
-        reference: null,
-        synced_at: null,
-        error_message: empostResponse.error,
-        retry_count: retryCount
-      };
-      await assignment.save();
-      
-      // Trigger retry in background if retry count < 3
-      if (retryCount < 3) {
-        const delay = retryCount === 1 ? 60000 : retryCount === 2 ? 300000 : 900000;
-        setTimeout(() => {
-          syncWithEmpostAsync(assignment._id).catch(err => {
-            console.error('Retry sync failed:', err);
-          });
-        }, delay);
-      }
-      
-      return res.status(500).json({
-        success: false,
-        error: `Failed to sync with Empost: ${empostResponse.error}`
-      });
     }
+
+    return res.status(500).json({
+      success: false,
+      error: `Failed to sync with Empost: ${outboxItem.last_error || 'EMPOST call is still in progress'}`,
+      data: {
+        empost_sync_status: updated.empost_sync?.status,
+        outbox_id: outboxItem._id,
+        outbox_status: outboxItem.status
+      }
+    });
   } catch (error) {
     console.error('Error syncing with Empost:', error);
     return res.status(500).json({
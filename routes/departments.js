@@ -1,12 +1,12 @@
 const express = require('express');
 const { Department } = require('../models');
 const auth = require('../middleware/auth');
-const requireAdmin = require('../middleware/roleAuth');
+const { requirePermission } = require('../middleware/roleAuth');
 
 const router = express.Router();
 
-// Get all departments - Requires authentication and admin role
-router.get('/', auth, requireAdmin, async (req, res) => {
+// Get all departments - Requires department:view permission
+router.get('/', auth, requirePermission('department:view'), async (req, res) => {
   try {
     const departments = await Department.find().sort({ name: 1 });
     res.json({
@@ -1,12 +1,12 @@
 const express = require('express');
 const { Employee, User, Department } = require('../models');
 const auth = require('../middleware/auth');
-const requireAdmin = require('../middleware/roleAuth');
+const { requirePermission } = require('../middleware/roleAuth');
 
 const router = express.Router();
 
-// Get all employees - Requires authentication and admin role
-router.get('/', auth, requireAdmin, async (req, res) => {
+// Get all employees - Requires employee:manage permission
+router.get('/', auth, requirePermission('employee:manage'), async (req, res) => {
   try {
     const employees = await Employee.find()
       .populate('department_id')
@@ -26,7 +26,7 @@ router.get('/', auth, requireAdmin, async (req, res) => {
 });
 
 // Get employees who don't have user accounts yet
-router.get('/available', auth, requireAdmin, async (req, res) => {
+router.get('/available', auth, requirePermission('employee:manage'), async (req, res) => {
   try {
     // Get all employees
     const allEmployees = await Employee.find()
@@ -55,8 +55,8 @@ router.get('/available', auth, requireAdmin, async (req, res) => {
   }
 });
 
-// Create employee - Requires authentication and admin role
-router.post('/', auth, requireAdmin, async (req, res) => {
+// Create employee - Requires employee:manage permission
+router.post('/', auth, requirePermission('employee:manage'), async (req, res) => {
   try {
     const { full_name, email, department_id } = req.body;
     
@@ -115,8 +115,8 @@ router.post('/', auth, requireAdmin, async (req, res) => {
   }
 });
 
-// Update employee - Requires authentication and admin role, syncs to User
-router.put('/:id', auth, requireAdmin, async (req, res) => {
+// Update employee - Requires employee:manage permission, syncs to User
+router.put('/:id', auth, requirePermission('employee:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { full_name, email, department_id } = req.body;
@@ -196,8 +196,8 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete employee - Requires authentication and admin role, prevents deletion if user exists
-router.delete('/:id', auth, requireAdmin, async (req, res) => {
+// Delete employee - Requires employee:manage permission, prevents deletion if user exists
+router.delete('/:id', auth, requirePermission('employee:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
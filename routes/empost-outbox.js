@@ -0,0 +1,100 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  listItems,
+  getSummary,
+  getItem,
+  retryItem,
+  retryDeadLetters,
+  skipItem,
+} = require('../services/empost-outbox');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('empost-outbox:manage'));
+
+const sendError = (res, result) => res.status(result.statusCode || 500).json({
+  success: false,
+  error: result.error
+});
+
+// GET /api/empost-outbox/summary - counts per status and operation
+router.get('/summary', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getSummary() });
+  } catch (error) {
+    console.error('Error fetching EMPOST outbox summary:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch EMPOST outbox summary' });
+  }
+});
+
+// GET /api/empost-outbox?status=&operation=&tracking_number=&limit= - newest first, without payloads
+router.get('/', async (req, res) => {
+  try {
+    const { status, operation, tracking_number: trackingNumber, limit } = req.query;
+    res.json({ success: true, data: await listItems({ status, operation, trackingNumber, limit }) });
+  } catch (error) {
+    console.error('Error fetching EMPOST outbox:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch EMPOST outbox' });
+  }
+});
+
+// POST /api/empost-outbox/retry-dead-letters - { operation? }
+router.post('/retry-dead-letters', async (req, res) => {
+  try {
+    const result = await retryDeadLetters(req.body, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: { count: result.count }, message: `${result.count} item(s) queued for retry` });
+  } catch (error) {
+    console.error('Error retrying EMPOST dead letters:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry dead-lettered items' });
+  }
+});
+
+// GET /api/empost-outbox/:id - with request and response payloads and the attempt log
+router.get('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const item = await getItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Outbox item not found' });
+    }
+    res.json({ success: true, data: item });
+  } catch (error) {
+    console.error('Error fetching EMPOST outbox item:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch outbox item' });
+  }
+});
+
+// POST /api/empost-outbox/:id/retry - send now with a fresh set of attempts
+router.post('/:id/retry', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await retryItem(req.params.id, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.json({
+      success: true,
+      data: result.item,
+      message: result.queued
+        ? 'Queued behind older items for the same tracking number'
+        : `Retry ${result.item.status === 'SUCCEEDED' ? 'succeeded' : 'failed'}`
+    });
+  } catch (error) {
+    console.error('Error retrying EMPOST outbox item:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry outbox item' });
+  }
+});
+
+// POST /api/empost-outbox/:id/skip - { reason? }; gives up on the call without sending it
+router.post('/:id/skip', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await skipItem(req.params.id, req.user.id, req.body.reason);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.item, message: 'Outbox item skipped' });
+  } catch (error) {
+    console.error('Error skipping EMPOST outbox item:', error);
+    res.status(500).json({ success: false, error: 'Failed to skip outbox item' });
+  }
+});
+
+module.exports = router;
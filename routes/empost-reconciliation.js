@@ -0,0 +1,126 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  ISSUES,
+  RECORD_TYPES,
+  runReconciliation,
+  listReports,
+  getReport,
+  getLatestReport,
+  reportToXlsx,
+  resyncFindings,
+} = require('../services/empost-reconciliation');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('empost-reconciliation:manage'));
+
+const sendError = (res, result) => res.status(result.statusCode || 500).json({
+  success: false,
+  error: result.error
+});
+
+const RESYNC_STATUSES = ['QUEUED', 'FAILED', 'NONE'];
+
+function sendReport(req, res, report) {
+  if (req.query.format === 'xlsx') {
+    const filename = `empost-reconciliation-${new Date(report.started_at).toISOString().slice(0, 10)}`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.send(reportToXlsx(report));
+  }
+  res.json({ success: true, data: report });
+}
+
+// POST /api/empost-reconciliation/run - { lookback_days? }; answers 202 and runs in the background
+router.post('/run', async (req, res) => {
+  try {
+    const lookbackDays = req.body.lookback_days === undefined ? undefined : parseInt(req.body.lookback_days, 10);
+    if (lookbackDays !== undefined && !(lookbackDays > 0 && lookbackDays <= 3650)) {
+      return res.status(400).json({ success: false, error: 'lookback_days must be between 1 and 3650' });
+    }
+
+    const result = await runReconciliation({ trigger: 'MANUAL', userId: req.user.id, lookbackDays, wait: false });
+    if (!result.success) return sendError(res, result);
+    res.status(202).json({ success: true, data: result.report, message: 'Reconciliation started' });
+  } catch (error) {
+    console.error('Error starting EMPOST reconciliation:', error);
+    res.status(500).json({ success: false, error: 'Failed to start EMPOST reconciliation' });
+  }
+});
+
+// GET /api/empost-reconciliation/reports?limit= - newest first, without findings
+router.get('/reports', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listReports({ limit: req.query.limit }) });
+  } catch (error) {
+    console.error('Error fetching EMPOST reconciliation reports:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reconciliation reports' });
+  }
+});
+
+// GET /api/empost-reconciliation/reports/latest?format=json|xlsx - latest completed report
+router.get('/reports/latest', async (req, res) => {
+  try {
+    const report = await getLatestReport();
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'No completed reconciliation report yet' });
+    }
+    sendReport(req, res, report);
+  } catch (error) {
+    console.error('Error fetching latest EMPOST reconciliation report:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reconciliation report' });
+  }
+});
+
+// GET /api/empost-reconciliation/reports/:id?issue=&record_type=&resync=QUEUED|FAILED|NONE&format=json|xlsx
+router.get('/reports/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const { issue, record_type: recordType, resync, format = 'json' } = req.query;
+    if (issue && !ISSUES.includes(issue)) {
+      return res.status(400).json({ success: false, error: `issue must be one of ${ISSUES.join(', ')}` });
+    }
+    if (recordType && !RECORD_TYPES.includes(recordType)) {
+      return res.status(400).json({ success: false, error: `record_type must be one of ${RECORD_TYPES.join(', ')}` });
+    }
+    if (resync && !RESYNC_STATUSES.includes(resync)) {
+      return res.status(400).json({ success: false, error: `resync must be one of ${RESYNC_STATUSES.join(', ')}` });
+    }
+    if (!['json', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be one of json, xlsx' });
+    }
+
+    const report = await getReport(req.params.id, { issue, recordType, resync });
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Reconciliation report not found' });
+    }
+    sendReport(req, res, report);
+  } catch (error) {
+    console.error('Error fetching EMPOST reconciliation report:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reconciliation report' });
+  }
+});
+
+// POST /api/empost-reconciliation/reports/:id/resync - { finding_ids?, issue? }; queues the
+// missing EMPOST calls through the outbox
+router.post('/reports/:id/resync', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const { finding_ids: findingIds, issue } = req.body;
+    const result = await resyncFindings(req.params.id, { findingIds, issue }, req.user.id);
+    if (!result.success) return sendError(res, result);
+
+    const { queued, failed, remaining } = result;
+    res.json({
+      success: true,
+      data: { queued, failed, remaining },
+      message: `${queued} EMPOST call(s) queued${failed ? `, ${failed} failed` : ''}${remaining ? `; ${remaining} left, resync again` : ''}`
+    });
+  } catch (error) {
+    console.error('Error resyncing EMPOST reconciliation findings:', error);
+    res.status(500).json({ success: false, error: 'Failed to resync findings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  getRateSnapshot,
+  listRates,
+  createRate,
+  deleteRate,
+} = require('../services/exchange-rates');
+
+const router = express.Router();
+
+router.use(auth);
+
+// GET /api/exchange-rates?currency=&from=&to= - rate history, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { currency, from, to } = req.query;
+    const filters = {};
+    if (currency) {
+      filters.currency = normalizeCurrency(currency);
+      if (!filters.currency) {
+        return res.status(400).json({ success: false, error: 'Unsupported currency' });
+      }
+    }
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ success: false, error: `${key} must be a valid date` });
+      }
+      filters[key] = date;
+    }
+
+    const rates = await listRates(filters);
+    res.json({
+      success: true,
+      base_currency: BASE_CURRENCY,
+      data: rates
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exchange rates'
+    });
+  }
+});
+
+// GET /api/exchange-rates/lookup?currency=PHP&date= - rate in force on a date
+router.get('/lookup', async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.query.currency);
+    if (!currency) {
+      return res.status(400).json({ success: false, error: 'currency is required (AED or PHP)' });
+    }
+    const at = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ success: false, error: 'date must be a valid date' });
+    }
+
+    const snapshot = await getRateSnapshot(currency, at);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${currency} exchange rate on file for ${at.toISOString().slice(0, 10)}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { date: at, ...snapshot }
+    });
+  } catch (error) {
+    console.error('Error looking up exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up exchange rate'
+    });
+  }
+});
+
+// POST /api/exchange-rates - { currency, rate, effective_date?, source?, notes? }
+router.post('/', requirePermission('exchange-rate:manage'), async (req, res) => {
+  try {
+    const { currency, rate, effective_date, source, notes } = req.body;
+    const result = await createRate({
+      currency,
+      rate,
+      effectiveDate: effective_date,
+      source,
+      notes,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.rate,
+      message: 'Exchange rate saved'
+    });
+  } catch (error) {
+    console.error('Error creating exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save exchange rate'
+    });
+  }
+});
+
+// DELETE /api/exchange-rates/:id - remove a rate entered in error (documents keep their snapshot)
+router.delete('/:id', requirePermission('exchange-rate:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await deleteRate(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rate,
+      message: 'Exchange rate deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete exchange rate'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Invoice, InvoicePayment } = require('../models/unified-schema');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const { recordPayment, reversePayment, computeBalanceDue } = require('../services/invoice-payments');
+const { BASE_CURRENCY, fromBase } = require('../services/exchange-rates');
+
+const router = express.Router();
+
+router.use(auth);
+
+const convertDecimal128 = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'object' && value.toString ? parseFloat(value.toString()) : value;
+};
+
+const transformPayment = (payment) => {
+  const paymentObj = payment.toObject ? payment.toObject() : payment;
+  return {
+    ...paymentObj,
+    amount: convertDecimal128(paymentObj.amount),
+    original_amount: convertDecimal128(paymentObj.original_amount),
+  };
+};
+
+// GET /api/invoice-payments?invoice_id=&source=&status= - ledger entries (with the invoice balance when filtered by invoice)
+router.get('/', async (req, res) => {
+  try {
+    const { invoice_id, source, status } = req.query;
+    const query = {};
+    if (invoice_id) {
+      if (!mongoose.Types.ObjectId.isValid(invoice_id)) {
+        return res.status(400).json({ success: false, error: 'Invalid invoice_id' });
+      }
+      query.invoice_id = invoice_id;
+    }
+    if (source) query.source = String(source).toUpperCase();
+    if (status) query.status = String(status).toUpperCase();
+
+    const payments = await InvoicePayment.find(query)
+      .populate('invoice_id', 'invoice_id awb_number')
+      .populate('recorded_by', 'full_name email')
+      .sort({ received_at: -1 })
+      .limit(500)
+      .lean();
+
+    let balance = null;
+    if (invoice_id) {
+      const invoice = await Invoice.findById(invoice_id)
+        .select('invoice_id status total_amount credited_amount paid_amount currency exchange_rate')
+        .lean();
+      if (!invoice) {
+        return res.status(404).json({ success: false, error: 'Invoice not found' });
+      }
+      balance = {
+        invoice_id: invoice.invoice_id,
+        status: invoice.status,
+        total_amount: convertDecimal128(invoice.total_amount),
+        credited_amount: convertDecimal128(invoice.credited_amount) || 0,
+        paid_amount: convertDecimal128(invoice.paid_amount) || 0,
+        balance_due: computeBalanceDue(invoice),
+        currency: invoice.currency || BASE_CURRENCY
+      };
+      if (invoice.currency && invoice.currency !== BASE_CURRENCY && invoice.exchange_rate?.rate) {
+        // What the customer still owes in the currency they were billed in
+        balance.billing_balance_due = fromBase(balance.balance_due, invoice.exchange_rate);
+        balance.exchange_rate = invoice.exchange_rate.rate;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: payments.map(transformPayment),
+      ...(balance ? { balance } : {})
+    });
+  } catch (error) {
+    console.error('Error fetching invoice payments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice payments'
+    });
+  }
+});
+
+// POST /api/invoice-payments - record a receipt (deposit, transfer, balance, ...); amount is in `currency` (default AED)
+router.post('/', requirePermission('payment:record'), async (req, res) => {
+  try {
+    const { invoice_id, amount, method, currency, reference, received_at, notes } = req.body;
+    if (!invoice_id || !mongoose.Types.ObjectId.isValid(invoice_id)) {
+      return res.status(400).json({ success: false, error: 'A valid invoice_id is required' });
+    }
+
+    const result = await recordPayment({
+      invoiceId: invoice_id,
+      amount,
+      method,
+      currency,
+      reference,
+      receivedAt: received_at,
+      notes,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payment: transformPayment(result.payment),
+        invoice_balance: result.balance
+      },
+      message: 'Payment recorded successfully'
+    });
+  } catch (error) {
+    console.error('Error recording invoice payment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record payment'
+    });
+  }
+});
+
+// POST /api/invoice-payments/:id/reverse
+router.post('/:id/reverse', requirePermission('payment:record'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await reversePayment(req.params.id, { reason: req.body.reason });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payment: transformPayment(result.payment),
+        invoice_balance: result.balance
+      },
+      message: 'Payment reversed successfully'
+    });
+  } catch (error) {
+    console.error('Error reversing invoice payment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reverse payment'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,15 @@ const { InvoiceRequest, Employee, Collections, AuditReport, Booking, Department
 const { DeliveryAssignment, Invoice } = require('../models/unified-schema');
 const { createNotificationsForAllUsers, createNotificationsForDepartment } = require('./notifications');
 const { syncInvoiceWithEMPost } = require('../utils/empost-sync');
+const { resolveCarrier } = require('../services/carriers');
 const { generateUniqueAWBNumber, generateUniqueInvoiceID } = require('../utils/id-generators');
 const { sanitizeRegex } = require('../middleware/security');
-const { cleanupBookingIdentityDocumentsForDeliveredInvoiceRequest } = require('../utils/booking-identity-cleanup');
+const { calculateChargeableWeight } = require('../services/quote-engine');
+const auth = require('../middleware/auth');
+const { getRequestPermissions } = require('../services/permissions');
+const { previewShipmentTransition, transitionShipment } = require('../services/shipment-state-machine');
+const { syncStatusToEMPost, getTrackingNumberFromInvoiceRequest } = require('../utils/empost-status-sync');
+const { acknowledgeInvoiceRequestAmendments } = require('../services/booking-amendments');
 
 const router = express.Router();
 
@@ -1194,11 +1200,46 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update invoice request
-router.put('/:id', async (req, res) => {
+// Invoice request workflow statuses that mean the shipment is being processed
+const PROCESSING_REQUEST_STATUSES = ['SUBMITTED', 'IN_PROGRESS', 'VERIFIED', 'COMPLETED'];
+
+/**
+ * Follow-up to an invoice request workflow status change: move the shipment to PROCESSING when
+ * it has not got that far, and refresh EMPOST (which only knows the delivery status) unless a
+ * delivery status change already did.
+ */
+async function applyRequestStatusChange(invoiceRequest, oldStatus, { deliveryStatusChanged = false } = {}) {
+  const status = invoiceRequest.status;
+  if (!status || status === oldStatus) return;
+
+  if (PROCESSING_REQUEST_STATUSES.includes(status)) {
+    try {
+      await transitionShipment({ invoiceRequest }, 'PROCESSING', {
+        updatedBy: 'System',
+        notes: `Invoice request status changed to ${status}`,
+        source: 'invoice_request',
+        ifAllowed: true
+      });
+    } catch (bookingUpdateError) {
+      // Log error but don't fail the invoice request update
+      console.error('Error updating booking shipment status:', bookingUpdateError);
+    }
+  }
+
+  if (!deliveryStatusChanged) {
+    await syncStatusToEMPost({
+      trackingNumber: getTrackingNumberFromInvoiceRequest(invoiceRequest),
+      status: invoiceRequest.delivery_status,
+      additionalData: { invoiceRequest }
+    });
+  }
+}
+
+// Update invoice request (delivery_status changes go through the shipment state machine)
+router.put('/:id', auth, async (req, res) => {
   try {
     const invoiceRequestId = req.params.id;
-    const updateData = req.body;
+    const { delivery_status, ...updateData } = req.body;
 
     const invoiceRequest = await InvoiceRequest.findById(invoiceRequestId);
     if (!invoiceRequest) {
@@ -1207,7 +1248,16 @@ router.put('/:id', async (req, res) => {
 
     // Store old values for comparison
     const oldStatus = invoiceRequest.status;
-    const oldDeliveryStatus = invoiceRequest.delivery_status;
+    const deliveryStatusChanged = Boolean(delivery_status) && delivery_status !== invoiceRequest.delivery_status;
+    const permissions = await getRequestPermissions(req);
+
+    // Reject an illegal delivery status before saving anything else
+    if (deliveryStatusChanged) {
+      const preview = await previewShipmentTransition({ invoiceRequest }, delivery_status, { permissions, notes: updateData.notes });
+      if (!preview.success) {
+        return res.status(preview.statusCode || 500).json({ error: preview.error });
+      }
+    }
     
     // Update fields
     Object.keys(updateData).forEach(key => {
@@ -1218,84 +1268,19 @@ router.put('/:id', async (req, res) => {
 
     await invoiceRequest.save();
 
-    if (updateData.delivery_status === 'DELIVERED' && oldDeliveryStatus !== 'DELIVERED') {
-      await cleanupBookingIdentityDocumentsForDeliveredInvoiceRequest(invoiceRequest);
-    }
-
-    // Auto-update booking's shipment_status_history when invoice request status changes
-    // Statuses that trigger shipment_status_history update
-    const statusesToUpdate = ['SUBMITTED', 'IN_PROGRESS', 'VERIFIED', 'COMPLETED'];
-    const statusChanged = updateData.status && updateData.status !== oldStatus;
-    if (statusChanged && statusesToUpdate.includes(updateData.status)) {
-      try {
-        // Get booking_id from invoice request
-        let bookingId = null;
-        if (invoiceRequest.booking_id) {
-          bookingId = typeof invoiceRequest.booking_id === 'object' 
-            ? invoiceRequest.booking_id._id || invoiceRequest.booking_id 
-            : invoiceRequest.booking_id;
-        }
-        
-        // If booking_id not found, try to find booking by converted_to_invoice_request_id
-        if (!bookingId) {
-          const Booking = mongoose.model('Booking');
-          const booking = await Booking.findOne({ converted_to_invoice_request_id: invoiceRequest._id });
-          if (booking) {
-            bookingId = booking._id;
-            // Also update invoice request with booking_id for future reference
-            invoiceRequest.booking_id = bookingId;
-            await invoiceRequest.save();
-          }
-        }
-        
-        if (bookingId) {
-          const Booking = mongoose.model('Booking');
-          // Update booking's shipment_status_history
-          const booking = await Booking.findById(bookingId);
-          if (booking) {
-            const newStatusEntry = {
-              status: 'Shipment Processing',
-              updated_at: new Date(),
-              updated_by: 'System',
-              notes: `Invoice request status changed to ${updateData.status}`
-            };
-            
-            if (Array.isArray(booking.shipment_status_history)) {
-              booking.shipment_status_history.push(newStatusEntry);
-            } else {
-              // Convert to array format
-              booking.shipment_status_history = [newStatusEntry];
-            }
-            
-            await booking.save();
-            console.log(`✅ Updated booking ${bookingId} shipment_status_history to "Shipment Processing" (invoice request status: ${updateData.status})`);
-          }
-        } else {
-          console.warn(`⚠️ Could not find booking_id for invoice request ${invoiceRequest._id} - skipping shipment_status_history update`);
-        }
-      } catch (bookingUpdateError) {
-        // Log error but don't fail the invoice request update
-        console.error('Error updating booking shipment_status_history:', bookingUpdateError);
+    if (deliveryStatusChanged) {
+      const result = await transitionShipment({ invoiceRequest }, delivery_status, {
+        permissions,
+        updatedBy: req.user?.email,
+        notes: updateData.notes,
+        source: 'invoice_request'
+      });
+      if (!result.success) {
+        return res.status(result.statusCode || 500).json({ error: result.error });
       }
     }
 
-    // Sync status to EMPOST if status or delivery_status changed
-    const deliveryStatusChanged = updateData.delivery_status && updateData.delivery_status !== oldDeliveryStatus;
-    
-    if (statusChanged || deliveryStatusChanged) {
-      const { syncStatusToEMPost, getTrackingNumberFromInvoiceRequest } = require('../utils/empost-status-sync');
-      const trackingNumber = getTrackingNumberFromInvoiceRequest(invoiceRequest);
-      const statusToUpdate = updateData.delivery_status || updateData.status;
-      
-      await syncStatusToEMPost({
-        trackingNumber,
-        status: statusToUpdate,
-        additionalData: {
-          deliveryDate: statusToUpdate === 'DELIVERED' ? new Date() : undefined,
-          invoiceRequest
-        }
-      });
-    }
+    await applyRequestStatusChange(invoiceRequest, oldStatus, { deliveryStatusChanged });
 
     res.json({
       success: true,
@@ -1309,7 +1294,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Update invoice request status
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', auth, async (req, res) => {
   try {
     const { status, delivery_status } = req.body;
     const invoiceRequestId = req.params.id;
@@ -1321,18 +1306,22 @@ router.put('/:id/status', async (req, res) => {
 
     // Store old status for comparison
     const oldStatus = invoiceRequest.status;
-    const oldDeliveryStatus = invoiceRequest.delivery_status;
+    const deliveryStatusChanged = Boolean(delivery_status) && delivery_status !== invoiceRequest.delivery_status;
+    const permissions = await getRequestPermissions(req);
+
+    // Reject an illegal delivery status before saving anything else
+    if (deliveryStatusChanged) {
+      const preview = await previewShipmentTransition({ invoiceRequest }, delivery_status, { permissions });
+      if (!preview.success) {
+        return res.status(preview.statusCode || 500).json({ error: preview.error });
+      }
+    }
     
     // Update status if provided
     if (status) {
       invoiceRequest.status = status;
     }
     
-    // Update delivery_status if provided
-    if (delivery_status) {
-      invoiceRequest.delivery_status = delivery_status;
-    }
-    
     if (status === 'COMPLETED') {
       invoiceRequest.invoice_generated_at = new Date();
       
@@ -1365,82 +1354,18 @@ router.put('/:id/status', async (req, res) => {
 
     await invoiceRequest.save();
 
-    if (delivery_status === 'DELIVERED' && oldDeliveryStatus !== 'DELIVERED') {
-      await cleanupBookingIdentityDocumentsForDeliveredInvoiceRequest(invoiceRequest);
-    }
-
-    // Auto-update booking's shipment_status_history when invoice request status changes
-    // Statuses that trigger shipment_status_history update
-    const statusesToUpdate = ['SUBMITTED', 'IN_PROGRESS', 'VERIFIED', 'COMPLETED'];
-    if (status && statusesToUpdate.includes(status) && status !== oldStatus) {
-      try {
-        // Get booking_id from invoice request
-        let bookingId = null;
-        if (invoiceRequest.booking_id) {
-          bookingId = typeof invoiceRequest.booking_id === 'object' 
-            ? invoiceRequest.booking_id._id || invoiceRequest.booking_id 
-            : invoiceRequest.booking_id;
-        }
-        
-        // If booking_id not found, try to find booking by converted_to_invoice_request_id
-        if (!bookingId) {
-          const Booking = mongoose.model('Booking');
-          const booking = await Booking.findOne({ converted_to_invoice_request_id: invoiceRequest._id });
-          if (booking) {
-            bookingId = booking._id;
-            // Also update invoice request with booking_id for future reference
-            invoiceRequest.booking_id = bookingId;
-            await invoiceRequest.save();
-          }
-        }
-        
-        if (bookingId) {
-          const Booking = mongoose.model('Booking');
-          // Update booking's shipment_status_history
-          // If shipment_status_history is an array, add new entry; otherwise, set as string
-          const booking = await Booking.findById(bookingId);
-          if (booking) {
-            const newStatusEntry = {
-              status: 'Shipment Processing',
-              updated_at: new Date(),
-              updated_by: 'System',
-              notes: `Invoice request status changed to ${status}`
-            };
-            
-            if (Array.isArray(booking.shipment_status_history)) {
-              booking.shipment_status_history.push(newStatusEntry);
-            } else {
-              // Convert to array format
-              booking.shipment_status_history = [newStatusEntry];
-            }
-            
-            await booking.save();
-            console.log(`✅ Updated booking ${bookingId} shipment_status_history to "Shipment Processing" (invoice request status: ${status})`);
-          }
-        } else {
-          console.warn(`⚠️ Could not find booking_id for invoice request ${invoiceRequest._id} - skipping shipment_status_history update`);
-        }
-      } catch (bookingUpdateError) {
-        // Log error but don't fail the invoice request update
-        console.error('Error updating booking shipment_status_history:', bookingUpdateError);
+    if (deliveryStatusChanged) {
+      const result = await transitionShipment({ invoiceRequest }, delivery_status, {
+        permissions,
+        updatedBy: req.user?.email,
+        source: 'invoice_request'
+      });
+      if (!result.success) {
+        return res.status(result.statusCode || 500).json({ error: result.error });
       }
     }
 
-    // Sync status to EMPOST if status or delivery_status changed
-    if ((status && status !== oldStatus) || (delivery_status && delivery_status !== oldDeliveryStatus)) {
-      const { syncStatusToEMPost, getTrackingNumberFromInvoiceRequest } = require('../utils/empost-status-sync');
-      const trackingNumber = getTrackingNumberFromInvoiceRequest(invoiceRequest);
-      const statusToUpdate = delivery_status || status;
-      
-      await syncStatusToEMPost({
-        trackingNumber,
-        status: statusToUpdate,
-        additionalData: {
-          deliveryDate: statusToUpdate === 'DELIVERED' ? new Date() : undefined,
-          invoiceRequest
-        }
-      });
-    }
+    await applyRequestStatusChange(invoiceRequest, oldStatus, { deliveryStatusChanged });
 
     res.json({
       success: true,
@@ -1453,47 +1378,29 @@ router.put('/:id/status', async (req, res) => {
   }
 });
 
-// Update delivery status
-router.put('/:id/delivery-status', async (req, res) => {
+// Update delivery status (through the shipment state machine)
+router.put('/:id/delivery-status', auth, async (req, res) => {
   try {
     const { delivery_status, notes } = req.body;
     const invoiceRequestId = req.params.id;
 
+    if (!delivery_status) {
+      return res.status(400).json({ error: 'delivery_status is required' });
+    }
+
     const invoiceRequest = await InvoiceRequest.findById(invoiceRequestId);
     if (!invoiceRequest) {
       return res.status(404).json({ error: 'Invoice request not found' });
     }
 
-    // Store old delivery status for comparison
-    const oldDeliveryStatus = invoiceRequest.delivery_status;
-    
-    // Update delivery status
-    invoiceRequest.delivery_status = delivery_status;
-    
-    // Update notes if provided
-    if (notes) {
-      invoiceRequest.notes = notes;
-    }
-    
-    // Update the updated_at timestamp
-    invoiceRequest.updatedAt = new Date();
-    
-    await invoiceRequest.save();
-
-    // Sync delivery status to EMPOST if changed
-    if (delivery_status && delivery_status !== oldDeliveryStatus) {
-      const { syncStatusToEMPost, getTrackingNumberFromInvoiceRequest } = require('../utils/empost-status-sync');
-      const trackingNumber = getTrackingNumberFromInvoiceRequest(invoiceRequest);
-      
-      await syncStatusToEMPost({
-        trackingNumber,
-        status: delivery_status,
-        additionalData: {
-          deliveryDate: delivery_status === 'DELIVERED' ? new Date() : undefined,
-          notes: notes,
-          invoiceRequest
-        }
-      });
+    const result = await transitionShipment({ invoiceRequest }, delivery_status, {
+      permissions: await getRequestPermissions(req),
+      updatedBy: req.user?.email,
+      notes,
+      source: 'invoice_request'
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ error: result.error });
     }
 
     res.json({
@@ -1507,6 +1414,25 @@ router.put('/:id/delivery-status', async (req, res) => {
   }
 });
 
+// Clear the flag set when the source booking was amended (changes are in GET /api/bookings/:id/history)
+router.post('/:id/booking-amendments/acknowledge', auth, async (req, res) => {
+  try {
+    const result = await acknowledgeInvoiceRequestAmendments(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      invoiceRequest: normalizeInvoiceRequest(result.invoiceRequest),
+      message: 'Booking amendments acknowledged'
+    });
+  } catch (error) {
+    console.error('Error acknowledging booking amendments:', error);
+    res.status(500).json({ error: 'Failed to acknowledge booking amendments' });
+  }
+});
+
 // Add weight (for operations team)
 router.put('/:id/weight', async (req, res) => {
   try {
@@ -1693,7 +1619,7 @@ router.put('/:id/verification', async (req, res) => {
       }
     } else {
       // Auto-calculate: chargeable_weight = max(actual_weight, volumetric_weight)
-      chargeableWeight = Math.max(actualWeight, volumetricWeight);
+      chargeableWeight = calculateChargeableWeight(actualWeight, volumetricWeight).chargeable_weight;
       console.log(`✅ Auto-calculated chargeable_weight: ${chargeableWeight} kg (Actual: ${actualWeight} kg, Volumetric: ${volumetricWeight} kg)`);
     }
     invoiceRequest.verification.chargeable_weight = toDecimal128(chargeableWeight);
@@ -1720,21 +1646,19 @@ router.put('/:id/verification', async (req, res) => {
       // Update both amount and calculated_rate with special rate
       invoiceRequest.verification.amount = toDecimal128(specialRateValue);
       invoiceRequest.verification.calculated_rate = toDecimal128(specialRateValue);
+      invoiceRequest.verification.special_rate = toDecimal128(specialRateValue);
       console.log(`✅ Special rate applied: ${specialRateValue} (updated both verification.amount and verification.calculated_rate)`);
     } else if (verificationData.calculated_rate !== undefined && verificationData.calculated_rate !== null && verificationData.calculated_rate !== '') {
       // Backward compatibility: if calculated_rate is provided without special_rate, update it
       invoiceRequest.verification.calculated_rate = toDecimal128(verificationData.calculated_rate);
+      invoiceRequest.verification.special_rate = undefined;
     }
     
     // Note: rate_bracket is now handled after total_kg is set (see below)
 
     // Auto-determine weight_type based on actual_weight and volumetric_weight comparison
     // weight_type = 'ACTUAL' if actual_weight >= volumetric_weight, else 'VOLUMETRIC'
-    if (actualWeight >= volumetricWeight) {
-        invoiceRequest.verification.weight_type = 'ACTUAL';
-      } else {
-        invoiceRequest.verification.weight_type = 'VOLUMETRIC';
-      }
+    invoiceRequest.verification.weight_type = calculateChargeableWeight(actualWeight, volumetricWeight).weight_type;
     console.log(`✅ Auto-determined weight type: ${invoiceRequest.verification.weight_type} (Actual: ${actualWeight} kg, Volumetric: ${volumetricWeight} kg, Chargeable: ${chargeableWeight} kg)`);
 
     // Handle number_of_boxes (simple input, default to boxes.length if boxes exist, otherwise 1, must be >= 1)
@@ -1916,19 +1840,12 @@ router.put('/:id/verification', async (req, res) => {
     const isEligibleOperationsStage = isOperationsEmpostCreateStage(invoiceRequest.status);
     if (isEligibleOperationsStage && (!invoiceRequest.empost_uhawb || invoiceRequest.empost_uhawb === 'N/A')) {
       try {
-        const empostAPI = require('../services/empost-api');
-        console.log('📦 Creating EMPOST shipment from verified InvoiceRequest...');
-        
-        const shipmentResult = await empostAPI.createShipmentFromInvoiceRequest(invoiceRequest);
-        
-        if (shipmentResult && shipmentResult.data && shipmentResult.data.uhawb) {
-          // Store UHAWB in invoiceRequest for future reference
-          invoiceRequest.empost_uhawb = shipmentResult.data.uhawb;
-          await invoiceRequest.save();
-          console.log('✅ EMPOST shipment created with UHAWB:', shipmentResult.data.uhawb);
-        }
+        const carrier = await resolveCarrier(invoiceRequest);
+        console.log(`📦 Queuing ${carrier.code} shipment from verified InvoiceRequest...`);
+        // The EMPOST outbox stores the UHAWB on the request once EMPOST returns it
+        await carrier.createShipment({ invoiceRequest }, { reason: 'verification updated' });
       } catch (empostError) {
-        console.error('❌ Failed to create EMPOST shipment (non-critical, will retry later):', empostError.message);
+        console.error('❌ Failed to queue EMPOST shipment (non-critical):', empostError.message);
         // Don't fail the verification update if EMPOST fails
       }
     } else if (!isEligibleOperationsStage) {
@@ -1976,14 +1893,37 @@ router.put('/:id/complete-verification', async (req, res) => {
     // Only create from operations flow (previous status IN_PROGRESS/VERIFIED)
     // and only if UHAWB doesn't already exist (avoid duplicates).
     const isEligibleOperationsStage = isOperationsEmpostCreateStage(previousStatus);
-    if (isEligibleOperationsStage && (!invoiceRequest.empost_uhawb || invoiceRequest.empost_uhawb === 'N/A')) {
-      const empostAPI = require('../services/empost-api');
+    const carrier = await resolveCarrier(invoiceRequest);
+    if (isEligibleOperationsStage && carrier.code !== 'EMPOST') {
+      // Only EMPOST hands back a UHAWB, so verification doesn't wait for other carriers
+      try {
+        console.log(`📦 Queuing ${carrier.code} shipment from verified InvoiceRequest...`);
+        await carrier.createShipment({ invoiceRequest }, { reason: 'verification completed' });
+      } catch (carrierError) {
+        console.error(`❌ Failed to queue ${carrier.code} shipment (non-critical):`, carrierError.message);
+      }
+    } else if (isEligibleOperationsStage && (!invoiceRequest.empost_uhawb || invoiceRequest.empost_uhawb === 'N/A')) {
       console.log('📦 Automatically creating EMPOST shipment from verified InvoiceRequest...');
 
       try {
-        const shipmentResult = await empostAPI.createShipmentFromInvoiceRequest(invoiceRequest);
-        const returnedUhawb = shipmentResult?.data?.uhawb;
+        // Sent through the outbox but waited for: verification only completes once EMPOST has the
+        // shipment. A failure is dead-lettered rather than retried, since the user is asked to retry.
+        const outboxItem = await carrier.createShipment({ invoiceRequest }, {
+          reason: 'verification completed',
+          wait: true,
+          retry: false,
+        });
+        const returnedUhawb = outboxItem ? outboxItem.uhawb : 'N/A';
 
+        if (outboxItem && outboxItem.status !== 'SUCCEEDED') {
+          const details = outboxItem.last_error || 'Waiting for an earlier EMPOST call for this shipment';
+          console.error('❌ Failed to create EMPOST shipment automatically:', details);
+          return res.status(502).json({
+            success: false,
+            error: 'EMPOST Booking Creation failed try again',
+            details,
+          });
+        }
         if (!returnedUhawb || returnedUhawb === 'N/A') {
           console.error('❌ EMPOST shipment creation did not return a valid UHAWB.');
           return res.status(502).json({
@@ -2192,7 +2132,7 @@ router.put('/:id/reverify', async (req, res) => {
         });
       }
     } else {
-      chargeableWeight = Math.max(actualWeight, volumetricWeight);
+      chargeableWeight = calculateChargeableWeight(actualWeight, volumetricWeight).chargeable_weight;
       console.log(`✅ Auto-calculated chargeable_weight: ${chargeableWeight} kg (Actual: ${actualWeight} kg, Volumetric: ${volumetricWeight} kg)`);
     }
     invoiceRequest.verification.chargeable_weight = toDecimal128(chargeableWeight);
@@ -2221,11 +2161,7 @@ router.put('/:id/reverify', async (req, res) => {
     }
 
     // Auto-determine weight_type based on actual_weight and volumetric_weight comparison
-    if (actualWeight >= volumetricWeight) {
-      invoiceRequest.verification.weight_type = 'ACTUAL';
-    } else {
-      invoiceRequest.verification.weight_type = 'VOLUMETRIC';
-    }
+    invoiceRequest.verification.weight_type = calculateChargeableWeight(actualWeight, volumetricWeight).weight_type;
     console.log(`✅ Auto-determined weight type: ${invoiceRequest.verification.weight_type} (Actual: ${actualWeight} kg, Volumetric: ${volumetricWeight} kg, Chargeable: ${chargeableWeight} kg)`);
 
     // Handle number_of_boxes
@@ -2401,23 +2337,12 @@ router.put('/:id/reverify', async (req, res) => {
     // Resync EMPOST shipment with updated verification data
     // Since verification data has changed (weights, amounts, etc.), we need to resync
     try {
-      const empostAPI = require('../services/empost-api');
-      console.log('🔄 Resyncing EMPOST shipment with updated verification data...');
-      
-      const shipmentResult = await empostAPI.createShipmentFromInvoiceRequest(invoiceRequest);
-      
-      if (shipmentResult && shipmentResult.data && shipmentResult.data.uhawb) {
-        // Update UHAWB if it changed or if it didn't exist before
-        if (!invoiceRequest.empost_uhawb || invoiceRequest.empost_uhawb !== shipmentResult.data.uhawb) {
-          invoiceRequest.empost_uhawb = shipmentResult.data.uhawb;
-          await invoiceRequest.save();
-          console.log('✅ EMPOST shipment resynced with UHAWB:', shipmentResult.data.uhawb);
-        } else {
-          console.log('✅ EMPOST shipment resynced (UHAWB unchanged):', shipmentResult.data.uhawb);
-        }
-      }
+      const carrier = await resolveCarrier(invoiceRequest);
+      console.log(`🔄 Queuing ${carrier.code} shipment resync with updated verification data...`);
+      // The EMPOST outbox updates the UHAWB on the request if EMPOST returns a new one
+      await carrier.createShipment({ invoiceRequest }, { reason: 'reverification' });
     } catch (empostError) {
-      console.error('❌ Failed to resync EMPOST shipment (non-critical, will retry later):', empostError.message);
+      console.error('❌ Failed to queue EMPOST shipment resync (non-critical):', empostError.message);
       // Don't fail the reverification if EMPOST resync fails - changes are saved locally
     }
 
@@ -1,12 +1,26 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { Invoice, ShipmentRequest, Client, Employee, DeliveryAssignment } = require('../models/unified-schema');
+const { Invoice, ShipmentRequest, Client, Employee, DeliveryAssignment, Quote } = require('../models/unified-schema');
 const { InvoiceRequest, Booking } = require('../models');
-const empostAPI = require('../services/empost-api');
+const { queueInvoiceIssue } = require('../services/empost-outbox');
+const { resolveCarrier } = require('../services/carriers');
 const { syncInvoiceWithEMPost } = require('../utils/empost-sync');
 const { validateObjectIdParam, sanitizeRegex } = require('../middleware/security');
 const { reinitiateDeliveryAssignmentForInvoice } = require('../utils/reinitiate-delivery-assignment');
 const { generateUniqueInvoiceID } = require('../utils/id-generators');
+const {
+  getPricingSnapshot,
+  getBracketRouteForService,
+} = require('../services/price-brackets');
+const { priceShipping } = require('../services/client-rate-cards');
+const { priceShipmentShipping } = require('../services/quote-engine');
+const { computeBalanceDue, recordPayment } = require('../services/invoice-payments');
+const { BASE_CURRENCY, normalizeCurrency, getRateSnapshot, fromBase } = require('../services/exchange-rates');
+const { transitionShipment } = require('../services/shipment-state-machine');
+const { invoiceRequestParties, screenShipment, acknowledgedEntryIds } = require('../services/watchlist');
+const { emitWebhookEvent } = require('../services/webhooks');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 // const { createNotificationsForAllUsers } = require('./notifications');
 
 const router = express.Router();
@@ -87,6 +101,17 @@ function isFlomicOrPersonalShipment(invoiceRequest) {
   return topClass === 'PERSONAL' || topClass === 'FLOMIC';
 }
 
+/**
+ * Queue the invoice for EMPOST if EMPOST is the shipment's carrier; EMPOST only takes invoices
+ * for shipments it holds.
+ * @returns {Promise<Object|null>} outbox item
+ */
+async function queueEmpostInvoiceIssue(invoice, options) {
+  const carrier = await resolveCarrier(invoice);
+  if (carrier.code !== 'EMPOST') return null;
+  return queueInvoiceIssue(invoice, options);
+}
+
 /**
  * Check if a shipment is FLOMIC based on box classifications
  * A shipment is FLOMIC if ANY box has classification === 'FLOMIC'
@@ -120,6 +145,22 @@ const convertDecimal128 = (value) => {
 };
 
 // Transform invoice data to convert Decimal128 to numbers
+// Amounts in the invoice's billing currency at its rate snapshot (identical for AED invoices)
+const billingAmounts = (invoiceObj) => {
+  const currency = invoiceObj.currency || BASE_CURRENCY;
+  const snapshot = currency !== BASE_CURRENCY && invoiceObj.exchange_rate?.rate ? invoiceObj.exchange_rate : null;
+  const convert = (value) => fromBase(convertDecimal128(value) || 0, snapshot);
+  return {
+    currency: snapshot ? currency : BASE_CURRENCY,
+    rate: snapshot ? snapshot.rate : 1,
+    rate_effective_date: snapshot ? snapshot.effective_date : null,
+    subtotal: convert(invoiceObj.base_amount),
+    tax_amount: convert(invoiceObj.tax_amount),
+    total_amount: convert(invoiceObj.total_amount),
+    balance_due: fromBase(computeBalanceDue(invoiceObj), snapshot),
+  };
+};
+
 const transformInvoice = (invoice) => {
   const invoiceObj = invoice.toObject ? invoice.toObject() : invoice;
   return {
@@ -137,6 +178,12 @@ const transformInvoice = (invoice) => {
     total_amount: convertDecimal128(invoiceObj.total_amount),
     total_amount_cod: convertDecimal128(invoiceObj.total_amount_cod), // PH_TO_UAE COD Invoice total
     total_amount_tax_invoice: convertDecimal128(invoiceObj.total_amount_tax_invoice), // PH_TO_UAE Tax Invoice total
+    credited_amount: convertDecimal128(invoiceObj.credited_amount) || 0,
+    paid_amount: convertDecimal128(invoiceObj.paid_amount) || 0,
+    // Derived from status and credits so invoices paid or cancelled elsewhere never show a stale balance
+    balance_due: computeBalanceDue(invoiceObj),
+    currency: invoiceObj.currency || BASE_CURRENCY,
+    billing: billingAmounts(invoiceObj),
     weight_kg: convertDecimal128(invoiceObj.weight_kg),
     volume_cbm: convertDecimal128(invoiceObj.volume_cbm),
     // Convert line_items Decimal128 fields
@@ -227,7 +274,7 @@ function buildInvoiceSearchQuery(searchTerm) {
 }
 
 // Essential fields for invoice list view (lightweight)
-const INVOICE_LIST_FIELDS = '_id invoice_id awb_number batch_number receiver_name receiver_address receiver_phone service_code weight_kg weight_type volume_cbm amount delivery_charge pickup_charge insurance_charge tax_amount total_amount status issue_date due_date paid_at createdAt updatedAt client_id request_id created_by';
+const INVOICE_LIST_FIELDS = '_id invoice_id awb_number batch_number receiver_name receiver_address receiver_phone service_code weight_kg weight_type volume_cbm amount delivery_charge pickup_charge insurance_charge tax_amount total_amount credited_amount paid_amount balance_due currency exchange_rate status issue_date due_date paid_at createdAt updatedAt client_id request_id created_by';
 
 // Get all invoices with pagination and search (OPTIMIZED for list view)
 router.get('/', async (req, res) => {
@@ -586,7 +633,7 @@ router.get('/:id', validateObjectIdParam('id'), async (req, res) => {
 });
 
 // Create invoice from invoice request
-router.post('/', async (req, res) => {
+router.post('/', auth, requirePermission('invoice:create'), async (req, res) => {
   try {
     console.log('Creating invoice with data:', req.body);
     console.log('Request headers:', req.headers);
@@ -613,7 +660,10 @@ router.post('/', async (req, res) => {
       customer_trn,
       batch_number,
       total_amount_cod, // NEW: COD Invoice total (PH_TO_UAE only)
-      total_amount_tax_invoice // NEW: Tax Invoice total (PH_TO_UAE only)
+      total_amount_tax_invoice, // NEW: Tax Invoice total (PH_TO_UAE only)
+      quote_id, // Optional POST /api/quotes result to check the computed totals against
+      acknowledge_watchlist, // Confirms a watchlist escalation not already acknowledged at booking review
+      currency: requestedCurrency // Billing currency (AED or PHP); amounts are computed in AED
     } = req.body;
     
     console.log('Extracted fields:', {
@@ -645,6 +695,13 @@ router.post('/', async (req, res) => {
         error: 'Batch number is required when generating an invoice'
       });
     }
+    const currency = requestedCurrency ? normalizeCurrency(requestedCurrency) : BASE_CURRENCY;
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        error: 'currency must be AED or PHP'
+      });
+    }
 
     // Idempotent create: retries / double-submit must not fail on duplicate invoice_id
     const existingInvoiceForRequest = await Invoice.findOne({ request_id }).lean();
@@ -669,6 +726,35 @@ router.post('/', async (req, res) => {
     } catch (error) {
       console.log('⚠️ Could not fetch InvoiceRequest for delivery calculation:', error.message);
     }
+
+    if (invoiceRequest) {
+      const booking = invoiceRequest.booking_id
+        ? await Booking.findById(invoiceRequest.booking_id).select('-identityDocuments').lean()
+        : null;
+      const screening = await screenShipment({
+        stage: 'INVOICE_CREATE',
+        parties: invoiceRequestParties(invoiceRequest, booking),
+        bookingId: booking?._id,
+        invoiceRequestId: invoiceRequest._id,
+        userId: req.user.id,
+        acknowledge: acknowledge_watchlist === true,
+        acknowledgedEntryIds: acknowledgedEntryIds(booking),
+      });
+      if (screening.status === 'BLOCKED') {
+        return res.status(403).json({
+          success: false,
+          error: 'Shipment matches a blocking watchlist entry; no invoice can be created',
+          watchlist: screening.hits
+        });
+      }
+      if (screening.status === 'ESCALATED') {
+        return res.status(409).json({
+          success: false,
+          error: 'Shipment matches a watchlist entry that needs escalation; resend with acknowledge_watchlist to confirm',
+          watchlist: screening.hits
+        });
+      }
+    }
     
     // Get weight and number of boxes from InvoiceRequest
     let weight = 0;
@@ -791,6 +877,11 @@ router.post('/', async (req, res) => {
     // 1. verification.calculated_rate (updated with special rate)
     // 2. verification.amount (updated with special rate)
     // 3. Fallback to weight bracket calculation (handled by frontend/line_items)
+    // Only verification.special_rate is known to be a special rate; the others may hold the
+    // bracket rate the frontend worked out
+    const specialRate = invoiceRequest?.verification?.special_rate != null
+      ? parseFloat(invoiceRequest.verification.special_rate.toString())
+      : null;
     let rateFromVerification = null;
     if (invoiceRequest?.verification?.calculated_rate !== null && 
         invoiceRequest?.verification?.calculated_rate !== undefined) {
@@ -805,8 +896,7 @@ router.post('/', async (req, res) => {
     // If rate from verification is available and weight is available, calculate shipping charge
     let calculatedShippingChargeFromRate = null;
     if (rateFromVerification !== null && !isNaN(rateFromVerification) && rateFromVerification > 0 && weight > 0) {
-      calculatedShippingChargeFromRate = weight * rateFromVerification;
-      calculatedShippingChargeFromRate = Math.round(calculatedShippingChargeFromRate * 100) / 100;
+      calculatedShippingChargeFromRate = priceShipping(null, weight, rateFromVerification).shipping;
       console.log(`✅ Calculated shipping charge from rate: ${weight} kg × ${rateFromVerification} = ${calculatedShippingChargeFromRate} AED`);
     }
     
@@ -853,11 +943,34 @@ router.post('/', async (req, res) => {
       // deliveryChargeNum === 0 is valid ✅ (indicates free delivery)
     }
     
+    // Client contract rate card for this route, priced on top of the route bracket, with the
+    // same precedence as quotes (priceShipmentShipping): a special rate overrides it
+    let rateCardPricing = null;
+    const hasSpecialRate = specialRate !== null && !isNaN(specialRate) && specialRate > 0;
+    const bracketRoute = getBracketRouteForService(serviceCode);
+    if (bracketRoute && weight > 0 && mongoose.Types.ObjectId.isValid(client_id)) {
+      const { pricing } = await priceShipmentShipping({
+        route: bracketRoute,
+        clientId: client_id,
+        chargeableWeight: weight,
+        specialRate: hasSpecialRate ? specialRate : null,
+      });
+      if (pricing.rate_card && pricing.rate !== null) {
+        rateCardPricing = pricing;
+      }
+    }
+
     // Priority order for shipping charge:
-    // 1. Calculated from verification rate (special rate) × weight
-    // 2. From line_items
-    // 3. From amount in request body
-    if (calculatedShippingChargeFromRate !== null && calculatedShippingChargeFromRate > 0) {
+    // 1. Client rate card (contract rate, discount, minimum charge), unless a special rate is set
+    // 2. Calculated from verification rate (special rate) × weight
+    // 3. From line_items
+    // 4. From amount in request body
+    if (rateCardPricing) {
+      shippingCharge = rateCardPricing.shipping;
+      // line_items below keep the rate card price, not the verification rate
+      calculatedShippingChargeFromRate = null;
+      console.log(`✅ Using client rate card "${rateCardPricing.rate_card.name}": ${weight} kg × ${rateCardPricing.rate} - ${rateCardPricing.rate_card.discount_percent}% = ${shippingCharge} AED${rateCardPricing.minimum_applied ? ' (minimum charge)' : ''}`);
+    } else if (calculatedShippingChargeFromRate !== null && calculatedShippingChargeFromRate > 0) {
       shippingCharge = calculatedShippingChargeFromRate;
       console.log(`✅ Using shipping charge calculated from verification rate: ${shippingCharge} AED`);
     } else if (shippingCharge === 0) {
@@ -1429,6 +1542,92 @@ router.post('/', async (req, res) => {
       console.log(`✅ Pickup charge (${pickupCharge} AED) stored in invoice.pickup_charge field, NOT in line_items`);
     }
 
+    // Check the totals against a server-side quote when one is supplied
+    let quote = null;
+    if (quote_id) {
+      if (!mongoose.Types.ObjectId.isValid(quote_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid quote_id'
+        });
+      }
+      quote = await Quote.findById(quote_id);
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+      if (quote.expires_at < new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Quote has expired. Please request a new quote.'
+        });
+      }
+      if (quote.invoice_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Quote has already been used for another invoice'
+        });
+      }
+
+      // A quote is priced for one client (rate card, special terms); it cannot be used for another
+      if (String(quote.client_id || '') !== String(client_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Quote was issued for a different client'
+        });
+      }
+
+      const quotedRoute = quote.result?.route;
+      if (getBracketRouteForService(serviceCode) !== quotedRoute) {
+        return res.status(400).json({
+          success: false,
+          error: `Quote is for ${quotedRoute} but the invoice request is ${serviceCode || 'unknown'}`
+        });
+      }
+
+      // VAT is compared on both routes: a UAE_TO_PH total matches whether or not VAT is split out
+      // of it (Flomic/Personal vs other classifications), so the total alone does not show it
+      const comparisons = isPhToUae
+        ? (finalTaxRate === 5
+          ? [
+            { field: 'total_amount_tax_invoice', invoice: calculatedTotalAmountTaxInvoice, quote: quote.result.tax_invoice?.total },
+            { field: 'tax_amount', invoice: taxAmount, quote: quote.result.tax_invoice?.vat_amount },
+          ]
+          : [
+            { field: 'total_amount_cod', invoice: calculatedTotalAmountCod, quote: quote.result.cod_invoice?.total },
+            { field: 'tax_amount', invoice: taxAmount, quote: quote.result.cod_invoice?.vat_amount },
+          ])
+        : [
+          { field: 'total_amount', invoice: totalAmount, quote: quote.result.total },
+          { field: 'tax_amount', invoice: taxAmount, quote: quote.result.vat?.amount },
+        ];
+      const mismatches = comparisons.filter(c => Math.abs((c.invoice || 0) - (c.quote || 0)) >= 0.01);
+      if (mismatches.length > 0) {
+        console.warn('⚠️ Invoice totals differ from quote:', mismatches);
+        return res.status(409).json({
+          success: false,
+          error: 'Invoice totals do not match the quote',
+          details: mismatches
+        });
+      }
+      console.log(`✅ Invoice totals match quote ${quote._id}`);
+    }
+
+    // Snapshot the rate so the PHP amounts on this invoice never move
+    let exchangeRate = null;
+    if (currency !== BASE_CURRENCY) {
+      exchangeRate = await getRateSnapshot(currency);
+      if (!exchangeRate) {
+        return res.status(400).json({
+          success: false,
+          error: `No ${currency} exchange rate on file. Finance must enter one before invoicing in ${currency}.`
+        });
+      }
+      console.log(`✅ Billing in ${currency} at ${exchangeRate.rate} ${currency}/AED (rate of ${exchangeRate.effective_date.toISOString().slice(0, 10)})`);
+    }
+
     const invoiceData = {
       request_id,
       client_id,
@@ -1453,6 +1652,18 @@ router.post('/', async (req, res) => {
       } : {}),
       notes,
       created_by,
+      ...(quote ? { quote_id: quote._id } : {}),
+      currency,
+      ...(exchangeRate ? { exchange_rate: exchangeRate } : {}),
+      ...(rateCardPricing ? {
+        rate_card: {
+          rate_card_id: rateCardPricing.rate_card.rate_card_id,
+          name: rateCardPricing.rate_card.name,
+          rate: rateCardPricing.rate_card.rate,
+          discount_percent: rateCardPricing.rate_card.discount_percent,
+          minimum_charge: rateCardPricing.rate_card.minimum_charge
+        }
+      } : {}),
       has_delivery: hasDeliveryComputed, // Store delivery flag (computed)
       ...(customer_trn ? { customer_trn } : {}),
       batch_number: batch_number.toString().trim(),
@@ -1578,6 +1789,17 @@ router.post('/', async (req, res) => {
       console.log(`   total_amount: ${totalAmount} AED (based on tax_rate: ${finalTaxRate})`);
     }
     
+    // Record the price bracket version in force at creation so the rate basis can be audited later
+    try {
+      const pricingSnapshot = await getPricingSnapshot(serviceCode, weight);
+      if (pricingSnapshot) {
+        invoiceData.price_bracket_version = pricingSnapshot;
+        console.log(`✅ Priced against ${pricingSnapshot.route} bracket version ${pricingSnapshot.version} (${pricingSnapshot.bracket_label || 'no matching bracket'})`);
+      }
+    } catch (pricingError) {
+      console.warn('⚠️ Could not resolve price bracket version for invoice:', pricingError.message);
+    }
+
     console.log('📝 Invoice data to save (with invoice_id):', JSON.stringify(invoiceData, null, 2));
 
     const invoice = new Invoice(invoiceData);
@@ -1587,7 +1809,29 @@ router.post('/', async (req, res) => {
       _id: invoice._id
     });
     
-    await invoice.save();
+    // Claim the quote before saving so two concurrent requests cannot both use it
+    if (quote) {
+      const claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, invoice_id: null },
+        { $set: { invoice_id: invoice._id } },
+        { new: true }
+      );
+      if (!claimed) {
+        return res.status(400).json({
+          success: false,
+          error: 'Quote has already been used for another invoice'
+        });
+      }
+    }
+
+    try {
+      await invoice.save();
+    } catch (saveError) {
+      if (quote) {
+        await Quote.updateOne({ _id: quote._id, invoice_id: invoice._id }, { $unset: { invoice_id: 1 } });
+      }
+      throw saveError;
+    }
 
     // Sync invoice to EMPOST
     await syncInvoiceWithEMPost({
@@ -1601,37 +1845,34 @@ router.post('/', async (req, res) => {
       request_id: invoice.request_id
     });
 
+    await emitWebhookEvent('invoice.created', {
+      invoice_id: invoice._id,
+      invoice_number: invoice.invoice_id,
+      awb: invoice.awb_number || null,
+      invoice_request_id: invoice.request_id,
+      status: invoice.status,
+      total_amount: convertDecimal128(invoice.total_amount),
+      // Amounts are AED; billing_currency is what the customer is invoiced in
+      currency: BASE_CURRENCY,
+      billing_currency: invoice.currency || BASE_CURRENCY,
+      due_date: invoice.due_date,
+    });
+
     // Populate the created invoice for response
     const populatedInvoice = await Invoice.findById(invoice._id)
       .populate('request_id', REQUEST_POPULATE_FIELDS)
       .populate('client_id', 'company_name contact_name email phone address city country')
       .populate('created_by', 'full_name email department_id');
 
-    // Integrate with EMPOST API
+    // Create the shipment with its carrier; for EMPOST the outbox sends the shipment first, then the invoice
     try {
-      const empostAPI = require('../services/empost-api');
-      console.log('📦 Starting EMPOST integration for invoice:', invoice.invoice_id);
-      
-      // Create/update shipment in EMPOST
-      const shipmentResult = await empostAPI.createShipment(populatedInvoice);
-      
-      if (shipmentResult && shipmentResult.data && shipmentResult.data.uhawb) {
-        // Update invoice with UHAWB if returned
-        if (invoice.empost_uhawb !== shipmentResult.data.uhawb) {
-          invoice.empost_uhawb = shipmentResult.data.uhawb;
-          await invoice.save();
-          console.log('✅ Updated invoice with EMPOST UHAWB:', shipmentResult.data.uhawb);
-        }
-      }
-      
-      // Issue invoice in EMPOST
-      await empostAPI.issueInvoice(populatedInvoice);
-      console.log('✅ EMPOST shipment + invoice issued successfully');
-      
+      const carrier = await resolveCarrier(populatedInvoice);
+      console.log(`📦 Queuing ${carrier.code} shipment for invoice:`, invoice.invoice_id);
+      await carrier.createShipment({ invoice: populatedInvoice }, { reason: 'invoice created' });
+      await queueEmpostInvoiceIssue(populatedInvoice, { reason: 'invoice created' });
     } catch (empostError) {
       // Log error but don't block invoice creation
-      console.error('❌ EMPOST integration failed (invoice creation will continue):', empostError.message);
-      console.error('Error details:', empostError.response?.data || empostError.message);
+      console.error('❌ EMPOST integration could not be queued (invoice creation will continue):', empostError.message);
     }
 
     // Create notifications for all users about the new invoice - DISABLED
@@ -1745,6 +1986,10 @@ router.post('/', async (req, res) => {
           invoice_id: invoice.invoice_id,
           invoice_date: invoice.issue_date,
           invoice_amount: invoice.total_amount?.toString() || '0',
+          // invoice_amount is AED; billing_amount is in the invoice currency
+          currency: invoice.currency || BASE_CURRENCY,
+          exchange_rate: invoice.exchange_rate?.rate || 1,
+          billing_amount: fromBase(parseFloat(invoice.total_amount?.toString() || '0'), invoice.exchange_rate?.rate ? invoice.exchange_rate : null).toFixed(2),
           invoice_status: invoice.status,
           client_name: populatedInvoice.client_id?.company_name || 'Unknown',
           client_contact: populatedInvoice.client_id?.contact_name || 'N/A',
@@ -1805,10 +2050,10 @@ router.post('/', async (req, res) => {
 // Update invoice status
 router.put('/:id/status', async (req, res) => {
   try {
-    const { status, payment_reference } = req.body;
+    const { status, payment_reference, payment_method } = req.body;
     const invoiceId = req.params.id;
 
-    const invoice = await Invoice.findById(invoiceId);
+    let invoice = await Invoice.findById(invoiceId);
     if (!invoice) {
       return res.status(404).json({ 
         success: false,
@@ -1816,30 +2061,64 @@ router.put('/:id/status', async (req, res) => {
       });
     }
 
-    invoice.status = status;
-    if (status === 'PAID') {
-      invoice.paid_at = new Date();
-      if (payment_reference) {
-        invoice.payment_reference = payment_reference;
-      }
+    // Payment statuses come from the payments ledger (services/invoice-payments.js)
+    if (status === 'PARTIALLY_PAID') {
+      return res.status(400).json({
+        success: false,
+        error: 'PARTIALLY_PAID is set from the payments ledger; record a payment instead'
+      });
+    }
+    if ((status === 'UNPAID' || status === 'OVERDUE') && convertDecimal128(invoice.paid_amount) > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invoice has posted payments; reverse them before marking it ${status}`
+      });
     }
 
-    await invoice.save();
+    if (status === 'PAID' && computeBalanceDue(invoice) > 0) {
+      // Marking paid settles the open balance as one receipt
+      const result = await recordPayment({
+        invoiceId: invoice._id,
+        amount: computeBalanceDue(invoice),
+        method: payment_method || 'OTHER',
+        reference: payment_reference,
+        source: 'STATUS_UPDATE',
+        userId: req.user?.id
+      });
+      if (!result.success) {
+        return res.status(result.statusCode || 500).json({
+          success: false,
+          error: result.error
+        });
+      }
+      invoice = await Invoice.findById(invoiceId);
+    } else {
+      invoice.status = status;
+      if (status === 'PAID') {
+        invoice.paid_at = new Date();
+        if (payment_reference) {
+          invoice.payment_reference = payment_reference;
+        }
+      }
+      invoice.balance_due = mongoose.Types.Decimal128.fromString(computeBalanceDue(invoice).toFixed(2));
+
+      await invoice.save();
+    }
 
-    // Sync invoice status to EMPOST if it maps to a delivery status
-    const { syncStatusToEMPost, getTrackingNumberFromInvoice, mapInvoiceStatusToDeliveryStatus } = require('../utils/empost-status-sync');
+    // Settled/cancelled invoices move the shipment along when that is a legal transition
+    // (the state machine handles the EMPOST sync)
+    const { mapInvoiceStatusToDeliveryStatus } = require('../utils/empost-status-sync');
     const deliveryStatus = mapInvoiceStatusToDeliveryStatus(status);
     
     if (deliveryStatus) {
-      const trackingNumber = getTrackingNumberFromInvoice(invoice);
-      await syncStatusToEMPost({
-        trackingNumber,
-        status: deliveryStatus,
-        additionalData: {
-          deliveryDate: deliveryStatus === 'DELIVERED' ? new Date() : undefined,
-          invoice,
-        }
+      const transition = await transitionShipment({ invoice }, deliveryStatus, {
+        updatedBy: req.user?.email || req.user?.id,
+        source: 'invoice',
+        ifAllowed: true
       });
+      if (transition.skipped) {
+        console.log(`ℹ️  Shipment status left unchanged for invoice ${invoice.invoice_id}: ${transition.reason}`);
+      }
     }
 
     // Sync invoice status to shipment request if they share the same ID
@@ -1906,17 +2185,15 @@ router.patch('/:id/remit', async (req, res) => {
     invoice.status = 'REMITTED';
     await invoice.save();
 
-    // Sync REMITTED status to EMPOST (maps to DELIVERED)
-    const { syncStatusToEMPost, getTrackingNumberFromInvoice } = require('../utils/empost-status-sync');
-    const trackingNumber = getTrackingNumberFromInvoice(invoice);
-    await syncStatusToEMPost({
-      trackingNumber,
-      status: 'DELIVERED',
-      additionalData: {
-        deliveryDate: new Date(),
-        invoice,
-      }
+    // Remitted implies delivered; the state machine handles the EMPOST sync
+    const transition = await transitionShipment({ invoice }, 'DELIVERED', {
+      updatedBy: req.user?.email || req.user?.id,
+      source: 'invoice',
+      ifAllowed: true
     });
+    if (transition.skipped) {
+      console.log(`ℹ️  Shipment status left unchanged for invoice ${invoice.invoice_id}: ${transition.reason}`);
+    }
 
     // Sync invoice status to shipment request
     try {
@@ -2499,12 +2776,10 @@ router.put('/:id', async (req, res) => {
 
         // Re-issue invoice in EMPOST when invoice is edited
         try {
-          const empostAPI = require('../services/empost-api');
-          console.log('📄 Re-issuing EMPOST invoice after COD edit:', invoice.invoice_id);
-          await empostAPI.issueInvoice(populatedInvoice);
-          console.log('✅ EMPOST invoice re-issued successfully after COD edit');
+          console.log('📄 Queuing EMPOST invoice re-issue after COD edit:', invoice.invoice_id);
+          await queueEmpostInvoiceIssue(populatedInvoice, { reason: 'invoice COD edit' });
         } catch (empostError) {
-          console.error('❌ EMPOST invoice re-issue failed (edit will continue):', empostError.message);
+          console.error('❌ EMPOST invoice re-issue could not be queued (edit will continue):', empostError.message);
         }
 
         // Re-initiate delivery assignment after COD invoice update
@@ -2628,12 +2903,10 @@ router.put('/:id', async (req, res) => {
 
         // Re-issue invoice in EMPOST when invoice is edited
         try {
-          const empostAPI = require('../services/empost-api');
-          console.log('📄 Re-issuing EMPOST invoice after Tax edit:', invoice.invoice_id);
-          await empostAPI.issueInvoice(populatedInvoice);
-          console.log('✅ EMPOST invoice re-issued successfully after Tax edit');
+          console.log('📄 Queuing EMPOST invoice re-issue after Tax edit:', invoice.invoice_id);
+          await queueEmpostInvoiceIssue(populatedInvoice, { reason: 'invoice Tax edit' });
         } catch (empostError) {
-          console.error('❌ EMPOST invoice re-issue failed (edit will continue):', empostError.message);
+          console.error('❌ EMPOST invoice re-issue could not be queued (edit will continue):', empostError.message);
         }
 
         // Re-initiate delivery assignment after Tax invoice update
@@ -2861,13 +3134,10 @@ router.put('/:id', async (req, res) => {
 
     // Re-issue invoice in EMPOST when invoice is edited
     try {
-      const empostAPI = require('../services/empost-api');
-      console.log('📄 Re-issuing EMPOST invoice after edit:', invoice.invoice_id);
-      await empostAPI.issueInvoice(populatedInvoice);
-      console.log('✅ EMPOST invoice re-issued successfully after edit');
+      console.log('📄 Queuing EMPOST invoice re-issue after edit:', invoice.invoice_id);
+      await queueEmpostInvoiceIssue(populatedInvoice, { reason: 'invoice edited' });
     } catch (empostError) {
-      console.error('❌ EMPOST invoice re-issue failed (edit will continue):', empostError.message);
-      console.error('Error details:', empostError.response?.data || empostError.message);
+      console.error('❌ EMPOST invoice re-issue could not be queued (edit will continue):', empostError.message);
     }
 
     // Re-initiate delivery assignment after invoice update (update or create)
@@ -3029,6 +3299,7 @@ router.post('/:invoiceId/cancel', validateObjectIdParam('invoiceId'), async (req
       {
         $set: {
           status: 'CANCELLED',
+          balance_due: mongoose.Types.Decimal128.fromString('0.00'),
           ...cancellationData
         }
       },
@@ -3112,7 +3383,9 @@ router.post('/:invoiceId/cancel', validateObjectIdParam('invoiceId'), async (req
         const trackingNumber = invoice.awb_number || invoice.invoice_id;
         
         if (trackingNumber) {
-          await empostAPI.updateShipmentStatus(
+          // Queued in the transaction, so it is only sent if the cancellation commits
+          const carrier = await resolveCarrier(invoice);
+          const queued = await carrier.updateStatus(
             trackingNumber,
             'CANCELLED',
             { 
@@ -3120,14 +3393,15 @@ router.post('/:invoiceId/cancel', validateObjectIdParam('invoiceId'), async (req
               cancellation_reason: reason || null,
               empost_uhawb: invoice.empost_uhawb || null,
               invoice,
-            }
+            },
+            { reason: 'invoice cancelled', session }
           );
-          empostUpdated = true;
-          console.log('✅ EMPOST shipment status updated to CANCELLED');
+          empostUpdated = Boolean(queued);
+          console.log(`✅ ${carrier.code} shipment status update to CANCELLED queued`);
         }
       } catch (empostError) {
         // Log error but don't fail the transaction
-        console.error('⚠️ Failed to update EMPOST status (continuing with cancellation):', empostError.message);
+        console.error('⚠️ Failed to queue EMPOST status update (continuing with cancellation):', empostError.message);
         empostUpdated = false;
       }
     }
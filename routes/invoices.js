@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { ShipmentRequest } = require('../models/unified-schema');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const {
   syncStatusToEMPost,
   getTrackingNumberFromShipmentRequest,
@@ -187,7 +188,7 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Create new invoice (update shipment request with invoice data)
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, requirePermission('invoice:create'), async (req, res) => {
   try {
     const { request_id, invoice_amount, base_rate, due_date, payment_method } = req.body;
     
@@ -0,0 +1,134 @@
+const express = require('express');
+const crypto = require('crypto');
+const { Booking } = require('../models');
+const partnerAuth = require('../middleware/partnerAuth');
+const { createPartnerBooking } = require('./bookings');
+
+const router = express.Router();
+
+const SUMMARY_FIELDS = '_id referenceNumber awb partner review_status shipment_status createdAt';
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+// What a partner sees of its booking
+const toSummary = (booking) => ({
+  booking_id: booking._id,
+  reference_number: booking.referenceNumber,
+  awb: booking.awb,
+  partner_reference: booking.partner?.reference || null,
+  review_status: booking.review_status,
+  shipment_status: booking.shipment_status || null,
+  created_at: booking.createdAt,
+});
+
+const findByIdempotencyKey = (partnerId, key) => Booking.findOne({
+  'partner.partner_id': partnerId,
+  'partner.idempotency_key': key,
+}).select(SUMMARY_FIELDS).lean();
+
+// Same key, same body: return the booking created the first time
+function replay(res, booking, requestHash) {
+  res.locals.bookingId = booking._id;
+  if (booking.partner?.request_hash !== requestHash) {
+    return res.status(409).json({
+      success: false,
+      error: 'Idempotency-Key was already used with a different request body'
+    });
+  }
+  return res.status(200).json({
+    success: true,
+    data: toSummary(booking),
+    idempotent_replay: true,
+    message: 'Booking already created for this Idempotency-Key'
+  });
+}
+
+// POST /api/partner/bookings - create a booking (same body as a sales booking, plus partner_reference).
+// Send an Idempotency-Key header to retry safely.
+router.post('/bookings', partnerAuth('bookings:create'), async (req, res) => {
+  try {
+    const idempotencyKey = req.header('Idempotency-Key')?.trim() || null;
+    if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+      });
+    }
+    const { partner_reference, ...bookingData } = req.body;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+
+    if (idempotencyKey) {
+      const existing = await findByIdempotencyKey(req.partner.id, idempotencyKey);
+      if (existing) return replay(res, existing, requestHash);
+    }
+
+    let result;
+    try {
+      result = await createPartnerBooking(bookingData, {
+        partner_id: req.partner.id,
+        code: req.partner.code,
+        api_key_id: req.partnerKey.id,
+        reference: partner_reference ? String(partner_reference).trim() : undefined,
+        idempotency_key: idempotencyKey || undefined,
+        request_hash: requestHash,
+      });
+    } catch (error) {
+      // A concurrent request with the same key saved first
+      if (error.code === 11000 && idempotencyKey) {
+        const existing = await findByIdempotencyKey(req.partner.id, idempotencyKey);
+        if (existing) return replay(res, existing, requestHash);
+      }
+      throw error;
+    }
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error,
+        details: result.details
+      });
+    }
+
+    res.locals.bookingId = result.booking._id;
+    res.status(201).json({
+      success: true,
+      data: toSummary(result.booking),
+      possible_duplicate: result.possibleDuplicate,
+      message: 'Booking created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating partner booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create booking'
+    });
+  }
+});
+
+// GET /api/partner/bookings/:reference - one of the partner's bookings by our reference number, AWB or the partner's reference
+router.get('/bookings/:reference', partnerAuth('bookings:read'), async (req, res) => {
+  try {
+    const reference = String(req.params.reference).trim();
+    const booking = await Booking.findOne({
+      'partner.partner_id': req.partner.id,
+      $or: [
+        { referenceNumber: reference },
+        { awb: reference.toUpperCase() },
+        { 'partner.reference': reference },
+      ],
+    }).select(SUMMARY_FIELDS).lean();
+
+    if (!booking) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+    res.locals.bookingId = booking._id;
+    res.json({ success: true, data: toSummary(booking) });
+  } catch (error) {
+    console.error('Error fetching partner booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch booking'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  listPartners,
+  createPartner,
+  updatePartner,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listUsage,
+} = require('../services/partners');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('partner:manage'));
+
+const sendError = (res, result) => res.status(result.statusCode || 500).json({
+  success: false,
+  error: result.error
+});
+
+// GET /api/partners
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listPartners() });
+  } catch (error) {
+    console.error('Error fetching partners:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch partners' });
+  }
+});
+
+// POST /api/partners - { name, code, contact_email?, notes? }
+router.post('/', async (req, res) => {
+  try {
+    const result = await createPartner(req.body, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.status(201).json({ success: true, data: result.partner, message: 'Partner created' });
+  } catch (error) {
+    console.error('Error creating partner:', error);
+    res.status(500).json({ success: false, error: 'Failed to create partner' });
+  }
+});
+
+// PUT /api/partners/:id - { name?, contact_email?, notes?, active? }; an inactive partner's keys stop working
+router.put('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await updatePartner(req.params.id, req.body);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.partner, message: 'Partner updated' });
+  } catch (error) {
+    console.error('Error updating partner:', error);
+    res.status(500).json({ success: false, error: 'Failed to update partner' });
+  }
+});
+
+// GET /api/partners/:id/keys
+router.get('/:id/keys', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await listApiKeys(req.params.id) });
+  } catch (error) {
+    console.error('Error fetching partner API keys:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch API keys' });
+  }
+});
+
+// POST /api/partners/:id/keys - { name, scopes?, expires_at? }; the key is only shown in this response
+router.post('/:id/keys', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await createApiKey(req.params.id, req.body, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.status(201).json({
+      success: true,
+      data: { ...result.apiKey, key: result.key },
+      message: 'API key created. Store it now; it cannot be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating partner API key:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
+  }
+});
+
+// DELETE /api/partners/:id/keys/:keyId - revoke a key
+router.delete('/:id/keys/:keyId', validateObjectIdParam('id'), validateObjectIdParam('keyId'), async (req, res) => {
+  try {
+    const result = await revokeApiKey(req.params.id, req.params.keyId, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.apiKey, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking partner API key:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+  }
+});
+
+// GET /api/partners/:id/usage?key_id=&limit= - API requests, newest first
+router.get('/:id/usage', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const { key_id, limit } = req.query;
+    if (key_id && !mongoose.Types.ObjectId.isValid(key_id)) {
+      return res.status(400).json({ success: false, error: 'key_id must be a valid id' });
+    }
+    res.json({ success: true, data: await listUsage(req.params.id, { keyId: key_id, limit }) });
+  } catch (error) {
+    console.error('Error fetching partner API usage:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch API usage' });
+  }
+});
+
+module.exports = router;
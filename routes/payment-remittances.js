@@ -1,7 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const { PaymentRemittance, Driver, DeliveryAssignment } = require('../models/unified-schema');
+const { emitWebhookEvent } = require('../services/webhooks');
+
+// remittance.confirmed webhook; expects driver_id and assignment_ids populated
+const emitRemittanceConfirmed = (remittance) => emitWebhookEvent('remittance.confirmed', {
+  remittance_id: remittance._id,
+  remittance_number: remittance.remittance_id,
+  driver_id: remittance.driver_id?._id || remittance.driver_id || null,
+  driver_name: remittance.driver_id?.name || null,
+  total_amount: remittance.total_amount ? parseFloat(remittance.total_amount.toString()) : 0,
+  remittance_method: remittance.remittance_method || null,
+  delivery_assignment_ids: (remittance.assignment_ids || []).map(a => a?._id || a),
+  confirmed_at: remittance.confirmed_at,
+});
 
 // GET /api/payment-remittances - Get all payment remittances
 router.get('/', auth, async (req, res) => {
@@ -128,6 +142,7 @@ router.put('/:id', auth, async (req, res) => {
       updateData.confirmed_by = req.user.id;
     }
     
+    const previous = await PaymentRemittance.findById(req.params.id).select('status').lean();
     const remittance = await PaymentRemittance.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -143,6 +158,10 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
     
+    if (status === 'CONFIRMED' && previous?.status !== 'CONFIRMED') {
+      await emitRemittanceConfirmed(remittance);
+    }
+    
     res.json({
       success: true,
       data: remittance,
@@ -200,8 +219,9 @@ router.get('/pending', auth, async (req, res) => {
 });
 
 // POST /api/payment-remittances/:id/confirm - Confirm remittance
-router.post('/:id/confirm', auth, async (req, res) => {
+router.post('/:id/confirm', auth, requirePermission('remittance:confirm'), async (req, res) => {
   try {
+    const previous = await PaymentRemittance.findById(req.params.id).select('status').lean();
     const remittance = await PaymentRemittance.findByIdAndUpdate(
       req.params.id,
       { 
@@ -221,6 +241,10 @@ router.post('/:id/confirm', auth, async (req, res) => {
       });
     }
     
+    if (previous?.status !== 'CONFIRMED') {
+      await emitRemittanceConfirmed(remittance);
+    }
+    
     res.json({
       success: true,
       data: remittance,
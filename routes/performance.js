@@ -216,7 +216,7 @@ async function calculateFinanceMetrics(startDate, endDate) {
 
     // Calculate outstanding invoices
     const outstandingInvoices = invoices.filter(inv => 
-      inv.status === 'UNPAID'
+      inv.status === 'UNPAID' || inv.status === 'PARTIALLY_PAID'
     ).length;
 
     // Get cash flow transactions for this month
@@ -230,7 +230,8 @@ async function calculateFinanceMetrics(startDate, endDate) {
     let totalExpenses = 0;
     
     for (const transaction of cashFlowTransactions) {
-      const amount = parseFloat(transaction.amount?.toString() || '0');
+      // base_amount is AED for transactions entered in another currency
+      const amount = parseFloat((transaction.base_amount || transaction.amount)?.toString() || '0');
       if (transaction.direction === 'IN') {
         totalIncome += amount;
       } else {
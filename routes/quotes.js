@@ -0,0 +1,111 @@
+const express = require('express');
+const { Quote } = require('../models/unified-schema');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const { parseQuoteInput, calculateQuote } = require('../services/quote-engine');
+const { BASE_CURRENCY, normalizeCurrency, getRateSnapshot, fromBase } = require('../services/exchange-rates');
+
+const router = express.Router();
+
+// How long a quote can be used to check an invoice
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 7;
+
+// POST /api/quotes - price a shipment (chargeable weight, bracket, surcharges, VAT); optional currency for billing amounts
+router.post('/', auth, requirePermission('quote:create'), async (req, res) => {
+  try {
+    const { error, input } = parseQuoteInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : BASE_CURRENCY;
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        error: 'currency must be AED or PHP'
+      });
+    }
+    const exchangeRate = await getRateSnapshot(currency);
+    if (!exchangeRate) {
+      return res.status(400).json({
+        success: false,
+        error: `No ${currency} exchange rate on file`
+      });
+    }
+
+    const result = await calculateQuote(input);
+    // Pricing is in AED; billing shows the same quote in the requested currency
+    result.billing = {
+      currency,
+      rate: exchangeRate.rate,
+      rate_effective_date: exchangeRate.effective_date || null,
+      subtotal: fromBase(result.subtotal, exchangeRate),
+      vat_amount: fromBase(result.vat.amount, exchangeRate),
+      total: fromBase(result.total, exchangeRate),
+    };
+    const quote = await Quote.create({
+      route: input.route,
+      client_id: input.client_id || undefined,
+      input,
+      result,
+      total: result.total,
+      currency,
+      ...(currency !== BASE_CURRENCY ? { exchange_rate: exchangeRate } : {}),
+      price_bracket_version_id: result.price_bracket_version?.version_id,
+      expires_at: new Date(Date.now() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+      created_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        quote_id: quote._id,
+        expires_at: quote.expires_at,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error calculating quote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate quote',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/quotes/:id
+router.get('/:id', auth, validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id).lean();
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quote not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        quote_id: quote._id,
+        expires_at: quote.expires_at,
+        invoice_id: quote.invoice_id || null,
+        input: quote.input,
+        ...quote.result
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quote'
+    });
+  }
+});
+
+module.exports = router;
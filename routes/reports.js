@@ -2,6 +2,10 @@ const express = require('express');
 const { Report } = require('../models');
 const { Invoice } = require('../models/unified-schema');
 const { InvoiceRequest } = require('../models');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { AGING_BASES, buildArAging, agingToCsv, agingToXlsx } = require('../services/ar-aging');
 
 const router = express.Router();
 
@@ -328,6 +332,53 @@ router.get('/historical/:id', async (req, res) => {
   }
 });
 
+// GET /api/reports/ar-aging?as_of=&client_id=&basis=issue_date|due_date&format=json|csv|xlsx
+router.get('/ar-aging', auth, requirePermission('receivables:view'), async (req, res) => {
+  try {
+    const { as_of, client_id, basis = 'issue_date', format = 'json' } = req.query;
+
+    const asOf = as_of ? new Date(as_of) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ success: false, error: 'as_of must be a valid date' });
+    }
+    if (as_of && /^\d{4}-\d{2}-\d{2}$/.test(as_of)) {
+      // Date-only: include the whole day
+      asOf.setUTCHours(23, 59, 59, 999);
+    }
+    if (client_id && !mongoose.Types.ObjectId.isValid(client_id)) {
+      return res.status(400).json({ success: false, error: 'Invalid client_id' });
+    }
+    if (!AGING_BASES.includes(basis)) {
+      return res.status(400).json({ success: false, error: `basis must be one of ${AGING_BASES.join(', ')}` });
+    }
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be one of json, csv, xlsx' });
+    }
+
+    const report = await buildArAging({ asOf, clientId: client_id, basis });
+    const filename = `ar-aging-${asOf.toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(agingToCsv(report));
+    }
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      return res.send(agingToXlsx(report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building AR aging report:', error);
+    res.status(500).json({ success: false, error: 'Failed to build AR aging report' });
+  }
+});
+
 // Create report
 router.post('/', async (req, res) => {
   try {
@@ -0,0 +1,395 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Role, User, Department } = require('../models');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  PERMISSIONS,
+  getRequestPermissions,
+  invalidateRoleCache,
+  isKnownPermission,
+  ungrantablePermissions,
+} = require('../services/permissions');
+
+const SUPERADMIN_ROLE = 'superadmin';
+
+const router = express.Router();
+
+const validatePermissionList = body('permissions')
+  .optional()
+  .isArray()
+  .withMessage('permissions must be an array')
+  .custom((permissions) => {
+    const unknown = permissions.filter((p) => typeof p !== 'string' || !isKnownPermission(p));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+const validateRoleIdList = body('role_ids')
+  .isArray()
+  .withMessage('role_ids must be an array')
+  .custom((roleIds) => roleIds.every((id) => /^[0-9a-fA-F]{24}$/.test(String(id))))
+  .withMessage('role_ids must contain valid ObjectIds');
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+}
+
+async function findMissingRoleIds(roleIds) {
+  const found = await Role.find({ _id: { $in: roleIds } }).select('_id').lean();
+  const foundIds = new Set(found.map((role) => role._id.toString()));
+  return roleIds.filter((id) => !foundIds.has(String(id)));
+}
+
+/**
+ * Callers can only hand out what they hold themselves, and only a superadmin can touch the
+ * superadmin role. Returns an error message, or null when the grant is allowed.
+ * @param {object} grant
+ * @param {string[]} [grant.permissions] - permissions being added to a role
+ * @param {string[]} [grant.roleIds] - roles being assigned to a user or department
+ */
+async function checkGrant(req, { permissions = [], roleIds = [] }) {
+  const granted = await getRequestPermissions(req);
+  const isSuperadmin = req.permissions.roles.includes(SUPERADMIN_ROLE);
+
+  const roles = roleIds.length ? await Role.find({ _id: { $in: roleIds } }).select('name permissions').lean() : [];
+  if (!isSuperadmin && roles.some((role) => role.name === SUPERADMIN_ROLE)) {
+    return 'Only a superadmin can assign the superadmin role';
+  }
+
+  const requested = new Set(permissions);
+  roles.forEach((role) => (role.permissions || []).forEach((p) => requested.add(p)));
+  const missing = ungrantablePermissions(granted, Array.from(requested));
+  return missing.length > 0
+    ? `You cannot grant permissions you do not hold: ${missing.join(', ')}`
+    : null;
+}
+
+const addedIds = (next, current) => {
+  const existing = new Set((current || []).map((id) => id.toString()));
+  return next.filter((id) => !existing.has(String(id)));
+};
+
+// List every permission action known to the system
+router.get('/permissions', auth, requirePermission('role:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([action, description]) => ({ action, description }))
+  });
+});
+
+// Effective roles and permissions of the current user (used by the frontend to hide actions)
+router.get('/me', auth, async (req, res) => {
+  try {
+    const permissions = await getRequestPermissions(req);
+    res.json({
+      success: true,
+      data: {
+        roles: req.permissions.roles,
+        permissions: Array.from(permissions).sort()
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving permissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve permissions'
+    });
+  }
+});
+
+// Get all roles
+router.get('/', auth, requirePermission('role:manage'), async (req, res) => {
+  try {
+    // Touch the resolver so built-in roles exist before the first listing
+    await getRequestPermissions(req);
+    const roles = await Role.find().sort({ is_system: -1, name: 1 }).lean();
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles'
+    });
+  }
+});
+
+// Create role
+router.post('/', auth, requirePermission('role:manage'), [
+  body('name').isString().trim().notEmpty().withMessage('name is required'),
+  body('description').optional().isString(),
+  validatePermissionList,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, description, permissions = [] } = req.body;
+    const grantError = await checkGrant(req, { permissions });
+    if (grantError) {
+      return res.status(403).json({ success: false, error: grantError });
+    }
+
+    const existing = await Role.findOne({ name: name.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'A role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      is_system: false,
+      updated_by: req.user.id,
+    });
+    invalidateRoleCache();
+
+    res.status(201).json({
+      success: true,
+      data: role,
+      message: 'Role created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create role'
+    });
+  }
+});
+
+// Update role description/permissions (built-in role names are fixed)
+router.put('/:id', auth, requirePermission('role:manage'), validateObjectIdParam('id'), [
+  body('name').optional().isString().trim().notEmpty(),
+  body('description').optional().isString(),
+  validatePermissionList,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role.name === SUPERADMIN_ROLE && !req.permissions.roles.includes(SUPERADMIN_ROLE)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only a superadmin can edit the superadmin role'
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+    if (permissions !== undefined) {
+      // Permissions the role already has may stay even if the caller lacks them
+      const current = new Set(role.permissions || []);
+      const grantError = await checkGrant(req, { permissions: permissions.filter((p) => !current.has(p)) });
+      if (grantError) {
+        return res.status(403).json({ success: false, error: grantError });
+      }
+    }
+    if (name !== undefined && name.toLowerCase() !== role.name) {
+      if (role.is_system) {
+        return res.status(400).json({
+          success: false,
+          error: 'Built-in roles cannot be renamed'
+        });
+      }
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    role.updated_by = req.user.id;
+
+    await role.save();
+    invalidateRoleCache();
+
+    res.json({
+      success: true,
+      data: role,
+      message: 'Role updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A role with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  }
+});
+
+// Delete custom role and detach it from users and departments
+router.delete('/:id', auth, requirePermission('role:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    await Promise.all([
+      User.updateMany({ role_ids: role._id }, { $pull: { role_ids: role._id } }),
+      Department.updateMany({ role_ids: role._id }, { $pull: { role_ids: role._id } }),
+    ]);
+    await Role.findByIdAndDelete(role._id);
+    invalidateRoleCache();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete role'
+    });
+  }
+});
+
+// Assign roles directly to a user (replaces the user's current direct roles)
+router.put('/users/:userId', auth, requirePermission('role:manage'), validateObjectIdParam('userId'), [
+  validateRoleIdList,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { role_ids } = req.body;
+    const missing = await findMissingRoleIds(role_ids);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Roles not found: ${missing.join(', ')}`
+      });
+    }
+
+    const current = await User.findById(req.params.userId).select('role_ids').lean();
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    const grantError = await checkGrant(req, { roleIds: addedIds(role_ids, current.role_ids) });
+    if (grantError) {
+      return res.status(403).json({ success: false, error: grantError });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { role_ids } },
+      { new: true }
+    ).select('_id email full_name role role_ids').populate('role_ids', 'name');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User roles updated successfully'
+    });
+  } catch (error) {
+    console.error('Error assigning user roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign user roles'
+    });
+  }
+});
+
+// Assign roles to a department; replaces the name-based default role for its members
+router.put('/departments/:departmentId', auth, requirePermission('role:manage'), validateObjectIdParam('departmentId'), [
+  validateRoleIdList,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { role_ids } = req.body;
+    const missing = await findMissingRoleIds(role_ids);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Roles not found: ${missing.join(', ')}`
+      });
+    }
+
+    const current = await Department.findById(req.params.departmentId).select('role_ids').lean();
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+    const grantError = await checkGrant(req, { roleIds: addedIds(role_ids, current.role_ids) });
+    if (grantError) {
+      return res.status(403).json({ success: false, error: grantError });
+    }
+
+    const department = await Department.findByIdAndUpdate(
+      req.params.departmentId,
+      { $set: { role_ids } },
+      { new: true }
+    ).populate('role_ids', 'name');
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: department,
+      message: 'Department roles updated successfully'
+    });
+  } catch (error) {
+    console.error('Error assigning department roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign department roles'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const mongoose = require('mongoose');
+const { Booking } = require('../models');
 const {
+  getOrCreateSettings,
   getPublicSystemSettings,
   setBookingAutoReviewEnabled,
+  getBookingAutoReviewRules,
+  setBookingAutoReviewRules,
 } = require('../services/system-settings');
+const { evaluateAutoReviewRules, listAutoReviewDecisions } = require('../services/booking-auto-review-rules');
 
-function canManageSystemSettings(req) {
-  if (!req.user) return false;
-  if (req.user.role === 'SUPERADMIN' || req.user.role === 'ADMIN') return true;
-  const dept = req.user.department;
-  const deptName = typeof dept === 'object' && dept?.name ? dept.name : dept;
-  return deptName === 'Management';
-}
+const requireSettingsManager = requirePermission('system-settings:manage');
 
-const requireSettingsManager = (req, res, next) => {
-  if (!canManageSystemSettings(req)) {
-    return res.status(403).json({
-      success: false,
-      error: 'Forbidden: Admin or Management access required.',
-    });
-  }
-  next();
-};
-
-/** GET /api/system-settings — admin / management only (hidden from other users) */
+/** GET /api/system-settings — requires system-settings:manage (hidden from other users) */
 router.get('/', auth, requireSettingsManager, async (req, res) => {
   try {
     const data = await getPublicSystemSettings();
@@ -39,7 +30,7 @@ router.get('/', auth, requireSettingsManager, async (req, res) => {
   }
 });
 
-/** PUT /api/system-settings/booking-auto-review — admin only */
+/** PUT /api/system-settings/booking-auto-review — requires system-settings:manage */
 router.put('/booking-auto-review', auth, requireSettingsManager, async (req, res) => {
   try {
     const { enabled } = req.body;
@@ -77,4 +68,98 @@ router.put('/booking-auto-review', auth, requireSettingsManager, async (req, res
   }
 });
 
+/** GET /api/system-settings/booking-auto-review/rules — requires system-settings:manage */
+router.get('/booking-auto-review/rules', auth, requireSettingsManager, async (req, res) => {
+  try {
+    const data = await getBookingAutoReviewRules();
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error reading auto-review rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read auto-review rules',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/system-settings/booking-auto-review/rules — requires system-settings:manage
+ * Body: { rules?, default_action?, sender_blacklist? }; rules replace the whole list, first match wins.
+ */
+router.put('/booking-auto-review/rules', auth, requireSettingsManager, async (req, res) => {
+  try {
+    const result = await setBookingAutoReviewRules(req.body || {}, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Auto-review rules updated',
+    });
+  } catch (error) {
+    console.error('Error updating auto-review rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update auto-review rules',
+      details: error.message,
+    });
+  }
+});
+
+/** POST /api/system-settings/booking-auto-review/rules/test — { booking_id }; shows the decision without acting */
+router.post('/booking-auto-review/rules/test', auth, requireSettingsManager, async (req, res) => {
+  try {
+    const { booking_id } = req.body;
+    if (!booking_id || !mongoose.Types.ObjectId.isValid(booking_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'booking_id must be a valid id',
+      });
+    }
+    const booking = await Booking.findById(booking_id).lean();
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found',
+      });
+    }
+    const decision = evaluateAutoReviewRules(booking, await getOrCreateSettings());
+    res.json({ success: true, data: decision });
+  } catch (error) {
+    console.error('Error testing auto-review rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test auto-review rules',
+      details: error.message,
+    });
+  }
+});
+
+/** GET /api/system-settings/booking-auto-review/decisions?booking_id=&action=&limit= — decision log, newest first */
+router.get('/booking-auto-review/decisions', auth, requireSettingsManager, async (req, res) => {
+  try {
+    const { booking_id, action, limit } = req.query;
+    if (booking_id && !mongoose.Types.ObjectId.isValid(booking_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'booking_id must be a valid id',
+      });
+    }
+    const data = await listAutoReviewDecisions({ bookingId: booking_id, action, limit });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error reading auto-review decisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read auto-review decisions',
+      details: error.message,
+    });
+  }
+});
+
 module.exports = router;
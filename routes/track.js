@@ -0,0 +1,53 @@
+const express = require('express');
+const { MAX_AWBS_PER_REQUEST, parseAwbList, trackShipments } = require('../services/shipment-tracking');
+
+const router = express.Router();
+
+// GET /api/track/:awb - public, no auth. :awb may be a comma-separated list.
+router.get('/:awb', async (req, res) => {
+  try {
+    const awbs = parseAwbList(req.params.awb);
+    if (awbs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'AWB number is required'
+      });
+    }
+    if (awbs.length > MAX_AWBS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `Track up to ${MAX_AWBS_PER_REQUEST} AWBs per request`
+      });
+    }
+
+    const results = await trackShipments(awbs);
+    res.set('Cache-Control', 'public, max-age=60');
+
+    // Single AWB: plain object, 404 when unknown. List: one entry per AWB with found flags.
+    if (awbs.length === 1) {
+      if (!results[0].found) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shipment not found'
+        });
+      }
+      return res.json({
+        success: true,
+        data: results[0]
+      });
+    }
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error tracking shipment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to track shipment'
+    });
+  }
+});
+
+module.exports = router;
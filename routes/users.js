@@ -1,15 +1,20 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const { User, Employee } = require('../models');
+const { User, Employee, UserSession } = require('../models');
 const auth = require('../middleware/auth');
-const requireAdmin = require('../middleware/roleAuth');
-const requireSuperAdmin = require('../middleware/roleAuth').requireSuperAdmin;
+const { revokeAllUserSessions } = require('../services/auth-sessions');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const { ACCOUNT_ROLE_MAP } = require('../services/permissions');
 
 const router = express.Router();
 
-// Get all users - Requires authentication and admin role
-router.get('/', auth, requireAdmin, async (req, res) => {
+// Superadmin accounts are only made, changed or demoted by a superadmin (as in routes/roles.js)
+const isSuperadminCaller = (req) => req.permissions.roles.includes(ACCOUNT_ROLE_MAP.SUPERADMIN);
+
+// Get all users - Requires user:manage permission
+router.get('/', auth, requirePermission('user:manage'), async (req, res) => {
   try {
     const users = await User.find()
       .populate('department_id')
@@ -29,8 +34,8 @@ router.get('/', auth, requireAdmin, async (req, res) => {
   }
 });
 
-// Create new user (only from existing employees) - Requires authentication and admin role
-router.post('/', auth, requireAdmin, [
+// Create new user (only from existing employees) - Requires user:manage permission
+router.post('/', auth, requirePermission('user:manage'), [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 4 }),
   body('employee_id').isMongoId(),
@@ -46,6 +51,11 @@ router.post('/', auth, requireAdmin, [
     }
 
     const { email, password, employee_id, role } = req.body;
+    if (role === 'SUPERADMIN' && !isSuperadminCaller(req)) {
+      return res.status(403).json({
+        error: 'Only a superadmin can create a superadmin user'
+      });
+    }
 
     // Check if employee exists
     const employee = await Employee.findById(employee_id).populate('department_id');
@@ -105,8 +115,8 @@ router.post('/', auth, requireAdmin, [
   }
 });
 
-// Update user - Requires authentication and admin role
-router.put('/:id', auth, requireAdmin, [
+// Update user - Requires user:manage permission
+router.put('/:id', auth, requirePermission('user:manage'), [
   body('email').optional().isEmail().normalizeEmail(),
   body('role').optional().isIn(['SUPERADMIN', 'ADMIN', 'USER']),
   body('isActive').optional().isBoolean(),
@@ -128,6 +138,13 @@ router.put('/:id', auth, requireAdmin, [
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if ((user.role === 'SUPERADMIN' || role === 'SUPERADMIN') && !isSuperadminCaller(req)) {
+      return res.status(403).json({
+        error: 'Only a superadmin can change a superadmin user or grant the SUPERADMIN role'
+      });
+    }
+
+    const isBeingDisabled = isActive === false && user.isActive !== false;
 
     // Update fields
     if (email) user.email = email;
@@ -137,6 +154,11 @@ router.put('/:id', auth, requireAdmin, [
 
     await user.save();
 
+    // Disabling an account or setting a new password ends every live session immediately
+    if (isBeingDisabled || password) {
+      await revokeAllUserSessions(user._id, isBeingDisabled ? 'user_disabled' : 'password_changed');
+    }
+
     // Return updated user data without password
     const userData = {
       _id: user._id,
@@ -160,8 +182,8 @@ router.put('/:id', auth, requireAdmin, [
   }
 });
 
-// Delete user - Requires authentication and admin role
-router.delete('/:id', auth, requireAdmin, async (req, res) => {
+// Delete user - Requires user:manage permission
+router.delete('/:id', auth, requirePermission('user:manage'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -182,6 +204,7 @@ router.delete('/:id', auth, requireAdmin, async (req, res) => {
     }
 
     await User.findByIdAndDelete(userId);
+    await revokeAllUserSessions(userId, 'user_deleted');
 
     res.json({ 
       success: true, 
@@ -232,6 +255,11 @@ router.post('/change-password', auth, async (req, res) => {
     user.password = password;
     await user.save();
 
+    // Sign out other devices; the session making this request stays valid
+    await revokeAllUserSessions(user._id, 'password_changed', {
+      exceptSessionId: req.user.sessionId,
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -245,8 +273,8 @@ router.post('/change-password', auth, async (req, res) => {
   }
 });
 
-// Reset password endpoint - Requires SUPERADMIN role
-router.post('/:id/reset-password', auth, requireSuperAdmin, async (req, res) => {
+// Reset password endpoint - Requires user:reset-password permission
+router.post('/:id/reset-password', auth, requirePermission('user:reset-password'), async (req, res) => {
   try {
     const userId = req.params.id;
     const { password } = req.body;
@@ -267,6 +295,12 @@ router.post('/:id/reset-password', auth, requireSuperAdmin, async (req, res) =>
         error: 'User not found'
       });
     }
+    if (user.role === 'SUPERADMIN' && !isSuperadminCaller(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only a superadmin can reset a superadmin password'
+      });
+    }
 
     let newPassword;
     let message;
@@ -294,6 +328,9 @@ router.post('/:id/reset-password', auth, requireSuperAdmin, async (req, res) =>
     user.password = newPassword;
     await user.save();
 
+    // Kill live sessions (HTTP and WebSocket) so the old password holder is signed out
+    await revokeAllUserSessions(user._id, 'password_reset');
+
     // Return user data without password
     const userData = {
       _id: user._id,
@@ -327,4 +364,59 @@ router.post('/:id/reset-password', auth, requireSuperAdmin, async (req, res) =>
   }
 });
 
+// List active sessions for a user - Requires user:manage permission
+router.get('/:id/sessions', auth, requirePermission('user:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const sessions = await UserSession.find({
+      user_id: req.params.id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    })
+      .select('-refresh_token_hash -previous_refresh_token_hash')
+      .sort({ last_used_at: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user sessions'
+    });
+  }
+});
+
+// Revoke all sessions for a user - Requires user:manage permission
+router.post('/:id/revoke-sessions', auth, requirePermission('user:manage'), validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const revokedCount = await revokeAllUserSessions(user._id, 'admin_revoke');
+
+    res.json({
+      success: true,
+      data: {
+        user_id: user._id,
+        revoked_count: revokedCount
+      },
+      message: 'All sessions revoked for user'
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  listEntries,
+  createEntry,
+  updateEntry,
+  listHits,
+  checkValues,
+} = require('../services/watchlist');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('watchlist:manage'));
+
+// GET /api/watchlist?q=&action=&active= - entries, newest first; q matches a name, phone or ID number
+router.get('/', async (req, res) => {
+  try {
+    const { q, action, active, limit } = req.query;
+    const entries = await listEntries({ q, action, active, limit });
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error('Error fetching watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlist'
+    });
+  }
+});
+
+// GET /api/watchlist/hits?entry_id=&booking_id=&stage=&outcome= - screening hits, newest first
+router.get('/hits', async (req, res) => {
+  try {
+    const { entry_id, booking_id, stage, outcome, limit } = req.query;
+    for (const [key, value] of Object.entries({ entry_id, booking_id })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, error: `${key} must be a valid id` });
+      }
+    }
+    const hits = await listHits({ entryId: entry_id, bookingId: booking_id, stage, outcome, limit });
+    res.json({ success: true, data: hits });
+  } catch (error) {
+    console.error('Error fetching watchlist hits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlist hits'
+    });
+  }
+});
+
+// POST /api/watchlist/check - { name?, phone?, id_number? } entries these values would match (not logged)
+router.post('/check', async (req, res) => {
+  try {
+    const { name, phone, id_number } = req.body;
+    if (!name && !phone && !id_number) {
+      return res.status(400).json({ success: false, error: 'name, phone or id_number is required' });
+    }
+    const matches = await checkValues({ name, phone, id_number });
+    res.json({ success: true, data: matches });
+  } catch (error) {
+    console.error('Error checking watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check watchlist'
+    });
+  }
+});
+
+// POST /api/watchlist - { name?, phone?, id_number?, party, action, category, reason, expires_at? }
+router.post('/', async (req, res) => {
+  try {
+    const result = await createEntry(req.body, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, error: result.error });
+    }
+    res.status(201).json({
+      success: true,
+      data: result.entry,
+      message: 'Watchlist entry created'
+    });
+  } catch (error) {
+    console.error('Error creating watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create watchlist entry'
+    });
+  }
+});
+
+// PUT /api/watchlist/:id - change an entry; fields left out keep their value
+router.put('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await updateEntry(req.params.id, req.body, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      data: result.entry,
+      message: 'Watchlist entry updated'
+    });
+  } catch (error) {
+    console.error('Error updating watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update watchlist entry'
+    });
+  }
+});
+
+// DELETE /api/watchlist/:id - deactivate an entry; it stays on file for its hits
+router.delete('/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await updateEntry(req.params.id, { active: false }, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      data: result.entry,
+      message: 'Watchlist entry deactivated'
+    });
+  } catch (error) {
+    console.error('Error deactivating watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate watchlist entry'
+    });
+  }
+});
+
+module.exports = router;
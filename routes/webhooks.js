@@ -0,0 +1,145 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const { validateObjectIdParam } = require('../middleware/security');
+const {
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  rotateEndpointSecret,
+  sendTestEvent,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+} = require('../services/webhooks');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('webhook:manage'));
+
+const sendError = (res, result) => res.status(result.statusCode || 500).json({
+  success: false,
+  error: result.error
+});
+
+// GET /api/webhooks/endpoints
+router.get('/endpoints', async (req, res) => {
+  try {
+    res.json({ success: true, data: await listEndpoints() });
+  } catch (error) {
+    console.error('Error fetching webhook endpoints:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook endpoints' });
+  }
+});
+
+// POST /api/webhooks/endpoints - { url, events, description?, secret? }; the secret is only shown in this response
+router.post('/endpoints', async (req, res) => {
+  try {
+    const result = await createEndpoint(req.body, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.status(201).json({
+      success: true,
+      data: { ...result.endpoint, secret: result.secret },
+      message: 'Webhook endpoint created. Store the secret now; it cannot be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+    res.status(500).json({ success: false, error: 'Failed to create webhook endpoint' });
+  }
+});
+
+// PUT /api/webhooks/endpoints/:id - { url?, events?, description?, active? }
+router.put('/endpoints/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await updateEndpoint(req.params.id, req.body);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.endpoint, message: 'Webhook endpoint updated' });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+    res.status(500).json({ success: false, error: 'Failed to update webhook endpoint' });
+  }
+});
+
+// DELETE /api/webhooks/endpoints/:id - deactivate; its delivery log is kept
+router.delete('/endpoints/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await updateEndpoint(req.params.id, { active: false });
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.endpoint, message: 'Webhook endpoint deactivated' });
+  } catch (error) {
+    console.error('Error deactivating webhook endpoint:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate webhook endpoint' });
+  }
+});
+
+// POST /api/webhooks/endpoints/:id/rotate-secret - the old secret stops working immediately
+router.post('/endpoints/:id/rotate-secret', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await rotateEndpointSecret(req.params.id);
+    if (!result.success) return sendError(res, result);
+    res.json({
+      success: true,
+      data: { ...result.endpoint.toObject(), secret: result.secret },
+      message: 'Webhook secret rotated. Store it now; it cannot be shown again.'
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// POST /api/webhooks/endpoints/:id/test - send a ping event now
+router.post('/endpoints/:id/test', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await sendTestEvent(req.params.id);
+    if (!result.success) return sendError(res, result);
+    res.json({ success: true, data: result.delivery });
+  } catch (error) {
+    console.error('Error sending webhook test event:', error);
+    res.status(500).json({ success: false, error: 'Failed to send test event' });
+  }
+});
+
+// GET /api/webhooks/deliveries?endpoint_id=&event=&status=&event_id=&limit= - newest first
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { endpoint_id, event, status, event_id, limit } = req.query;
+    if (endpoint_id && !mongoose.Types.ObjectId.isValid(endpoint_id)) {
+      return res.status(400).json({ success: false, error: 'endpoint_id must be a valid id' });
+    }
+    const data = await listDeliveries({ endpointId: endpoint_id, event, status, eventId: event_id, limit });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// GET /api/webhooks/deliveries/:id - with payload and every attempt
+router.get('/deliveries/:id', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// POST /api/webhooks/deliveries/:id/redeliver - send the same payload again as a new delivery
+router.post('/deliveries/:id/redeliver', validateObjectIdParam('id'), async (req, res) => {
+  try {
+    const result = await redeliver(req.params.id, req.user.id);
+    if (!result.success) return sendError(res, result);
+    res.status(201).json({ success: true, data: result.delivery, message: 'Delivery sent again' });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ success: false, error: 'Failed to redeliver webhook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,499 @@
+/**
+ * Local EMPOST sandbox.
+ *
+ * Implements the EMPOST endpoints services/empost-api.js calls (authenticate, shipment
+ * create/update, issueInvoice, delivery cancel) against an in-memory store, and validates request
+ * bodies against the shapes built by mapInvoiceToShipment, mapInvoiceRequestToShipment,
+ * buildShipmentUpdatePayload, mapInvoiceToEMpostInvoice and mapCreditNoteToEMpostInvoice.
+ *
+ * Run:   npm run empost:mock          (listens on EMPOST_MOCK_PORT, default 4010)
+ * Then:  EMPOST_API_BASE_URL=http://localhost:4010 with any EMPOST_CLIENT_ID/EMPOST_CLIENT_SECRET
+ *        (or the pair in EMPOST_MOCK_CLIENT_ID/EMPOST_MOCK_CLIENT_SECRET if set).
+ *
+ * Failures are scripted through the control API under /__mock:
+ *   POST   /__mock/failures  { "mode": "500", "endpoint": "shipment/create", "times": 2 }
+ *          modes: timeout, reset, 400, 401, 404, 429, 500, 502, 503
+ *          endpoint (optional): auth, shipment/create, issueInvoice, deliveries/cancel
+ *   GET    /__mock/failures, DELETE /__mock/failures
+ *   GET    /__mock/state     shipments, invoices and cancellations received
+ *   GET    /__mock/requests  request log, newest first (?limit=)
+ *   POST   /__mock/reset     clear everything, including issued tokens
+ *
+ * Can also be started from code: const { startEmpostMockServer } = require('./empost-mock-server').
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_PORT = 4010;
+const TOKEN_TTL_SECONDS = parseInt(process.env.EMPOST_MOCK_TOKEN_TTL, 10) || 3600;
+// Longer than the 30s client timeout in services/empost-api.js
+const DEFAULT_TIMEOUT_DELAY_MS = 35000;
+const MAX_LOGGED_REQUESTS = 500;
+
+const ENDPOINTS = {
+  auth: '/api/v1/auth/authenticate',
+  'shipment/create': '/api/v1/shipment/create',
+  issueInvoice: '/api/v1/shipment/issueInvoice',
+  'deliveries/cancel': '/empost/api/v1/deliveries/cancel',
+};
+const FAILURE_MODES = ['timeout', 'reset', '400', '401', '404', '429', '500', '502', '503'];
+const DELIVERY_STATUSES = ['Pending', 'In Transit', 'Delivered', 'Cancelled'];
+
+// ---------------------------------------------------------------------------
+// Payload validation
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isIsoDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+function createValidator() {
+  const errors = [];
+  const fail = (field, message) => errors.push({ code: 'VALIDATION_ERROR', field, message: `${field} ${message}` });
+
+  const check = {
+    errors,
+    string(value, field, { required = true, max } = {}) {
+      if (value === undefined || value === null) {
+        if (required) fail(field, 'is required');
+        return;
+      }
+      if (typeof value !== 'string') return fail(field, 'must be a string');
+      if (required && !value.trim()) return fail(field, 'must not be empty');
+      if (max && value.length > max) fail(field, `must be at most ${max} characters`);
+    },
+    number(value, field, { min, exclusiveMin, integer = false } = {}) {
+      if (!isNumber(value)) return fail(field, 'must be a number');
+      if (integer && !Number.isInteger(value)) return fail(field, 'must be an integer');
+      if (min !== undefined && value < min) fail(field, `must be >= ${min}`);
+      if (exclusiveMin !== undefined && value <= exclusiveMin) fail(field, `must be > ${exclusiveMin}`);
+    },
+    oneOf(value, field, allowed) {
+      if (!allowed.includes(value)) fail(field, `must be one of ${allowed.join(', ')}`);
+    },
+    countryCode(value, field) {
+      if (typeof value !== 'string' || !/^[A-Z]{2}$/.test(value)) fail(field, 'must be a 2-letter uppercase country code');
+    },
+    currency(value, field) {
+      if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value)) fail(field, 'must be a 3-letter currency code');
+    },
+    date(value, field) {
+      if (!isIsoDate(value)) fail(field, 'must be an ISO date');
+    },
+    object(value, field) {
+      if (!isObject(value)) {
+        fail(field, 'must be an object');
+        return false;
+      }
+      return true;
+    },
+    weight(value, field) {
+      if (!check.object(value, field)) return;
+      check.oneOf(value.unit, `${field}.unit`, ['KG']);
+      check.number(value.value, `${field}.value`, { exclusiveMin: 0 });
+    },
+    dimensions(value, field) {
+      if (!check.object(value, field)) return;
+      check.oneOf(value.unit, `${field}.unit`, ['CM']);
+      ['length', 'width', 'height'].forEach(side => check.number(value[side], `${field}.${side}`, { exclusiveMin: 0 }));
+    },
+    money(value, field) {
+      if (!check.object(value, field)) return;
+      check.currency(value.currencyCode, `${field}.currencyCode`);
+      check.number(value.amount, `${field}.amount`);
+    },
+  };
+  return check;
+}
+
+function validateParty(check, party, field, { emailRequired }) {
+  if (!check.object(party, field)) return;
+  check.string(party.name, `${field}.name`);
+  check.string(party.email, `${field}.email`, { required: emailRequired });
+  check.string(party.phone, `${field}.phone`);
+  check.string(party.secondPhone, `${field}.secondPhone`, { required: false });
+  check.countryCode(party.countryCode, `${field}.countryCode`);
+  check.string(party.city, `${field}.city`);
+  check.string(party.line1, `${field}.line1`);
+  ['state', 'postCode', 'line2', 'line3'].forEach(key => check.string(party[key], `${field}.${key}`, { required: false }));
+}
+
+/**
+ * Shipment create/update body (mapInvoiceToShipment, mapInvoiceRequestToShipment,
+ * buildShipmentUpdatePayload).
+ * @returns {Array<{ code: string, field: string, message: string }>}
+ */
+function validateShipmentPayload(body) {
+  const check = createValidator();
+  if (!check.object(body, 'body')) return check.errors;
+
+  check.string(body.trackingNumber, 'trackingNumber');
+  check.string(body.uhawb, 'uhawb', { required: false });
+  if (isNonEmptyString(body.uhawb) && !/^AE\d{8,20}$/i.test(body.uhawb)) {
+    check.errors.push({ code: 'VALIDATION_ERROR', field: 'uhawb', message: 'uhawb must look like AE followed by 8-20 digits' });
+  }
+  validateParty(check, body.sender, 'sender', { emailRequired: true });
+  validateParty(check, body.receiver, 'receiver', { emailRequired: false });
+
+  const { details } = body;
+  if (check.object(details, 'details')) {
+    check.weight(details.weight, 'details.weight');
+    check.weight(details.declaredWeight, 'details.declaredWeight');
+    if (check.object(details.deliveryCharges, 'details.deliveryCharges')) {
+      check.money(details.deliveryCharges, 'details.deliveryCharges');
+      check.number(details.deliveryCharges.amount, 'details.deliveryCharges.amount', { min: 0 });
+    }
+    check.number(details.numberOfPieces, 'details.numberOfPieces', { min: 1, integer: true });
+    check.date(details.pickupDate, 'details.pickupDate');
+    check.oneOf(details.deliveryStatus, 'details.deliveryStatus', DELIVERY_STATUSES);
+    check.number(details.deliveryAttempts, 'details.deliveryAttempts', { min: 0, integer: true });
+    check.oneOf(details.shippingType, 'details.shippingType', ['DOM', 'INT']);
+    check.string(details.productCategory, 'details.productCategory');
+    check.string(details.productType, 'details.productType');
+    check.string(details.descriptionOfGoods, 'details.descriptionOfGoods', { max: 500 });
+    check.dimensions(details.dimensions, 'details.dimensions');
+    if (details.deliveryDate !== undefined) check.date(details.deliveryDate, 'details.deliveryDate');
+  }
+
+  if (!Array.isArray(body.items) || !body.items.length) {
+    check.errors.push({ code: 'VALIDATION_ERROR', field: 'items', message: 'items must be a non-empty array' });
+  } else {
+    body.items.forEach((item, index) => {
+      const field = `items[${index}]`;
+      if (!check.object(item, field)) return;
+      check.string(item.description, `${field}.description`);
+      check.countryCode(item.countryOfOrigin, `${field}.countryOfOrigin`);
+      check.number(item.quantity, `${field}.quantity`, { min: 1, integer: true });
+      check.string(item.hsCode, `${field}.hsCode`);
+      check.weight(item.weight, `${field}.weight`);
+      check.dimensions(item.dimensions, `${field}.dimensions`);
+    });
+  }
+  return check.errors;
+}
+
+/**
+ * issueInvoice body (mapInvoiceToEMpostInvoice, mapCreditNoteToEMpostInvoice). Credit notes
+ * carry negative amounts and an originalInvoiceNumber.
+ */
+function validateInvoicePayload(body) {
+  const check = createValidator();
+  if (!check.object(body, 'body')) return check.errors;
+
+  check.string(body.trackingNumber, 'trackingNumber');
+  check.weight(body.chargeableWeight, 'chargeableWeight');
+  if (!Array.isArray(body.charges) || !body.charges.length) {
+    check.errors.push({ code: 'VALIDATION_ERROR', field: 'charges', message: 'charges must be a non-empty array' });
+  } else {
+    body.charges.forEach((charge, index) => {
+      if (!check.object(charge, `charges[${index}]`)) return;
+      check.string(charge.type, `charges[${index}].type`);
+      check.money(charge.amount, `charges[${index}].amount`);
+    });
+  }
+
+  const { invoice } = body;
+  if (check.object(invoice, 'invoice')) {
+    check.string(invoice.invoiceNumber, 'invoice.invoiceNumber');
+    check.date(invoice.invoiceDate, 'invoice.invoiceDate');
+    check.string(invoice.billingAccountNumber, 'invoice.billingAccountNumber');
+    check.string(invoice.billingAccountName, 'invoice.billingAccountName');
+    check.number(invoice.totalDiscountAmount, 'invoice.totalDiscountAmount', { min: 0 });
+    check.number(invoice.taxAmount, 'invoice.taxAmount');
+    check.number(invoice.totalAmountIncludingTax, 'invoice.totalAmountIncludingTax');
+    check.currency(invoice.currencyCode, 'invoice.currencyCode');
+    check.string(invoice.originalInvoiceNumber, 'invoice.originalInvoiceNumber', { required: false });
+
+    const credit = invoice.totalAmountIncludingTax < 0;
+    if (credit && !isNonEmptyString(invoice.originalInvoiceNumber)) {
+      check.errors.push({ code: 'VALIDATION_ERROR', field: 'invoice.originalInvoiceNumber', message: 'invoice.originalInvoiceNumber is required for a negative invoice' });
+    }
+  }
+  return check.errors;
+}
+
+/**
+ * Delivery cancellation body (empostAPI.buildCancelDeliveryPayload).
+ */
+function validateCancelPayload(body) {
+  const check = createValidator();
+  if (!check.object(body, 'body')) return check.errors;
+
+  if (!isNonEmptyString(body.awb_number) && !isNonEmptyString(body.tracking_code)) {
+    check.errors.push({ code: 'VALIDATION_ERROR', field: 'awb_number', message: 'awb_number or tracking_code is required' });
+  }
+  check.oneOf(body.status, 'status', ['CANCELLED']);
+  check.date(body.cancelled_at, 'cancelled_at');
+  if (body.amount !== undefined && body.amount !== null) check.number(body.amount, 'amount', { min: 0 });
+  return check.errors;
+}
+
+// ---------------------------------------------------------------------------
+// Server
+
+function createState() {
+  return {
+    tokens: new Map(),
+    shipments: new Map(),
+    invoices: [],
+    cancellations: [],
+    failures: [],
+    requests: [],
+    sequence: 0,
+  };
+}
+
+/**
+ * Build the mock app. The in-memory store is exposed as app.locals.state.
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - required credentials; any non-empty pair is accepted when unset
+ * @param {string} [options.clientSecret]
+ * @param {boolean} [options.quiet] - no per-request logging
+ */
+function createEmpostMockApp({
+  clientId = process.env.EMPOST_MOCK_CLIENT_ID,
+  clientSecret = process.env.EMPOST_MOCK_CLIENT_SECRET,
+  quiet = false,
+} = {}) {
+  const app = express();
+  const state = createState();
+  app.locals.state = state;
+  app.use(express.json({ limit: '5mb' }));
+
+  const nextUhawb = () => {
+    state.sequence += 1;
+    return `AE${String(100000000000 + state.sequence)}`;
+  };
+  const correlationId = () => crypto.randomUUID();
+  const reject = (res, statusCode, message, errors = []) => res.status(statusCode).json({
+    message,
+    errors,
+    correlationId: correlationId(),
+  });
+
+  // Request log
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/__mock')) return next();
+    const entry = { at: new Date().toISOString(), method: req.method, path: req.path, body: req.body };
+    state.requests.unshift(entry);
+    state.requests.length = Math.min(state.requests.length, MAX_LOGGED_REQUESTS);
+    res.on('finish', () => {
+      entry.status = res.statusCode;
+      if (!quiet) console.log(`[EMPOST MOCK] ${req.method} ${req.path} -> ${res.statusCode}`);
+    });
+    next();
+  });
+
+  // Scripted failures: the first queued failure matching the endpoint is used up
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/__mock')) return next();
+    const index = state.failures.findIndex(failure => !failure.endpoint || ENDPOINTS[failure.endpoint] === req.path);
+    if (index === -1) return next();
+
+    const failure = state.failures[index];
+    failure.remaining -= 1;
+    if (failure.remaining <= 0) state.failures.splice(index, 1);
+    if (!quiet) console.log(`[EMPOST MOCK] Injecting ${failure.mode} on ${req.path}`);
+
+    if (failure.mode === 'reset') {
+      return req.socket.destroy();
+    }
+    if (failure.mode === 'timeout') {
+      const timer = setTimeout(() => {
+        if (!res.headersSent) reject(res, 504, 'Mock timeout');
+      }, failure.delay_ms);
+      res.on('close', () => clearTimeout(timer));
+      return undefined;
+    }
+    const statusCode = parseInt(failure.mode, 10);
+    return reject(res, statusCode, failure.message || `Mock failure (HTTP ${statusCode})`, [
+      { code: `MOCK_${statusCode}`, message: failure.message || `Injected HTTP ${statusCode}` },
+    ]);
+  });
+
+  const requireToken = (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const expiresAt = match && state.tokens.get(match[1]);
+    if (!expiresAt || expiresAt < Date.now()) {
+      return reject(res, 401, 'Invalid or expired access token', [{ code: 'UNAUTHORIZED', message: 'Invalid or expired access token' }]);
+    }
+    next();
+  };
+
+  app.post(ENDPOINTS.auth, (req, res) => {
+    const { clientId: id, clientSecret: secret } = req.body || {};
+    const valid = clientId || clientSecret
+      ? id === clientId && secret === clientSecret
+      : isNonEmptyString(id) && isNonEmptyString(secret);
+    if (!valid) {
+      return reject(res, 401, 'Invalid client credentials', [{ code: 'INVALID_CLIENT', message: 'Invalid client credentials' }]);
+    }
+    const accessToken = `mock_${crypto.randomBytes(24).toString('hex')}`;
+    state.tokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+    res.json({ accessToken, expiresIn: TOKEN_TTL_SECONDS, tokenType: 'Bearer' });
+  });
+
+  // Creates a shipment, or updates the one with this uhawb (or tracking number)
+  app.post(ENDPOINTS['shipment/create'], requireToken, (req, res) => {
+    const errors = validateShipmentPayload(req.body);
+    if (errors.length) return reject(res, 400, errors[0].message, errors);
+
+    const body = req.body;
+    let shipment = null;
+    if (isNonEmptyString(body.uhawb)) {
+      shipment = [...state.shipments.values()].find(s => s.uhawb.toUpperCase() === body.uhawb.toUpperCase());
+      if (!shipment) {
+        return reject(res, 400, `Unknown uhawb ${body.uhawb}`, [{ code: 'SHIPMENT_NOT_FOUND', field: 'uhawb', message: `Unknown uhawb ${body.uhawb}` }]);
+      }
+    } else {
+      shipment = state.shipments.get(body.trackingNumber) || null;
+    }
+
+    const now = new Date().toISOString();
+    const created = !shipment;
+    if (created) {
+      shipment = { uhawb: nextUhawb(), trackingNumber: body.trackingNumber, created_at: now, history: [] };
+      state.shipments.set(body.trackingNumber, shipment);
+    }
+    shipment.payload = body;
+    shipment.deliveryStatus = body.details.deliveryStatus;
+    shipment.updated_at = now;
+    shipment.history.push({ at: now, deliveryStatus: body.details.deliveryStatus, notes: body.details.notes });
+
+    res.status(created ? 201 : 200).json({
+      data: {
+        uhawb: shipment.uhawb,
+        trackingNumber: shipment.trackingNumber,
+        deliveryStatus: shipment.deliveryStatus,
+      },
+      message: created ? 'Shipment created' : 'Shipment updated',
+    });
+  });
+
+  app.post(ENDPOINTS.issueInvoice, requireToken, (req, res) => {
+    const errors = validateInvoicePayload(req.body);
+    if (errors.length) return reject(res, 400, errors[0].message, errors);
+
+    const shipment = state.shipments.get(req.body.trackingNumber);
+    if (!shipment) {
+      return reject(res, 400, `No shipment with trackingNumber ${req.body.trackingNumber}`, [
+        { code: 'SHIPMENT_NOT_FOUND', field: 'trackingNumber', message: `No shipment with trackingNumber ${req.body.trackingNumber}` },
+      ]);
+    }
+
+    // Re-issuing an invoice number replaces it
+    const invoiceNumber = req.body.invoice.invoiceNumber;
+    state.invoices = state.invoices.filter(invoice => invoice.invoiceNumber !== invoiceNumber);
+    state.invoices.push({ invoiceNumber, trackingNumber: shipment.trackingNumber, uhawb: shipment.uhawb, issued_at: new Date().toISOString(), payload: req.body });
+
+    res.json({
+      data: { invoiceNumber, trackingNumber: shipment.trackingNumber, uhawb: shipment.uhawb },
+      message: 'Invoice issued',
+    });
+  });
+
+  app.post(ENDPOINTS['deliveries/cancel'], requireToken, (req, res) => {
+    const errors = validateCancelPayload(req.body);
+    if (errors.length) return reject(res, 400, errors[0].message, errors);
+
+    const trackingNumber = req.body.awb_number || req.body.tracking_code;
+    const reference = `CXL-${Date.now()}-${state.cancellations.length + 1}`;
+    state.cancellations.push({ reference, trackingNumber, cancelled_at: req.body.cancelled_at, payload: req.body });
+
+    const shipment = state.shipments.get(trackingNumber);
+    if (shipment) {
+      shipment.deliveryStatus = 'Cancelled';
+      shipment.history.push({ at: new Date().toISOString(), deliveryStatus: 'Cancelled', notes: req.body.cancellation_reason });
+    }
+    res.json({ reference, trackingNumber, message: 'Delivery cancelled' });
+  });
+
+  // Control API
+
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      shipments: [...state.shipments.values()],
+      invoices: state.invoices,
+      cancellations: state.cancellations,
+      active_tokens: state.tokens.size,
+    });
+  });
+
+  app.get('/__mock/requests', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_LOGGED_REQUESTS);
+    res.json(state.requests.slice(0, limit));
+  });
+
+  app.get('/__mock/failures', (req, res) => res.json(state.failures));
+
+  app.post('/__mock/failures', (req, res) => {
+    const { mode, endpoint, times = 1, delay_ms: delayMs, message } = req.body || {};
+    const normalizedMode = String(mode || '');
+    if (!FAILURE_MODES.includes(normalizedMode)) {
+      return res.status(400).json({ message: `mode must be one of ${FAILURE_MODES.join(', ')}` });
+    }
+    if (endpoint !== undefined && !ENDPOINTS[endpoint]) {
+      return res.status(400).json({ message: `endpoint must be one of ${Object.keys(ENDPOINTS).join(', ')}` });
+    }
+    const failure = {
+      mode: normalizedMode,
+      endpoint,
+      remaining: Math.max(parseInt(times, 10) || 1, 1),
+      delay_ms: parseInt(delayMs, 10) || DEFAULT_TIMEOUT_DELAY_MS,
+      message,
+    };
+    state.failures.push(failure);
+    res.status(201).json(failure);
+  });
+
+  app.delete('/__mock/failures', (req, res) => {
+    state.failures.length = 0;
+    res.json({ message: 'Failures cleared' });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    Object.assign(state, createState());
+    res.json({ message: 'Mock state reset' });
+  });
+
+  app.use((req, res) => reject(res, 404, `No mock route for ${req.method} ${req.path}`));
+
+  return app;
+}
+
+/**
+ * Start the mock on a port (0 picks a free one).
+ * @returns {Promise<{ server: import('http').Server, app: Object, url: string }>}
+ */
+function startEmpostMockServer({ port = parseInt(process.env.EMPOST_MOCK_PORT, 10) || DEFAULT_PORT, ...options } = {}) {
+  const app = createEmpostMockApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      const url = `http://localhost:${server.address().port}`;
+      resolve({ server, app, url });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  createEmpostMockApp,
+  startEmpostMockServer,
+  validateShipmentPayload,
+  validateInvoicePayload,
+  validateCancelPayload,
+};
+
+if (require.main === module) {
+  startEmpostMockServer()
+    .then(({ url }) => {
+      console.log(`🧪 EMPOST mock listening on ${url}`);
+      console.log(`   Set EMPOST_API_BASE_URL=${url} to use it`);
+    })
+    .catch((error) => {
+      console.error('❌ Failed to start EMPOST mock:', error.message);
+      process.exit(1);
+    });
+}
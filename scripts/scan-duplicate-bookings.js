@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { scanBookingBacklog } = require('../services/booking-duplicates');
+
+/**
+ * Flag likely duplicate bookings in the historical backlog.
+ *
+ * Usage: node scripts/scan-duplicate-bookings.js [--since=2026-01-01] [--until=2026-06-30] [--limit=N] [--dry-run]
+ */
+async function main() {
+  const args = Object.fromEntries(process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+  }));
+
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const result = await scanBookingBacklog({
+      since: args.since,
+      until: args.until,
+      limit: parseInt(args.limit, 10) || 0,
+      dryRun: args['dry-run'] === true,
+    });
+
+    for (const row of result.results) {
+      console.log(`  ${row.reference || row.booking_id} -> duplicate of ${row.duplicate_of} (score ${row.score}; ${row.matched_on.join(', ')})`);
+    }
+    console.log(`\n📊 Scanned ${result.scanned} booking(s), flagged ${result.flagged}${args['dry-run'] ? ' (dry run, nothing saved)' : ''}`);
+  } catch (error) {
+    console.error('❌ Duplicate scan failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
-const { PriceBracket } = require('../models/unified-schema');
+const { createVersion } = require('../services/price-brackets');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/finance-system');
@@ -32,16 +32,10 @@ async function updatePriceBrackets() {
       { min: 1000, max: null, rate: 28, label: '1 TON UP' } // 1 ton = 1000 kg
     ];
 
-    // Update or create PH_TO_UAE price bracket
-    const phToUae = await PriceBracket.findOneAndUpdate(
-      { route: 'PH_TO_UAE' },
-      {
-        route: 'PH_TO_UAE',
-        brackets: phToUaeBrackets,
-        updated_at: new Date()
-      },
-      { upsert: true, new: true }
-    );
+    // Add a new PH_TO_UAE bracket version effective now
+    const phToUaeResult = await createVersion('PH_TO_UAE', phToUaeBrackets, { notes: 'scripts/update-price-brackets.js' });
+    if (!phToUaeResult.success) throw new Error(phToUaeResult.error);
+    const phToUae = phToUaeResult.version;
 
     console.log('✅ PH_TO_UAE price brackets updated:');
     phToUaeBrackets.forEach(bracket => {
@@ -49,16 +43,10 @@ async function updatePriceBrackets() {
       console.log(`   ${bracket.label}: ${bracket.rate} (${bracket.min}-${maxLabel} KG)`);
     });
 
-    // Update or create UAE_TO_PH price bracket
-    const uaeToPh = await PriceBracket.findOneAndUpdate(
-      { route: 'UAE_TO_PH' },
-      {
-        route: 'UAE_TO_PH',
-        brackets: uaeToPhBrackets,
-        updated_at: new Date()
-      },
-      { upsert: true, new: true }
-    );
+    // Add a new UAE_TO_PH bracket version effective now
+    const uaeToPhResult = await createVersion('UAE_TO_PH', uaeToPhBrackets, { notes: 'scripts/update-price-brackets.js' });
+    if (!uaeToPhResult.success) throw new Error(uaeToPhResult.error);
+    const uaeToPh = uaeToPhResult.version;
 
     console.log('\n✅ UAE_TO_PH price brackets updated:');
     uaeToPhBrackets.forEach(bracket => {
@@ -67,8 +55,8 @@ async function updatePriceBrackets() {
     });
 
     console.log('\n✅ Price brackets updated successfully!');
-    console.log(`   PH_TO_UAE ID: ${phToUae._id}`);
-    console.log(`   UAE_TO_PH ID: ${uaeToPh._id}`);
+    console.log(`   PH_TO_UAE version: ${phToUae.version} (${phToUae._id})`);
+    console.log(`   UAE_TO_PH version: ${uaeToPh.version} (${uaeToPh._id})`);
 
     process.exit(0);
   } catch (error) {
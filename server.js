@@ -18,6 +18,7 @@ const {
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const departmentRoutes = require('./routes/departments');
+const roleRoutes = require('./routes/roles');
 const employeeRoutes = require('./routes/employees');
 const clientRoutes = require('./routes/clients');
 const requestRoutes = require('./routes/requests');
@@ -32,6 +33,14 @@ const performanceRoutes = require('./routes/performance');
 const invoiceRoutes = require('./routes/invoices');
 const invoiceUnifiedRoutes = require('./routes/invoices-unified');
 const priceBracketsRoutes = require('./routes/price-brackets');
+const quoteRoutes = require('./routes/quotes');
+const clientRateCardRoutes = require('./routes/client-rate-cards');
+const creditNoteRoutes = require('./routes/credit-notes');
+const invoicePaymentRoutes = require('./routes/invoice-payments');
+const exchangeRateRoutes = require('./routes/exchange-rates');
+const batchRoutes = require('./routes/batches');
+const customsRoutes = require('./routes/customs');
+const trackRoutes = require('./routes/track');
 
 // QR Payment Collection System routes
 const driverRoutes = require('./routes/drivers');
@@ -41,6 +50,14 @@ const paymentRemittanceRoutes = require('./routes/payment-remittances');
 const csvUploadRoutes = require('./routes/csv-upload');
 const bookingsRoutes = require('./routes/bookings');
 const systemSettingsRoutes = require('./routes/system-settings');
+const watchlistRoutes = require('./routes/watchlist');
+const partnerRoutes = require('./routes/partners');
+const partnerApiRoutes = require('./routes/partner-api');
+const webhookRoutes = require('./routes/webhooks');
+const empostOutboxRoutes = require('./routes/empost-outbox');
+const empostReconciliationRoutes = require('./routes/empost-reconciliation');
+const carrierRoutes = require('./routes/carriers');
+const carrierWebhookRoutes = require('./routes/carrier-webhooks');
 const chatRoutes = require('./routes/chat');
 const activityRoutes = require('./routes/activity');
 const errorMonitoringRoutes = require('./routes/errors');
@@ -174,11 +191,34 @@ const uploadLimiter = rateLimit({
   }
 });
 
+// Public tracking is unauthenticated; keep scraping of AWB ranges slow
+const trackLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.TRACKING_RATE_LIMIT_MAX, 10) || 30,
+  message: {
+    success: false,
+    error: 'Too many tracking requests',
+    message: 'Please try again in a minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.headers['x-forwarded-for']?.split(',')[0] || 
+           req.headers['x-real-ip'] || 
+           req.ip || 
+           req.connection.remoteAddress;
+  }
+});
+
 // Apply rate limiters
 app.use('/api/auth', authLimiter);
 app.use('/api/csv-upload', uploadLimiter);
+app.use('/api/track', trackLimiter);
 app.use(generalLimiter);
 
+// Carrier webhooks are signed over the raw body, so keep it unparsed
+app.use('/api/carrier-webhooks', express.raw({ type: 'application/json', limit: '5mb' }));
+
 // Body parsing middleware with strict limits
 app.use(express.json({ 
   limit: '10mb',
@@ -223,6 +263,30 @@ mongoose.connect(MONGODB_URI)
   } catch (err) {
     console.warn('[auto-review-worker] Startup init skipped:', err.message);
   }
+  try {
+    const { startOverdueInvoiceJob } = require('./services/overdue-invoices');
+    startOverdueInvoiceJob();
+  } catch (err) {
+    console.warn('[overdue-invoices] Startup init skipped:', err.message);
+  }
+  try {
+    const { startWebhookDeliveryJob } = require('./services/webhooks');
+    startWebhookDeliveryJob();
+  } catch (err) {
+    console.warn('[webhooks] Startup init skipped:', err.message);
+  }
+  try {
+    const { startEmpostOutboxJob } = require('./services/empost-outbox');
+    startEmpostOutboxJob();
+  } catch (err) {
+    console.warn('[empost-outbox] Startup init skipped:', err.message);
+  }
+  try {
+    const { startEmpostReconciliationJob } = require('./services/empost-reconciliation');
+    startEmpostReconciliationJob();
+  } catch (err) {
+    console.warn('[empost-reconciliation] Startup init skipped:', err.message);
+  }
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -233,6 +297,7 @@ mongoose.connect(MONGODB_URI)
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/departments', departmentRoutes);
+app.use('/api/roles', roleRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/requests', requestRoutes);
@@ -247,6 +312,14 @@ app.use('/api/performance', performanceRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/invoices-unified', invoiceUnifiedRoutes);
 app.use('/api/price-brackets', priceBracketsRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/client-rate-cards', clientRateCardRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/invoice-payments', invoicePaymentRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/customs', customsRoutes);
+app.use('/api/track', trackRoutes);
 
 // QR Payment Collection System routes
 app.use('/api/drivers', driverRoutes);
@@ -260,6 +333,20 @@ app.use('/api/csv-upload', csvUploadRoutes);
 // Bookings routes
 app.use('/api/bookings', bookingsRoutes);
 app.use('/api/system-settings', systemSettingsRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+
+// Partner API (API-key authenticated) and partner/key management
+app.use('/api/partner', partnerApiRoutes);
+app.use('/api/partners', partnerRoutes);
+
+// Outbound webhook endpoints and delivery log
+app.use('/api/webhooks', webhookRoutes);
+
+// Queued EMPOST calls: status, retry and skip
+app.use('/api/empost-outbox', empostOutboxRoutes);
+app.use('/api/empost-reconciliation', empostReconciliationRoutes);
+app.use('/api/carriers', carrierRoutes);
+app.use('/api/carrier-webhooks', carrierWebhookRoutes);
 
 // Inter-Department Chat routes
 app.use('/api/chat', chatRoutes);
@@ -0,0 +1,189 @@
+/**
+ * Accounts-receivable aging.
+ *
+ * Outstanding balances (total less credit notes and posted payments, see
+ * services/invoice-payments.js) bucketed per client by age. Age counts from the issue date by
+ * default, or from the due date with basis=due_date (invoices not yet due count as 0 days).
+ * Totals are in AED; invoice rows also show the balance in the invoice's billing currency.
+ */
+
+const XLSX = require('xlsx');
+const { Invoice } = require('../models/unified-schema');
+const { computeBalanceDue } = require('./invoice-payments');
+const { BASE_CURRENCY, fromBase } = require('./exchange-rates');
+
+const AGING_BUCKETS = [
+  { key: 'days_0_30', label: '0-30', max: 30 },
+  { key: 'days_31_60', label: '31-60', max: 60 },
+  { key: 'days_61_90', label: '61-90', max: 90 },
+  { key: 'days_90_plus', label: '90+', max: Infinity },
+];
+
+const AGING_BASES = ['issue_date', 'due_date'];
+
+// Statuses that can still carry a balance
+const OPEN_STATUSES = ['UNPAID', 'OVERDUE', 'PARTIALLY_PAID'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+const bucketForAge = (days) => AGING_BUCKETS.find(bucket => days <= bucket.max);
+
+/**
+ * @param {object} options
+ * @param {Date} [options.asOf]
+ * @param {string} [options.clientId]
+ * @param {'issue_date'|'due_date'} [options.basis]
+ */
+async function buildArAging({ asOf = new Date(), clientId = null, basis = 'issue_date' } = {}) {
+  const query = { status: { $in: OPEN_STATUSES }, issue_date: { $lte: asOf } };
+  if (clientId) query.client_id = clientId;
+
+  const invoices = await Invoice.find(query)
+    .select('invoice_id awb_number client_id issue_date due_date status total_amount credited_amount paid_amount currency exchange_rate')
+    .populate('client_id', 'client_id company_name contact_name email phone')
+    .sort({ issue_date: 1 })
+    .lean();
+
+  const byClient = new Map();
+  const rows = [];
+  const totals = { ...emptyBuckets(), total: 0, invoice_count: 0 };
+
+  for (const invoice of invoices) {
+    const balance = computeBalanceDue(invoice);
+    if (balance <= 0) continue;
+
+    const from = basis === 'due_date' ? invoice.due_date : invoice.issue_date;
+    const ageDays = Math.max(Math.floor((asOf - new Date(from)) / DAY_MS), 0);
+    const bucket = bucketForAge(ageDays);
+    const client = invoice.client_id || {};
+    const clientKey = client._id ? client._id.toString() : 'unknown';
+
+    if (!byClient.has(clientKey)) {
+      byClient.set(clientKey, {
+        client_id: client._id || null,
+        client_code: client.client_id || null,
+        company_name: client.company_name || 'Unknown client',
+        contact_name: client.contact_name || null,
+        email: client.email || null,
+        phone: client.phone || null,
+        ...emptyBuckets(),
+        total: 0,
+        invoice_count: 0,
+        oldest_days: 0,
+      });
+    }
+    const entry = byClient.get(clientKey);
+    entry[bucket.key] = round2(entry[bucket.key] + balance);
+    entry.total = round2(entry.total + balance);
+    entry.invoice_count += 1;
+    entry.oldest_days = Math.max(entry.oldest_days, ageDays);
+
+    totals[bucket.key] = round2(totals[bucket.key] + balance);
+    totals.total = round2(totals.total + balance);
+    totals.invoice_count += 1;
+
+    rows.push({
+      invoice_id: invoice.invoice_id,
+      awb_number: invoice.awb_number || null,
+      company_name: entry.company_name,
+      issue_date: invoice.issue_date,
+      due_date: invoice.due_date,
+      status: invoice.status,
+      total_amount: round2(parseFloat(invoice.total_amount?.toString() || 0)),
+      balance_due: balance,
+      currency: invoice.currency || BASE_CURRENCY,
+      billing_balance_due: invoice.exchange_rate?.rate ? fromBase(balance, invoice.exchange_rate) : balance,
+      age_days: ageDays,
+      bucket: bucket.label,
+    });
+  }
+
+  const clients = [...byClient.values()].sort((a, b) => b.total - a.total);
+
+  return {
+    as_of: asOf,
+    basis,
+    currency: BASE_CURRENCY,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    clients,
+    totals,
+    invoices: rows,
+  };
+}
+
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const summaryHeader = () => ['Client', 'Client Code', 'Contact', 'Email', 'Phone', ...AGING_BUCKETS.map(b => `${b.label} days`), 'Total', 'Invoices', 'Oldest (days)'];
+
+const summaryRow = (client) => [
+  client.company_name,
+  client.client_code,
+  client.contact_name,
+  client.email,
+  client.phone,
+  ...AGING_BUCKETS.map(b => client[b.key]),
+  client.total,
+  client.invoice_count,
+  client.oldest_days,
+];
+
+const totalsRow = (totals) => ['TOTAL', '', '', '', '', ...AGING_BUCKETS.map(b => totals[b.key]), totals.total, totals.invoice_count, ''];
+
+/**
+ * Per-client summary as CSV.
+ */
+function agingToCsv(report) {
+  const lines = [summaryHeader(), ...report.clients.map(summaryRow), totalsRow(report.totals)];
+  return lines.map(line => line.map(csvEscape).join(',')).join('\n');
+}
+
+/**
+ * Workbook with the per-client summary and the invoice detail.
+ * @returns {Buffer}
+ */
+function agingToXlsx(report) {
+  const workbook = XLSX.utils.book_new();
+
+  const summary = XLSX.utils.aoa_to_sheet([
+    [`AR aging as of ${report.as_of.toISOString().slice(0, 10)} (age from ${report.basis.replace('_', ' ')}, amounts in ${report.currency})`],
+    [],
+    summaryHeader(),
+    ...report.clients.map(summaryRow),
+    totalsRow(report.totals),
+  ]);
+  XLSX.utils.book_append_sheet(workbook, summary, 'By Client');
+
+  const detail = XLSX.utils.json_to_sheet(report.invoices.map(row => ({
+    'Invoice': row.invoice_id,
+    'AWB': row.awb_number || '',
+    'Client': row.company_name,
+    'Issue Date': row.issue_date ? new Date(row.issue_date).toISOString().slice(0, 10) : '',
+    'Due Date': row.due_date ? new Date(row.due_date).toISOString().slice(0, 10) : '',
+    'Status': row.status,
+    'Invoice Total (AED)': row.total_amount,
+    'Balance Due (AED)': row.balance_due,
+    'Billing Currency': row.currency,
+    'Balance Due (Billing Currency)': row.billing_balance_due,
+    'Age (days)': row.age_days,
+    'Bucket': row.bucket,
+  })));
+  XLSX.utils.book_append_sheet(workbook, detail, 'Invoices');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  AGING_BASES,
+  buildArAging,
+  agingToCsv,
+  agingToXlsx,
+};
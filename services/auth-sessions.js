@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, UserSession } = require('../models');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+function getJwtSecret() {
+  return process.env.JWT_SECRET || 'your-secret-key';
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, sid: sessionId.toString() },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+function getAccessTokenTtlSeconds(token) {
+  const decoded = jwt.decode(token);
+  if (!decoded?.exp || !decoded?.iat) return null;
+  return decoded.exp - decoded.iat;
+}
+
+function buildTokenPair(user, session, refreshToken) {
+  const accessToken = signAccessToken(user, session._id);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: getAccessTokenTtlSeconds(accessToken),
+    refreshExpiresAt: session.expires_at,
+  };
+}
+
+/**
+ * Create a session for a freshly authenticated user and return the first token pair.
+ */
+async function createSession(user, { ipAddress, userAgent } = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = await UserSession.create({
+    user_id: user._id,
+    refresh_token_hash: hashRefreshToken(refreshToken),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    last_used_at: new Date(),
+    ip_address: ipAddress || null,
+    user_agent: userAgent || null,
+  });
+
+  return { session, ...buildTokenPair(user, session, refreshToken) };
+}
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is rotated out;
+ * replaying an already-rotated token revokes the whole session.
+ * @returns {Promise<{ success: boolean, error?: string, data?: object }>}
+ */
+async function rotateRefreshToken(refreshToken, { ipAddress, userAgent } = {}) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { success: false, error: 'Refresh token is required' };
+  }
+
+  const tokenHash = hashRefreshToken(refreshToken);
+  const session = await UserSession.findOne({ refresh_token_hash: tokenHash });
+
+  if (!session) {
+    const replayed = await UserSession.findOne({ previous_refresh_token_hash: tokenHash });
+    if (replayed && !replayed.revoked_at) {
+      console.warn(`⚠️ Refresh token reuse detected for session ${replayed._id}; revoking session`);
+      await revokeSession(replayed._id, 'refresh_token_reuse');
+    }
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  if (session.revoked_at) {
+    return { success: false, error: 'Session has been revoked' };
+  }
+  if (session.expires_at <= new Date()) {
+    return { success: false, error: 'Session has expired' };
+  }
+
+  const user = await User.findById(session.user_id);
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, user ? 'user_disabled' : 'user_deleted');
+    return { success: false, error: 'Account is deactivated' };
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const rotated = await UserSession.findOneAndUpdate(
+    { _id: session._id, refresh_token_hash: tokenHash, revoked_at: null },
+    {
+      $set: {
+        refresh_token_hash: hashRefreshToken(nextRefreshToken),
+        previous_refresh_token_hash: tokenHash,
+        last_used_at: new Date(),
+        ...(ipAddress ? { ip_address: ipAddress } : {}),
+        ...(userAgent ? { user_agent: userAgent } : {}),
+      },
+    },
+    { new: true }
+  );
+
+  // Lost a race with a concurrent refresh of the same token
+  if (!rotated) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  return { success: true, data: buildTokenPair(user, rotated, nextRefreshToken) };
+}
+
+/**
+ * True when the session referenced by an access token is still live.
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const session = await UserSession.findById(sessionId)
+    .select('revoked_at expires_at')
+    .lean();
+  return !!session && !session.revoked_at && session.expires_at > new Date();
+}
+
+function disconnectWebSockets(userId, sessionId = null) {
+  try {
+    const { getWebSocketServer } = require('./websocket-server');
+    const wsServer = getWebSocketServer();
+    if (wsServer) {
+      wsServer.disconnectUser(userId, { sessionId, reason: 'Session revoked' });
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not close WebSocket connections:', error.message);
+  }
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  const session = await UserSession.findOneAndUpdate(
+    { _id: sessionId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } },
+    { new: true }
+  );
+  if (session) {
+    disconnectWebSockets(session.user_id, session._id);
+  }
+  return !!session;
+}
+
+/**
+ * Revoke every live session for a user and invalidate access tokens already handed out
+ * (including legacy tokens that carry no session id).
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllUserSessions(userId, reason = 'admin_revoke', { exceptSessionId = null } = {}) {
+  const now = new Date();
+  const filter = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await UserSession.updateMany(filter, {
+    $set: { revoked_at: now, revoked_reason: reason },
+  });
+
+  if (!exceptSessionId) {
+    await User.updateOne({ _id: userId }, { $set: { sessions_revoked_at: now } });
+    disconnectWebSockets(userId);
+  }
+
+  console.log(`🔒 Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+  return result.modifiedCount;
+}
+
+/**
+ * Resolve the user behind an access token, enforcing session and revocation state.
+ * Shared by the HTTP auth middleware and the WebSocket handshake.
+ * @returns {Promise<{ user: object, decoded: object } | { error: string }>}
+ */
+async function verifyAccessToken(token, { populate = '' } = {}) {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  const query = User.findById(decoded.userId);
+  if (populate) query.populate(populate);
+  const user = await query;
+
+  if (!user) {
+    return { error: 'Invalid token.' };
+  }
+  if (!user.isActive) {
+    return { error: 'Account is deactivated' };
+  }
+  if (decoded.sid) {
+    if (!(await isSessionActive(decoded.sid))) {
+      return { error: 'Session has been revoked' };
+    }
+  } else {
+    // Legacy token issued before sessions existed: only revocation and password changes end it
+    const issuedAt = decoded.iat * 1000;
+    if (user.sessions_revoked_at && issuedAt < user.sessions_revoked_at.getTime()) {
+      return { error: 'Session has been revoked' };
+    }
+    if (user.password_changed_at && issuedAt < user.password_changed_at.getTime()) {
+      return { error: 'Password has changed; please sign in again' };
+    }
+  }
+
+  return { user, decoded };
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionActive,
+  verifyAccessToken,
+  hashRefreshToken,
+};
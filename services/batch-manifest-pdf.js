@@ -0,0 +1,187 @@
+const { jsPDF } = require('jspdf');
+
+const COMPANY_NAME = 'KNEX DELIVERY SERVICES L.L.C';
+const COMPANY_ADDRESS = 'Rocky Warehouse Warehouse #19, 11th Street, Al Qusais Industrial Area 1, Dubai, 0000 United Arab Emirates';
+const COMPANY_PHONE = '+971559738713';
+
+const formatAmount = (value) => (Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : 'N/A');
+
+/**
+ * Render a batch cargo manifest (see services/batch-manifest.js) as a landscape PDF.
+ * @param {Object} manifest
+ * @returns {Promise<ArrayBuffer>} PDF bytes
+ */
+async function generateBatchManifestPDF(manifest) {
+  const doc = new jsPDF({ orientation: 'landscape' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 12;
+  const rightX = pageWidth - margin;
+  const { batch, lines, totals } = manifest;
+  let yPos = margin;
+
+  const drawLine = (y) => {
+    doc.setDrawColor(0, 0, 0);
+    doc.setLineWidth(0.5);
+    doc.line(margin, y, rightX, y);
+  };
+
+  const columns = {
+    index: margin + 2,
+    awb: margin + 10,
+    sender: margin + 40,
+    receiver: margin + 100,
+    boxes: margin + 172,
+    actual: margin + 192,
+    chargeable: margin + 214,
+    declared: margin + 238,
+    description: margin + 242,
+  };
+  const senderWidth = columns.receiver - columns.sender - 3;
+  const receiverWidth = columns.boxes - columns.receiver - 10;
+  const descriptionWidth = rightX - columns.description;
+
+  const drawTableHeader = () => {
+    doc.setFillColor(230, 240, 230);
+    doc.rect(margin, yPos - 5, pageWidth - margin * 2, 8, 'F');
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'bold');
+    doc.text('#', columns.index, yPos);
+    doc.text('AWB', columns.awb, yPos);
+    doc.text('Sender', columns.sender, yPos);
+    doc.text('Receiver', columns.receiver, yPos);
+    doc.text('Boxes', columns.boxes, yPos, { align: 'right' });
+    doc.text('Actual kg', columns.actual, yPos, { align: 'right' });
+    doc.text('Chg. kg', columns.chargeable, yPos, { align: 'right' });
+    doc.text('Declared', columns.declared, yPos, { align: 'right' });
+    doc.text('Description', columns.description, yPos);
+    doc.setFont('helvetica', 'normal');
+    yPos += 7;
+  };
+
+  const ensureSpace = (height) => {
+    if (yPos + height > pageHeight - margin - 10) {
+      doc.addPage();
+      yPos = margin + 5;
+      drawTableHeader();
+    }
+  };
+
+  // Header
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(0, 128, 0);
+  doc.text(COMPANY_NAME, margin, yPos);
+  doc.setFontSize(18);
+  doc.setTextColor(0, 0, 0);
+  doc.text('CARGO MANIFEST', rightX, yPos, { align: 'right' });
+  yPos += 5;
+
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'normal');
+  doc.text(COMPANY_ADDRESS, margin, yPos);
+  yPos += 4;
+  doc.text(COMPANY_PHONE, margin, yPos);
+  yPos += 4;
+  drawLine(yPos);
+  yPos += 6;
+
+  // Batch details (three columns)
+  const route = [batch.origin, batch.destination].filter(Boolean).join(' -> ');
+  const detailColumns = [
+    [
+      ['Batch No.', batch.batch_no],
+      ['Status', batch.status],
+      ['Mode', batch.transport_mode || 'N/A'],
+    ],
+    [
+      ['Carrier', batch.carrier || 'N/A'],
+      ['Flight / Vessel', batch.flight_or_vessel || 'N/A'],
+      ['Route', route || 'N/A'],
+    ],
+    [
+      ['Departure', formatDate(batch.departed_at || batch.departure_date)],
+      ['Seal No.', batch.seal_number || 'N/A'],
+      ['Shipments', `${totals.booking_count} / ${totals.boxes} boxes`],
+    ],
+  ];
+  const detailWidth = (pageWidth - margin * 2) / detailColumns.length;
+  doc.setFontSize(9);
+  detailColumns.forEach((rows, columnIndex) => {
+    const x = margin + columnIndex * detailWidth;
+    rows.forEach(([label, value], rowIndex) => {
+      const rowY = yPos + rowIndex * 5;
+      doc.setFont('helvetica', 'bold');
+      doc.text(`${label}:`, x, rowY);
+      doc.setFont('helvetica', 'normal');
+      doc.text(doc.splitTextToSize(String(value), detailWidth - 30)[0], x + 26, rowY);
+    });
+  });
+  yPos += 3 * 5 + 6;
+
+  // Lines
+  drawTableHeader();
+  doc.setFontSize(7);
+  lines.forEach((line, index) => {
+    const sender = doc.splitTextToSize([line.sender_name, line.sender_phone].filter(Boolean).join(' / '), senderWidth);
+    const receiver = doc.splitTextToSize([line.receiver_name, line.receiver_phone].filter(Boolean).join(' / '), receiverWidth);
+    const receiverAddress = doc.splitTextToSize(line.receiver_address || '', receiverWidth).slice(0, 2);
+    const description = doc.splitTextToSize(line.description || '', descriptionWidth).slice(0, 3);
+    const rowLines = Math.max(sender.length, receiver.length + receiverAddress.length, description.length, 1);
+    const rowHeight = rowLines * 3.5 + 2;
+    ensureSpace(rowHeight);
+
+    doc.setFontSize(7);
+    doc.text(String(index + 1), columns.index, yPos);
+    doc.text(line.awb || 'N/A', columns.awb, yPos);
+    doc.text(sender, columns.sender, yPos);
+    doc.text([...receiver, ...receiverAddress], columns.receiver, yPos);
+    doc.text(String(line.boxes), columns.boxes, yPos, { align: 'right' });
+    doc.text(formatAmount(line.actual_weight_kg), columns.actual, yPos, { align: 'right' });
+    doc.text(formatAmount(line.chargeable_weight_kg), columns.chargeable, yPos, { align: 'right' });
+    doc.text(formatAmount(line.declared_value), columns.declared, yPos, { align: 'right' });
+    if (description.length) doc.text(description, columns.description, yPos);
+    yPos += rowHeight;
+  });
+
+  if (lines.length === 0) {
+    doc.setFont('helvetica', 'italic');
+    doc.text('No shipments in this batch.', columns.awb, yPos);
+    doc.setFont('helvetica', 'normal');
+    yPos += 6;
+  }
+
+  // Totals
+  ensureSpace(12);
+  drawLine(yPos - 2);
+  yPos += 3;
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'bold');
+  doc.text(`TOTAL (${totals.booking_count} shipments)`, columns.awb, yPos);
+  doc.text(String(totals.boxes), columns.boxes, yPos, { align: 'right' });
+  doc.text(formatAmount(totals.actual_weight_kg), columns.actual, yPos, { align: 'right' });
+  doc.text(formatAmount(totals.chargeable_weight_kg), columns.chargeable, yPos, { align: 'right' });
+  doc.text(formatAmount(totals.declared_value), columns.declared, yPos, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+
+  // Footer on all pages
+  const totalPages = doc.getNumberOfPages();
+  for (let i = 1; i <= totalPages; i++) {
+    doc.setPage(i);
+    const footerY = pageHeight - margin + 4;
+    doc.setFontSize(7);
+    doc.setFont('helvetica', 'normal');
+    doc.text(
+      `Manifest ${batch.batch_no} - generated ${formatDate(manifest.generated_at)} - page ${i} of ${totalPages}`,
+      pageWidth / 2,
+      footerY,
+      { align: 'center' }
+    );
+  }
+
+  return doc.output('arraybuffer');
+}
+
+module.exports = { generateBatchManifestPDF };
@@ -0,0 +1,93 @@
+/**
+ * Cargo manifest for a batch: header (flight/vessel, route, seal) plus one line per booking.
+ */
+
+const XLSX = require('xlsx');
+const { findBatch, getManifestLines, sumManifestTotals } = require('./batches');
+
+/**
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, manifest?: object }>}
+ */
+async function buildManifest(idOrNumber) {
+  const batch = await findBatch(idOrNumber);
+  if (!batch) {
+    return { success: false, statusCode: 404, error: 'Batch not found' };
+  }
+
+  const lines = await getManifestLines(batch.batch_no);
+  const totals = sumManifestTotals(lines);
+
+  return {
+    success: true,
+    manifest: {
+      batch: {
+        _id: batch._id,
+        batch_no: batch.batch_no,
+        status: batch.status,
+        transport_mode: batch.transport_mode,
+        carrier: batch.carrier,
+        flight_or_vessel: batch.flight_or_vessel,
+        origin: batch.origin,
+        destination: batch.destination,
+        route: batch.route,
+        departure_date: batch.departure_date,
+        arrival_date: batch.arrival_date,
+        departed_at: batch.departed_at,
+        arrived_at: batch.arrived_at,
+        seal_number: batch.seal_number,
+      },
+      lines,
+      totals,
+      generated_at: new Date(),
+    },
+  };
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+function manifestToXlsx(manifest) {
+  const { batch, lines, totals } = manifest;
+  const workbook = XLSX.utils.book_new();
+
+  const header = [
+    ['CARGO MANIFEST'],
+    ['Batch No.', batch.batch_no],
+    ['Mode', batch.transport_mode || ''],
+    ['Carrier', batch.carrier || ''],
+    ['Flight / Vessel', batch.flight_or_vessel || ''],
+    ['Origin', batch.origin || ''],
+    ['Destination', batch.destination || ''],
+    ['Departure', formatDate(batch.departed_at || batch.departure_date)],
+    ['Seal No.', batch.seal_number || ''],
+    [],
+  ];
+  const columns = ['#', 'AWB', 'Sender', 'Sender Address', 'Sender Phone', 'Receiver', 'Receiver Address',
+    'Receiver Phone', 'Boxes', 'Actual Weight (kg)', 'Chargeable Weight (kg)', 'Declared Value', 'Description'];
+  const rows = lines.map((line, index) => [
+    index + 1,
+    line.awb || '',
+    line.sender_name,
+    line.sender_address,
+    line.sender_phone,
+    line.receiver_name,
+    line.receiver_address,
+    line.receiver_phone,
+    line.boxes,
+    line.actual_weight_kg,
+    line.chargeable_weight_kg,
+    line.declared_value,
+    line.description,
+  ]);
+  const totalRow = ['', `TOTAL (${totals.booking_count} shipments)`, '', '', '', '', '', '',
+    totals.boxes, totals.actual_weight_kg, totals.chargeable_weight_kg, totals.declared_value, ''];
+
+  const sheet = XLSX.utils.aoa_to_sheet([...header, columns, ...rows, totalRow]);
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Manifest');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  buildManifest,
+  manifestToXlsx,
+};
@@ -0,0 +1,445 @@
+/**
+ * Batches (consolidations).
+ *
+ * A batch is the set of bookings shipped together on one flight or vessel. Bookings join it
+ * by batch_no and can only be added or removed while it is OPEN. Lifecycle:
+ * OPEN -> CLOSED (may reopen) -> DEPARTED -> ARRIVED. Departure and arrival move the bookings
+ * through the shipment state machine.
+ */
+
+const mongoose = require('mongoose');
+const { Batch, Booking, InvoiceRequest } = require('../models');
+const { transitionShipment } = require('./shipment-state-machine');
+
+const BATCH_STATUSES = ['OPEN', 'CLOSED', 'DEPARTED', 'ARRIVED'];
+
+const BATCH_TRANSITIONS = {
+  OPEN: ['CLOSED'],
+  CLOSED: ['OPEN', 'DEPARTED'],
+  DEPARTED: ['ARRIVED'],
+  ARRIVED: [],
+};
+
+// Shipment state each booking moves to when the batch moves
+const SHIPMENT_STATE_FOR_BATCH = {
+  DEPARTED: 'DEPARTED',
+  ARRIVED: 'ARRIVED',
+};
+
+const DETAIL_FIELDS = [
+  'transport_mode', 'carrier', 'flight_or_vessel', 'origin', 'destination', 'route',
+  'departure_date', 'arrival_date', 'seal_number', 'notes',
+];
+// Once the cargo has left only the arrival estimate and notes can change
+const POST_DEPARTURE_FIELDS = ['arrival_date', 'notes'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  return parseFloat(value.toString()) || 0;
+};
+
+/**
+ * Find a batch by _id or batch_no.
+ */
+async function findBatch(idOrNumber, session = null) {
+  const value = String(idOrNumber || '').trim();
+  if (!value) return null;
+  if (mongoose.Types.ObjectId.isValid(value) && /^[0-9a-fA-F]{24}$/.test(value)) {
+    const byId = await Batch.findById(value).session(session);
+    if (byId) return byId;
+  }
+  return Batch.findOne({ batch_no: value }).session(session);
+}
+
+/**
+ * Validate and normalise detail fields from a request body.
+ * @returns {{ error?: string, fields?: object }}
+ */
+function parseBatchDetails(body = {}, allowed = DETAIL_FIELDS) {
+  const fields = {};
+  for (const key of allowed) {
+    if (body[key] === undefined) continue;
+    let value = body[key];
+    if (value === null || value === '') {
+      fields[key] = null;
+      continue;
+    }
+    if (key === 'departure_date' || key === 'arrival_date') {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return { error: `${key} must be a valid date` };
+    } else if (key === 'transport_mode' || key === 'route') {
+      value = String(value).trim().toUpperCase();
+      const options = key === 'transport_mode' ? ['AIR', 'SEA'] : ['PH_TO_UAE', 'UAE_TO_PH'];
+      if (!options.includes(value)) return { error: `${key} must be one of ${options.join(', ')}` };
+    } else {
+      value = String(value).trim();
+    }
+    fields[key] = value;
+  }
+  if (fields.departure_date && fields.arrival_date && fields.arrival_date < fields.departure_date) {
+    return { error: 'arrival_date cannot be before departure_date' };
+  }
+  return { fields };
+}
+
+/**
+ * One manifest row per booking: AWB, parties, boxes, weights and declared value. Weights and
+ * boxes come from the operations verification on the invoice request when there is one.
+ */
+function buildManifestLine(booking, invoiceRequest) {
+  const verification = invoiceRequest?.verification || {};
+  const sender = booking.sender || {};
+  const receiver = booking.receiver || {};
+  const items = Array.isArray(booking.items) ? booking.items : [];
+
+  const boxes = parseInt(
+    verification.number_of_boxes || booking.number_of_boxes || receiver.numberOfBoxes || items.length || 1,
+    10
+  ) || 1;
+  const actualWeight = toNumber(verification.actual_weight || verification.total_kg || booking.weight || booking.weight_kg || invoiceRequest?.weight_kg);
+  const chargeableWeight = toNumber(verification.chargeable_weight || verification.total_kg) || actualWeight;
+  const declaredValue = toNumber(verification.declared_value || booking.declaredAmount || sender.declaredAmount);
+
+  const description = items
+    .map(item => item.commodity || item.name || item.description || item.item)
+    .filter(Boolean)
+    .join(', ') || verification.listed_commodities || '';
+
+  return {
+    booking_id: booking._id,
+    awb: booking.awb_number || booking.tracking_code || booking.awb || invoiceRequest?.tracking_code || null,
+    service_code: booking.service_code || booking.service || null,
+    sender_name: sender.fullName || sender.name || booking.customer_name || invoiceRequest?.customer_name || '',
+    sender_address: sender.completeAddress || sender.address || '',
+    sender_phone: sender.contactNo || sender.phone || invoiceRequest?.customer_phone || '',
+    receiver_name: receiver.fullName || receiver.name || invoiceRequest?.receiver_name || '',
+    receiver_address: receiver.completeAddress || receiver.address || invoiceRequest?.receiver_address || '',
+    receiver_phone: receiver.contactNo || receiver.phone || invoiceRequest?.receiver_phone || '',
+    boxes,
+    actual_weight_kg: round2(actualWeight),
+    chargeable_weight_kg: round2(chargeableWeight),
+    declared_value: round2(declaredValue),
+    description,
+  };
+}
+
+/**
+ * Manifest lines for all bookings in a batch, ordered by AWB.
+ */
+async function getManifestLines(batchNo, session = null) {
+  const bookings = await Booking.find({ batch_no: batchNo })
+    .select('awb awb_number tracking_code service service_code sender receiver items number_of_boxes weight weight_kg declaredAmount customer_name converted_to_invoice_request_id')
+    .session(session)
+    .lean();
+
+  const requestIds = bookings.map(b => b.converted_to_invoice_request_id).filter(Boolean);
+  const requests = requestIds.length
+    ? await InvoiceRequest.find({ _id: { $in: requestIds } })
+      .select('tracking_code customer_name customer_phone receiver_name receiver_address receiver_phone weight_kg verification')
+      .session(session)
+      .lean()
+    : [];
+  const requestsById = new Map(requests.map(r => [r._id.toString(), r]));
+
+  return bookings
+    .map(booking => buildManifestLine(booking, requestsById.get(booking.converted_to_invoice_request_id?.toString())))
+    .sort((a, b) => String(a.awb || '').localeCompare(String(b.awb || '')));
+}
+
+const sumManifestTotals = (lines) => ({
+  booking_count: lines.length,
+  boxes: lines.reduce((sum, line) => sum + line.boxes, 0),
+  actual_weight_kg: round2(lines.reduce((sum, line) => sum + line.actual_weight_kg, 0)),
+  chargeable_weight_kg: round2(lines.reduce((sum, line) => sum + line.chargeable_weight_kg, 0)),
+  declared_value: round2(lines.reduce((sum, line) => sum + line.declared_value, 0)),
+});
+
+async function refreshBatchTotals(batch, session = null) {
+  const lines = await getManifestLines(batch.batch_no, session);
+  batch.totals = sumManifestTotals(lines);
+  await batch.save({ session });
+  return batch.totals;
+}
+
+/**
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, batch?: object }>}
+ */
+async function createBatch(body, userId) {
+  const batchNo = String(body.batch_no || '').trim();
+  if (!batchNo) {
+    return { success: false, statusCode: 400, error: 'batch_no is required' };
+  }
+  const { error, fields } = parseBatchDetails(body);
+  if (error) return { success: false, statusCode: 400, error };
+
+  try {
+    const batch = await Batch.create({
+      batch_no: batchNo,
+      ...fields,
+      status: 'OPEN',
+      status_history: [{ status: 'OPEN', by: userId || undefined, notes: 'Batch created' }],
+      created_by: userId || undefined,
+    });
+    return { success: true, batch };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, statusCode: 409, error: `Batch ${batchNo} already exists` };
+    }
+    throw err;
+  }
+}
+
+async function updateBatch(idOrNumber, body) {
+  const batch = await findBatch(idOrNumber);
+  if (!batch) return { success: false, statusCode: 404, error: 'Batch not found' };
+
+  const departed = ['DEPARTED', 'ARRIVED'].includes(batch.status);
+  const allowed = departed ? POST_DEPARTURE_FIELDS : DETAIL_FIELDS;
+  const blocked = DETAIL_FIELDS.filter(key => body[key] !== undefined && !allowed.includes(key));
+  if (blocked.length) {
+    return {
+      success: false,
+      statusCode: 409,
+      error: `Batch has ${batch.status.toLowerCase()}; ${blocked.join(', ')} can no longer be changed`,
+    };
+  }
+
+  const { error, fields } = parseBatchDetails(body, allowed);
+  if (error) return { success: false, statusCode: 400, error };
+  const departure = fields.departure_date !== undefined ? fields.departure_date : batch.departure_date;
+  const arrival = fields.arrival_date !== undefined ? fields.arrival_date : batch.arrival_date;
+  if (departure && arrival && arrival < departure) {
+    return { success: false, statusCode: 400, error: 'arrival_date cannot be before departure_date' };
+  }
+
+  Object.assign(batch, fields);
+  await batch.save();
+  return { success: true, batch };
+}
+
+/**
+ * Run fn(batch, session) in a transaction with the batch loaded and required to be OPEN. With
+ * options.session it runs in the caller's transaction, which the caller commits or aborts.
+ */
+async function withOpenBatch(idOrNumber, action, fn, { session: callerSession = null } = {}) {
+  const run = async (session) => {
+    const batch = await findBatch(idOrNumber, session);
+    if (!batch) {
+      return { success: false, statusCode: 404, error: 'Batch not found' };
+    }
+    if (batch.status !== 'OPEN') {
+      return { success: false, statusCode: 409, error: `Cannot ${action} a ${batch.status.toLowerCase()} batch; reopen it first` };
+    }
+    return fn(batch, session);
+  };
+  if (callerSession) return run(callerSession);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await run(session);
+    if (!result.success) {
+      await session.abortTransaction();
+      return result;
+    }
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+const invalidIds = (ids) => ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+
+/**
+ * Put bookings into an OPEN batch. A booking already in another batch must be removed from it
+ * first; free-text batch numbers from before batches existed are simply replaced.
+ * @param {object} [options]
+ * @param {ClientSession} [options.session] - run inside the caller's transaction
+ */
+async function addBookings(idOrNumber, bookingIds, options = {}) {
+  if (!Array.isArray(bookingIds) || bookingIds.length === 0) {
+    return { success: false, statusCode: 400, error: 'booking_ids must be a non-empty array' };
+  }
+  if (invalidIds(bookingIds).length) {
+    return { success: false, statusCode: 400, error: `Invalid booking IDs: ${invalidIds(bookingIds).join(', ')}` };
+  }
+
+  return withOpenBatch(idOrNumber, 'add bookings to', async (batch, session) => {
+    const bookings = await Booking.find({ _id: { $in: bookingIds } }).select('_id batch_no review_status').session(session).lean();
+    if (bookings.length !== new Set(bookingIds.map(String)).size) {
+      const found = new Set(bookings.map(b => b._id.toString()));
+      return { success: false, statusCode: 404, error: `Some booking IDs not found: ${bookingIds.filter(id => !found.has(String(id))).join(', ')}` };
+    }
+    const rejected = bookings.filter(b => b.review_status === 'rejected');
+    if (rejected.length) {
+      return { success: false, statusCode: 400, error: `Rejected bookings cannot be shipped: ${rejected.map(b => b._id).join(', ')}` };
+    }
+
+    const otherBatchNos = [...new Set(bookings.map(b => b.batch_no).filter(no => no && no !== batch.batch_no))];
+    if (otherBatchNos.length) {
+      const otherBatches = await Batch.find({ batch_no: { $in: otherBatchNos } }).select('batch_no').session(session).lean();
+      if (otherBatches.length) {
+        const taken = new Set(otherBatches.map(b => b.batch_no));
+        const conflicts = bookings.filter(b => taken.has(b.batch_no));
+        return {
+          success: false,
+          statusCode: 409,
+          error: `Bookings already in another batch: ${conflicts.map(b => `${b._id} (${b.batch_no})`).join(', ')}`,
+        };
+      }
+    }
+
+    await Booking.updateMany(
+      { _id: { $in: bookingIds } },
+      { $set: { batch_no: batch.batch_no, updatedAt: new Date() } },
+      { session }
+    );
+    await refreshBatchTotals(batch, session);
+    return { success: true, batch };
+  }, options);
+}
+
+async function removeBookings(idOrNumber, bookingIds) {
+  if (!Array.isArray(bookingIds) || bookingIds.length === 0) {
+    return { success: false, statusCode: 400, error: 'booking_ids must be a non-empty array' };
+  }
+  if (invalidIds(bookingIds).length) {
+    return { success: false, statusCode: 400, error: `Invalid booking IDs: ${invalidIds(bookingIds).join(', ')}` };
+  }
+
+  return withOpenBatch(idOrNumber, 'remove bookings from', async (batch, session) => {
+    const inBatch = await Booking.find({ _id: { $in: bookingIds }, batch_no: batch.batch_no }).select('_id').session(session).lean();
+    if (inBatch.length !== new Set(bookingIds.map(String)).size) {
+      const found = new Set(inBatch.map(b => b._id.toString()));
+      return { success: false, statusCode: 404, error: `Bookings not in batch ${batch.batch_no}: ${bookingIds.filter(id => !found.has(String(id))).join(', ')}` };
+    }
+
+    await Booking.updateMany(
+      { _id: { $in: bookingIds } },
+      { $set: { batch_no: null, updatedAt: new Date() } },
+      { session }
+    );
+    await refreshBatchTotals(batch, session);
+    return { success: true, batch };
+  });
+}
+
+/**
+ * Move a batch along its lifecycle.
+ * @param {object} options
+ * @param {Date|string} [options.at] - actual departure/arrival time (default now)
+ * @param {string} [options.updatedBy] - name recorded in the bookings' status history
+ */
+async function changeBatchStatus(idOrNumber, status, { userId, updatedBy, notes, at } = {}) {
+  const nextStatus = String(status || '').trim().toUpperCase();
+  if (!BATCH_STATUSES.includes(nextStatus)) {
+    return { success: false, statusCode: 400, error: `status must be one of ${BATCH_STATUSES.join(', ')}` };
+  }
+  const when = at ? new Date(at) : new Date();
+  if (isNaN(when.getTime())) {
+    return { success: false, statusCode: 400, error: 'at must be a valid date' };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let batch;
+  const transitions = [];
+  const skipped = [];
+  try {
+    batch = await findBatch(idOrNumber, session);
+    if (!batch) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 404, error: 'Batch not found' };
+    }
+    if (!BATCH_TRANSITIONS[batch.status].includes(nextStatus)) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 409, error: `Cannot move a batch from ${batch.status} to ${nextStatus}` };
+    }
+
+    await refreshBatchTotals(batch, session);
+    if (nextStatus === 'CLOSED' && batch.totals.booking_count === 0) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 400, error: 'Cannot close an empty batch' };
+    }
+    if (nextStatus === 'DEPARTED') {
+      const missing = ['flight_or_vessel', 'seal_number'].filter(field => !batch[field]);
+      if (missing.length) {
+        await session.abortTransaction();
+        return { success: false, statusCode: 400, error: `Set ${missing.join(' and ')} before departure` };
+      }
+      batch.departed_at = when;
+    }
+    if (nextStatus === 'ARRIVED') {
+      if (when < batch.departed_at) {
+        await session.abortTransaction();
+        return { success: false, statusCode: 400, error: 'Arrival cannot be before departure' };
+      }
+      batch.arrived_at = when;
+    }
+
+    batch.status = nextStatus;
+    batch.status_history.push({ status: nextStatus, at: when, by: userId || undefined, notes: notes || undefined });
+    await batch.save({ session });
+
+    // Bookings that cannot make the move (e.g. cancelled) are left as they are and reported
+    const shipmentState = SHIPMENT_STATE_FOR_BATCH[nextStatus];
+    if (shipmentState) {
+      const bookings = await Booking.find({ batch_no: batch.batch_no }).session(session);
+      for (const booking of bookings) {
+        const result = await transitionShipment({ booking }, shipmentState, {
+          updatedBy: updatedBy || 'system',
+          notes: `Batch ${batch.batch_no} ${nextStatus.toLowerCase()}${notes ? `: ${notes}` : ''}`,
+          at: when,
+          source: 'batch',
+          ifAllowed: true,
+          session,
+        });
+        if (result.skipped) {
+          skipped.push({ booking_id: booking._id, awb: booking.awb_number || booking.tracking_code || null, reason: result.reason });
+        } else if (result.changed) {
+          transitions.push(result);
+        }
+      }
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // The move is committed; a failing sync or webhook must not report it as failed
+  for (const transition of transitions) {
+    try {
+      await transition.runSideEffects();
+    } catch (error) {
+      console.error(`Error running shipment side effects for batch ${batch.batch_no}:`, error);
+    }
+  }
+  return { success: true, batch, bookings_updated: transitions.length, bookings_skipped: skipped };
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  BATCH_TRANSITIONS,
+  findBatch,
+  buildManifestLine,
+  getManifestLines,
+  sumManifestTotals,
+  refreshBatchTotals,
+  createBatch,
+  updateBatch,
+  addBookings,
+  removeBookings,
+  changeBatchStatus,
+};
@@ -0,0 +1,270 @@
+/**
+ * Booking amendments.
+ *
+ * Every edit through PUT /api/bookings/:id is stored as a BookingAmendment: a field-level diff
+ * with who, when and why. Once a booking has been reviewed an edit needs a reason.
+ *
+ * If an invoice request was already created from the booking, contact details (names, phones,
+ * addresses) are copied to it while it is still DRAFT/SUBMITTED. Anything else, or any change
+ * once operations has started on the request, is flagged on the request for staff to check.
+ */
+
+const mongoose = require('mongoose');
+const { BookingAmendment, InvoiceRequest } = require('../models');
+const { isPendingReviewStatus } = require('./system-settings');
+
+// Not part of an amendment: bookkeeping, and the shipment status (see shipment-state-machine)
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'shipment_status', 'shipment_status_history'];
+
+// Invoice request statuses that still take contact details from the booking
+const PROPAGATE_STATUSES = ['DRAFT', 'SUBMITTED'];
+
+// Booking fields whose changes are covered by copying contact details
+const CONTACT_FIELD = /^(sender|receiver|customer_|receiver_|origin|destination)/;
+
+const MAX_VALUE_LENGTH = 2000;
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !(value instanceof mongoose.Types.ObjectId)
+  && !(value instanceof mongoose.Types.Decimal128)
+  && !Buffer.isBuffer(value);
+
+// Comparable, storable form of a value
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof mongoose.Types.Decimal128) return parseFloat(value.toString());
+  if (Buffer.isBuffer(value)) return '[file]';
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (isPlainObject(value)) {
+    if (Object.keys(value).length === 0) return null;
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeValue(v)]));
+  }
+  return value;
+}
+
+// Identity documents and uploaded images are recorded as present/absent only
+function redactValue(field, value) {
+  if (value === null) return null;
+  if (field.startsWith('identityDocuments')) return '[document]';
+  if (typeof value === 'string' && (value.startsWith('data:') || value.length > MAX_VALUE_LENGTH)) return '[file]';
+  if (typeof value === 'object' && JSON.stringify(value).length > MAX_VALUE_LENGTH) return '[large value]';
+  return value;
+}
+
+// { a: { b: 1 } } -> { 'a.b': 1 }. Arrays are compared whole.
+function flatten(value, prefix = '', out = {}) {
+  for (const [key, v] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+    if (isPlainObject(v) && Object.keys(v).length > 0) {
+      flatten(v, path, out);
+    } else {
+      out[path] = normalizeValue(v);
+    }
+  }
+  return out;
+}
+
+/**
+ * Field-level diff between two versions of a booking (plain objects).
+ * @returns {Array<{ field: string, old_value: *, new_value: * }>}
+ */
+function diffBooking(before, after) {
+  const oldFields = flatten(before);
+  const newFields = flatten(after);
+  const fields = [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])].sort();
+
+  const changes = [];
+  for (const field of fields) {
+    const oldValue = oldFields[field] ?? null;
+    const newValue = newFields[field] ?? null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+    changes.push({
+      field,
+      old_value: redactValue(field, oldValue),
+      new_value: redactValue(field, newValue),
+    });
+  }
+  return changes;
+}
+
+/**
+ * Whether an edit to this booking must give a reason.
+ */
+function amendmentNeedsReason(booking) {
+  return !isPendingReviewStatus(booking.review_status);
+}
+
+/**
+ * Invoice request contact fields derived from a booking, as on approval
+ * (services/booking-review-approve.js).
+ */
+function invoiceRequestFieldsFromBooking(booking) {
+  const sender = booking.sender || {};
+  const receiver = booking.receiver || {};
+
+  const customerFirstName = sender.firstName || booking.customer_first_name || '';
+  const customerLastName = sender.lastName || booking.customer_last_name || '';
+  const receiverFirstName = receiver.firstName || booking.receiver_first_name || '';
+  const receiverLastName = receiver.lastName || booking.receiver_last_name || '';
+  const destinationPlace = booking.destination_place || booking.destination || receiver.completeAddress || receiver.addressLine1 || receiver.address || receiver.country || '';
+  const receiverAddress = receiver.completeAddress || receiver.addressLine1 || receiver.address || booking.receiver_address || booking.receiverAddress || destinationPlace;
+  const receiverPhone = receiver.contactNo || receiver.phoneNumber || receiver.phone || booking.receiver_phone || booking.receiverPhone || '';
+
+  return {
+    customer_name: customerFirstName && customerLastName
+      ? `${customerFirstName} ${customerLastName}`.trim()
+      : booking.customer_name || booking.name || sender.fullName || '',
+    receiver_name: receiverFirstName && receiverLastName
+      ? `${receiverFirstName} ${receiverLastName}`.trim()
+      : booking.receiver_name || booking.receiverName || receiver.fullName || '',
+    origin_place: booking.origin_place || booking.origin || sender.completeAddress || sender.addressLine1 || sender.address || sender.country || '',
+    destination_place: destinationPlace,
+    customer_phone: sender.contactNo || sender.phoneNumber || sender.phone || booking.customer_phone || '',
+    receiver_address: receiverAddress,
+    receiver_phone: receiverPhone,
+    receiver_company: receiver.company || booking.receiver_company || '',
+    'verification.receiver_address': receiver.completeAddress || receiver.addressLine1 || receiver.address || '',
+    'verification.receiver_phone': receiver.contactNo || receiver.phoneNumber || receiver.phone || '',
+  };
+}
+
+async function findInvoiceRequestForBooking(booking) {
+  if (booking.converted_to_invoice_request_id) {
+    const invoiceRequest = await InvoiceRequest.findById(booking.converted_to_invoice_request_id);
+    if (invoiceRequest) return invoiceRequest;
+  }
+  return InvoiceRequest.findOne({ booking_id: booking._id });
+}
+
+/**
+ * Copy contact details to, or flag, the invoice request created from the booking.
+ * @returns {Promise<{ invoice_request_id?, invoice_request_action, propagated_fields, flagged_fields }>}
+ */
+async function applyToInvoiceRequest(before, after, changes, amendmentId) {
+  const none = { invoice_request_action: 'NONE', propagated_fields: [], flagged_fields: [] };
+  const invoiceRequest = await findInvoiceRequestForBooking(after);
+  if (!invoiceRequest || invoiceRequest.status === 'CANCELLED') return none;
+
+  const canPropagate = PROPAGATE_STATUSES.includes(invoiceRequest.status) && !invoiceRequest.invoice_generated_at;
+  const $set = {};
+  let flaggedFields = changes
+    .map(change => change.field)
+    .filter(field => !field.startsWith('identityDocuments'));
+
+  if (canPropagate) {
+    const oldFields = invoiceRequestFieldsFromBooking(before);
+    const newFields = invoiceRequestFieldsFromBooking(after);
+    for (const [field, value] of Object.entries(newFields)) {
+      if (value !== oldFields[field]) $set[field] = value;
+    }
+    flaggedFields = flaggedFields.filter(field => !CONTACT_FIELD.test(field));
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) {
+    update.$set = $set;
+  }
+  if (flaggedFields.length > 0) {
+    update.$set = {
+      ...update.$set,
+      'booking_amendment_flag.pending': true,
+      'booking_amendment_flag.flagged_at': new Date(),
+    };
+    update.$addToSet = {
+      'booking_amendment_flag.fields': { $each: flaggedFields },
+      'booking_amendment_flag.amendment_ids': amendmentId,
+    };
+    update.$unset = {
+      'booking_amendment_flag.acknowledged_at': 1,
+      'booking_amendment_flag.acknowledged_by': 1,
+    };
+  }
+  if (!update.$set) return { ...none, invoice_request_id: invoiceRequest._id };
+
+  await InvoiceRequest.updateOne({ _id: invoiceRequest._id }, update);
+
+  return {
+    invoice_request_id: invoiceRequest._id,
+    invoice_request_action: flaggedFields.length > 0 ? 'FLAGGED' : 'PROPAGATED',
+    propagated_fields: Object.keys($set).filter(field => !field.startsWith('booking_amendment_flag')),
+    flagged_fields: flaggedFields,
+  };
+}
+
+/**
+ * Record an edit of a booking. No-op when nothing changed.
+ * @param {object} before - booking before the edit (plain object)
+ * @param {object} after - booking after the edit (plain object)
+ * @param {object} [options] - { reason, user }
+ * @returns {Promise<object|null>} the BookingAmendment, or null when nothing changed
+ */
+async function recordBookingAmendment(before, after, { reason, user } = {}) {
+  const changes = diffBooking(before, after);
+  if (changes.length === 0) return null;
+
+  const amendment = new BookingAmendment({
+    booking_id: after._id,
+    changes,
+    reason: reason || undefined,
+    review_status: before.review_status,
+    changed_by: user?.id,
+    changed_by_email: user?.email,
+  });
+
+  try {
+    Object.assign(amendment, await applyToInvoiceRequest(before, after, changes, amendment._id));
+  } catch (error) {
+    console.error('Error applying booking amendment to invoice request:', error);
+  }
+
+  await amendment.save();
+  return amendment;
+}
+
+/**
+ * Amendments of a booking, newest first.
+ */
+async function getBookingHistory(bookingId, { limit = 100 } = {}) {
+  return BookingAmendment.find({ booking_id: bookingId })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+    .populate('changed_by', 'full_name email')
+    .lean();
+}
+
+/**
+ * Clear the amendment flag on an invoice request once staff have checked the changes.
+ */
+async function acknowledgeInvoiceRequestAmendments(invoiceRequestId, userId) {
+  const invoiceRequest = await InvoiceRequest.findById(invoiceRequestId);
+  if (!invoiceRequest) {
+    return { success: false, statusCode: 404, error: 'Invoice request not found' };
+  }
+  if (!invoiceRequest.booking_amendment_flag?.pending) {
+    return { success: false, statusCode: 400, error: 'Invoice request has no pending booking amendments' };
+  }
+
+  // The amendments themselves stay in the booking history
+  invoiceRequest.booking_amendment_flag.pending = false;
+  invoiceRequest.booking_amendment_flag.fields = [];
+  invoiceRequest.booking_amendment_flag.amendment_ids = [];
+  invoiceRequest.booking_amendment_flag.acknowledged_at = new Date();
+  invoiceRequest.booking_amendment_flag.acknowledged_by = userId;
+  await invoiceRequest.save();
+  return { success: true, invoiceRequest };
+}
+
+module.exports = {
+  diffBooking,
+  amendmentNeedsReason,
+  invoiceRequestFieldsFromBooking,
+  recordBookingAmendment,
+  getBookingHistory,
+  acknowledgeInvoiceRequestAmendments,
+};
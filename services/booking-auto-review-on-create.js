@@ -1,12 +1,63 @@
+const { Booking } = require('../models');
 const { performBookingReview } = require('./booking-review-approve');
 const {
-  isBookingAutoReviewEnabled,
+  getOrCreateSettings,
   isPendingReviewStatus,
   resolveAutoReviewReviewerId,
 } = require('./system-settings');
+const { evaluateAutoReviewRules, logAutoReviewDecision } = require('./booking-auto-review-rules');
+const { emitWebhookEvent } = require('./webhooks');
+
+/** Same eligibility as GET not_reviewed; legacy bookings use several "not reviewed" spellings. */
+const PENDING_REVIEW_QUERY = {
+  $or: [
+    {
+      review_status: {
+        $in: ['not reviewed', 'not_reviewed', 'pending', 'notreviewed', 'Not Reviewed'],
+      },
+    },
+    { review_status: { $exists: false } },
+    { review_status: null },
+    { review_status: '' },
+    {
+      $and: [
+        {
+          $or: [{ reviewed_at: { $exists: false } }, { reviewed_at: null }],
+        },
+        {
+          $or: [
+            { reviewed_by_employee_id: { $exists: false } },
+            { reviewed_by_employee_id: null },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+// Held by a rule, flagged as a duplicate or escalated by the watchlist: left for a reviewer
+const ELIGIBLE_FILTER = {
+  skip_auto_review: { $ne: true },
+  'auto_review_decision.action': { $ne: 'HOLD' },
+  'duplicate_check.status': { $ne: 'PENDING' },
+  'watchlist_flag.status': { $ne: 'PENDING' },
+};
+
+const markDecision = (filter, decision, extra = {}) => Booking.updateOne(filter, {
+  $set: {
+    auto_review_decision: {
+      action: decision.action,
+      rule_name: decision.rule_name,
+      reason: decision.reason || undefined,
+      decided_at: new Date(),
+    },
+    ...extra,
+  },
+});
 
 /**
- * When system auto-review is enabled in DB, approve a newly created booking (unless skip_auto_review).
+ * When system auto-review is enabled in DB, run a newly created booking through the auto-review
+ * rules (unless skip_auto_review): approve, hold for manual review or reject it.
  */
 async function tryAutoReviewNewBookingAfterCreate(booking, reviewDeps, options = {}) {
   try {
@@ -14,39 +65,106 @@ async function tryAutoReviewNewBookingAfterCreate(booking, reviewDeps, options =
     if (booking.skip_auto_review === true) {
       return { skipped: true, reason: 'skip_auto_review' };
     }
-    if (!(await isBookingAutoReviewEnabled())) {
+    // Likely duplicates wait for a reviewer to merge or dismiss them
+    if (booking.duplicate_check?.status === 'PENDING') {
+      return { skipped: true, reason: 'possible_duplicate' };
+    }
+    if (booking.watchlist_flag?.status === 'PENDING') {
+      return { skipped: true, reason: 'watchlist_escalation' };
+    }
+    const settings = await getOrCreateSettings();
+    if (settings.booking_auto_review_enabled !== true) {
       return { skipped: true, reason: 'disabled' };
     }
     if (!isPendingReviewStatus(booking.review_status)) {
       return { skipped: true, reason: 'not_pending' };
     }
 
-    const reviewerId = await resolveAutoReviewReviewerId(
-      booking,
-      options.reviewedByEmployeeId
-    );
-    if (!reviewerId) {
-      console.warn('[auto-review] No reviewer employee id for booking', booking._id);
-      return { skipped: true, reason: 'no_reviewer' };
-    }
+    return await applyAutoReviewRules(booking, settings, reviewDeps, options);
+  } catch (err) {
+    console.error('[auto-review] On-create error:', err.message);
+    return { skipped: false, success: false, error: err.message };
+  }
+}
+
+/**
+ * Run a pending booking through the auto-review rules and act on the decision: approve it
+ * (create the invoice request), hold it for manual review or reject it. Every decision is logged.
+ * @param {object} booking
+ * @param {object} settings - SystemSettings document
+ * @param {object} reviewDeps - see getBookingReviewDeps in routes/bookings.js
+ * @param {object} [options] - { reviewedByEmployeeId }
+ * @returns {Promise<object>} { skipped, reason?, success?, error?, decision, invoiceRequest? }
+ */
+async function applyAutoReviewRules(booking, settings, reviewDeps, options = {}) {
+  const decision = evaluateAutoReviewRules(booking, settings);
+
+  if (decision.action === 'HOLD') {
+    await markDecision({ _id: booking._id }, decision);
+    await logAutoReviewDecision(booking, decision, 'HELD');
+    console.log(`[auto-review] Held booking ${booking._id} for manual review (rule: ${decision.rule_name})`);
+    return { skipped: true, reason: 'held', decision };
+  }
 
-    const result = await performBookingReview(
-      booking._id.toString(),
-      reviewerId,
-      reviewDeps
-    );
+  const reviewerId = await resolveAutoReviewReviewerId(
+    booking,
+    options.reviewedByEmployeeId
+  );
+  if (!reviewerId) {
+    await logAutoReviewDecision(booking, decision, 'SKIPPED', { error: 'No reviewer employee id' });
+    console.warn('[auto-review] No reviewer employee id for booking', booking._id);
+    return { skipped: true, reason: 'no_reviewer', decision };
+  }
 
-    if (!result.success) {
-      console.warn('[auto-review] On-create failed:', booking._id, result.error);
-      return { skipped: false, success: false, error: result.error };
+  if (decision.action === 'REJECT') {
+    const reviewedAt = new Date();
+    // A manual review may have landed since the booking was read
+    const { matchedCount } = await markDecision({ _id: booking._id, ...PENDING_REVIEW_QUERY }, decision, {
+      review_status: 'rejected',
+      reason: decision.reason,
+      reviewed_by_employee_id: reviewerId,
+      reviewed_at: reviewedAt,
+    });
+    if (matchedCount === 0) {
+      return { skipped: true, reason: 'not_pending', decision };
+    }
+    await logAutoReviewDecision(booking, decision, 'REJECTED');
+    await emitWebhookEvent('booking.reviewed', {
+      booking_id: booking._id,
+      reference_number: booking.referenceNumber,
+      awb: booking.awb || null,
+      review_status: 'rejected',
+      reason: decision.reason,
+      reviewed_at: reviewedAt,
+    });
+    if (reviewDeps?.enqueueBookingIdentityPurge) {
+      await reviewDeps.enqueueBookingIdentityPurge(booking._id);
     }
+    console.log(`[auto-review] Rejected booking ${booking._id} (rule: ${decision.rule_name})`);
+    return { skipped: false, success: true, decision };
+  }
 
-    console.log('[auto-review] On-create approved booking', booking._id);
-    return { skipped: false, success: true, invoiceRequest: result.invoiceRequest };
-  } catch (err) {
-    console.error('[auto-review] On-create error:', err.message);
-    return { skipped: false, success: false, error: err.message };
+  const result = await performBookingReview(
+    booking._id.toString(),
+    reviewerId,
+    reviewDeps
+  );
+
+  if (!result.success) {
+    await logAutoReviewDecision(booking, decision, 'FAILED', { error: result.error });
+    console.warn('[auto-review] On-create failed:', booking._id, result.error);
+    return { skipped: false, success: false, error: result.error, decision };
   }
+
+  await markDecision({ _id: booking._id }, decision);
+  await logAutoReviewDecision(booking, decision, 'APPROVED', { invoiceRequestId: result.invoiceRequest?._id });
+  console.log(`[auto-review] On-create approved booking ${booking._id} (rule: ${decision.rule_name})`);
+  return { skipped: false, success: true, invoiceRequest: result.invoiceRequest, decision };
 }
 
-module.exports = { tryAutoReviewNewBookingAfterCreate };
+module.exports = {
+  PENDING_REVIEW_QUERY,
+  ELIGIBLE_FILTER,
+  tryAutoReviewNewBookingAfterCreate,
+  applyAutoReviewRules,
+};
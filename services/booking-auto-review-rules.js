@@ -0,0 +1,228 @@
+/**
+ * Booking auto-review rules.
+ *
+ * When auto-review is on, each pending booking is checked against the rules in system settings,
+ * in order. The first enabled rule whose conditions all hold decides: APPROVE (create the invoice
+ * request), HOLD (leave it for manual review) or REJECT (with the rule's reason). No match falls
+ * back to booking_auto_review_default_action. Every decision is logged in AutoReviewDecision.
+ */
+
+const { AutoReviewDecision } = require('../models');
+
+const AUTO_REVIEW_ACTIONS = ['APPROVE', 'HOLD', 'REJECT'];
+const BOOKING_SOURCES = ['sales', 'partner', 'public'];
+const ROUTES = ['PH_TO_UAE', 'UAE_TO_PH'];
+
+const NUMBER_CONDITIONS = ['declared_value_min', 'declared_value_max', 'weight_min', 'weight_max'];
+const BOOLEAN_CONDITIONS = ['otp_verified', 'identity_documents_present', 'sender_blacklisted'];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value.toString());
+  return Number.isFinite(number) ? number : null;
+};
+
+const normalizeRoute = (booking) => {
+  const code = String(booking.service_code || booking.service || '').toUpperCase().replace(/[^A-Z]+/g, '_');
+  if (code.includes('PH_TO_UAE')) return 'PH_TO_UAE';
+  if (code.includes('UAE_TO_PH') || code.includes('UAE_TO_PINAS')) return 'UAE_TO_PH';
+  return code || null;
+};
+
+const normalizeBlacklistEntry = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (text.includes('@')) return text;
+  const digits = text.replace(/\D/g, '');
+  // Phones compare on their last 9 digits, names on letters only
+  if (digits.length >= 7 && digits.length >= text.replace(/[^a-z]/g, '').length) return digits.slice(-9);
+  return text.replace(/[^a-z]+/g, ' ').trim();
+};
+
+function isSenderBlacklisted(booking, blacklist = []) {
+  if (!blacklist.length) return false;
+  const sender = booking.sender || {};
+  const values = [
+    sender.contactNo, sender.phoneNumber, sender.phone,
+    sender.email, sender.emailAddress,
+    sender.fullName || sender.name || `${sender.firstName || ''} ${sender.lastName || ''}`,
+  ].map(normalizeBlacklistEntry).filter(Boolean);
+  const entries = new Set(blacklist.map(normalizeBlacklistEntry).filter(Boolean));
+  return values.some(value => entries.has(value));
+}
+
+function hasIdentityDocuments(booking) {
+  const docs = booking.identityDocuments || {};
+  return !!((docs.eidFrontImage && docs.eidBackImage) || (docs.philippinesIdFront && docs.philippinesIdBack));
+}
+
+/**
+ * Booking values the rule conditions are checked against.
+ */
+function bookingFacts(booking, settings = {}) {
+  return {
+    route: normalizeRoute(booking),
+    source: ['sales', 'partner'].includes(booking.source) ? booking.source : 'public',
+    declared_value: toNumber(booking.declaredAmount ?? booking.declared_amount),
+    weight: toNumber(booking.weight ?? booking.weight_kg),
+    otp_verified: !!(booking.otpVerification?.verified || booking.verified),
+    identity_documents_present: hasIdentityDocuments(booking),
+    sender_blacklisted: isSenderBlacklisted(booking, settings.booking_sender_blacklist || []),
+  };
+}
+
+const inRange = (value, min, max) => {
+  if (min == null && max == null) return true;
+  if (value === null) return false;
+  return (min == null || value >= min) && (max == null || value <= max);
+};
+
+function ruleMatches(rule, facts) {
+  const c = rule.conditions || {};
+  if (c.routes?.length && !c.routes.includes(facts.route)) return false;
+  if (c.sources?.length && !c.sources.includes(facts.source)) return false;
+  if (!inRange(facts.declared_value, c.declared_value_min, c.declared_value_max)) return false;
+  if (!inRange(facts.weight, c.weight_min, c.weight_max)) return false;
+  for (const key of BOOLEAN_CONDITIONS) {
+    if (typeof c[key] === 'boolean' && facts[key] !== c[key]) return false;
+  }
+  return true;
+}
+
+/**
+ * Decide what to do with a booking.
+ * @param {object} booking
+ * @param {object} settings - SystemSettings document (rules, default action, blacklist)
+ * @returns {{ action: string, rule_id: ObjectId|null, rule_name: string, reason: string|null, facts: object }}
+ */
+function evaluateAutoReviewRules(booking, settings) {
+  const facts = bookingFacts(booking, settings);
+  const rule = (settings.booking_auto_review_rules || []).find(r => r.enabled !== false && ruleMatches(r, facts));
+  if (rule) {
+    return { action: rule.action, rule_id: rule._id || null, rule_name: rule.name, reason: rule.reason || null, facts };
+  }
+  return {
+    action: settings.booking_auto_review_default_action || 'APPROVE',
+    rule_id: null,
+    rule_name: 'default',
+    reason: null,
+    facts,
+  };
+}
+
+/**
+ * Check and normalize rules sent by an admin.
+ * @returns {{ success: boolean, error?: string, rules?: object[] }}
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { success: false, error: 'rules must be an array' };
+  }
+
+  const normalized = [];
+  for (const [index, rule] of rules.entries()) {
+    const label = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      return { success: false, error: `${label} must be an object` };
+    }
+    const name = String(rule.name || '').trim();
+    if (!name) {
+      return { success: false, error: `${label}.name is required` };
+    }
+    const action = String(rule.action || '').toUpperCase();
+    if (!AUTO_REVIEW_ACTIONS.includes(action)) {
+      return { success: false, error: `${label}.action must be one of ${AUTO_REVIEW_ACTIONS.join(', ')}` };
+    }
+    if (action === 'REJECT' && !String(rule.reason || '').trim()) {
+      return { success: false, error: `${label}.reason is required for REJECT rules` };
+    }
+
+    const input = rule.conditions || {};
+    const conditions = {};
+    if (input.routes !== undefined) {
+      const routes = [].concat(input.routes).map(route => normalizeRoute({ service_code: route }));
+      if (routes.some(route => !ROUTES.includes(route))) {
+        return { success: false, error: `${label}.conditions.routes must be ${ROUTES.join(' or ')}` };
+      }
+      conditions.routes = routes;
+    }
+    if (input.sources !== undefined) {
+      const sources = [].concat(input.sources).map(source => String(source).toLowerCase());
+      if (sources.some(source => !BOOKING_SOURCES.includes(source))) {
+        return { success: false, error: `${label}.conditions.sources must be one of ${BOOKING_SOURCES.join(', ')}` };
+      }
+      conditions.sources = sources;
+    }
+    for (const key of NUMBER_CONDITIONS) {
+      if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+      const value = toNumber(input[key]);
+      if (value === null || value < 0) {
+        return { success: false, error: `${label}.conditions.${key} must be a non-negative number` };
+      }
+      conditions[key] = value;
+    }
+    for (const [min, max] of [['declared_value_min', 'declared_value_max'], ['weight_min', 'weight_max']]) {
+      if (conditions[min] != null && conditions[max] != null && conditions[min] > conditions[max]) {
+        return { success: false, error: `${label}.conditions.${min} cannot be greater than ${max}` };
+      }
+    }
+    for (const key of BOOLEAN_CONDITIONS) {
+      if (input[key] === undefined || input[key] === null) continue;
+      if (typeof input[key] !== 'boolean') {
+        return { success: false, error: `${label}.conditions.${key} must be a boolean` };
+      }
+      conditions[key] = input[key];
+    }
+
+    normalized.push({
+      ...(rule._id ? { _id: rule._id } : {}),
+      name,
+      enabled: rule.enabled !== false,
+      conditions,
+      action,
+      reason: rule.reason ? String(rule.reason).trim() : undefined,
+    });
+  }
+  return { success: true, rules: normalized };
+}
+
+/**
+ * Log a decision. Never throws: a logging failure must not undo the review.
+ */
+async function logAutoReviewDecision(booking, decision, outcome, extra = {}) {
+  try {
+    return await AutoReviewDecision.create({
+      booking_id: booking._id,
+      action: decision.action,
+      outcome,
+      rule_id: decision.rule_id || undefined,
+      rule_name: decision.rule_name,
+      reason: decision.reason || undefined,
+      facts: decision.facts,
+      invoice_request_id: extra.invoiceRequestId,
+      error: extra.error,
+    });
+  } catch (error) {
+    console.error('[auto-review] Failed to log decision:', error.message);
+    return null;
+  }
+}
+
+async function listAutoReviewDecisions({ bookingId, action, limit = 100 } = {}) {
+  const query = {};
+  if (bookingId) query.booking_id = bookingId;
+  if (action) query.action = String(action).toUpperCase();
+  return AutoReviewDecision.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+    .lean();
+}
+
+module.exports = {
+  AUTO_REVIEW_ACTIONS,
+  bookingFacts,
+  evaluateAutoReviewRules,
+  validateRules,
+  logAutoReviewDecision,
+  listAutoReviewDecisions,
+};
@@ -1,39 +1,14 @@
 const { Booking } = require('../models');
-const { tryAutoReviewNewBookingAfterCreate } = require('./booking-auto-review-on-create');
+const {
+  PENDING_REVIEW_QUERY,
+  ELIGIBLE_FILTER,
+  tryAutoReviewNewBookingAfterCreate,
+} = require('./booking-auto-review-on-create');
 const {
   isBookingAutoReviewEnabled,
   resolveAutoReviewReviewerId,
 } = require('./system-settings');
 
-/** Same eligibility as GET not_reviewed + batch auto-review. */
-const PENDING_REVIEW_QUERY = {
-  $or: [
-    {
-      review_status: {
-        $in: ['not reviewed', 'not_reviewed', 'pending', 'notreviewed', 'Not Reviewed'],
-      },
-    },
-    { review_status: { $exists: false } },
-    { review_status: null },
-    { review_status: '' },
-    {
-      $and: [
-        {
-          $or: [{ reviewed_at: { $exists: false } }, { reviewed_at: null }],
-        },
-        {
-          $or: [
-            { reviewed_by_employee_id: { $exists: false } },
-            { reviewed_by_employee_id: null },
-          ],
-        },
-      ],
-    },
-  ],
-};
-
-const ELIGIBLE_FILTER = { skip_auto_review: { $ne: true } };
-
 let changeStream = null;
 let pollTimer = null;
 let getDepsFn = null;
@@ -0,0 +1,347 @@
+/**
+ * Duplicate booking detection.
+ *
+ * Each booking gets duplicate_keys: a fingerprint of its normalized sender/receiver names and
+ * phones, route and commodities, plus looser keys (sender phone, receiver phone, name pair) used
+ * to find candidates. Candidates created within the time window before the booking are scored
+ * field by field; a score at or above the threshold flags the booking as a likely duplicate of
+ * the earliest best match. Reviewers then merge it (reject it as a duplicate) or dismiss the flag.
+ */
+
+const crypto = require('crypto');
+const { Booking } = require('../models');
+const { isPendingReviewStatus } = require('./system-settings');
+
+const DUPLICATE_WINDOW_HOURS = parseFloat(process.env.BOOKING_DUPLICATE_WINDOW_HOURS) || 72;
+const DUPLICATE_THRESHOLD = parseFloat(process.env.BOOKING_DUPLICATE_THRESHOLD) || 0.85;
+
+// Share of the score per field. Fields empty on both bookings are left out.
+const WEIGHTS = {
+  sender_name: 0.2,
+  sender_phone: 0.2,
+  receiver_name: 0.2,
+  receiver_phone: 0.2,
+  route: 0.1,
+  commodities: 0.1,
+};
+// Below this much comparable weight two bookings say too little about each other to match
+const MIN_COMPARED_WEIGHT = 0.6;
+
+const PROFILE_FIELDS = [
+  'sender.firstName', 'sender.lastName', 'sender.fullName', 'sender.name',
+  'sender.phone', 'sender.phoneNumber', 'sender.contactNo',
+  'receiver.firstName', 'receiver.lastName', 'receiver.fullName', 'receiver.name',
+  'receiver.phone', 'receiver.phoneNumber', 'receiver.contactNo',
+  'customer_name', 'receiver_name', 'items.commodity', 'items.name',
+  'service', 'service_code', 'referenceNumber', 'awb', 'review_status', 'duplicate_check', 'createdAt',
+].join(' ');
+
+const windowMs = () => DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+
+const nameTokens = (party = {}, fallback) => {
+  const name = party.firstName || party.lastName
+    ? `${party.firstName || ''} ${party.lastName || ''}`
+    : party.fullName || party.name || fallback || '';
+  return [...new Set(String(name).toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean))].sort();
+};
+
+// Digits only, last 9 so +971 50..., 050... and 50... compare equal
+const normalizePhone = (party = {}) => {
+  const digits = String(party.contactNo || party.phoneNumber || party.phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-9) : '';
+};
+
+const normalizeRoute = (booking) => {
+  const code = String(booking.service_code || booking.service || '').toUpperCase().replace(/[^A-Z]+/g, '_');
+  const match = code.match(/(PH|UAE)_TO_(PH|UAE)/);
+  return match ? match[0] : code;
+};
+
+const commodityList = (booking) => [...new Set((booking.items || [])
+  .map(item => String(item.commodity || item.name || '').toLowerCase().trim())
+  .filter(Boolean))].sort();
+
+/**
+ * Normalized fields compared between bookings.
+ */
+function bookingProfile(booking) {
+  return {
+    sender_name: nameTokens(booking.sender, booking.customer_name),
+    sender_phone: normalizePhone(booking.sender),
+    receiver_name: nameTokens(booking.receiver, booking.receiver_name),
+    receiver_phone: normalizePhone(booking.receiver),
+    route: normalizeRoute(booking),
+    commodities: commodityList(booking),
+  };
+}
+
+const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : !value);
+
+/**
+ * Lookup keys stored on the booking: exact fingerprint plus looser candidate keys.
+ */
+function duplicateKeys(profile) {
+  const fingerprint = crypto.createHash('sha1').update(JSON.stringify(profile)).digest('hex').slice(0, 20);
+  const keys = [`fp:${fingerprint}`];
+  if (profile.sender_phone) keys.push(`sp:${profile.sender_phone}`);
+  if (profile.receiver_phone) keys.push(`rp:${profile.receiver_phone}`);
+  if (profile.sender_name.length && profile.receiver_name.length) {
+    keys.push(`nm:${profile.sender_name.join(' ')}|${profile.receiver_name.join(' ')}`);
+  }
+  return keys;
+}
+
+const jaccard = (a, b) => {
+  const union = new Set([...a, ...b]);
+  if (union.size === 0) return 0;
+  return a.filter(value => b.includes(value)).length / union.size;
+};
+
+/**
+ * Weighted similarity of two profiles, 0..1.
+ * @returns {{ score: number, matched_on: string[] }}
+ */
+function similarity(a, b) {
+  let total = 0;
+  let compared = 0;
+  const matchedOn = [];
+  for (const [field, weight] of Object.entries(WEIGHTS)) {
+    if (isEmpty(a[field]) && isEmpty(b[field])) continue;
+    const value = Array.isArray(a[field])
+      ? jaccard(a[field], b[field] || [])
+      : (a[field] === b[field] ? 1 : 0);
+    compared += weight;
+    total += weight * value;
+    if (value >= 0.8) matchedOn.push(field);
+  }
+  if (compared < MIN_COMPARED_WEIGHT) return { score: 0, matched_on: [] };
+  return { score: Math.round((total / compared) * 100) / 100, matched_on: matchedOn };
+}
+
+/**
+ * What a real scan writes, kept in memory by a dry run so it finds what a real run would: keys
+ * of bookings that have none stored yet, and the flags raised so far.
+ */
+function createDryRunIndex() {
+  return { byKey: new Map(), flags: new Map() };
+}
+
+function indexBooking(dryRunIndex, booking, profile, keys) {
+  const entry = {
+    _id: booking._id,
+    createdAt: booking.createdAt,
+    review_status: booking.review_status,
+    duplicate_check: booking.duplicate_check,
+    profile,
+  };
+  keys.forEach((key) => {
+    if (!dryRunIndex.byKey.has(key)) dryRunIndex.byKey.set(key, []);
+    dryRunIndex.byKey.get(key).push(entry);
+  });
+}
+
+/**
+ * Best earlier match for a booking within the time window, or null.
+ */
+async function findOriginal(booking, profile, keys, dryRunIndex = null) {
+  const createdAt = booking.createdAt ? new Date(booking.createdAt) : new Date();
+  const from = new Date(createdAt.getTime() - windowMs());
+  let candidates = await Booking.find({
+    _id: { $ne: booking._id },
+    duplicate_keys: { $in: keys },
+    createdAt: { $gte: from, $lt: createdAt },
+    review_status: { $ne: 'rejected' },
+  })
+    .select(PROFILE_FIELDS)
+    .sort({ createdAt: 1 })
+    .limit(50)
+    .lean();
+
+  if (dryRunIndex) {
+    const byId = new Map(candidates.map(candidate => [candidate._id.toString(), candidate]));
+    keys.flatMap(key => dryRunIndex.byKey.get(key) || []).forEach((entry) => {
+      const at = new Date(entry.createdAt);
+      if (entry._id.toString() !== booking._id.toString() && at >= from && at < createdAt &&
+          entry.review_status !== 'rejected') {
+        byId.set(entry._id.toString(), entry);
+      }
+    });
+    candidates = [...byId.values()]
+      .map(candidate => ({ ...candidate, duplicate_check: dryRunIndex.flags.get(candidate._id.toString()) || candidate.duplicate_check }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .slice(0, 50);
+  }
+
+  let best = null;
+  for (const candidate of candidates) {
+    const { score, matched_on } = similarity(profile, candidate.profile || bookingProfile(candidate));
+    if (score >= DUPLICATE_THRESHOLD && (!best || score > best.score)) {
+      // A flagged duplicate points at its own original
+      const original = candidate.duplicate_check?.status === 'PENDING' && candidate.duplicate_check.duplicate_of
+        ? candidate.duplicate_check.duplicate_of
+        : candidate._id;
+      best = { original, score, matched_on };
+    }
+  }
+  return best;
+}
+
+/**
+ * Store the booking's duplicate keys and flag it if it looks like an earlier booking.
+ * Bookings already merged or dismissed keep their resolution.
+ * @param {object} booking - document or lean object
+ * @returns {Promise<{ flagged: boolean, duplicate_of?, score?, matched_on? }>}
+ */
+async function checkBookingForDuplicates(booking, { dryRun = false, dryRunIndex = null } = {}) {
+  const profile = bookingProfile(booking);
+  const keys = duplicateKeys(profile);
+  const resolved = ['MERGED', 'DISMISSED'].includes(booking.duplicate_check?.status);
+  const match = resolved ? null : await findOriginal(booking, profile, keys, dryRun ? dryRunIndex : null);
+
+  const $set = { duplicate_keys: keys };
+  if (match) {
+    $set.duplicate_check = {
+      status: 'PENDING',
+      duplicate_of: match.original,
+      score: match.score,
+      matched_on: match.matched_on,
+      checked_at: new Date(),
+    };
+  }
+  if (!dryRun) {
+    await Booking.updateOne({ _id: booking._id }, { $set });
+    if (typeof booking.set === 'function') {
+      booking.set($set);
+    }
+  } else if (dryRunIndex && match) {
+    dryRunIndex.flags.set(booking._id.toString(), $set.duplicate_check);
+  }
+
+  return match
+    ? { flagged: true, duplicate_of: match.original, score: match.score, matched_on: match.matched_on }
+    : { flagged: false };
+}
+
+/**
+ * Run the check over existing bookings, oldest first. Bookings in the window before `since`
+ * get their keys first so they can be matched as originals.
+ * @param {object} [options] - { since, until, limit (0 = no limit), dryRun }
+ * @returns {Promise<{ scanned: number, flagged: number, results: object[] }>}
+ */
+async function scanBookingBacklog({ since, until, limit = 0, dryRun = false } = {}) {
+  const range = {};
+  if (since) range.$gte = new Date(since);
+  if (until) range.$lte = new Date(until);
+  const query = Object.keys(range).length ? { createdAt: range } : {};
+
+  const keyRange = { ...range };
+  if (keyRange.$gte) keyRange.$gte = new Date(keyRange.$gte.getTime() - windowMs());
+  const missingKeys = Booking.find({
+    ...(Object.keys(keyRange).length ? { createdAt: keyRange } : {}),
+    duplicate_keys: { $exists: false },
+  }).select(PROFILE_FIELDS).lean().cursor();
+
+  // A dry run keeps the keys in memory instead of storing them
+  const dryRunIndex = dryRun ? createDryRunIndex() : null;
+  let ops = [];
+  for await (const booking of missingKeys) {
+    const profile = bookingProfile(booking);
+    const keys = duplicateKeys(profile);
+    if (dryRunIndex) {
+      indexBooking(dryRunIndex, booking, profile, keys);
+      continue;
+    }
+    ops.push({ updateOne: { filter: { _id: booking._id }, update: { $set: { duplicate_keys: keys } } } });
+    if (ops.length === 500) {
+      await Booking.bulkWrite(ops, { ordered: false });
+      ops = [];
+    }
+  }
+  if (ops.length) await Booking.bulkWrite(ops, { ordered: false });
+
+  const cursor = Booking.find({ ...query, 'duplicate_check.status': { $nin: ['MERGED', 'DISMISSED'] } })
+    .select(PROFILE_FIELDS)
+    .sort({ createdAt: 1 })
+    .limit(limit > 0 ? limit : 0)
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  const results = [];
+  for await (const booking of cursor) {
+    scanned += 1;
+    const result = await checkBookingForDuplicates(booking, { dryRun, dryRunIndex });
+    if (result.flagged) {
+      results.push({ booking_id: booking._id, reference: booking.referenceNumber || booking.awb || null, ...result });
+    }
+  }
+
+  console.log(`[booking-duplicates] Scanned ${scanned} booking(s), ${results.length} likely duplicate(s)${dryRun ? ' (dry run)' : ''}`);
+  return { scanned, flagged: results.length, results };
+}
+
+/**
+ * Reviewer decision on a flagged booking.
+ *  - merge: the booking is rejected as a duplicate and linked from the original
+ *  - dismiss: not a duplicate; the flag is cleared and not raised again
+ */
+async function resolveDuplicate(bookingId, action, { userId, notes } = {}) {
+  if (!['merge', 'dismiss'].includes(action)) {
+    return { success: false, statusCode: 400, error: 'action must be merge or dismiss' };
+  }
+
+  const booking = await Booking.findById(bookingId).select('_id review_status duplicate_check').lean();
+  if (!booking) {
+    return { success: false, statusCode: 404, error: 'Booking not found' };
+  }
+  const check = booking.duplicate_check;
+  if (check?.status !== 'PENDING') {
+    return { success: false, statusCode: 400, error: 'Booking is not flagged as a possible duplicate' };
+  }
+
+  const resolution = {
+    ...check,
+    resolved_by: userId,
+    resolved_at: new Date(),
+    notes: notes || undefined,
+  };
+
+  if (action === 'dismiss') {
+    await Booking.updateOne({ _id: booking._id }, { $set: { duplicate_check: { ...resolution, status: 'DISMISSED' } } });
+    return { success: true, booking: await Booking.findById(booking._id).select(PROFILE_FIELDS) };
+  }
+
+  if (!isPendingReviewStatus(booking.review_status)) {
+    return {
+      success: false,
+      statusCode: 409,
+      error: `Booking is already ${booking.review_status}; only bookings awaiting review can be merged`,
+    };
+  }
+  const original = await Booking.findById(check.duplicate_of).select('_id referenceNumber awb review_status');
+  if (!original || original.review_status === 'rejected') {
+    return { success: false, statusCode: 409, error: 'Original booking no longer exists or was rejected' };
+  }
+
+  await Booking.updateOne({ _id: booking._id }, {
+    $set: {
+      review_status: 'rejected',
+      reason: `Duplicate of booking ${original.referenceNumber || original.awb || original._id}`,
+      duplicate_check: { ...resolution, status: 'MERGED' },
+    },
+  });
+  await Booking.updateOne({ _id: original._id }, { $addToSet: { merged_booking_ids: booking._id } });
+
+  return { success: true, booking: await Booking.findById(booking._id).select(PROFILE_FIELDS), original };
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_HOURS,
+  DUPLICATE_THRESHOLD,
+  bookingProfile,
+  duplicateKeys,
+  similarity,
+  checkBookingForDuplicates,
+  scanBookingBacklog,
+  resolveDuplicate,
+};
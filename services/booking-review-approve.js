@@ -3,12 +3,21 @@ const { Booking, InvoiceRequest } = require('../models');
 const { generateUniqueAWBNumber, generateUniqueInvoiceID } = require('../utils/id-generators');
 const { syncInvoiceWithEMPost } = require('../utils/empost-sync');
 const { createNotificationsForDepartment } = require('../routes/notifications');
+const {
+  bookingParties,
+  screenShipment,
+  acknowledgedEntryIds,
+  applyScreeningToBooking,
+} = require('./watchlist');
+const { emitWebhookEvent } = require('./webhooks');
 
 /**
  * Review and approve a booking (creates invoice request). Same logic as POST /bookings/:id/review.
  * @param {object} deps - { generateAndUploadBookingPDF, enqueueBookingIdentityPurge }
+ * @param {object} [options] - { acknowledgeWatchlist, userId }; a watchlist escalation is only
+ *   approved when acknowledged, so auto-review never approves one
  */
-async function performBookingReview(bookingId, reviewed_by_employee_id, deps = {}) {
+async function performBookingReview(bookingId, reviewed_by_employee_id, deps = {}, options = {}) {
   const { generateAndUploadBookingPDF, enqueueBookingIdentityPurge } = deps;
   try {
     const id = bookingId;
@@ -26,6 +35,32 @@ async function performBookingReview(bookingId, reviewed_by_employee_id, deps = {
       referenceNumber: booking.referenceNumber
     });
 
+    const screening = await screenShipment({
+      stage: 'BOOKING_REVIEW',
+      parties: bookingParties(booking),
+      bookingId: booking._id,
+      userId: options.userId,
+      acknowledge: options.acknowledgeWatchlist === true,
+      acknowledgedEntryIds: acknowledgedEntryIds(booking),
+    });
+    if (screening.status === 'BLOCKED') {
+      return {
+        success: false,
+        statusCode: 403,
+        error: 'Booking matches a blocking watchlist entry and cannot be approved',
+        watchlist: screening.hits,
+      };
+    }
+    await applyScreeningToBooking(booking._id, screening, options.userId);
+    if (screening.status === 'ESCALATED') {
+      return {
+        success: false,
+        statusCode: 409,
+        error: 'Booking matches a watchlist entry that needs escalation; approve with acknowledge_watchlist to confirm',
+        watchlist: screening.hits,
+      };
+    }
+
     // Convert back to Mongoose document for saving
     const bookingDoc = await Booking.findById(id);
     
@@ -460,6 +495,15 @@ async function performBookingReview(bookingId, reviewed_by_employee_id, deps = {
       delete invoiceRequestObj.identityDocuments;
     }
 
+    await emitWebhookEvent('booking.reviewed', {
+      booking_id: bookingDoc._id,
+      reference_number: bookingDoc.referenceNumber,
+      awb: invoiceRequest.tracking_code || null,
+      review_status: 'reviewed',
+      invoice_request_id: invoiceRequest._id,
+      reviewed_at: bookingDoc.reviewed_at,
+    });
+
     return {
       success: true,
       booking: bookingDoc.toObject ? bookingDoc.toObject() : bookingDoc,
@@ -0,0 +1,31 @@
+/**
+ * EMPOST carrier adapter.
+ *
+ * Calls go through the EMPOST outbox (services/empost-outbox.js), so each method returns the
+ * outbox item, or null while EMPOST_API_DISABLED is set. Our EMPOST integration only pushes
+ * shipments and statuses, so there is no fetchTracking.
+ */
+
+const {
+  queueInvoiceShipment,
+  queueInvoiceRequestShipment,
+  queueStatusUpdate,
+  queueDeliveryCancellation,
+} = require('./empost-outbox');
+
+module.exports = {
+  code: 'EMPOST',
+  name: 'EMPOST',
+
+  async createShipment({ invoice, invoiceRequest }, options = {}) {
+    return invoice ? queueInvoiceShipment(invoice, options) : queueInvoiceRequestShipment(invoiceRequest, options);
+  },
+
+  async updateStatus(trackingNumber, status, additionalData = {}, options = {}) {
+    return queueStatusUpdate(trackingNumber, status, additionalData, options);
+  },
+
+  async cancelShipment(assignmentData, assignmentId, options = {}) {
+    return queueDeliveryCancellation(assignmentData, assignmentId, options);
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * Local courier carrier adapter, for Philippine-side delivery partners without an API.
+ *
+ * Nothing is sent to the courier; shipments are handed over outside the system. Their tracking
+ * events come in through the carrier webhook, a CSV import or POST /api/carriers/tracking-events
+ * (services/carrier-tracking-ingest.js) instead of being re-keyed as invoice request statuses.
+ */
+
+module.exports = {
+  code: 'LOCAL_COURIER',
+  name: 'Local courier (no API)',
+
+  async createShipment() {
+    return null;
+  },
+
+  async updateStatus() {
+    return null;
+  },
+
+  async cancelShipment() {
+    return null;
+  },
+
+  // Couriers' own wording for statuses the generic mapping doesn't cover
+  statusMap: {
+    'FOR PICKUP': 'PROCESSING',
+    'ACCEPTED AT HUB': 'ARRIVED',
+    'ON DELIVERY': 'OUT_FOR_DELIVERY',
+    'UNDELIVERED': 'DELIVERY_FAILED',
+  },
+};
@@ -0,0 +1,258 @@
+/**
+ * Inbound carrier tracking events.
+ *
+ * Events come from a carrier's signed webhook (POST /api/carrier-webhooks/:carrier), a CSV
+ * import, manual entry or a tracking refresh, keyed by our AWB or the EMPOST UHAWB. Each is
+ * stored once (recordTrackingEvents in services/carriers.js); new ones then go through the
+ * shipment state machine like a status change made by staff, so the booking, invoice request,
+ * delivery assignment, EMPOST sync and webhooks all follow.
+ *
+ * BOOKED and CANCELLED events only go on the timeline: cancelling stays with staff. An event
+ * older than the last one applied to its shipment is not applied.
+ */
+
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const { Readable } = require('stream');
+const { CarrierTrackingEvent } = require('../models');
+const { transitionShipment } = require('./shipment-state-machine');
+const { signPayload } = require('./webhooks');
+const {
+  getCarrier,
+  resolveCarrier,
+  findShipmentByAwb,
+  shipmentAwb,
+  recordTrackingEvents,
+  refreshTracking,
+} = require('./carriers');
+
+// Accepted clock skew for X-Webhook-Timestamp
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+// Per webhook call or CSV file
+const MAX_EVENTS = 5000;
+
+// Timeline status -> shipment state
+const TRACKING_SHIPMENT_STATES = {
+  RECEIVED: 'RECEIVED',
+  PROCESSING: 'PROCESSING',
+  DEPARTED: 'DEPARTED',
+  IN_TRANSIT: 'DEPARTED',
+  ARRIVED: 'ARRIVED',
+  CLEARANCE: 'ARRIVED',
+  OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+  DELIVERED: 'DELIVERED',
+  DELIVERY_FAILED: 'FAILED',
+};
+
+// CSV headers, after lower-casing and joining words with "_", per event field
+const CSV_COLUMNS = {
+  awb: ['awb', 'awb_number', 'tracking_number', 'tracking_code'],
+  uhawb: ['uhawb', 'empost_uhawb'],
+  status: ['status', 'event', 'event_status'],
+  occurred_at: ['occurred_at', 'date', 'event_date', 'event_time', 'timestamp', 'datetime'],
+  location: ['location'],
+  description: ['description', 'remarks', 'details'],
+  carrier_reference: ['carrier_reference', 'reference'],
+};
+
+const webhookSecret = (carrierCode) => process.env[`CARRIER_WEBHOOK_SECRET_${carrierCode}`] || null;
+
+/**
+ * Check a carrier webhook call. Carriers sign like our own outgoing webhooks:
+ * X-Webhook-Signature is "sha256=" + HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>" with
+ * CARRIER_WEBHOOK_SECRET_<CODE>.
+ * @param {string} carrierCode
+ * @param {object} request
+ * @param {string} request.timestamp - X-Webhook-Timestamp (Unix seconds)
+ * @param {string} request.signature - X-Webhook-Signature
+ * @param {Buffer} request.body - raw body
+ */
+function verifyWebhookSignature(carrierCode, { timestamp, signature, body }) {
+  const secret = webhookSecret(carrierCode);
+  if (!getCarrier(carrierCode) || !secret) {
+    return { success: false, statusCode: 404, error: `Tracking webhooks are not enabled for ${carrierCode}` };
+  }
+  const seconds = /^\d+$/.test(String(timestamp || '')) ? Number(timestamp) : NaN;
+  if (!(Math.abs(Date.now() / 1000 - seconds) <= SIGNATURE_TOLERANCE_SECONDS)) {
+    return { success: false, statusCode: 401, error: 'Missing or expired X-Webhook-Timestamp' };
+  }
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { success: false, statusCode: 401, error: 'Invalid signature' };
+  }
+  return { success: true };
+}
+
+/**
+ * Move the shipment through newly stored events, oldest first, and note on each event what it
+ * did. Moves the state machine does not allow (backwards, out of a final state) are skipped.
+ */
+async function applyTrackingEvents({ invoiceRequest, invoice }, inserted, { updatedBy }) {
+  const awb = inserted[0].awb;
+  const target = invoiceRequest ? { invoiceRequestId: invoiceRequest._id } : { invoiceId: invoice._id };
+  const lastApplied = await CarrierTrackingEvent.findOne({ awb, 'shipment_update.result': 'APPLIED' })
+    .sort({ occurred_at: -1 })
+    .select('occurred_at')
+    .lean();
+  let appliedUpTo = lastApplied?.occurred_at || null;
+
+  const summary = { awb, applied: 0, unchanged: 0, skipped: 0, not_applicable: 0, failed: 0, shipment_status: null };
+  const events = [...inserted].sort((a, b) => a.occurred_at - b.occurred_at);
+  for (const event of events) {
+    const state = TRACKING_SHIPMENT_STATES[event.status];
+    let update;
+    if (!state) {
+      update = { result: 'NOT_APPLICABLE', reason: `${event.status} events do not change the shipment status` };
+    } else if (appliedUpTo && event.occurred_at < appliedUpTo) {
+      update = { result: 'SKIPPED', shipment_status: state, reason: 'Older than the last event applied to the shipment' };
+    } else {
+      try {
+        const result = await transitionShipment(target, state, {
+          updatedBy,
+          at: event.occurred_at,
+          source: 'carrier',
+          ifAllowed: true,
+        });
+        if (!result.success) {
+          update = { result: 'FAILED', shipment_status: state, reason: result.error };
+        } else if (result.skipped) {
+          update = { result: 'SKIPPED', shipment_status: state, reason: result.reason };
+        } else if (!result.changed) {
+          update = { result: 'UNCHANGED', shipment_status: state };
+        } else {
+          update = { result: 'APPLIED', shipment_status: state };
+          appliedUpTo = event.occurred_at;
+        }
+        if (result.success) summary.shipment_status = result.skipped ? result.from : result.to;
+      } catch (error) {
+        console.error(`Error applying carrier tracking event to shipment ${awb}:`, error);
+        update = { result: 'FAILED', shipment_status: state, reason: error.message };
+      }
+    }
+
+    summary[update.result.toLowerCase()] += 1;
+    await CarrierTrackingEvent.updateOne({ _id: event._id }, { $set: { shipment_update: { ...update, at: new Date() } } });
+  }
+  return summary;
+}
+
+/**
+ * Store tracking events for any number of shipments and apply the new ones.
+ * @param {object[]} events - { awb | uhawb, status, occurred_at, location?, description?,
+ *   carrier_reference?, raw? }
+ * @param {object} options
+ * @param {string} [options.carrierCode] - carrier reporting the events; default: each shipment's carrier
+ * @param {'MANUAL'|'WEBHOOK'|'CSV'} options.source
+ * @param {string} [options.userId]
+ * @param {string} [options.updatedBy] - name for the booking's status history; default: the carrier's name
+ * @returns {Promise<object>} { success, recorded, duplicates, rejected: [{ index, reference?, error }], shipments }
+ */
+async function ingestTrackingEvents(events, { carrierCode, source, userId = null, updatedBy }) {
+  if (!Array.isArray(events) || !events.length) {
+    return { success: false, statusCode: 400, error: 'events must be a non-empty array' };
+  }
+  if (events.length > MAX_EVENTS) {
+    return { success: false, statusCode: 400, error: `At most ${MAX_EVENTS} events at a time` };
+  }
+  const fixedCarrier = carrierCode ? getCarrier(carrierCode) : null;
+  if (carrierCode && !fixedCarrier) {
+    return { success: false, statusCode: 400, error: `Unknown carrier ${carrierCode}` };
+  }
+
+  const rejected = [];
+  const lookups = new Map();
+  const groups = new Map();
+  for (const [index, event] of events.entries()) {
+    const reference = String(event?.awb || event?.uhawb || '').trim().toUpperCase();
+    if (!reference) {
+      rejected.push({ index, error: 'awb or uhawb is required' });
+      continue;
+    }
+    if (!lookups.has(reference)) {
+      lookups.set(reference, await findShipmentByAwb(reference));
+    }
+    const shipment = lookups.get(reference);
+    if (!shipment.invoiceRequest && !shipment.invoice) {
+      rejected.push({ index, reference, error: 'No shipment found for this AWB or UHAWB' });
+      continue;
+    }
+    const awb = shipmentAwb(shipment, reference);
+    if (!groups.has(awb)) groups.set(awb, { awb, shipment, items: [] });
+    groups.get(awb).items.push({ index, event });
+  }
+
+  let recorded = 0;
+  let duplicates = 0;
+  const shipments = [];
+  for (const { awb, shipment, items } of groups.values()) {
+    const carrier = fixedCarrier || await resolveCarrier(shipment.invoice || shipment.invoiceRequest);
+    const result = await recordTrackingEvents(awb, carrier.code, items.map(item => item.event), { source, userId });
+    if (!result.success) {
+      items.forEach(item => rejected.push({ index: item.index, reference: awb, error: result.error }));
+      continue;
+    }
+    result.rejected.forEach(entry => rejected.push({ index: items[entry.index].index, reference: awb, error: entry.error }));
+    recorded += result.recorded;
+    duplicates += result.duplicates;
+    if (result.inserted.length) {
+      shipments.push(await applyTrackingEvents(shipment, result.inserted, { updatedBy: updatedBy || carrier.name }));
+    }
+  }
+
+  rejected.sort((a, b) => a.index - b.index);
+  return { success: true, recorded, duplicates, rejected, shipments };
+}
+
+/**
+ * refreshTracking, then apply the new events to the shipment.
+ */
+async function refreshAndApplyTracking(awb, { userId, updatedBy }) {
+  const result = await refreshTracking(awb, userId);
+  if (!result.success) return result;
+  const { invoiceRequest, invoice, inserted, ...rest } = result;
+  const shipment = inserted.length
+    ? await applyTrackingEvents({ invoiceRequest, invoice }, inserted, { updatedBy })
+    : null;
+  return { ...rest, shipment };
+}
+
+/**
+ * Tracking events from a CSV file, one per row. Headers are matched loosely (CSV_COLUMNS);
+ * other columns are ignored.
+ * @returns {Promise<object[]>}
+ */
+function parseTrackingCsv(buffer) {
+  const normalizeHeader = ({ header }) => String(header || '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(buffer)
+      .pipe(csv({ mapHeaders: normalizeHeader }))
+      .on('data', (row) => {
+        const event = {};
+        for (const [field, headers] of Object.entries(CSV_COLUMNS)) {
+          const header = headers.find(name => row[name] !== undefined && String(row[name]).trim() !== '');
+          if (header) event[field] = String(row[header]).trim();
+        }
+        rows.push(event);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+module.exports = {
+  TRACKING_SHIPMENT_STATES,
+  MAX_EVENTS,
+  verifyWebhookSignature,
+  applyTrackingEvents,
+  ingestTrackingEvents,
+  refreshAndApplyTracking,
+  parseTrackingCsv,
+};
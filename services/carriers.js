@@ -0,0 +1,443 @@
+/**
+ * Carrier registry.
+ *
+ * Shipment calls (create, status update, cancel) go to the carrier picked for the shipment by
+ * the carrier rules in system settings: the first enabled rule whose conditions all hold, else
+ * carrier_default (EMPOST). Conditions are the route (PH_TO_UAE / UAE_TO_PH, from the service
+ * code), the destination country (from the route) and keywords in the destination place or
+ * receiver address.
+ *
+ * An adapter is an object with:
+ * - code, name
+ * - createShipment({ invoice } | { invoiceRequest }, options)
+ * - updateStatus(trackingNumber, status, additionalData, options)
+ * - cancelShipment(assignmentData, assignmentId, options)
+ * - fetchTracking(trackingNumber, { invoice, invoiceRequest }) (optional): resolves to events
+ *   { status, occurred_at, location?, description?, carrier_reference?, raw? }
+ * - statusMap (optional): the carrier's status wording -> timeline status
+ * Options are as for the EMPOST outbox (reason, session, wait, retry); adapters ignore what
+ * they don't support. Tracking events are stored per AWB and merged into the shipment timeline.
+ */
+
+const { CarrierTrackingEvent, InvoiceRequest } = require('../models');
+const { Invoice } = require('../models/unified-schema');
+const { getOrCreateSettings } = require('./system-settings');
+const { getBracketRouteForService } = require('./price-brackets');
+const { STATUS_LABELS } = require('./shipment-tracking');
+
+const DEFAULT_CARRIER = 'EMPOST';
+const CARRIER_ROUTES = ['PH_TO_UAE', 'UAE_TO_PH'];
+const ROUTE_DESTINATIONS = { PH_TO_UAE: 'AE', UAE_TO_PH: 'PH' };
+const REQUIRED_METHODS = ['createShipment', 'updateStatus', 'cancelShipment'];
+
+// Rules are read at most this often per process
+const ROUTING_CACHE_MS = 60 * 1000;
+// Allowed clock skew for event times
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+// Zone for event times given without one (CSV exports, manual entry)
+const TRACKING_TIMEZONE = process.env.CARRIER_TRACKING_TZ || 'Asia/Dubai';
+const ZONED_TIME = /(?:Z|[+-]\d{2}:?\d{2}|\b(?:UTC|GMT)(?:[+-]\d{1,4})?)$/i;
+const LOCAL_ISO_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+// Common carrier wording, after upper-casing and joining words with "_"
+const TRACKING_STATUS_ALIASES = {
+  BOOKED: 'BOOKED',
+  PENDING: 'PROCESSING',
+  PICKED_UP: 'RECEIVED',
+  COLLECTED: 'RECEIVED',
+  ACCEPTED: 'RECEIVED',
+  SHIPPED: 'DEPARTED',
+  DISPATCHED: 'DEPARTED',
+  ARRIVED_AT_HUB: 'ARRIVED',
+  AT_HUB: 'ARRIVED',
+  CUSTOMS: 'CLEARANCE',
+  CUSTOMS_CLEARANCE: 'CLEARANCE',
+  WITH_COURIER: 'OUT_FOR_DELIVERY',
+  FAILED: 'DELIVERY_FAILED',
+  FAILED_DELIVERY: 'DELIVERY_FAILED',
+  DELIVERY_ATTEMPTED: 'DELIVERY_FAILED',
+  CANCELED: 'CANCELLED',
+};
+
+const carriers = new Map();
+let routingCache = null;
+
+/**
+ * Add an adapter to the registry, replacing any with the same code.
+ */
+function registerCarrier(adapter) {
+  if (!adapter || !/^[A-Z][A-Z0-9_]*$/.test(adapter.code || '')) {
+    throw new Error('Carrier adapter needs an upper-case code');
+  }
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length) {
+    throw new Error(`Carrier ${adapter.code} is missing ${missing.join(', ')}`);
+  }
+  carriers.set(adapter.code, adapter);
+  return adapter;
+}
+
+const getCarrier = (code) => carriers.get(String(code || '').toUpperCase()) || null;
+
+function listCarriers() {
+  return [...carriers.values()].map(carrier => ({
+    code: carrier.code,
+    name: carrier.name || carrier.code,
+    tracking: typeof carrier.fetchTracking === 'function',
+  }));
+}
+
+/**
+ * Route, destination country and lower-cased destination text of an invoice or invoice request.
+ */
+function shipmentRouting(record = {}) {
+  const route = getBracketRouteForService(record.service_code);
+  return {
+    route,
+    destination_country: ROUTE_DESTINATIONS[route] || null,
+    destination: [record.destination_place, record.receiver_address].filter(Boolean).join(' ').toLowerCase(),
+  };
+}
+
+function ruleMatches(rule, routing) {
+  const conditions = rule.conditions || {};
+  if (conditions.routes?.length && !conditions.routes.includes(routing.route)) return false;
+  if (conditions.destination_countries?.length && !conditions.destination_countries.includes(routing.destination_country)) {
+    return false;
+  }
+  if (conditions.destination_keywords?.length &&
+      !conditions.destination_keywords.some(keyword => routing.destination.includes(keyword.toLowerCase()))) {
+    return false;
+  }
+  return true;
+}
+
+async function loadRouting() {
+  if (routingCache && Date.now() - routingCache.loaded_at < ROUTING_CACHE_MS) return routingCache;
+  const settings = (await getOrCreateSettings()).toObject();
+  routingCache = {
+    loaded_at: Date.now(),
+    rules: (settings.carrier_rules || []).filter(rule => rule.enabled !== false),
+    default_carrier: settings.carrier_default || DEFAULT_CARRIER,
+  };
+  return routingCache;
+}
+
+function pickCarrier(record, routing) {
+  const rule = routing.rules.find(candidate => ruleMatches(candidate, shipmentRouting(record || {})));
+  return getCarrier(rule?.carrier) || getCarrier(routing.default_carrier) || getCarrier(DEFAULT_CARRIER);
+}
+
+/**
+ * Carrier for an invoice or invoice request (needs service_code, destination_place and
+ * receiver_address). Falls back to EMPOST if the rules can't be read.
+ */
+async function resolveCarrier(record) {
+  try {
+    return pickCarrier(record, await loadRouting());
+  } catch (error) {
+    console.error('[carriers] Failed to read carrier rules, using EMPOST:', error.message);
+    return getCarrier(DEFAULT_CARRIER);
+  }
+}
+
+/**
+ * Synchronous carrier lookup for scanning many records with one read of the rules.
+ * @returns {Promise<(record: object) => object>}
+ */
+async function getCarrierPicker() {
+  const routing = await loadRouting();
+  return (record) => pickCarrier(record, routing);
+}
+
+/**
+ * Newest invoice request and invoice for a tracking number or EMPOST UHAWB.
+ */
+async function findShipmentByAwb(awb) {
+  const [invoiceRequest, invoice] = await Promise.all([
+    InvoiceRequest.findOne({ $or: [{ tracking_code: awb }, { invoice_number: awb }, { empost_uhawb: awb }] })
+      .sort({ createdAt: -1 })
+      .select('invoice_number tracking_code service_code destination_place receiver_address empost_uhawb delivery_status status')
+      .lean(),
+    Invoice.findOne({ $or: [{ awb_number: awb }, { invoice_id: awb }, { empost_uhawb: awb }] })
+      .sort({ createdAt: -1 })
+      .select('invoice_id awb_number service_code receiver_address empost_uhawb status')
+      .lean(),
+  ]);
+  return { invoiceRequest, invoice };
+}
+
+/**
+ * Our AWB for a shipment found by findShipmentByAwb, which may have been looked up by UHAWB.
+ */
+function shipmentAwb({ invoiceRequest, invoice }, fallback = null) {
+  const awb = invoiceRequest?.tracking_code || invoice?.awb_number || fallback;
+  return awb ? String(awb).trim().toUpperCase() : null;
+}
+
+/**
+ * Carrier for a status update: from the record passed along, else from the shipment the
+ * tracking number belongs to.
+ */
+async function resolveCarrierForTracking(trackingNumber, record = null) {
+  if (record?.service_code) return resolveCarrier(record);
+  try {
+    const { invoiceRequest, invoice } = await findShipmentByAwb(trackingNumber);
+    return resolveCarrier(invoice || invoiceRequest || record);
+  } catch (error) {
+    console.error(`[carriers] Failed to look up shipment ${trackingNumber}, using EMPOST:`, error.message);
+    return getCarrier(DEFAULT_CARRIER);
+  }
+}
+
+function routingView(doc) {
+  return {
+    default_carrier: doc.carrier_default || DEFAULT_CARRIER,
+    rules: doc.carrier_rules || [],
+    carriers: listCarriers(),
+    updated_at: doc.carrier_rules_updated_at || null,
+  };
+}
+
+async function getCarrierRouting() {
+  return routingView(await getOrCreateSettings());
+}
+
+function validateCarrierRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { success: false, error: 'rules must be an array' };
+  }
+
+  const normalized = [];
+  for (const [index, rule] of rules.entries()) {
+    const label = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      return { success: false, error: `${label} must be an object` };
+    }
+    const carrier = getCarrier(rule.carrier);
+    if (!carrier) {
+      return { success: false, error: `${label}.carrier must be one of ${[...carriers.keys()].join(', ')}` };
+    }
+
+    const input = rule.conditions || {};
+    const conditions = {};
+    if (input.routes !== undefined) {
+      const routes = [].concat(input.routes).map(route => getBracketRouteForService(route));
+      if (routes.some(route => !CARRIER_ROUTES.includes(route))) {
+        return { success: false, error: `${label}.conditions.routes must be ${CARRIER_ROUTES.join(' or ')}` };
+      }
+      conditions.routes = routes;
+    }
+    if (input.destination_countries !== undefined) {
+      const countries = [].concat(input.destination_countries).map(country => String(country).trim().toUpperCase());
+      if (countries.some(country => !/^[A-Z]{2}$/.test(country))) {
+        return { success: false, error: `${label}.conditions.destination_countries must be ISO-2 country codes` };
+      }
+      conditions.destination_countries = countries;
+    }
+    if (input.destination_keywords !== undefined) {
+      conditions.destination_keywords = [].concat(input.destination_keywords).map(keyword => String(keyword).trim()).filter(Boolean);
+    }
+
+    normalized.push({
+      ...(rule._id ? { _id: rule._id } : {}),
+      name: rule.name ? String(rule.name).trim() : undefined,
+      enabled: rule.enabled !== false,
+      conditions,
+      carrier: carrier.code,
+    });
+  }
+  return { success: true, rules: normalized };
+}
+
+/**
+ * Replace the carrier rules and/or default carrier (fields left out are kept).
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, data?: object }>}
+ */
+async function setCarrierRouting({ rules, default_carrier }, userId) {
+  const doc = await getOrCreateSettings();
+
+  if (rules !== undefined) {
+    const result = validateCarrierRules(rules);
+    if (!result.success) {
+      return { success: false, statusCode: 400, error: result.error };
+    }
+    doc.carrier_rules = result.rules;
+  }
+  if (default_carrier !== undefined) {
+    const carrier = getCarrier(default_carrier);
+    if (!carrier) {
+      return { success: false, statusCode: 400, error: `default_carrier must be one of ${[...carriers.keys()].join(', ')}` };
+    }
+    doc.carrier_default = carrier.code;
+  }
+
+  doc.carrier_rules_updated_by = userId || null;
+  doc.carrier_rules_updated_at = new Date();
+  await doc.save();
+  routingCache = null;
+  return { success: true, data: routingView(doc) };
+}
+
+/**
+ * Timeline status (a STATUS_LABELS key) for a carrier's status wording, or null.
+ */
+function normalizeTrackingStatus(carrier, value) {
+  if (!value) return null;
+  const raw = String(value).trim();
+  const mapped = carrier?.statusMap?.[raw.toUpperCase()];
+  if (mapped) return mapped;
+  const key = raw.toUpperCase().replace(/[^A-Z]+/g, '_').replace(/^_+|_+$/g, '');
+  if (STATUS_LABELS[key]) return key;
+  return TRACKING_STATUS_ALIASES[key] || null;
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `utcMs`
+function zoneOffsetMs(timeZone, utcMs) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(utcMs)).map(part => [part.type, part.value]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Event time as a Date. Times with a zone (ISO "Z"/offset, "GMT+4") are taken as given;
+ * "YYYY-MM-DD[ HH:mm[:ss]]" without one is read in TRACKING_TIMEZONE, never the server's zone.
+ * Anything else is invalid.
+ */
+function parseEventTime(value) {
+  if (value instanceof Date || typeof value === 'number') return new Date(value);
+  const text = String(value ?? '').trim();
+  if (ZONED_TIME.test(text)) return new Date(text);
+  const local = LOCAL_ISO_TIME.exec(text);
+  if (!local) return new Date(NaN);
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = local;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, Number(fraction.padEnd(3, '0')));
+  const guess = wallClock - zoneOffsetMs(TRACKING_TIMEZONE, wallClock);
+  return new Date(wallClock - zoneOffsetMs(TRACKING_TIMEZONE, guess));
+}
+
+/**
+ * Store tracking events for an AWB. Events already stored (same carrier, status and time) are
+ * counted as duplicates; events with an unknown status or bad time are rejected. Times without
+ * a zone are read in CARRIER_TRACKING_TZ (see parseEventTime).
+ * @param {string} awb
+ * @param {string} carrierCode
+ * @param {object[]} events
+ * @param {object} options
+ * @param {'POLL'|'MANUAL'|'WEBHOOK'|'CSV'} options.source
+ * @param {string} [options.userId]
+ * @returns {Promise<object>} { success, recorded, duplicates, rejected, inserted } where inserted
+ *   holds the newly stored events
+ */
+async function recordTrackingEvents(awb, carrierCode, events, { source, userId = null }) {
+  const carrier = getCarrier(carrierCode);
+  if (!carrier) {
+    return { success: false, statusCode: 400, error: `Unknown carrier ${carrierCode}` };
+  }
+  const normalizedAwb = String(awb || '').trim().toUpperCase();
+  if (!normalizedAwb) {
+    return { success: false, statusCode: 400, error: 'awb is required' };
+  }
+  if (!Array.isArray(events)) {
+    return { success: false, statusCode: 400, error: 'events must be an array' };
+  }
+
+  const docs = [];
+  const rejected = [];
+  events.forEach((event, index) => {
+    const status = normalizeTrackingStatus(carrier, event?.status);
+    const occurredAt = parseEventTime(event?.occurred_at);
+    if (!status) {
+      rejected.push({ index, error: `Unknown status "${event?.status ?? ''}"` });
+    } else if (!event.occurred_at || isNaN(occurredAt.getTime())) {
+      rejected.push({ index, error: 'occurred_at must be an ISO date, e.g. 2026-01-02T10:00:00+04:00' });
+    } else if (occurredAt.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+      rejected.push({ index, error: 'occurred_at is in the future' });
+    } else {
+      docs.push({
+        carrier: carrier.code,
+        awb: normalizedAwb,
+        carrier_reference: event.carrier_reference || undefined,
+        status,
+        carrier_status: String(event.status).trim(),
+        occurred_at: occurredAt,
+        location: event.location || undefined,
+        description: event.description || undefined,
+        source,
+        dedupe_key: `${carrier.code}|${normalizedAwb}|${status}|${occurredAt.toISOString()}`,
+        raw: event.raw,
+        recorded_by: userId || undefined,
+      });
+    }
+  });
+
+  let inserted = [];
+  if (docs.length) {
+    const result = await CarrierTrackingEvent.bulkWrite(docs.map(doc => ({
+      updateOne: { filter: { dedupe_key: doc.dedupe_key }, update: { $setOnInsert: doc }, upsert: true },
+    })), { ordered: false });
+    inserted = Object.entries(result.upsertedIds || {}).map(([index, _id]) => ({ ...docs[index], _id }));
+  }
+
+  return { success: true, recorded: inserted.length, duplicates: docs.length - inserted.length, rejected, inserted };
+}
+
+/**
+ * Pull tracking from the shipment's carrier and store the new events.
+ */
+async function refreshTracking(awb, userId) {
+  const normalizedAwb = String(awb || '').trim().toUpperCase();
+  const { invoiceRequest, invoice } = await findShipmentByAwb(normalizedAwb);
+  if (!invoiceRequest && !invoice) {
+    return { success: false, statusCode: 404, error: 'No shipment found for this AWB' };
+  }
+
+  const carrier = await resolveCarrier(invoice || invoiceRequest);
+  if (typeof carrier.fetchTracking !== 'function') {
+    return { success: false, statusCode: 501, error: `${carrier.name || carrier.code} does not provide tracking` };
+  }
+
+  const shipmentNumber = shipmentAwb({ invoiceRequest, invoice }, normalizedAwb);
+  const events = await carrier.fetchTracking(shipmentNumber, { invoice, invoiceRequest });
+  const result = await recordTrackingEvents(shipmentNumber, carrier.code, events || [], { source: 'POLL', userId });
+  return result.success ? { ...result, carrier: carrier.code, invoiceRequest, invoice } : result;
+}
+
+async function listTrackingEvents(awb) {
+  return CarrierTrackingEvent.find({ awb: String(awb || '').trim().toUpperCase() })
+    .sort({ occurred_at: 1 })
+    .populate('recorded_by', 'full_name email')
+    .lean();
+}
+
+registerCarrier(require('./carrier-empost'));
+registerCarrier(require('./carrier-local-courier'));
+
+module.exports = {
+  DEFAULT_CARRIER,
+  CARRIER_ROUTES,
+  registerCarrier,
+  getCarrier,
+  listCarriers,
+  shipmentRouting,
+  resolveCarrier,
+  resolveCarrierForTracking,
+  getCarrierPicker,
+  findShipmentByAwb,
+  shipmentAwb,
+  getCarrierRouting,
+  setCarrierRouting,
+  normalizeTrackingStatus,
+  recordTrackingEvents,
+  refreshTracking,
+  listTrackingEvents,
+};
@@ -0,0 +1,108 @@
+/**
+ * Client contract pricing.
+ *
+ * A rate card replaces the route bracket rate for one client and route while it is in force:
+ * a matching card bracket wins, then the card's flat rate_per_kg, then the route price
+ * bracket. The discount is taken off the shipping charge and the minimum charge is applied last.
+ */
+
+const { ClientRateCard } = require('../models/unified-schema');
+const { findBracketForWeight } = require('./price-brackets');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Active rate card for a client and route on a given date.
+ * @returns {Promise<object|null>} lean ClientRateCard
+ */
+async function resolveClientRateCard(clientId, route, at = new Date()) {
+  if (!clientId || !route) return null;
+  return ClientRateCard.findOne({
+    client_id: clientId,
+    route,
+    is_active: true,
+    effective_from: { $lte: at },
+    $or: [{ effective_to: null }, { effective_to: { $gt: at } }]
+  })
+    .sort({ effective_from: -1 })
+    .lean();
+}
+
+/**
+ * Find another active card of the same client and route whose date range overlaps.
+ */
+async function findOverlappingRateCard({ clientId, route, effectiveFrom, effectiveTo, excludeId = null }) {
+  const query = {
+    client_id: clientId,
+    route,
+    is_active: true,
+    $or: [{ effective_to: null }, { effective_to: { $gt: effectiveFrom } }]
+  };
+  if (effectiveTo) {
+    query.effective_from = { $lt: effectiveTo };
+  }
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return ClientRateCard.findOne(query).lean();
+}
+
+/**
+ * Price the shipping charge for a chargeable weight.
+ * @param {object|null} card - lean ClientRateCard, or null to use the bracket rate as-is
+ * @param {number} chargeableWeight
+ * @param {number|null} bracketRate - route bracket rate for the weight
+ * @returns {{ rate: number|null, shipping: number, discount_amount: number, minimum_applied: boolean, rate_card: object|null }}
+ */
+function priceShipping(card, chargeableWeight, bracketRate) {
+  if (!card) {
+    const rate = bracketRate ?? null;
+    return {
+      rate,
+      shipping: round2(chargeableWeight * (rate || 0)),
+      discount_amount: 0,
+      minimum_applied: false,
+      rate_card: null
+    };
+  }
+
+  const cardBracket = card.brackets?.length ? findBracketForWeight(card.brackets, chargeableWeight) : null;
+  let rate = bracketRate ?? null;
+  let rateSource = 'bracket';
+  if (cardBracket) {
+    rate = cardBracket.rate;
+    rateSource = 'rate_card_bracket';
+  } else if (card.rate_per_kg !== null && card.rate_per_kg !== undefined) {
+    rate = card.rate_per_kg;
+    rateSource = 'rate_card';
+  }
+
+  const gross = round2(chargeableWeight * (rate || 0));
+  const discountAmount = round2(gross * ((card.discount_percent || 0) / 100));
+  let shipping = round2(gross - discountAmount);
+  const minimumApplied = (card.minimum_charge || 0) > shipping;
+  if (minimumApplied) {
+    shipping = round2(card.minimum_charge);
+  }
+
+  return {
+    rate,
+    shipping,
+    discount_amount: discountAmount,
+    minimum_applied: minimumApplied,
+    rate_card: {
+      rate_card_id: card._id,
+      name: card.name,
+      rate,
+      rate_source: rateSource,
+      discount_percent: card.discount_percent || 0,
+      minimum_charge: card.minimum_charge || 0
+    }
+  };
+}
+
+module.exports = {
+  resolveClientRateCard,
+  findOverlappingRateCard,
+  priceShipping,
+};
@@ -0,0 +1,193 @@
+const { jsPDF } = require('jspdf');
+
+const COMPANY_NAME = 'KNEX DELIVERY SERVICES L.L.C';
+const COMPANY_ADDRESS = 'Rocky Warehouse Warehouse #19, 11th Street, Al Qusais Industrial Area 1, Dubai, 0000 United Arab Emirates';
+const COMPANY_PHONE = '+971559738713';
+
+const TYPE_LABELS = {
+  INVOICE: 'Invoice',
+  PAYMENT: 'Payment',
+  PAYMENT_REVERSAL: 'Reversal',
+  CREDIT_NOTE: 'Credit Note',
+  CREDIT_NOTE_VOID: 'CN Void',
+};
+
+const formatAmount = (value) => (Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : 'N/A');
+
+/**
+ * Render a client statement of account (see services/client-statement.js) as a PDF.
+ * @param {Object} statement
+ * @returns {Promise<ArrayBuffer>} PDF bytes
+ */
+async function generateClientStatementPDF(statement) {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  const rightX = pageWidth - margin;
+  const { client, period, currency } = statement;
+  let yPos = margin;
+
+  const drawLine = (y) => {
+    doc.setDrawColor(0, 0, 0);
+    doc.setLineWidth(0.5);
+    doc.line(margin, y, rightX, y);
+  };
+
+  const columns = {
+    date: margin + 2,
+    type: margin + 24,
+    reference: margin + 46,
+    invoice: margin + 78,
+    debit: rightX - 58,
+    credit: rightX - 30,
+    balance: rightX - 2,
+  };
+
+  const drawTableHeader = () => {
+    doc.setFillColor(230, 240, 230);
+    doc.rect(margin, yPos - 5, pageWidth - margin * 2, 8, 'F');
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Date', columns.date, yPos);
+    doc.text('Type', columns.type, yPos);
+    doc.text('Reference', columns.reference, yPos);
+    doc.text('Invoice / AWB', columns.invoice, yPos);
+    doc.text('Debit', columns.debit, yPos, { align: 'right' });
+    doc.text('Credit', columns.credit, yPos, { align: 'right' });
+    doc.text('Balance', columns.balance, yPos, { align: 'right' });
+    doc.setFont('helvetica', 'normal');
+    yPos += 7;
+  };
+
+  const ensureSpace = (height) => {
+    if (yPos + height > pageHeight - margin - 20) {
+      doc.addPage();
+      yPos = margin + 5;
+      drawTableHeader();
+    }
+  };
+
+  // Header
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(0, 128, 0);
+  doc.text(COMPANY_NAME, margin, yPos);
+  yPos += 6;
+
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(0, 0, 0);
+  doc.text(COMPANY_ADDRESS, margin, yPos);
+  yPos += 4;
+  doc.text(COMPANY_PHONE, margin, yPos);
+  yPos += 10;
+
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text('STATEMENT OF ACCOUNT', margin, yPos);
+  yPos += 8;
+  drawLine(yPos);
+  yPos += 8;
+
+  // Customer and period (two columns)
+  const address = [client.address, client.city, client.country].filter(Boolean).join(', ');
+  const leftRows = [
+    ['Customer', client.company_name || 'N/A'],
+    ['Account No.', client.client_id || 'N/A'],
+    ['Contact', client.contact_name || 'N/A'],
+    ['Address', address || 'N/A'],
+  ];
+  const rightRows = [
+    ['Period', `${formatDate(period.from)} to ${formatDate(period.to)}`],
+    ['Statement Date', formatDate(statement.generated_at)],
+    ['Currency', currency],
+    ['Amount Due', `${formatAmount(statement.closing_balance)} ${currency}`],
+  ];
+  const columnX = pageWidth / 2 + 5;
+  doc.setFontSize(9);
+  leftRows.forEach(([label, value], index) => {
+    const rowY = yPos + index * 6;
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${label}:`, margin, rowY);
+    doc.setFont('helvetica', 'normal');
+    doc.text(doc.splitTextToSize(String(value), columnX - margin - 32)[0], margin + 24, rowY);
+    const [rightLabel, rightValue] = rightRows[index];
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${rightLabel}:`, columnX, rowY);
+    doc.setFont('helvetica', 'normal');
+    doc.text(String(rightValue), columnX + 28, rowY);
+  });
+  yPos += leftRows.length * 6 + 6;
+
+  // Movements
+  drawTableHeader();
+  doc.setFont('helvetica', 'italic');
+  doc.text(formatDate(period.from), columns.date, yPos);
+  doc.text('Opening balance', columns.type, yPos);
+  doc.text(formatAmount(statement.opening_balance), columns.balance, yPos, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  yPos += 6;
+
+  statement.entries.forEach((entry) => {
+    ensureSpace(6);
+    const invoiceRef = [entry.invoice_number, entry.awb_number].filter(Boolean).join(' / ');
+    doc.text(formatDate(entry.date), columns.date, yPos);
+    doc.text(TYPE_LABELS[entry.type] || entry.type, columns.type, yPos);
+    doc.text(doc.splitTextToSize(entry.reference || entry.description || '', columns.invoice - columns.reference - 2)[0] || '', columns.reference, yPos);
+    doc.text(doc.splitTextToSize(invoiceRef, columns.debit - columns.invoice - 20)[0] || '', columns.invoice, yPos);
+    if (entry.debit) doc.text(formatAmount(entry.debit), columns.debit, yPos, { align: 'right' });
+    if (entry.credit) doc.text(formatAmount(entry.credit), columns.credit, yPos, { align: 'right' });
+    doc.text(formatAmount(entry.balance), columns.balance, yPos, { align: 'right' });
+    yPos += 6;
+  });
+
+  if (statement.entries.length === 0) {
+    doc.setFont('helvetica', 'italic');
+    doc.text('No transactions in this period.', columns.type, yPos);
+    doc.setFont('helvetica', 'normal');
+    yPos += 6;
+  }
+
+  ensureSpace(40);
+  drawLine(yPos);
+  yPos += 7;
+
+  // Summary
+  const summary = [
+    ['Opening balance', statement.opening_balance],
+    ['Invoiced', statement.totals.invoiced],
+    ['Payments received', -statement.totals.paid],
+    ['Credit notes', -statement.totals.credited],
+  ];
+  if (statement.totals.adjustments) {
+    summary.push(['Reversals', statement.totals.adjustments]);
+  }
+  summary.push([`Closing balance (${currency})`, statement.closing_balance]);
+
+  doc.setFontSize(9);
+  summary.forEach(([label, value], index) => {
+    const isTotal = index === summary.length - 1;
+    doc.setFont('helvetica', isTotal ? 'bold' : 'normal');
+    doc.setFontSize(isTotal ? 11 : 9);
+    doc.text(label, columns.credit, yPos, { align: 'right' });
+    doc.text(formatAmount(value), columns.balance, yPos, { align: 'right' });
+    yPos += 6;
+  });
+
+  // Footer on all pages
+  const totalPages = doc.getNumberOfPages();
+  for (let i = 1; i <= totalPages; i++) {
+    doc.setPage(i);
+    const footerY = pageHeight - margin - 5;
+    doc.setFontSize(7);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Statement of account - ${client.company_name || ''} - page ${i} of ${totalPages}`, pageWidth / 2, footerY, { align: 'center' });
+  }
+
+  return doc.output('arraybuffer');
+}
+
+module.exports = { generateClientStatementPDF };
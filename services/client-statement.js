@@ -0,0 +1,211 @@
+/**
+ * Client statement of account.
+ *
+ * Invoices are debits; posted payments and issued credit notes are credits. A reversed payment
+ * or voided credit note stays on the date it was posted and is offset by a debit on the date it
+ * was undone, so a past statement still reads as it did when it was sent. Cancelled invoices
+ * are left out entirely.
+ */
+
+const { Client, Invoice, InvoicePayment, CreditNote } = require('../models/unified-schema');
+const { PAID_STATUSES } = require('./invoice-payments');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return 0;
+  return parseFloat(value.toString()) || 0;
+};
+
+// Same-day ordering: the invoice before anything settling it
+const TYPE_ORDER = {
+  INVOICE: 0,
+  PAYMENT_REVERSAL: 1,
+  CREDIT_NOTE_VOID: 2,
+  CREDIT_NOTE: 3,
+  PAYMENT: 4,
+};
+
+const PAYMENT_METHOD_LABELS = {
+  CASH: 'Cash',
+  COD: 'Cash on delivery',
+  BANK_TRANSFER: 'Bank transfer',
+  BANK_PAYMENT: 'Bank payment',
+  CARD: 'Card',
+  CHEQUE: 'Cheque',
+  TABBY: 'Tabby',
+  OTHER: 'Payment',
+};
+
+/**
+ * Every movement on the client's account up to `to`, oldest first.
+ */
+async function collectEntries(clientId, to) {
+  const invoices = await Invoice.find({
+    client_id: clientId,
+    status: { $ne: 'CANCELLED' },
+    issue_date: { $lte: to },
+  })
+    .select('invoice_id awb_number issue_date due_date status total_amount credited_amount paid_at updatedAt')
+    .lean();
+  const invoiceIds = invoices.map(invoice => invoice._id);
+  const invoicesById = new Map(invoices.map(invoice => [invoice._id.toString(), invoice]));
+
+  const [payments, creditNotes] = await Promise.all([
+    InvoicePayment.find({ invoice_id: { $in: invoiceIds }, received_at: { $lte: to } })
+      .select('invoice_id amount method reference received_at status reversed_at reversal_reason')
+      .lean(),
+    CreditNote.find({ invoice_id: { $in: invoiceIds }, issue_date: { $lte: to } })
+      .select('credit_note_id invoice_id total_amount reason_code issue_date status voided_at')
+      .lean(),
+  ]);
+
+  const entries = [];
+  const invoiceRef = (invoiceId) => invoicesById.get(invoiceId.toString()) || {};
+
+  for (const invoice of invoices) {
+    entries.push({
+      date: invoice.issue_date,
+      type: 'INVOICE',
+      reference: invoice.invoice_id,
+      invoice_number: invoice.invoice_id,
+      awb_number: invoice.awb_number || null,
+      description: invoice.due_date ? `Invoice (due ${new Date(invoice.due_date).toISOString().slice(0, 10)})` : 'Invoice',
+      debit: round2(toNumber(invoice.total_amount)),
+      credit: 0,
+    });
+  }
+
+  const ledgerInvoiceIds = new Set();
+  for (const payment of payments) {
+    const invoice = invoiceRef(payment.invoice_id);
+    ledgerInvoiceIds.add(payment.invoice_id.toString());
+    const amount = round2(toNumber(payment.amount));
+    entries.push({
+      date: payment.received_at,
+      type: 'PAYMENT',
+      reference: payment.reference || null,
+      invoice_number: invoice.invoice_id,
+      awb_number: invoice.awb_number || null,
+      description: PAYMENT_METHOD_LABELS[payment.method] || 'Payment',
+      debit: 0,
+      credit: amount,
+    });
+    if (payment.status === 'REVERSED' && payment.reversed_at && payment.reversed_at <= to) {
+      entries.push({
+        date: payment.reversed_at,
+        type: 'PAYMENT_REVERSAL',
+        reference: payment.reference || null,
+        invoice_number: invoice.invoice_id,
+        awb_number: invoice.awb_number || null,
+        description: `Payment reversed${payment.reversal_reason ? `: ${payment.reversal_reason}` : ''}`,
+        debit: amount,
+        credit: 0,
+      });
+    }
+  }
+
+  for (const creditNote of creditNotes) {
+    const invoice = invoiceRef(creditNote.invoice_id);
+    const amount = round2(toNumber(creditNote.total_amount));
+    entries.push({
+      date: creditNote.issue_date,
+      type: 'CREDIT_NOTE',
+      reference: creditNote.credit_note_id,
+      invoice_number: invoice.invoice_id,
+      awb_number: invoice.awb_number || null,
+      description: 'Credit note',
+      debit: 0,
+      credit: amount,
+    });
+    if (creditNote.status === 'VOID' && creditNote.voided_at && creditNote.voided_at <= to) {
+      entries.push({
+        date: creditNote.voided_at,
+        type: 'CREDIT_NOTE_VOID',
+        reference: creditNote.credit_note_id,
+        invoice_number: invoice.invoice_id,
+        awb_number: invoice.awb_number || null,
+        description: 'Credit note voided',
+        debit: amount,
+        credit: 0,
+      });
+    }
+  }
+
+  // Invoices settled before the payments ledger existed have no receipt to show
+  for (const invoice of invoices) {
+    if (!PAID_STATUSES.includes(invoice.status) || ledgerInvoiceIds.has(invoice._id.toString())) continue;
+    const settledAt = invoice.paid_at || invoice.updatedAt || invoice.issue_date;
+    const amount = round2(toNumber(invoice.total_amount) - toNumber(invoice.credited_amount));
+    if (amount <= 0 || settledAt > to) continue;
+    entries.push({
+      date: settledAt,
+      type: 'PAYMENT',
+      reference: null,
+      invoice_number: invoice.invoice_id,
+      awb_number: invoice.awb_number || null,
+      description: 'Settled',
+      debit: 0,
+      credit: amount,
+    });
+  }
+
+  return entries.sort((a, b) => (new Date(a.date) - new Date(b.date)) || (TYPE_ORDER[a.type] - TYPE_ORDER[b.type]));
+}
+
+/**
+ * Statement for one client over [from, to]: opening balance, the period's movements with a
+ * running balance, and the closing balance.
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, statement?: object }>}
+ */
+async function buildClientStatement(clientId, { from, to }) {
+  const client = await Client.findById(clientId)
+    .select('client_id company_name contact_name email phone address city country')
+    .lean();
+  if (!client) {
+    return { success: false, statusCode: 404, error: 'Client not found' };
+  }
+
+  const entries = await collectEntries(client._id, to);
+
+  let openingBalance = 0;
+  const lines = [];
+  const totals = { invoiced: 0, paid: 0, credited: 0, adjustments: 0 };
+  for (const entry of entries) {
+    if (new Date(entry.date) < from) {
+      openingBalance = round2(openingBalance + entry.debit - entry.credit);
+      continue;
+    }
+    if (entry.type === 'INVOICE') totals.invoiced = round2(totals.invoiced + entry.debit);
+    if (entry.type === 'PAYMENT') totals.paid = round2(totals.paid + entry.credit);
+    if (entry.type === 'CREDIT_NOTE') totals.credited = round2(totals.credited + entry.credit);
+    if (entry.type === 'PAYMENT_REVERSAL' || entry.type === 'CREDIT_NOTE_VOID') {
+      totals.adjustments = round2(totals.adjustments + entry.debit);
+    }
+    lines.push(entry);
+  }
+
+  let balance = openingBalance;
+  for (const line of lines) {
+    balance = round2(balance + line.debit - line.credit);
+    line.balance = balance;
+  }
+
+  return {
+    success: true,
+    statement: {
+      client,
+      period: { from, to },
+      currency: 'AED',
+      opening_balance: openingBalance,
+      entries: lines,
+      totals,
+      closing_balance: balance,
+      generated_at: new Date(),
+    },
+  };
+}
+
+module.exports = {
+  buildClientStatement,
+};
@@ -0,0 +1,170 @@
+const { jsPDF } = require('jspdf');
+
+const COMPANY_NAME = 'KNEX DELIVERY SERVICES L.L.C';
+const COMPANY_ADDRESS = 'Rocky Warehouse Warehouse #19, 11th Street, Al Qusais Industrial Area 1, Dubai, 0000 United Arab Emirates';
+const COMPANY_PHONE = '+971559738713';
+
+const REASON_LABELS = {
+  WEIGHT_DISPUTE: 'Weight dispute',
+  DAMAGED_CARGO: 'Damaged cargo',
+  PRICING_ERROR: 'Pricing error',
+  SERVICE_FAILURE: 'Service failure',
+  OTHER: 'Other',
+};
+
+const formatAmount = (value) => `${(parseFloat(value?.toString() || 0) || 0).toFixed(2)} AED`;
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : 'N/A');
+
+/**
+ * Render a credit note as a PDF.
+ * @param {Object} creditNote - CreditNote (document or lean)
+ * @param {Object} invoice - Credited invoice with populated client_id
+ * @returns {Promise<ArrayBuffer>} PDF bytes
+ */
+async function generateCreditNotePDF(creditNote, invoice) {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  const rightX = pageWidth - margin;
+  let yPos = margin;
+
+  const drawLine = (y) => {
+    doc.setDrawColor(0, 0, 0);
+    doc.setLineWidth(0.5);
+    doc.line(margin, y, rightX, y);
+  };
+
+  const ensureSpace = (height) => {
+    if (yPos + height > pageHeight - margin - 20) {
+      doc.addPage();
+      yPos = margin;
+    }
+  };
+
+  // Header
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(0, 128, 0);
+  doc.text(COMPANY_NAME, margin, yPos);
+  yPos += 6;
+
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(0, 0, 0);
+  doc.text(COMPANY_ADDRESS, margin, yPos);
+  yPos += 4;
+  doc.text(COMPANY_PHONE, margin, yPos);
+  yPos += 10;
+
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text(creditNote.tax_amount && parseFloat(creditNote.tax_amount.toString()) > 0 ? 'TAX CREDIT NOTE' : 'CREDIT NOTE', margin, yPos);
+  if (creditNote.status === 'VOID') {
+    doc.setTextColor(200, 0, 0);
+    doc.text('VOID', rightX, yPos, { align: 'right' });
+    doc.setTextColor(0, 0, 0);
+  }
+  yPos += 8;
+  drawLine(yPos);
+  yPos += 8;
+
+  // Credit note and invoice references (two columns)
+  const client = invoice?.client_id || {};
+  const leftRows = [
+    ['Credit Note No.', creditNote.credit_note_id],
+    ['Date', formatDate(creditNote.issue_date)],
+    ['Original Invoice', creditNote.invoice_number],
+    ['Invoice Date', formatDate(invoice?.issue_date)],
+    ['AWB', creditNote.awb_number || 'N/A'],
+  ];
+  const rightRows = [
+    ['Customer', client.company_name || invoice?.receiver_name || 'N/A'],
+    ['Contact', client.contact_name || 'N/A'],
+    ['Customer TRN', invoice?.customer_trn || 'N/A'],
+    ['Reason', REASON_LABELS[creditNote.reason_code] || creditNote.reason_code],
+    ['Settlement', creditNote.settlement === 'REFUND' ? 'Refund to customer' : 'Deducted from balance'],
+  ];
+  const columnX = pageWidth / 2 + 5;
+  doc.setFontSize(9);
+  leftRows.forEach(([label, value], index) => {
+    const rowY = yPos + index * 6;
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${label}:`, margin, rowY);
+    doc.setFont('helvetica', 'normal');
+    doc.text(String(value), margin + 32, rowY);
+    const [rightLabel, rightValue] = rightRows[index];
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${rightLabel}:`, columnX, rowY);
+    doc.setFont('helvetica', 'normal');
+    doc.text(doc.splitTextToSize(String(rightValue), rightX - columnX - 28)[0], columnX + 28, rowY);
+  });
+  yPos += leftRows.length * 6 + 4;
+
+  doc.setFont('helvetica', 'normal');
+  const reasonLines = doc.splitTextToSize(creditNote.reason || '', pageWidth - margin * 2);
+  doc.text(reasonLines, margin, yPos);
+  yPos += reasonLines.length * 4 + 6;
+
+  // Credited lines
+  const columns = { description: margin + 2, net: rightX - 62, tax: rightX - 32, amount: rightX - 2 };
+  doc.setFillColor(230, 240, 230);
+  doc.rect(margin, yPos - 5, pageWidth - margin * 2, 8, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.text('Description', columns.description, yPos);
+  doc.text('Net', columns.net, yPos, { align: 'right' });
+  doc.text('VAT', columns.tax, yPos, { align: 'right' });
+  doc.text('Credited', columns.amount, yPos, { align: 'right' });
+  yPos += 8;
+
+  doc.setFont('helvetica', 'normal');
+  (creditNote.lines || []).forEach((line) => {
+    const descriptionLines = doc.splitTextToSize(line.description || '', columns.net - columns.description - 30);
+    ensureSpace(descriptionLines.length * 5 + 2);
+    doc.text(descriptionLines, columns.description, yPos);
+    doc.text(formatAmount(line.net_amount), columns.net, yPos, { align: 'right' });
+    doc.text(formatAmount(line.tax_amount), columns.tax, yPos, { align: 'right' });
+    doc.text(formatAmount(line.amount), columns.amount, yPos, { align: 'right' });
+    yPos += descriptionLines.length * 5 + 2;
+  });
+
+  ensureSpace(30);
+  drawLine(yPos);
+  yPos += 7;
+
+  // Totals
+  const totals = [
+    ['Subtotal', formatAmount(creditNote.subtotal)],
+    [`VAT (${creditNote.tax_rate || 0}%)`, formatAmount(creditNote.tax_amount)],
+    ['Total Credit', formatAmount(creditNote.total_amount)],
+  ];
+  totals.forEach(([label, value], index) => {
+    const isTotal = index === totals.length - 1;
+    doc.setFont('helvetica', isTotal ? 'bold' : 'normal');
+    doc.setFontSize(isTotal ? 11 : 9);
+    doc.text(label, columns.tax - 20, yPos, { align: 'right' });
+    doc.text(value, columns.amount, yPos, { align: 'right' });
+    yPos += 6;
+  });
+
+  if (creditNote.vat_inclusive) {
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(8);
+    doc.text('Credited amounts include VAT, as on the original invoice.', margin, yPos + 2);
+  }
+
+  // Footer on all pages
+  const totalPages = doc.getNumberOfPages();
+  for (let i = 1; i <= totalPages; i++) {
+    doc.setPage(i);
+    const footerY = pageHeight - margin - 5;
+    doc.setFontSize(7);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`${creditNote.credit_note_id} - page ${i} of ${totalPages}`, pageWidth / 2, footerY, { align: 'center' });
+  }
+
+  return doc.output('arraybuffer');
+}
+
+module.exports = { generateCreditNotePDF };
@@ -0,0 +1,327 @@
+/**
+ * Credit notes against issued invoices.
+ *
+ * A credit note credits all or part of one or more invoice line items. VAT follows the invoice:
+ * UAE_TO_PH Flomic/Personal line amounts already include VAT, PH_TO_UAE tax invoices charge VAT
+ * on delivery only, other taxed invoices add VAT on top. Issued credit notes reduce the invoice's
+ * balance_due; whatever exceeds the open balance is refunded.
+ */
+
+const mongoose = require('mongoose');
+const { Invoice, CreditNote } = require('../models/unified-schema');
+const { generateCreditNoteID } = require('../utils/id-generators');
+const { isEmpostDisabled } = require('../utils/empost-disabled-check');
+const { queueCreditNote, withdrawCreditNote } = require('./empost-outbox');
+const { resolveCarrier } = require('./carriers');
+const { computeBalanceDue, refreshInvoiceBalance } = require('./invoice-payments');
+
+const REASON_CODES = ['WEIGHT_DISPUTE', 'DAMAGED_CARGO', 'PRICING_ERROR', 'SERVICE_FAILURE', 'OTHER'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return 0;
+  return parseFloat(value.toString()) || 0;
+};
+
+const toDecimal = (value) => mongoose.Types.Decimal128.fromString(round2(value).toFixed(2));
+
+/**
+ * How VAT applies to an invoice's line items.
+ * @returns {{ rate: number, inclusive: boolean, basis: 'delivery'|'total'|null }}
+ */
+function getInvoiceVatTreatment(invoice) {
+  const rate = Number(invoice.tax_rate) || 0;
+  if (rate <= 0) {
+    return { rate: 0, inclusive: false, basis: null };
+  }
+  const serviceCode = (invoice.service_code || '').toUpperCase().replace(/[\s-]+/g, '_');
+  if (serviceCode.includes('PH_TO_UAE')) {
+    return { rate, inclusive: false, basis: 'delivery' };
+  }
+  if (serviceCode.includes('UAE_TO_PH')) {
+    // Only Flomic/Personal UAE_TO_PH invoices are ever taxed, and their prices include VAT
+    return { rate, inclusive: true, basis: 'total' };
+  }
+  return { rate, inclusive: false, basis: 'total' };
+}
+
+/**
+ * Split a credited line amount into net and VAT.
+ * @returns {{ net: number, tax: number, gross: number }}
+ */
+function splitLineAmount(amount, description, treatment) {
+  const taxable = treatment.basis === 'total' ||
+    (treatment.basis === 'delivery' && (description || '').toLowerCase().includes('delivery'));
+  if (!taxable) {
+    return { net: round2(amount), tax: 0, gross: round2(amount) };
+  }
+  if (treatment.inclusive) {
+    const net = round2(amount / (1 + treatment.rate / 100));
+    return { net, tax: round2(amount - net), gross: round2(amount) };
+  }
+  const tax = round2(amount * (treatment.rate / 100));
+  return { net: round2(amount), tax, gross: round2(amount + tax) };
+}
+
+/**
+ * Amount already credited per invoice line item by issued credit notes.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getCreditedByLine(invoiceId, session = null) {
+  const creditNotes = await CreditNote.find({ invoice_id: invoiceId, status: 'ISSUED' })
+    .select('lines')
+    .session(session)
+    .lean();
+  const byLine = new Map();
+  for (const creditNote of creditNotes) {
+    for (const line of creditNote.lines) {
+      const key = line.line_item_id.toString();
+      byLine.set(key, round2((byLine.get(key) || 0) + toNumber(line.amount)));
+    }
+  }
+  return byLine;
+}
+
+/**
+ * Validate requested credit lines against the invoice and price them.
+ * @returns {{ error?: string, lines?: object[], totals?: object }}
+ */
+function buildCreditLines(invoice, requestedLines, creditedByLine) {
+  if (!Array.isArray(requestedLines) || requestedLines.length === 0) {
+    return { error: 'lines must be a non-empty array' };
+  }
+
+  const treatment = getInvoiceVatTreatment(invoice);
+  const seen = new Set();
+  const lines = [];
+  const totals = { subtotal: 0, tax: 0, total: 0 };
+
+  for (const requested of requestedLines) {
+    const lineItemId = requested?.line_item_id;
+    if (!lineItemId || !mongoose.Types.ObjectId.isValid(lineItemId)) {
+      return { error: 'Each line needs a valid line_item_id' };
+    }
+    if (seen.has(lineItemId.toString())) {
+      return { error: `Line item ${lineItemId} is listed more than once` };
+    }
+    seen.add(lineItemId.toString());
+
+    const lineItem = invoice.line_items.find(item => item._id.toString() === lineItemId.toString());
+    if (!lineItem) {
+      return { error: `Line item ${lineItemId} is not on invoice ${invoice.invoice_id}` };
+    }
+
+    const remaining = round2(toNumber(lineItem.total) - (creditedByLine.get(lineItemId.toString()) || 0));
+    let amount = remaining;
+    if (requested.amount !== undefined && requested.amount !== null && requested.amount !== '') {
+      amount = parseFloat(requested.amount);
+      if (isNaN(amount) || amount <= 0) {
+        return { error: `amount for line item ${lineItemId} must be a number > 0` };
+      }
+      amount = round2(amount);
+    }
+    if (amount <= 0 || amount > remaining) {
+      return { error: `Line "${lineItem.description}" has ${remaining.toFixed(2)} AED left to credit` };
+    }
+
+    const { net, tax, gross } = splitLineAmount(amount, lineItem.description, treatment);
+    lines.push({
+      line_item_id: lineItem._id,
+      description: lineItem.description,
+      amount: toDecimal(amount),
+      net_amount: toDecimal(net),
+      tax_amount: toDecimal(tax),
+    });
+    totals.subtotal += net;
+    totals.tax += tax;
+    totals.total += gross;
+  }
+
+  return {
+    lines,
+    treatment,
+    totals: {
+      subtotal: round2(totals.subtotal),
+      tax: round2(totals.tax),
+      total: round2(totals.total),
+    },
+  };
+}
+
+/**
+ * Issue a credit note against an invoice and recompute its balance.
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, creditNote?: object, balance?: object }>}
+ */
+async function createCreditNote({ invoiceId, lines, reason, reasonCode, userId }) {
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return { success: false, statusCode: 400, error: 'reason is required' };
+  }
+  const normalizedReasonCode = (reasonCode || 'OTHER').toString().toUpperCase();
+  if (!REASON_CODES.includes(normalizedReasonCode)) {
+    return { success: false, statusCode: 400, error: `reason_code must be one of ${REASON_CODES.join(', ')}` };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const invoice = await Invoice.findById(invoiceId).session(session);
+    if (!invoice) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 404, error: 'Invoice not found' };
+    }
+    if (invoice.status === 'CANCELLED') {
+      await session.abortTransaction();
+      return { success: false, statusCode: 400, error: 'Cannot credit a cancelled invoice' };
+    }
+
+    const creditedByLine = await getCreditedByLine(invoice._id, session);
+    const built = buildCreditLines(invoice, lines, creditedByLine);
+    if (built.error) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 400, error: built.error };
+    }
+
+    // Line caps alone can exceed what was invoiced (e.g. PH_TO_UAE tax invoices list the shipping line)
+    const invoiceTotal = toNumber(invoice.total_amount);
+    const alreadyCredited = toNumber(invoice.credited_amount);
+    if (round2(alreadyCredited + built.totals.total) > invoiceTotal) {
+      await session.abortTransaction();
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Credit of ${built.totals.total.toFixed(2)} AED exceeds the ${round2(invoiceTotal - alreadyCredited).toFixed(2)} AED left to credit on invoice ${invoice.invoice_id}`,
+      };
+    }
+
+    const [creditNote] = await CreditNote.create([{
+      credit_note_id: await generateCreditNoteID(),
+      invoice_id: invoice._id,
+      invoice_number: invoice.invoice_id,
+      client_id: invoice.client_id,
+      awb_number: invoice.awb_number,
+      service_code: invoice.service_code,
+      reason_code: normalizedReasonCode,
+      reason: reason.trim(),
+      lines: built.lines,
+      subtotal: toDecimal(built.totals.subtotal),
+      tax_rate: built.totals.tax > 0 ? built.treatment.rate : 0,
+      tax_amount: toDecimal(built.totals.tax),
+      total_amount: toDecimal(built.totals.total),
+      vat_inclusive: built.treatment.inclusive,
+      settlement: built.totals.total > computeBalanceDue(invoice) ? 'REFUND' : 'BALANCE_REDUCTION',
+      empost_status: isEmpostDisabled() ? 'SKIPPED' : 'PENDING',
+      created_by: userId,
+    }], { session });
+
+    const balance = await refreshInvoiceBalance(invoice._id, { session });
+
+    await session.commitTransaction();
+    return { success: true, creditNote, balance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Void an issued credit note; its amount is owed again. A credit note EMPOST already holds
+ * cannot be voided: EMPOST has no call to reverse it. An unsent report is withdrawn.
+ */
+async function voidCreditNote(creditNoteId, { reason } = {}) {
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return { success: false, statusCode: 400, error: 'reason is required' };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const creditNote = await CreditNote.findById(creditNoteId).session(session);
+    if (!creditNote) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 404, error: 'Credit note not found' };
+    }
+    if (creditNote.status === 'VOID') {
+      await session.abortTransaction();
+      return { success: false, statusCode: 400, error: 'Credit note is already void' };
+    }
+    const withdrawn = creditNote.empost_status !== 'REPORTED' &&
+      await withdrawCreditNote(creditNote._id, { reason: `Credit note voided: ${reason.trim()}`, session });
+    if (!withdrawn) {
+      await session.abortTransaction();
+      return {
+        success: false,
+        statusCode: 409,
+        error: 'Credit note has been reported to EMPOST and cannot be voided',
+      };
+    }
+
+    creditNote.status = 'VOID';
+    if (creditNote.empost_status !== 'SKIPPED') {
+      creditNote.empost_status = 'SKIPPED';
+      creditNote.empost_error = 'Voided before it was reported';
+    }
+    creditNote.voided_at = new Date();
+    creditNote.void_reason = reason.trim();
+    await creditNote.save({ session });
+
+    const balance = await refreshInvoiceBalance(creditNote.invoice_id, { session });
+
+    await session.commitTransaction();
+    return { success: true, creditNote, balance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Report an issued credit note to EMPOST through the outbox. The first attempt is made now;
+ * after a failure the outbox keeps retrying and updates empost_status (PENDING until it
+ * succeeds or is dead-lettered as FAILED). The credit note stands either way.
+ */
+async function reportCreditNoteToEmpost(creditNoteId) {
+  const creditNote = await CreditNote.findById(creditNoteId);
+  if (!creditNote) return null;
+
+  if (isEmpostDisabled()) {
+    creditNote.empost_status = 'SKIPPED';
+    await creditNote.save();
+    return creditNote;
+  }
+
+  try {
+    const invoice = await Invoice.findById(creditNote.invoice_id).populate('client_id');
+    // EMPOST only takes credit notes for shipments it holds
+    const carrier = await resolveCarrier(invoice);
+    if (carrier.code !== 'EMPOST') {
+      creditNote.empost_status = 'SKIPPED';
+      creditNote.empost_error = `Shipment is carried by ${carrier.name || carrier.code}`;
+      await creditNote.save();
+      return creditNote;
+    }
+    await queueCreditNote(creditNote, invoice, { reason: 'credit note issued', wait: true });
+  } catch (error) {
+    console.error(`⚠️ Failed to queue credit note ${creditNote.credit_note_id} for EMPOST:`, error.message);
+    creditNote.empost_status = 'FAILED';
+    creditNote.empost_error = error.message;
+    await creditNote.save();
+    return creditNote;
+  }
+  return CreditNote.findById(creditNoteId);
+}
+
+module.exports = {
+  REASON_CODES,
+  getInvoiceVatTreatment,
+  splitLineAmount,
+  createCreditNote,
+  voidCreditNote,
+  reportCreditNoteToEmpost,
+};
@@ -0,0 +1,248 @@
+const PDFDocument = require('pdfkit');
+
+const COMPANY_NAME = 'KNEX DELIVERY SERVICES L.L.C';
+const COMPANY_ADDRESS = 'Rocky Warehouse Warehouse #19, 11th Street, Al Qusais Industrial Area 1, Dubai, 0000 United Arab Emirates';
+const COMPANY_PHONE = '+971559738713';
+
+const MARGIN = 40;
+const GREEN = '#008000';
+const HEADER_FILL = '#e6f0e6';
+
+const formatAmount = (value) => (Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : 'N/A');
+
+const formatDimensions = (box) => (box.length_cm && box.width_cm && box.height_cm
+  ? `${box.length_cm} x ${box.width_cm} x ${box.height_cm}`
+  : '-');
+
+/**
+ * Run `draw` on a new A4 document and resolve with the PDF bytes. Every page gets a footer.
+ */
+function renderPDF(draw, footerLabel) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+
+      const { start, count } = doc.bufferedPageRange();
+      for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise start a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.fontSize(7).font('Helvetica').fillColor('black').text(
+          `${footerLabel} - generated ${formatDate(new Date())} - page ${i - start + 1} of ${count}`,
+          MARGIN,
+          doc.page.height - MARGIN + 12,
+          { width: doc.page.width - MARGIN * 2, align: 'center' }
+        );
+        doc.page.margins.bottom = bottom;
+      }
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function drawHeader(doc, title, shipment) {
+  const width = doc.page.width - MARGIN * 2;
+  const top = MARGIN;
+
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(GREEN).text(COMPANY_NAME, MARGIN, top);
+  doc.fontSize(16).fillColor('black').text(title, MARGIN, top, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(7).text(COMPANY_ADDRESS, MARGIN, top + 18, { width: width * 0.65 });
+  doc.text(COMPANY_PHONE);
+  doc.moveTo(MARGIN, top + 42).lineTo(MARGIN + width, top + 42).lineWidth(0.5).stroke();
+
+  const details = [
+    [
+      ['AWB', shipment.awb || 'N/A'],
+      ['Invoice No.', shipment.invoice_number || 'N/A'],
+      ['Date', formatDate(shipment.shipment_date)],
+    ],
+    [
+      ['Service', shipment.service_code || 'N/A'],
+      ['Mode', shipment.cargo_service || 'N/A'],
+      ['Route', [shipment.origin, shipment.destination].filter(Boolean).join(' -> ') || 'N/A'],
+    ],
+    [
+      ['Type', shipment.shipment_classification || 'N/A'],
+      ['Reason', shipment.reason_for_export || 'N/A'],
+      ['Currency', shipment.currency],
+    ],
+  ];
+  const columnWidth = width / details.length;
+  details.forEach((rows, column) => {
+    rows.forEach(([label, value], row) => {
+      const x = MARGIN + column * columnWidth;
+      const y = top + 50 + row * 11;
+      doc.font('Helvetica-Bold').fontSize(8).text(`${label}:`, x, y, { width: 55, lineBreak: false });
+      doc.font('Helvetica').text(String(value), x + 55, y, { width: columnWidth - 60, height: 10, ellipsis: true, lineBreak: false });
+    });
+  });
+
+  // Shipper and consignee side by side
+  const partiesTop = top + 92;
+  const half = (width - 10) / 2;
+  const party = (label, p, x) => {
+    doc.font('Helvetica-Bold').fontSize(8).text(label, x, partiesTop);
+    doc.font('Helvetica').fontSize(8).text(
+      [p.name, p.company, p.address, p.phone].filter(Boolean).join('\n') || 'N/A',
+      x,
+      partiesTop + 11,
+      { width: half }
+    );
+    return doc.y;
+  };
+  const shipperBottom = party('SHIPPER', shipment.shipper, MARGIN);
+  const consigneeBottom = party('CONSIGNEE', shipment.consignee, MARGIN + half + 10);
+  doc.y = Math.max(shipperBottom, consigneeBottom) + 12;
+  doc.x = MARGIN;
+}
+
+/**
+ * Table with a shaded header row, repeated after page breaks.
+ * @param {Array<{ label: string, width: number, align?: string }>} columns
+ * @param {Array<Array<string>>} rows
+ * @param {Array<string>} [totalsRow] - printed bold under a rule
+ */
+function drawTable(doc, columns, rows, totalsRow) {
+  const width = columns.reduce((sum, column) => sum + column.width, 0);
+  const bottomLimit = () => doc.page.height - doc.page.margins.bottom - 20;
+
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: columns[i].width - 6 }))) + 6;
+    if (doc.y + height > bottomLimit()) {
+      doc.addPage();
+      doc.y = MARGIN;
+      if (!fill) drawRow(columns.map(column => column.label), { bold: true, fill: HEADER_FILL });
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    }
+    const y = doc.y;
+    if (fill) doc.rect(MARGIN, y, width, height).fill(fill).fillColor('black');
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), x + 3, y + 3, { width: columns[i].width - 6, align: columns[i].align || 'left' });
+      x += columns[i].width;
+    });
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(column => column.label), { bold: true, fill: HEADER_FILL });
+  rows.forEach(row => drawRow(row));
+  if (totalsRow) {
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + width, doc.y).lineWidth(0.5).stroke();
+    drawRow(totalsRow, { bold: true });
+  }
+  doc.x = MARGIN;
+}
+
+function drawCommercialInvoice(doc, shipment) {
+  drawHeader(doc, 'COMMERCIAL INVOICE', shipment);
+  const { lines, totals } = shipment.commercial_invoice;
+
+  drawTable(
+    doc,
+    [
+      { label: '#', width: 20 },
+      { label: 'Description of goods', width: 220 },
+      { label: 'HS Code', width: 65 },
+      { label: 'Qty', width: 45, align: 'right' },
+      { label: `Unit value (${shipment.currency})`, width: 80, align: 'right' },
+      { label: `Total (${shipment.currency})`, width: 85, align: 'right' },
+    ],
+    lines.map((line, index) => [
+      index + 1,
+      line.hs_description ? `${line.description}\n${line.hs_description}` : line.description,
+      line.hs_code || '-',
+      line.quantity,
+      formatAmount(line.unit_value),
+      formatAmount(line.total_value),
+    ]),
+    ['', `TOTAL (${shipment.packing_list.totals.boxes} boxes)`, '', totals.quantity, '', formatAmount(totals.value)]
+  );
+
+  if (!lines.length) {
+    doc.font('Helvetica-Oblique').fontSize(8).text('No commodities listed on this shipment.', MARGIN, doc.y + 4);
+  }
+
+  doc.moveDown(1.5);
+  doc.font('Helvetica').fontSize(8).text(
+    `Gross weight: ${formatAmount(shipment.packing_list.totals.actual_weight_kg)} kg. `
+    + 'Item values are the declared value of the shipment spread over the items by quantity.',
+    MARGIN
+  );
+  doc.moveDown(0.5);
+  doc.text('I declare that the information on this invoice is true and correct and that the contents of this shipment are as stated above.');
+  doc.moveDown(2);
+  doc.text('Signature: ______________________________        Date: ______________');
+}
+
+function drawPackingList(doc, shipment) {
+  drawHeader(doc, 'PACKING LIST', shipment);
+  const { boxes, totals } = shipment.packing_list;
+
+  drawTable(
+    doc,
+    [
+      { label: 'Box', width: 35 },
+      { label: 'Contents', width: 200 },
+      { label: 'HS Codes', width: 75 },
+      { label: 'Qty', width: 45, align: 'right' },
+      { label: 'L x W x H (cm)', width: 90, align: 'right' },
+      { label: 'Vol. weight (kg)', width: 70, align: 'right' },
+    ],
+    boxes.map(box => [
+      `${box.box_no} / ${boxes.length}`,
+      box.contents.length
+        ? box.contents.map(item => `${item.description} (${item.quantity})`).join('\n')
+        : 'Not itemised',
+      [...new Set(box.contents.map(item => item.hs_code).filter(Boolean))].join('\n') || '-',
+      box.quantity ?? '-',
+      formatDimensions(box),
+      box.volumetric_weight_kg ? formatAmount(box.volumetric_weight_kg) : '-',
+    ]),
+    [`${totals.boxes}`, 'TOTAL', '', totals.quantity, '', formatAmount(totals.volumetric_weight_kg)]
+  );
+
+  doc.moveDown(1.5);
+  doc.font('Helvetica').fontSize(8).text(
+    `Actual weight: ${formatAmount(totals.actual_weight_kg)} kg    Chargeable weight: ${formatAmount(totals.chargeable_weight_kg)} kg`,
+    MARGIN
+  );
+}
+
+const RENDERERS = {
+  'commercial-invoice': drawCommercialInvoice,
+  'packing-list': drawPackingList,
+};
+
+/**
+ * Render customs documents (see services/customs-documents.js); each shipment starts a new page.
+ * @param {string} type - commercial-invoice or packing-list
+ * @param {Array<Object>} shipments
+ * @param {string} footerLabel - e.g. "AWB ..." or "Batch ..."
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function generateCustomsDocumentPDF(type, shipments, footerLabel) {
+  const draw = RENDERERS[type];
+  return renderPDF((doc) => {
+    shipments.forEach((shipment, index) => {
+      if (index > 0) doc.addPage();
+      draw(doc, shipment);
+    });
+    if (!shipments.length) {
+      doc.font('Helvetica-Oblique').fontSize(10).text('No reviewed shipments to document.', MARGIN, MARGIN);
+    }
+  }, footerLabel);
+}
+
+module.exports = { generateCustomsDocumentPDF };
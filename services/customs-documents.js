@@ -0,0 +1,468 @@
+/**
+ * Customs documents: commercial invoice and packing list per AWB or per batch.
+ *
+ * Built from the operations verification on the invoice request (listed_commodities, boxes,
+ * number_of_boxes, declared_value, shipment_classification); parties and weights come from the
+ * same place as the batch manifest. Commodity descriptions get an HS code from HsCodeMapping
+ * keywords, falling back to a built-in list of common items. Bookings carry no per-item values,
+ * so the declared value is spread over the lines by quantity.
+ */
+
+const mongoose = require('mongoose');
+const { Booking, InvoiceRequest, HsCodeMapping } = require('../models');
+const { findBatch, buildManifestLine } = require('./batches');
+const { BASE_CURRENCY } = require('./exchange-rates');
+
+const DOCUMENT_TYPES = ['commercial-invoice', 'packing-list'];
+
+// Used when no saved mapping matches; saved mappings win on an equally long keyword
+const DEFAULT_HS_CODES = [
+  { hs_code: '6309.00', description: 'Worn clothing and other worn articles', keywords: ['clothes', 'clothing', 'used clothes', 'garments', 'apparel', 'shirt', 'pants', 'dress'] },
+  { hs_code: '6405.90', description: 'Footwear, other', keywords: ['shoes', 'footwear', 'sandals', 'slippers'] },
+  { hs_code: '4202.92', description: 'Bags and travel goods', keywords: ['bag', 'handbag', 'backpack', 'luggage'] },
+  { hs_code: '6302.60', description: 'Toilet and kitchen linen of cotton', keywords: ['towel'] },
+  { hs_code: '6302.31', description: 'Bed linen of cotton', keywords: ['bedsheet', 'bed sheet', 'blanket', 'pillow case'] },
+  { hs_code: '1806.90', description: 'Chocolate and food preparations containing cocoa', keywords: ['chocolate', 'chocolates'] },
+  { hs_code: '1905.90', description: 'Bread, biscuits and bakers\' wares', keywords: ['biscuits', 'cookies', 'crackers'] },
+  { hs_code: '2101.11', description: 'Coffee extracts and preparations', keywords: ['coffee'] },
+  { hs_code: '2106.90', description: 'Food preparations not elsewhere specified', keywords: ['food', 'canned goods', 'canned food', 'snacks', 'vitamins', 'noodles'] },
+  { hs_code: '3304.99', description: 'Beauty and skin care preparations', keywords: ['cosmetics', 'makeup', 'lotion', 'skin care', 'perfume'] },
+  { hs_code: '3305.10', description: 'Shampoos', keywords: ['shampoo', 'conditioner'] },
+  { hs_code: '3401.11', description: 'Soap for toilet use', keywords: ['soap', 'toiletries'] },
+  { hs_code: '3004.90', description: 'Medicaments, packaged for retail sale', keywords: ['medicine', 'medicines'] },
+  { hs_code: '9503.00', description: 'Toys', keywords: ['toys', 'toy'] },
+  { hs_code: '4901.99', description: 'Printed books', keywords: ['books', 'book'] },
+  { hs_code: '4820.10', description: 'Notebooks and stationery', keywords: ['school supplies', 'notebooks', 'stationery'] },
+  { hs_code: '8517.13', description: 'Smartphones', keywords: ['mobile phone', 'cellphone', 'cell phone', 'smartphone'] },
+  { hs_code: '8471.30', description: 'Portable computers', keywords: ['laptop', 'tablet'] },
+  { hs_code: '8528.72', description: 'Television receivers', keywords: ['tv', 'television'] },
+  { hs_code: '7323.93', description: 'Table and kitchenware of stainless steel', keywords: ['kitchenware', 'utensils', 'cookware'] },
+  { hs_code: '3924.10', description: 'Plastic tableware and kitchenware', keywords: ['plastic ware', 'tupperware', 'containers'] },
+  { hs_code: '4911.99', description: 'Printed matter; documents', keywords: ['documents', 'document', 'papers'] },
+].map(mapping => ({ ...mapping, source: 'default' }));
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  return parseFloat(value.toString()) || 0;
+};
+
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * "6309" + "00" style codes: 6, 8 or 10 digits, printed as 6309.00(.10)(.20).
+ * @returns {string|null}
+ */
+function normalizeHsCode(code) {
+  const digits = String(code || '').replace(/\D/g, '');
+  if (![6, 8, 10].includes(digits.length)) return null;
+  return [digits.slice(0, 4), ...digits.slice(4).match(/\d{2}/g)].join('.');
+}
+
+/**
+ * Best HS code for a commodity description: the mapping with the longest keyword found as whole
+ * words (a trailing "s" is tolerated). Earlier mappings win ties, so pass saved ones first.
+ * @returns {{ hs_code: string, description: string, keyword: string, source: string } | null}
+ */
+function matchHsCode(commodity, mappings) {
+  const text = ` ${normalizeText(commodity)} `;
+  if (!text.trim()) return null;
+
+  let best = null;
+  for (const mapping of mappings) {
+    for (const raw of mapping.keywords || []) {
+      const keyword = normalizeText(raw);
+      if (!keyword || (best && keyword.length <= best.keyword.length)) continue;
+      if (text.includes(` ${keyword} `) || (!keyword.endsWith('s') && text.includes(` ${keyword}s `))) {
+        best = { hs_code: mapping.hs_code, description: mapping.description, keyword, source: mapping.source };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Active saved mappings followed by the built-in ones.
+ */
+async function loadHsMappings() {
+  const saved = await HsCodeMapping.find({ active: true }).select('hs_code description keywords').lean();
+  return [...saved.map(mapping => ({ ...mapping, source: 'custom' })), ...DEFAULT_HS_CODES];
+}
+
+/**
+ * Split a commodity list such as "Clothes (Qty: 5), 2 x Shoes, Chocolates x3" into lines.
+ * @returns {Array<{ description: string, quantity: number }>}
+ */
+function parseCommodities(text) {
+  return String(text || '')
+    .split(/[,;\n]+/)
+    .map(part => part.trim())
+    .filter(part => part && !/^n\/?a$/i.test(part))
+    .map((part) => {
+      let description = part;
+      let quantity = 1;
+      let match = part.match(/^(.*?)\s*\(\s*qty\s*:?\s*(\d+(?:\.\d+)?)\s*\)\s*$/i);
+      if (match) {
+        [, description, quantity] = match;
+      } else if ((match = part.match(/^(\d+(?:\.\d+)?)\s*(?:x|pcs?\.?|pieces?)\s*(.+)$/i))) {
+        [, quantity, description] = match;
+      } else if ((match = part.match(/^(.+?)\s*(?:x|\u00d7)\s*(\d+(?:\.\d+)?)$/i))) {
+        [, description, quantity] = match;
+      }
+      return { description: description.trim(), quantity: Number(quantity) || 1 };
+    })
+    .filter(line => line.description);
+}
+
+// Same description (any case) is one line
+function mergeCommodities(lines) {
+  const byKey = new Map();
+  lines.forEach((line) => {
+    const key = normalizeText(line.description);
+    const existing = byKey.get(key);
+    if (existing) existing.quantity += line.quantity;
+    else byKey.set(key, { ...line });
+  });
+  return [...byKey.values()];
+}
+
+/**
+ * Spread a total over lines by quantity. Every line is priced at unit_value × quantity; the
+ * cents left over by rounding the unit value go on a line they divide evenly (the last one
+ * found), else on one unit split off the last line, so the lines add up to the total.
+ */
+function apportionValue(lines, total) {
+  const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const totalCents = Math.round(round2(total) * 100);
+  const unitCents = quantity > 0 ? Math.round(totalCents / quantity) : 0;
+  const priced = lines.map(line => ({ ...line, unitCents }));
+
+  const remainder = totalCents - Math.round(unitCents * quantity);
+  if (remainder !== 0 && priced.length) {
+    const even = [...priced].reverse().find(line => Number.isInteger(remainder / line.quantity));
+    const last = priced[priced.length - 1];
+    if (even) {
+      even.unitCents += remainder / even.quantity;
+    } else if (last.quantity > 1) {
+      priced.splice(-1, 1, { ...last, quantity: last.quantity - 1 }, { ...last, quantity: 1, unitCents: unitCents + remainder });
+    } else {
+      last.unitCents += Math.round(remainder / last.quantity);
+    }
+  }
+
+  return priced.map(({ unitCents: cents, ...line }) => ({
+    ...line,
+    unit_value: cents / 100,
+    total_value: round2((cents * line.quantity) / 100),
+  }));
+}
+
+const REASON_FOR_EXPORT = {
+  COMMERCIAL: 'Sale',
+  PERSONAL: 'Personal effects, not for resale',
+  FLOMIC: 'Personal effects, not for resale',
+};
+
+/**
+ * Commercial invoice and packing list data for one shipment.
+ */
+function buildCustomsDocument(invoiceRequest, booking, mappings) {
+  const verification = invoiceRequest.verification || {};
+  const line = buildManifestLine(booking || {}, invoiceRequest);
+  const classification = String(verification.shipment_classification || '').toUpperCase() || null;
+  const unmapped = new Set();
+
+  const withHsCode = (commodity) => {
+    const match = matchHsCode(commodity.description, mappings);
+    if (!match) unmapped.add(commodity.description);
+    return {
+      ...commodity,
+      hs_code: match?.hs_code || null,
+      hs_description: match?.description || null,
+    };
+  };
+
+  // Both documents count items from one source: the per-box breakdown when there is one, else
+  // the listed commodities (or the booking description)
+  const verifiedBoxes = Array.isArray(verification.boxes) ? verification.boxes : [];
+  const boxContents = verifiedBoxes.map((box) => {
+    const contents = parseCommodities(box.items);
+    // "Clothes" with quantity 5 on the box
+    return contents.length === 1 && Number(box.quantity) > 0
+      ? [{ ...contents[0], quantity: Number(box.quantity) }]
+      : contents;
+  });
+  let commodities = mergeCommodities(boxContents.flat());
+  if (!commodities.length) {
+    commodities = mergeCommodities(parseCommodities(verification.listed_commodities));
+  }
+  if (!commodities.length && line.description) {
+    commodities = mergeCommodities(parseCommodities(line.description));
+  }
+
+  const invoiceLines = apportionValue(commodities, line.declared_value).map(withHsCode);
+
+  // One box without its own breakdown holds everything on the invoice
+  const boxCount = Math.max(line.boxes, verifiedBoxes.length, 1);
+  const boxes = [];
+  for (let index = 0; index < boxCount; index++) {
+    const box = verifiedBoxes[index] || {};
+    let contents = boxContents[index] || [];
+    if (!contents.length && boxCount === 1) {
+      contents = commodities;
+    }
+    contents = contents.map(withHsCode);
+    boxes.push({
+      box_no: index + 1,
+      contents,
+      // Boxes without their own breakdown are not counted per box
+      quantity: contents.length ? contents.reduce((sum, item) => sum + item.quantity, 0) : null,
+      length_cm: round2(toNumber(box.length)) || null,
+      width_cm: round2(toNumber(box.width)) || null,
+      height_cm: round2(toNumber(box.height)) || null,
+      volumetric_weight_kg: round2(toNumber(box.vm)) || null,
+    });
+  }
+
+  const totalQuantity = invoiceLines.reduce((sum, item) => sum + item.quantity, 0);
+
+  return {
+    awb: invoiceRequest.tracking_code || line.awb,
+    invoice_number: invoiceRequest.invoice_number || null,
+    invoice_request_id: invoiceRequest._id,
+    booking_id: booking?._id || invoiceRequest.booking_id || null,
+    service_code: invoiceRequest.service_code || line.service_code,
+    cargo_service: verification.cargo_service || null,
+    shipment_classification: classification,
+    reason_for_export: REASON_FOR_EXPORT[classification] || null,
+    origin: invoiceRequest.origin_place || null,
+    destination: invoiceRequest.destination_place || null,
+    shipment_date: invoiceRequest.createdAt || null,
+    shipper: {
+      name: line.sender_name,
+      address: line.sender_address,
+      phone: line.sender_phone,
+    },
+    consignee: {
+      name: line.receiver_name,
+      company: invoiceRequest.receiver_company || null,
+      address: line.receiver_address,
+      phone: line.receiver_phone,
+    },
+    currency: BASE_CURRENCY,
+    commercial_invoice: {
+      lines: invoiceLines,
+      totals: {
+        quantity: totalQuantity,
+        value: round2(invoiceLines.reduce((sum, item) => sum + item.total_value, 0)),
+        declared_value: line.declared_value,
+      },
+    },
+    packing_list: {
+      boxes,
+      totals: {
+        boxes: boxes.length,
+        quantity: totalQuantity,
+        volumetric_weight_kg: round2(boxes.reduce((sum, box) => sum + (box.volumetric_weight_kg || 0), 0)),
+        actual_weight_kg: line.actual_weight_kg,
+        chargeable_weight_kg: line.chargeable_weight_kg,
+      },
+    },
+    unmapped_commodities: [...unmapped],
+    generated_at: new Date(),
+  };
+}
+
+const REQUEST_FIELDS = 'tracking_code invoice_number service_code customer_name customer_phone receiver_name receiver_address receiver_phone receiver_company weight_kg origin_place destination_place booking_id verification createdAt';
+const BOOKING_FIELDS = 'awb awb_number tracking_code referenceNumber batch_no service service_code sender receiver items number_of_boxes weight weight_kg declaredAmount customer_name converted_to_invoice_request_id';
+
+/**
+ * Customs documents for one shipment by AWB, invoice number, booking reference or invoice request id.
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, document?: object }>}
+ */
+async function getShipmentCustomsDocument(reference) {
+  const value = String(reference || '').trim();
+  if (!value) {
+    return { success: false, statusCode: 400, error: 'AWB or reference is required' };
+  }
+
+  let invoiceRequest = null;
+  if (/^[0-9a-fA-F]{24}$/.test(value) && mongoose.Types.ObjectId.isValid(value)) {
+    invoiceRequest = await InvoiceRequest.findById(value).select(REQUEST_FIELDS).lean();
+  }
+  if (!invoiceRequest) {
+    invoiceRequest = await InvoiceRequest.findOne({
+      $or: [{ tracking_code: value.toUpperCase() }, { invoice_number: value }],
+    }).select(REQUEST_FIELDS).lean();
+  }
+  let booking = null;
+  if (!invoiceRequest) {
+    booking = await Booking.findOne({ $or: [{ referenceNumber: value }, { awb: value.toUpperCase() }] })
+      .select(BOOKING_FIELDS)
+      .lean();
+    if (booking?.converted_to_invoice_request_id) {
+      invoiceRequest = await InvoiceRequest.findById(booking.converted_to_invoice_request_id).select(REQUEST_FIELDS).lean();
+    }
+  }
+  if (!invoiceRequest) {
+    return {
+      success: false,
+      statusCode: 404,
+      error: booking
+        ? 'Booking has not been reviewed yet; customs documents need its invoice request'
+        : 'Shipment not found',
+    };
+  }
+  if (!booking && invoiceRequest.booking_id) {
+    booking = await Booking.findById(invoiceRequest.booking_id).select(BOOKING_FIELDS).lean();
+  }
+
+  const mappings = await loadHsMappings();
+  return { success: true, document: buildCustomsDocument(invoiceRequest, booking, mappings) };
+}
+
+/**
+ * Customs documents for every shipment in a batch, ordered by AWB. Bookings not yet reviewed are
+ * listed in `missing` instead.
+ */
+async function getBatchCustomsDocuments(idOrNumber) {
+  const batch = await findBatch(idOrNumber);
+  if (!batch) {
+    return { success: false, statusCode: 404, error: 'Batch not found' };
+  }
+
+  const bookings = await Booking.find({ batch_no: batch.batch_no }).select(BOOKING_FIELDS).lean();
+  const requestIds = bookings.map(b => b.converted_to_invoice_request_id).filter(Boolean);
+  const requests = requestIds.length
+    ? await InvoiceRequest.find({ _id: { $in: requestIds } }).select(REQUEST_FIELDS).lean()
+    : [];
+  const requestsById = new Map(requests.map(r => [r._id.toString(), r]));
+  const mappings = await loadHsMappings();
+
+  const documents = [];
+  const missing = [];
+  bookings.forEach((booking) => {
+    const invoiceRequest = requestsById.get(booking.converted_to_invoice_request_id?.toString());
+    if (!invoiceRequest) {
+      missing.push({ booking_id: booking._id, reference_number: booking.referenceNumber || null, awb: booking.awb || null });
+      return;
+    }
+    documents.push(buildCustomsDocument(invoiceRequest, booking, mappings));
+  });
+  documents.sort((a, b) => String(a.awb || '').localeCompare(String(b.awb || '')));
+
+  return {
+    success: true,
+    batch: {
+      _id: batch._id,
+      batch_no: batch.batch_no,
+      status: batch.status,
+      transport_mode: batch.transport_mode,
+      carrier: batch.carrier,
+      flight_or_vessel: batch.flight_or_vessel,
+      origin: batch.origin,
+      destination: batch.destination,
+      departure_date: batch.departure_date,
+    },
+    documents,
+    missing,
+    totals: {
+      shipments: documents.length,
+      boxes: documents.reduce((sum, doc) => sum + doc.packing_list.totals.boxes, 0),
+      quantity: documents.reduce((sum, doc) => sum + doc.commercial_invoice.totals.quantity, 0),
+      value: round2(documents.reduce((sum, doc) => sum + doc.commercial_invoice.totals.value, 0)),
+      actual_weight_kg: round2(documents.reduce((sum, doc) => sum + doc.packing_list.totals.actual_weight_kg, 0)),
+    },
+  };
+}
+
+/**
+ * @returns {{ error?: string, fields?: object }}
+ */
+function validateHsMapping(body = {}, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || body.hs_code !== undefined) {
+    const hsCode = normalizeHsCode(body.hs_code);
+    if (!hsCode) return { error: 'hs_code must have 6, 8 or 10 digits' };
+    fields.hs_code = hsCode;
+  }
+  if (!partial || body.description !== undefined) {
+    if (!body.description || !String(body.description).trim()) return { error: 'description is required' };
+    fields.description = String(body.description).trim();
+  }
+  if (!partial || body.keywords !== undefined) {
+    const keywords = [...new Set([].concat(body.keywords || []).map(normalizeText).filter(Boolean))];
+    if (!keywords.length) return { error: 'keywords must contain at least one word or phrase' };
+    fields.keywords = keywords;
+  }
+  if (body.active !== undefined) fields.active = body.active === true;
+  return { fields };
+}
+
+async function listHsMappings({ q, active } = {}) {
+  const query = {};
+  if (active !== undefined) query.active = active === true || active === 'true';
+  if (q) {
+    const hsCode = String(q).replace(/[^\d.]/g, '');
+    const text = normalizeText(q);
+    query.$or = [
+      ...(hsCode ? [{ hs_code: { $regex: `^${hsCode.replace(/\./g, '\\.')}` } }] : []),
+      ...(text ? [{ keywords: { $regex: text } }] : []),
+    ];
+    if (!query.$or.length) return [];
+  }
+  return HsCodeMapping.find(query).sort({ hs_code: 1 }).lean();
+}
+
+async function createHsMapping(body, userId) {
+  const { error, fields } = validateHsMapping(body);
+  if (error) return { success: false, statusCode: 400, error };
+  const mapping = await HsCodeMapping.create({ ...fields, created_by: userId, updated_by: userId });
+  return { success: true, mapping };
+}
+
+async function updateHsMapping(id, body, userId) {
+  const { error, fields } = validateHsMapping(body, { partial: true });
+  if (error) return { success: false, statusCode: 400, error };
+  const mapping = await HsCodeMapping.findByIdAndUpdate(
+    id,
+    { $set: { ...fields, updated_by: userId } },
+    { new: true }
+  );
+  if (!mapping) {
+    return { success: false, statusCode: 404, error: 'HS code mapping not found' };
+  }
+  return { success: true, mapping };
+}
+
+/**
+ * HS code each description would get on a customs document.
+ */
+async function lookupHsCodes(descriptions) {
+  const mappings = await loadHsMappings();
+  return [].concat(descriptions || []).map(description => ({
+    description,
+    match: matchHsCode(description, mappings),
+  }));
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DEFAULT_HS_CODES,
+  normalizeHsCode,
+  matchHsCode,
+  parseCommodities,
+  buildCustomsDocument,
+  getShipmentCustomsDocument,
+  getBatchCustomsDocuments,
+  listHsMappings,
+  createHsMapping,
+  updateHsMapping,
+  lookupHsCodes,
+};
@@ -146,6 +146,27 @@ class EMpostAPIService {
     };
   }
 
+  /**
+   * Single authenticated POST with no retries; services/empost-outbox.js does its own retrying.
+   * A 401 drops the cached token so the next attempt authenticates again.
+   * @param {string} endpoint - API path, e.g. /api/v1/shipment/create
+   * @param {Object} payload - Request body
+   * @returns {Promise<Object>} Response body
+   */
+  async post(endpoint, payload, options = {}) {
+    const headers = await this.getAuthHeaders();
+    try {
+      const response = await this.apiClient.post(endpoint, payload, { headers, ...options });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401) {
+        this.accessToken = null;
+        this.tokenExpiry = null;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Retry helper with exponential backoff
    * @param {Function} fn - Function to retry
@@ -553,6 +574,48 @@ class EMpostAPIService {
     }
   }
 
+  /**
+   * Report a credit note in EMpost as a negative invoice against the original shipment
+   * @param {Object} creditNote - CreditNote document
+   * @param {Object} invoice - Credited invoice with populated client_id
+   * @returns {Promise<Object>} EMpost invoice response
+   */
+  async issueCreditNote(creditNote, invoice) {
+    if (isEmpostDisabled()) {
+      console.log('[EMPOST DISABLED] Skipping credit note issuance in EMPOST');
+      return { success: true, message: 'EMPOST API disabled' };
+    }
+
+    try {
+      console.log('📄 Issuing credit note in EMpost:', creditNote.credit_note_id);
+      const creditNoteData = this.mapCreditNoteToEMpostInvoice(creditNote, invoice);
+
+      const headers = await this.getAuthHeaders();
+
+      const issueCreditNote = async () => {
+        const response = await this.apiClient.post(
+          '/api/v1/shipment/issueInvoice',
+          creditNoteData,
+          { headers }
+        );
+        return response.data;
+      };
+
+      const result = await this.retryWithBackoff(issueCreditNote, 3, 1000);
+
+      console.log('✅ Credit note issued in EMpost');
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to issue credit note in EMpost:', error.response?.data || error.message);
+      await this.persistEmpostError('EMPOST issue credit note failed', error, {
+        trackingNumber: creditNote.awb_number || null,
+        invoiceId: invoice?._id?.toString() || null,
+        invoiceNumber: creditNote.invoice_number || null,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Map invoice data to EMpost shipment format
    * @param {Object} invoice - Invoice object with populated client_id
@@ -752,6 +815,58 @@ class EMpostAPIService {
     return invoiceData;
   }
 
+  /**
+   * Map credit note data to EMpost invoice format (amounts negated)
+   * @param {Object} creditNote - CreditNote document
+   * @param {Object} invoice - Credited invoice with populated client_id
+   * @returns {Object} EMpost invoice payload
+   */
+  mapCreditNoteToEMpostInvoice(creditNote, invoice) {
+    const subtotal = parseFloat(creditNote.subtotal?.toString() || 0);
+    const taxAmount = parseFloat(creditNote.tax_amount?.toString() || 0);
+    const totalAmount = parseFloat(creditNote.total_amount?.toString() || 0);
+
+    const creditNoteData = {
+      trackingNumber: creditNote.awb_number || invoice?.awb_number || creditNote.invoice_number,
+      chargeableWeight: {
+        unit: 'KG',
+        value: invoice?.weight_kg || 0.1,
+      },
+      charges: [
+        {
+          type: 'Base Rate',
+          amount: {
+            currencyCode: 'AED',
+            amount: -subtotal,
+          },
+        },
+      ],
+      invoice: {
+        invoiceNumber: creditNote.credit_note_id,
+        invoiceDate: creditNote.issue_date ? new Date(creditNote.issue_date).toISOString() : new Date().toISOString(),
+        originalInvoiceNumber: creditNote.invoice_number,
+        billingAccountNumber: invoice?.client_id?.company_name || 'N/A',
+        billingAccountName: invoice?.client_id?.contact_name || invoice?.client_id?.company_name || 'N/A',
+        totalDiscountAmount: 0,
+        taxAmount: -taxAmount,
+        totalAmountIncludingTax: -totalAmount,
+        currencyCode: 'AED',
+      },
+    };
+
+    if (taxAmount > 0) {
+      creditNoteData.charges.push({
+        type: 'Tax',
+        amount: {
+          currencyCode: 'AED',
+          amount: -taxAmount,
+        },
+      });
+    }
+
+    return creditNoteData;
+  }
+
   /**
    * Parse address string into components
    * @param {string} address - Address string
@@ -1118,17 +1233,7 @@ class EMpostAPIService {
       const headers = await this.getAuthHeaders();
       
       // Prepare cancellation payload
-      const cancelData = {
-        awb_number: assignmentData.awb_number,
-        tracking_code: assignmentData.tracking_code,
-        customer_name: assignmentData.customer_name,
-        customer_phone: assignmentData.customer_phone,
-        delivery_address: assignmentData.delivery_address,
-        amount: assignmentData.amount,
-        status: 'CANCELLED',
-        cancellation_reason: assignmentData.cancellation_reason,
-        cancelled_at: assignmentData.cancelled_at || new Date().toISOString()
-      };
+      const cancelData = this.buildCancelDeliveryPayload(assignmentData);
       
       const cancelDelivery = async () => {
         try {
@@ -1172,6 +1277,25 @@ class EMpostAPIService {
     }
   }
 
+  /**
+   * Build the delivery cancellation payload
+   * @param {Object} assignmentData - Delivery assignment data
+   * @returns {Object} EMpost cancellation payload
+   */
+  buildCancelDeliveryPayload(assignmentData) {
+    return {
+      awb_number: assignmentData.awb_number,
+      tracking_code: assignmentData.tracking_code,
+      customer_name: assignmentData.customer_name,
+      customer_phone: assignmentData.customer_phone,
+      delivery_address: assignmentData.delivery_address,
+      amount: assignmentData.amount,
+      status: 'CANCELLED',
+      cancellation_reason: assignmentData.cancellation_reason,
+      cancelled_at: assignmentData.cancelled_at || new Date().toISOString()
+    };
+  }
+
   mapDeliveryStatus(status) {
     if (!status) return 'Pending';
     
@@ -1196,6 +1320,7 @@ class EMpostAPIService {
       // Invoice statuses (for shipment updates, not invoice status changes)
       'UNPAID': 'Pending',
       'PAID': 'Delivered',
+      'PARTIALLY_PAID': 'Pending',
       'COLLECTED_BY_DRIVER': 'Pending', // Still in transit until delivered
       'DELIVERED': 'Delivered',
       'OVERDUE': 'Pending',
@@ -0,0 +1,694 @@
+/**
+ * EMPOST outbox.
+ *
+ * Request handlers no longer call EMPOST inline. They queue an EmpostOutbox item holding the
+ * mapped request body, and a worker sends it, retrying with exponential backoff until EMPOST
+ * accepts it or it runs out of attempts (dead letter). Items for the same tracking number go
+ * out one at a time in the order they were queued, so an invoice is never issued before its
+ * shipment exists. Admins can inspect, retry or skip items (routes/empost-outbox.js).
+ *
+ * Outcomes are written back to the records that track them: the UHAWB onto the invoice or
+ * invoice request, DeliveryAssignment.empost_sync for cancellations and
+ * CreditNote.empost_status for credit notes.
+ */
+
+const cron = require('node-cron');
+const { EmpostOutbox, InvoiceRequest } = require('../models');
+const { Invoice, DeliveryAssignment, CreditNote } = require('../models/unified-schema');
+const empostAPI = require('./empost-api');
+const { isEmpostDisabled } = require('../utils/empost-disabled-check');
+
+const OPERATION_ENDPOINTS = {
+  CREATE_SHIPMENT: '/api/v1/shipment/create',
+  // EPGL takes status updates as a full shipment payload on the create endpoint
+  UPDATE_SHIPMENT_STATUS: '/api/v1/shipment/create',
+  ISSUE_INVOICE: '/api/v1/shipment/issueInvoice',
+  ISSUE_CREDIT_NOTE: '/api/v1/shipment/issueInvoice',
+  CANCEL_DELIVERY: '/empost/api/v1/deliveries/cancel',
+};
+const OPERATIONS = Object.keys(OPERATION_ENDPOINTS);
+const STATUSES = EmpostOutbox.schema.path('status').enumValues;
+
+const MAX_ATTEMPTS = parseInt(process.env.EMPOST_OUTBOX_MAX_ATTEMPTS, 10) || 8;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+// An item stuck in SENDING this long (process restarted mid-request) is retried
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const CANCEL_TIMEOUT_MS = 10000;
+// Due items read per query while looking for one to claim
+const CLAIM_PAGE_SIZE = 50;
+const JOB_SCHEDULE = '* * * * *';
+
+let outboxTask = null;
+let runInFlight = false;
+
+// 1 min, 2 min, 4 min, ... capped at 6 h
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+
+const validUhawb = (value) => (value && value !== 'N/A' ? value : null);
+
+// Timeouts, network errors, auth, throttling and server errors can succeed later; other 4xx will not
+const isRetryable = (statusCode) => !statusCode || [401, 408, 429].includes(statusCode) || statusCode >= 500;
+
+// Items that carry the same call: same operation and tracking number, and for credit notes the
+// same credit note (several can be raised against one shipment)
+function sameCallFilter({ operation, tracking_number: trackingNumber, credit_note_id: creditNoteId }) {
+  const filter = { operation, tracking_number: trackingNumber };
+  if (creditNoteId) filter.credit_note_id = creditNoteId;
+  return filter;
+}
+
+function disabled(operation) {
+  console.log(`[EMPOST DISABLED] Not queuing ${operation}`);
+  return null;
+}
+
+function describeError(error) {
+  const data = error.response?.data;
+  return data?.message || data?.errors?.[0]?.message || error.code || error.message || 'Unknown EMPOST error';
+}
+
+/**
+ * Copy an item's state onto the records that mirror it. Never throws.
+ */
+async function writeBack(item, session = null) {
+  try {
+    const open = ['PENDING', 'SENDING'].includes(item.status);
+
+    if (item.operation === 'CANCEL_DELIVERY' && item.delivery_assignment_id) {
+      let empostSync;
+      if (item.status === 'SUCCEEDED') {
+        empostSync = {
+          status: 'synced',
+          reference: item.response_payload?.reference || item.response_payload?.trackingNumber || null,
+          synced_at: item.completed_at,
+          error_message: null,
+          retry_count: item.attempts,
+        };
+      } else {
+        empostSync = {
+          status: open ? 'pending' : 'failed',
+          reference: null,
+          synced_at: null,
+          error_message: item.status === 'SKIPPED' ? `Skipped: ${item.skip_reason || 'by admin'}` : item.last_error || null,
+          retry_count: item.attempts,
+        };
+      }
+      await DeliveryAssignment.updateOne({ _id: item.delivery_assignment_id }, { $set: { empost_sync: empostSync } }, { session });
+    }
+
+    if (item.operation === 'ISSUE_CREDIT_NOTE' && item.credit_note_id) {
+      const update = { $set: {}, $unset: {} };
+      if (item.status === 'SUCCEEDED') {
+        update.$set.empost_status = 'REPORTED';
+        update.$set.empost_reported_at = item.completed_at;
+        update.$unset.empost_error = 1;
+      } else {
+        update.$set.empost_status = open ? 'PENDING' : (item.status === 'SKIPPED' ? 'SKIPPED' : 'FAILED');
+        if (item.last_error) update.$set.empost_error = item.last_error;
+      }
+      if (!Object.keys(update.$unset).length) delete update.$unset;
+      await CreditNote.updateOne({ _id: item.credit_note_id }, update, { session });
+    }
+
+    const uhawb = item.status === 'SUCCEEDED' && validUhawb(item.uhawb);
+    if (uhawb && item.invoice_id) {
+      await Invoice.updateOne({ _id: item.invoice_id, empost_uhawb: { $ne: uhawb } }, { $set: { empost_uhawb: uhawb } }, { session });
+    }
+    if (uhawb && item.invoice_request_id) {
+      await InvoiceRequest.updateOne({ _id: item.invoice_request_id, empost_uhawb: { $ne: uhawb } }, { $set: { empost_uhawb: uhawb } }, { session });
+    }
+  } catch (error) {
+    console.error(`[EMPOST OUTBOX] Failed to record outcome of ${item.operation} ${item._id}:`, error.message);
+  }
+}
+
+/**
+ * UHAWB for a payload queued before EMPOST had assigned one: from the linked invoice or
+ * invoice request, else from the last successful call for the tracking number.
+ */
+async function resolveUhawb(item) {
+  if (item.invoice_id) {
+    const invoice = await Invoice.findById(item.invoice_id).select('empost_uhawb').lean();
+    if (validUhawb(invoice?.empost_uhawb)) return invoice.empost_uhawb;
+  }
+  if (item.invoice_request_id) {
+    const invoiceRequest = await InvoiceRequest.findById(item.invoice_request_id).select('empost_uhawb').lean();
+    if (validUhawb(invoiceRequest?.empost_uhawb)) return invoiceRequest.empost_uhawb;
+  }
+  const previous = await EmpostOutbox.findOne({
+    tracking_number: item.tracking_number,
+    status: 'SUCCEEDED',
+    uhawb: { $nin: [null, '', 'N/A'] },
+  }).sort({ completed_at: -1 }).select('uhawb').lean();
+  return previous?.uhawb || null;
+}
+
+async function send(item, payload) {
+  const endpoint = OPERATION_ENDPOINTS[item.operation];
+  if (item.operation !== 'CANCEL_DELIVERY') {
+    return empostAPI.post(endpoint, payload);
+  }
+  try {
+    return await empostAPI.post(endpoint, payload, { timeout: CANCEL_TIMEOUT_MS });
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+    // No cancellation endpoint on this EMPOST environment; report it as a status update instead
+    const uhawb = await resolveUhawb(item);
+    return empostAPI.post(
+      OPERATION_ENDPOINTS.UPDATE_SHIPMENT_STATUS,
+      empostAPI.buildShipmentUpdatePayload(item.tracking_number, 'Cancelled', {
+        notes: payload.cancellation_reason,
+        empost_uhawb: uhawb,
+      })
+    );
+  }
+}
+
+/**
+ * Send one claimed item and record the attempt.
+ */
+async function attemptItem(item) {
+  const attempts = item.attempts + 1;
+  const at = new Date();
+  let payload = item.request_payload;
+  let response;
+  let statusCode;
+  let error;
+  let sendError;
+
+  try {
+    if (payload && 'uhawb' in payload && !validUhawb(payload.uhawb)) {
+      const uhawb = await resolveUhawb(item);
+      if (uhawb) payload = { ...payload, uhawb };
+    }
+    response = await send(item, payload);
+  } catch (err) {
+    sendError = err;
+    statusCode = err.response?.status;
+    error = describeError(err);
+    response = err.response?.data;
+  }
+
+  const durationMs = Date.now() - at.getTime();
+  const succeeded = !sendError;
+  const maxAttempts = item.max_attempts || MAX_ATTEMPTS;
+  const deadLetter = !succeeded && (attempts >= maxAttempts || !isRetryable(statusCode));
+  const update = {
+    $set: {
+      status: succeeded ? 'SUCCEEDED' : (deadLetter ? 'DEAD_LETTER' : 'PENDING'),
+      attempts,
+      request_payload: payload,
+      response_payload: response,
+      last_status_code: statusCode,
+      last_error: error,
+    },
+    $push: { attempt_log: { at, status_code: statusCode, error, duration_ms: durationMs } },
+    $unset: { locked_at: 1 },
+  };
+
+  if (succeeded) {
+    update.$set.completed_at = new Date();
+    update.$unset.next_attempt_at = 1;
+    const uhawb = validUhawb(response?.data?.uhawb);
+    if (uhawb) update.$set.uhawb = uhawb;
+    console.log(`✅ [EMPOST OUTBOX] ${item.operation} sent for ${item.tracking_number}${uhawb ? ` (UHAWB ${uhawb})` : ''}`);
+  } else if (deadLetter) {
+    update.$unset.next_attempt_at = 1;
+    console.error(`❌ [EMPOST OUTBOX] ${item.operation} for ${item.tracking_number} dead-lettered after ${attempts} attempt(s): ${error}`);
+  } else {
+    update.$set.next_attempt_at = new Date(Date.now() + retryDelayMs(attempts));
+    console.warn(`⚠️ [EMPOST OUTBOX] ${item.operation} for ${item.tracking_number} failed (attempt ${attempts}/${maxAttempts}): ${error}`);
+  }
+
+  const updated = await EmpostOutbox.findByIdAndUpdate(item._id, update, { new: true }).lean();
+
+  if (succeeded) {
+    // A later call got through, so earlier dead letters for the same call are moot
+    await EmpostOutbox.updateMany(
+      { ...sameCallFilter(item), status: 'DEAD_LETTER', _id: { $lt: item._id } },
+      { $set: { status: 'SKIPPED', skip_reason: `Superseded by ${item._id}` } }
+    );
+  } else if (deadLetter) {
+    await empostAPI.persistEmpostError(`EMPOST outbox ${item.operation} dead-lettered`, sendError, {
+      trackingNumber: item.tracking_number,
+      uhawb: payload?.uhawb || null,
+      invoiceId: item.invoice_id || null,
+      requestId: item.invoice_request_id || null,
+    });
+  }
+
+  await writeBack(updated);
+  return updated;
+}
+
+/**
+ * Queue one EMPOST call. Returns null when EMPOST is disabled.
+ *
+ * A still-pending item for the same call (see sameCallFilter) is updated in place, keeping its
+ * place in the queue, rather than queuing a second call.
+ *
+ * @param {string} operation - one of OPERATIONS
+ * @param {Object} payload - request body
+ * @param {Object} [options]
+ * @param {string} [options.trackingNumber] - defaults to payload.trackingNumber
+ * @param {Object} [options.refs] - invoice_id, invoice_request_id, delivery_assignment_id, credit_note_id
+ * @param {string} [options.reason]
+ * @param {ClientSession} [options.session] - queue inside the caller's transaction
+ * @param {boolean} [options.wait] - make the first attempt now and return the item after it
+ * @param {boolean} [options.retry=true] - false dead-letters on the first failure, for callers that
+ *   report the failure to the user instead
+ * @returns {Promise<Object|null>} the outbox item
+ */
+async function enqueue(operation, payload, { trackingNumber, refs = {}, reason, session = null, wait = false, retry = true } = {}) {
+  if (isEmpostDisabled()) return disabled(operation);
+  if (!OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown EMPOST operation: ${operation}`);
+  }
+  const tracking = trackingNumber || payload?.trackingNumber;
+  if (!tracking || tracking === 'N/A') {
+    throw new Error(`EMPOST ${operation} needs a tracking number`);
+  }
+
+  const references = {};
+  ['invoice_id', 'invoice_request_id', 'delivery_assignment_id', 'credit_note_id'].forEach((key) => {
+    if (refs[key]) references[key] = refs[key];
+  });
+
+  let item = null;
+  if (retry) {
+    item = await EmpostOutbox.findOneAndUpdate(
+      { ...sameCallFilter({ operation, tracking_number: tracking, ...references }), status: 'PENDING' },
+      {
+        $set: { request_payload: payload, ...(reason ? { reason } : {}), ...references, next_attempt_at: new Date() },
+        $max: { max_attempts: MAX_ATTEMPTS },
+      },
+      { sort: { _id: 1 }, new: true, session }
+    ).lean();
+  }
+  if (!item) {
+    [item] = await EmpostOutbox.create([{
+      operation,
+      tracking_number: tracking,
+      request_payload: payload,
+      reason,
+      ...references,
+      max_attempts: retry ? MAX_ATTEMPTS : 1,
+      next_attempt_at: new Date(),
+    }], { session });
+    item = item.toObject();
+  }
+  await writeBack(item, session);
+
+  // Waiting never jumps the queue: behind an older unsent item for the tracking number, it is
+  // returned still PENDING and the worker sends it in turn
+  const blocked = wait && !session && await EmpostOutbox.exists({
+    tracking_number: tracking,
+    status: { $in: ['PENDING', 'SENDING'] },
+    _id: { $lt: item._id },
+  });
+  if (wait && !session && !blocked) {
+    const claimed = await EmpostOutbox.findOneAndUpdate(
+      { _id: item._id, status: 'PENDING' },
+      { $set: { status: 'SENDING', locked_at: new Date() } },
+      { new: true }
+    ).lean();
+    // Already taken by the worker; it records the outcome
+    return claimed ? attemptItem(claimed) : item;
+  }
+
+  setImmediate(() => {
+    processDueItems().catch(err => console.error('[EMPOST OUTBOX] Run failed:', err.message));
+  });
+  return item;
+}
+
+/**
+ * Queue shipment creation (or refresh) for an invoice populated with client_id.
+ */
+async function queueInvoiceShipment(invoice, options = {}) {
+  if (isEmpostDisabled()) return disabled('CREATE_SHIPMENT');
+  return enqueue('CREATE_SHIPMENT', empostAPI.mapInvoiceToShipment(invoice), {
+    ...options,
+    refs: { invoice_id: invoice._id },
+  });
+}
+
+/**
+ * Queue shipment creation (or refresh) for an invoice request, before it has an invoice.
+ */
+async function queueInvoiceRequestShipment(invoiceRequest, options = {}) {
+  if (isEmpostDisabled()) return disabled('CREATE_SHIPMENT');
+  return enqueue('CREATE_SHIPMENT', empostAPI.mapInvoiceRequestToShipment(invoiceRequest), {
+    ...options,
+    refs: { invoice_request_id: invoiceRequest._id },
+  });
+}
+
+/**
+ * Queue shipment creation from an already-mapped EMPOST shipment payload (CSV uploads).
+ */
+async function queueShipmentData(shipmentData, options = {}) {
+  return enqueue('CREATE_SHIPMENT', shipmentData, options);
+}
+
+/**
+ * Queue a delivery status update. additionalData is as for empostAPI.updateShipmentStatus.
+ */
+async function queueStatusUpdate(trackingNumber, status, additionalData = {}, options = {}) {
+  if (isEmpostDisabled()) return disabled('UPDATE_SHIPMENT_STATUS');
+  const payload = empostAPI.buildShipmentUpdatePayload(trackingNumber, empostAPI.mapDeliveryStatus(status), additionalData);
+  return enqueue('UPDATE_SHIPMENT_STATUS', payload, {
+    reason: `status ${status}`,
+    ...options,
+    trackingNumber,
+    refs: {
+      invoice_id: additionalData.invoice?._id,
+      invoice_request_id: additionalData.invoiceRequest?._id,
+    },
+  });
+}
+
+/**
+ * Queue invoice issuance. Accepts an invoice document or a payload already in EMPOST format.
+ */
+async function queueInvoiceIssue(invoice, options = {}) {
+  if (isEmpostDisabled()) return disabled('ISSUE_INVOICE');
+  const alreadyMapped = invoice.trackingNumber && invoice.charges && invoice.invoice;
+  return enqueue('ISSUE_INVOICE', alreadyMapped ? invoice : empostAPI.mapInvoiceToEMpostInvoice(invoice), {
+    ...options,
+    refs: alreadyMapped ? {} : { invoice_id: invoice._id },
+  });
+}
+
+/**
+ * Queue a credit note, reported as a negative invoice against the credited invoice.
+ */
+async function queueCreditNote(creditNote, invoice, options = {}) {
+  if (isEmpostDisabled()) return disabled('ISSUE_CREDIT_NOTE');
+  return enqueue('ISSUE_CREDIT_NOTE', empostAPI.mapCreditNoteToEMpostInvoice(creditNote, invoice), {
+    ...options,
+    refs: { credit_note_id: creditNote._id, invoice_id: invoice?._id },
+  });
+}
+
+/**
+ * Take back a credit note's report before it goes out (the credit note is being voided). Its
+ * pending and dead-lettered items are skipped. EMPOST has no call to reverse a credit note, so
+ * this fails once an item is being sent or has been accepted.
+ * @returns {Promise<boolean>} false when EMPOST has, or may have, the credit note
+ */
+async function withdrawCreditNote(creditNoteId, { reason, session = null } = {}) {
+  const sent = await EmpostOutbox.exists({
+    operation: 'ISSUE_CREDIT_NOTE',
+    credit_note_id: creditNoteId,
+    status: { $in: ['SENDING', 'SUCCEEDED'] },
+  }).session(session);
+  if (sent) return false;
+
+  await EmpostOutbox.updateMany(
+    { operation: 'ISSUE_CREDIT_NOTE', credit_note_id: creditNoteId, status: { $in: ['PENDING', 'DEAD_LETTER'] } },
+    {
+      $set: { status: 'SKIPPED', skip_reason: reason || 'Credit note voided' },
+      $unset: { next_attempt_at: 1, locked_at: 1 },
+    },
+    { session }
+  );
+  return true;
+}
+
+/**
+ * Queue a delivery cancellation for a cancelled assignment.
+ */
+async function queueDeliveryCancellation(assignmentData, assignmentId, options = {}) {
+  return enqueue('CANCEL_DELIVERY', empostAPI.buildCancelDeliveryPayload(assignmentData), {
+    reason: 'delivery cancelled',
+    ...options,
+    trackingNumber: assignmentData.awb_number || assignmentData.tracking_code,
+    refs: { delivery_assignment_id: assignmentId },
+  });
+}
+
+/**
+ * Take the oldest due item that is not waiting behind an older unsent item for the same
+ * tracking number. Pages through the due items, leaving out tracking numbers already found
+ * blocked, so a run of blocked items cannot hide newer ones.
+ */
+async function claimNextDue() {
+  const blockedTrackingNumbers = new Set();
+  let afterId = null;
+  for (;;) {
+    const query = { status: 'PENDING', next_attempt_at: { $lte: new Date() } };
+    if (afterId) query._id = { $gt: afterId };
+    if (blockedTrackingNumbers.size) query.tracking_number = { $nin: [...blockedTrackingNumbers] };
+    const candidates = await EmpostOutbox.find(query)
+      .sort({ _id: 1 })
+      .limit(CLAIM_PAGE_SIZE)
+      .select('_id tracking_number')
+      .lean();
+    if (!candidates.length) return null;
+
+    for (const candidate of candidates) {
+      afterId = candidate._id;
+      if (blockedTrackingNumbers.has(candidate.tracking_number)) continue;
+      const blocked = await EmpostOutbox.exists({
+        tracking_number: candidate.tracking_number,
+        status: { $in: ['PENDING', 'SENDING'] },
+        _id: { $lt: candidate._id },
+      });
+      if (blocked) {
+        blockedTrackingNumbers.add(candidate.tracking_number);
+        continue;
+      }
+
+      const claimed = await EmpostOutbox.findOneAndUpdate(
+        { _id: candidate._id, status: 'PENDING' },
+        { $set: { status: 'SENDING', locked_at: new Date() } },
+        { new: true }
+      ).lean();
+      if (claimed) return claimed;
+    }
+  }
+}
+
+/**
+ * Send due items, oldest first. Does nothing while EMPOST is disabled; items wait.
+ * @returns {Promise<number>} items attempted
+ */
+async function processDueItems(limit = 50) {
+  if (runInFlight || isEmpostDisabled()) return 0;
+  runInFlight = true;
+  try {
+    await EmpostOutbox.updateMany(
+      { status: 'SENDING', locked_at: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: 'PENDING', next_attempt_at: new Date() }, $unset: { locked_at: 1 } }
+    );
+
+    let processed = 0;
+    while (processed < limit) {
+      const item = await claimNextDue();
+      if (!item) break;
+      await attemptItem(item);
+      processed += 1;
+    }
+    return processed;
+  } finally {
+    runInFlight = false;
+  }
+}
+
+async function listItems({ status, operation, trackingNumber, limit = 100 } = {}) {
+  const query = {};
+  if (status) query.status = String(status).toUpperCase();
+  if (operation) query.operation = String(operation).toUpperCase();
+  if (trackingNumber) query.tracking_number = String(trackingNumber).trim();
+  return EmpostOutbox.find(query)
+    .select('-request_payload -response_payload -attempt_log')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+    .lean();
+}
+
+/**
+ * Counts per status and operation, and the oldest item still waiting to go out.
+ */
+async function getSummary() {
+  const [counts, oldestPending] = await Promise.all([
+    EmpostOutbox.aggregate([
+      { $group: { _id: { status: '$status', operation: '$operation' }, count: { $sum: 1 } } },
+    ]),
+    EmpostOutbox.findOne({ status: { $in: ['PENDING', 'SENDING'] } }).sort({ _id: 1 }).select('createdAt').lean(),
+  ]);
+
+  const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  const byOperation = Object.fromEntries(OPERATIONS.map(operation => [operation, Object.fromEntries(STATUSES.map(status => [status, 0]))]));
+  counts.forEach(({ _id, count }) => {
+    byStatus[_id.status] = (byStatus[_id.status] || 0) + count;
+    if (byOperation[_id.operation]) byOperation[_id.operation][_id.status] = count;
+  });
+
+  return {
+    by_status: byStatus,
+    by_operation: byOperation,
+    oldest_pending_at: oldestPending?.createdAt || null,
+    empost_disabled: isEmpostDisabled(),
+  };
+}
+
+async function getItem(id) {
+  return EmpostOutbox.findById(id).lean();
+}
+
+/**
+ * Send an item again with a fresh set of attempts. It goes out right away unless an older item
+ * for the same tracking number is still queued, in which case the worker sends it in turn.
+ */
+async function retryItem(id, userId) {
+  if (isEmpostDisabled()) {
+    return { success: false, statusCode: 409, error: 'EMPOST API is disabled' };
+  }
+  const existing = await EmpostOutbox.findById(id).select('status attempts tracking_number').lean();
+  if (!existing) {
+    return { success: false, statusCode: 404, error: 'Outbox item not found' };
+  }
+  if (['SENDING', 'SUCCEEDED'].includes(existing.status)) {
+    return { success: false, statusCode: 409, error: `Item is ${existing.status.toLowerCase()}` };
+  }
+
+  const item = await EmpostOutbox.findOneAndUpdate(
+    { _id: id, status: existing.status },
+    {
+      $set: {
+        status: 'PENDING',
+        next_attempt_at: new Date(),
+        max_attempts: existing.attempts + MAX_ATTEMPTS,
+        retried_by: userId,
+      },
+      $unset: { skip_reason: 1, skipped_by: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!item) {
+    return { success: false, statusCode: 409, error: 'Item changed while retrying; reload and try again' };
+  }
+
+  const blocked = await EmpostOutbox.exists({
+    tracking_number: item.tracking_number,
+    status: { $in: ['PENDING', 'SENDING'] },
+    _id: { $lt: item._id },
+  });
+  const claimed = !blocked && await EmpostOutbox.findOneAndUpdate(
+    { _id: item._id, status: 'PENDING' },
+    { $set: { status: 'SENDING', locked_at: new Date() } },
+    { new: true }
+  ).lean();
+  if (!claimed) {
+    await writeBack(item);
+    return { success: true, item, queued: true };
+  }
+  return { success: true, item: await attemptItem(claimed), queued: false };
+}
+
+/**
+ * Retry every dead letter, optionally for one operation; the worker sends them in order.
+ */
+async function retryDeadLetters({ operation } = {}, userId) {
+  if (isEmpostDisabled()) {
+    return { success: false, statusCode: 409, error: 'EMPOST API is disabled' };
+  }
+  const query = { status: 'DEAD_LETTER' };
+  if (operation) {
+    query.operation = String(operation).toUpperCase();
+    if (!OPERATIONS.includes(query.operation)) {
+      return { success: false, statusCode: 400, error: `operation must be one of ${OPERATIONS.join(', ')}` };
+    }
+  }
+
+  const items = await EmpostOutbox.find(query).sort({ _id: 1 }).limit(500).select('_id attempts').lean();
+  for (const item of items) {
+    const updated = await EmpostOutbox.findOneAndUpdate(
+      { _id: item._id, status: 'DEAD_LETTER' },
+      { $set: { status: 'PENDING', next_attempt_at: new Date(), max_attempts: item.attempts + MAX_ATTEMPTS, retried_by: userId } },
+      { new: true }
+    ).lean();
+    if (updated) await writeBack(updated);
+  }
+
+  setImmediate(() => {
+    processDueItems().catch(err => console.error('[EMPOST OUTBOX] Run failed:', err.message));
+  });
+  return { success: true, count: items.length };
+}
+
+/**
+ * Give up on an item without sending it.
+ */
+async function skipItem(id, userId, reason) {
+  const item = await EmpostOutbox.findOneAndUpdate(
+    { _id: id, status: { $in: ['PENDING', 'DEAD_LETTER'] } },
+    {
+      $set: { status: 'SKIPPED', skipped_by: userId, skip_reason: reason || 'Skipped by admin' },
+      $unset: { next_attempt_at: 1, locked_at: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!item) {
+    const exists = await EmpostOutbox.exists({ _id: id });
+    return exists
+      ? { success: false, statusCode: 409, error: 'Only pending or dead-lettered items can be skipped' }
+      : { success: false, statusCode: 404, error: 'Outbox item not found' };
+  }
+  await writeBack(item);
+  return { success: true, item };
+}
+
+/**
+ * Schedule the outbox worker. Set EMPOST_OUTBOX_JOB_DISABLED=true to turn it off, e.g. on a
+ * second app instance.
+ */
+function startEmpostOutboxJob() {
+  if (outboxTask) return outboxTask;
+  if (process.env.EMPOST_OUTBOX_JOB_DISABLED === 'true') {
+    console.log('[EMPOST OUTBOX] Worker disabled by EMPOST_OUTBOX_JOB_DISABLED');
+    return null;
+  }
+
+  outboxTask = cron.schedule(JOB_SCHEDULE, () => {
+    processDueItems().catch((err) => {
+      console.error('[EMPOST OUTBOX] Run failed:', err.message);
+    });
+  }, { name: 'empost-outbox', noOverlap: true });
+
+  console.log('[EMPOST OUTBOX] Worker scheduled every minute');
+  return outboxTask;
+}
+
+function stopEmpostOutboxJob() {
+  if (outboxTask) {
+    outboxTask.stop();
+    outboxTask = null;
+  }
+}
+
+module.exports = {
+  OPERATIONS,
+  STATUSES,
+  enqueue,
+  queueInvoiceShipment,
+  queueInvoiceRequestShipment,
+  queueShipmentData,
+  queueStatusUpdate,
+  queueInvoiceIssue,
+  queueCreditNote,
+  withdrawCreditNote,
+  queueDeliveryCancellation,
+  processDueItems,
+  listItems,
+  getSummary,
+  getItem,
+  retryItem,
+  retryDeadLetters,
+  skipItem,
+  startEmpostOutboxJob,
+  stopEmpostOutboxJob,
+};
@@ -0,0 +1,536 @@
+/**
+ * EMPOST reconciliation.
+ *
+ * Compares our records with what the EMPOST outbox (services/empost-outbox.js) got through:
+ * - MISSING_UHAWB: invoices, and invoice requests past verification, with no empost_uhawb
+ * - CANCELLATION_NOT_SYNCED: cancelled delivery assignments whose empost_sync is not synced
+ * - STATUS_MISMATCH: mapDeliveryStatus of our delivery status differs from the status in the last
+ *   successful EMPOST call for the tracking number. Shipments with no successful call in the
+ *   outbox (sent before it existed) are not compared.
+ * Records changed within the grace period are skipped, since their calls may still be queued, and
+ * so are shipments a carrier rule sends to another carrier (services/carriers.js).
+ * Each run is saved as an EmpostReconciliationReport; flagged records can be queued again.
+ */
+
+const cron = require('node-cron');
+const XLSX = require('xlsx');
+const { EmpostOutbox, EmpostReconciliationReport, InvoiceRequest } = require('../models');
+const { Invoice, DeliveryAssignment } = require('../models/unified-schema');
+const empostAPI = require('./empost-api');
+const {
+  queueInvoiceRequestShipment,
+  queueStatusUpdate,
+  queueDeliveryCancellation,
+} = require('./empost-outbox');
+const { syncInvoiceWithEMPost } = require('../utils/empost-sync');
+const {
+  buildDeliveryCancellationData,
+  getTrackingNumberFromInvoiceRequest,
+  mapInvoiceStatusToDeliveryStatus,
+} = require('../utils/empost-status-sync');
+const { isEmpostDisabled } = require('../utils/empost-disabled-check');
+const { getCarrierPicker } = require('./carriers');
+
+// Daily at 02:30 Dubai time unless overridden
+const DEFAULT_SCHEDULE = '30 2 * * *';
+const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+const LOOKBACK_DAYS = parseInt(process.env.EMPOST_RECONCILIATION_LOOKBACK_DAYS, 10) || 90;
+const GRACE_MINUTES = parseInt(process.env.EMPOST_RECONCILIATION_GRACE_MINUTES, 10) || 60;
+const MAX_FINDINGS = parseInt(process.env.EMPOST_RECONCILIATION_MAX_FINDINGS, 10) || 5000;
+
+// A run still RUNNING after this long died with its process
+const STALE_RUN_MS = 60 * 60 * 1000;
+const RESYNC_BATCH = 500;
+const IN_CHUNK = 1000;
+const RESYNC_REASON = 'reconciliation resync';
+
+const ISSUES = EmpostReconciliationReport.schema.path('findings').schema.path('issue').enumValues;
+const RECORD_TYPES = EmpostReconciliationReport.schema.path('findings').schema.path('record_type').enumValues;
+
+// Invoice request statuses from which operations creates the EMPOST shipment
+const SHIPMENT_STAGES = ['VERIFIED', 'COMPLETED'];
+// Outbox calls that set the delivery status EMPOST holds
+const STATUS_OPERATIONS = ['CREATE_SHIPMENT', 'UPDATE_SHIPMENT_STATUS', 'CANCEL_DELIVERY'];
+const EMPTY_UHAWB = [null, '', 'N/A'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let reconciliationTask = null;
+
+const validUhawb = (value) => (value && value !== 'N/A' ? value : null);
+
+// 'In Transit' (sent on shipment creation) and our own statuses, onto mapDeliveryStatus values
+const normalizeEmpostStatus = (value) =>
+  (value ? empostAPI.mapDeliveryStatus(String(value).trim().replace(/\s+/g, '_')) : null);
+
+const invoiceRequestStatus = (invoiceRequest) =>
+  (invoiceRequest.status === 'CANCELLED' ? 'CANCELLED' : invoiceRequest.delivery_status || 'PENDING');
+
+/**
+ * Latest outbox item per tracking number, as { outbox_id, operation, status, last_error,
+ * completed_at, delivery_status }.
+ */
+async function latestOutboxItems(trackingNumbers, match = {}, sortField = 'createdAt') {
+  const latest = new Map();
+  const unique = [...new Set(trackingNumbers.filter(Boolean))];
+
+  for (let i = 0; i < unique.length; i += IN_CHUNK) {
+    const rows = await EmpostOutbox.aggregate([
+      { $match: { tracking_number: { $in: unique.slice(i, i + IN_CHUNK) }, ...match } },
+      { $sort: { [sortField]: -1 } },
+      {
+        $group: {
+          _id: '$tracking_number',
+          outbox_id: { $first: '$_id' },
+          operation: { $first: '$operation' },
+          status: { $first: '$status' },
+          last_error: { $first: '$last_error' },
+          completed_at: { $first: '$completed_at' },
+          delivery_status: { $first: '$request_payload.details.deliveryStatus' },
+        },
+      },
+    ]);
+    rows.forEach(row => latest.set(row._id, row));
+  }
+  return latest;
+}
+
+async function collectFindings({ since, cutoff }) {
+  const checked = { invoices: 0, invoice_requests: 0, delivery_assignments: 0 };
+  const findings = [];
+  // Tracking number -> the record whose status EMPOST should hold; invoices win over requests
+  const statusCandidates = new Map();
+  const pickCarrier = await getCarrierPicker();
+  const isEmpostShipment = (record) => pickCarrier(record).code === 'EMPOST';
+
+  const invoiceRequests = InvoiceRequest.find({
+    createdAt: { $gte: since },
+    updatedAt: { $lte: cutoff },
+    $or: [
+      { empost_uhawb: { $nin: EMPTY_UHAWB } },
+      { status: { $in: SHIPMENT_STAGES }, delivery_status: { $ne: 'CANCELLED' } },
+    ],
+  }).select('invoice_number tracking_code awb_number status delivery_status empost_uhawb service_code destination_place receiver_address')
+    .lean()
+    .cursor();
+
+  for await (const invoiceRequest of invoiceRequests) {
+    if (!isEmpostShipment(invoiceRequest)) continue;
+    checked.invoice_requests += 1;
+    const entry = {
+      record_type: 'InvoiceRequest',
+      record_id: invoiceRequest._id,
+      reference: invoiceRequest.invoice_number,
+      tracking_number: getTrackingNumberFromInvoiceRequest(invoiceRequest),
+      empost_uhawb: validUhawb(invoiceRequest.empost_uhawb),
+      our_status: invoiceRequestStatus(invoiceRequest),
+    };
+    if (!entry.empost_uhawb) {
+      findings.push({ issue: 'MISSING_UHAWB', ...entry });
+    } else if (entry.tracking_number) {
+      statusCandidates.set(entry.tracking_number, entry);
+    }
+  }
+
+  const invoices = Invoice.find({
+    createdAt: { $gte: since },
+    updatedAt: { $lte: cutoff },
+    $or: [
+      { empost_uhawb: { $nin: EMPTY_UHAWB } },
+      { status: { $ne: 'CANCELLED' } },
+    ],
+  }).select('invoice_id awb_number status empost_uhawb service_code receiver_address').lean().cursor();
+
+  for await (const invoice of invoices) {
+    if (!isEmpostShipment(invoice)) continue;
+    checked.invoices += 1;
+    const trackingNumber = invoice.awb_number || invoice.invoice_id;
+    const entry = {
+      record_type: 'Invoice',
+      record_id: invoice._id,
+      reference: invoice.invoice_id,
+      tracking_number: trackingNumber,
+      empost_uhawb: validUhawb(invoice.empost_uhawb),
+      // Unpaid invoices say nothing about delivery; fall back to the request's status
+      our_status: mapInvoiceStatusToDeliveryStatus(invoice.status) || statusCandidates.get(trackingNumber)?.our_status || 'PENDING',
+    };
+    if (!entry.empost_uhawb) {
+      findings.push({ issue: 'MISSING_UHAWB', ...entry });
+    } else if (trackingNumber) {
+      statusCandidates.set(trackingNumber, entry);
+    }
+  }
+
+  const assignmentQuery = { status: 'CANCELLED', createdAt: { $gte: since }, updatedAt: { $lte: cutoff } };
+  checked.delivery_assignments = await DeliveryAssignment.countDocuments(assignmentQuery);
+  const assignments = await DeliveryAssignment.find({ ...assignmentQuery, 'empost_sync.status': { $ne: 'synced' } })
+    .select('assignment_id empost_sync invoice_id request_id')
+    .populate('invoice_id', 'awb_number service_code receiver_address')
+    .populate('request_id', 'awb_number')
+    .lean();
+
+  for (const assignment of assignments) {
+    if (!isEmpostShipment(assignment.invoice_id || {})) continue;
+    findings.push({
+      issue: 'CANCELLATION_NOT_SYNCED',
+      record_type: 'DeliveryAssignment',
+      record_id: assignment._id,
+      reference: assignment.assignment_id,
+      tracking_number: buildDeliveryCancellationData(assignment).awb_number,
+      our_status: 'CANCELLED',
+      expected_empost_status: 'Cancelled',
+      last_error: assignment.empost_sync?.error_message || undefined,
+    });
+  }
+
+  const reported = await latestOutboxItems(
+    [...statusCandidates.keys()],
+    { status: 'SUCCEEDED', operation: { $in: STATUS_OPERATIONS } },
+    'completed_at'
+  );
+  for (const [trackingNumber, entry] of statusCandidates) {
+    const last = reported.get(trackingNumber);
+    if (!last) continue;
+
+    const reportedStatus = last.operation === 'CANCEL_DELIVERY' ? 'Cancelled' : normalizeEmpostStatus(last.delivery_status);
+    const expected = empostAPI.mapDeliveryStatus(entry.our_status);
+    if (reportedStatus && reportedStatus !== expected) {
+      findings.push({
+        issue: 'STATUS_MISMATCH',
+        ...entry,
+        expected_empost_status: expected,
+        reported_empost_status: reportedStatus,
+        reported_at: last.completed_at,
+      });
+    }
+  }
+
+  // What the outbox last did for each flagged tracking number
+  const latest = await latestOutboxItems(findings.map(finding => finding.tracking_number));
+  for (const finding of findings) {
+    if (finding.issue === 'MISSING_UHAWB') finding.expected_empost_status = empostAPI.mapDeliveryStatus(finding.our_status);
+    const item = latest.get(finding.tracking_number);
+    if (!item) continue;
+    finding.outbox_id = item.outbox_id;
+    finding.outbox_status = item.status;
+    if (item.last_error) finding.last_error = item.last_error;
+  }
+
+  return { checked, findings };
+}
+
+async function finishRun(report, { since, cutoff }) {
+  try {
+    const { checked, findings } = await collectFindings({ since, cutoff });
+
+    report.checked = checked;
+    report.summary = {
+      total: findings.length,
+      missing_uhawb: findings.filter(finding => finding.issue === 'MISSING_UHAWB').length,
+      cancellation_not_synced: findings.filter(finding => finding.issue === 'CANCELLATION_NOT_SYNCED').length,
+      status_mismatch: findings.filter(finding => finding.issue === 'STATUS_MISMATCH').length,
+    };
+    report.findings = findings.slice(0, MAX_FINDINGS);
+    report.truncated = findings.length > MAX_FINDINGS;
+    report.status = 'COMPLETED';
+    report.completed_at = new Date();
+    await report.save();
+
+    console.log(`[EMPOST RECONCILIATION] Report ${report._id}: ${findings.length} finding(s)`);
+    return { success: true, report };
+  } catch (error) {
+    console.error('[EMPOST RECONCILIATION] Run failed:', error);
+    report.status = 'FAILED';
+    report.error = error.message;
+    report.completed_at = new Date();
+    await report.save().catch(() => {});
+    return { success: false, statusCode: 500, error: `Reconciliation failed: ${error.message}`, report };
+  }
+}
+
+/**
+ * Run a reconciliation and save its report. With wait=false the RUNNING report is returned at
+ * once and the run carries on in the background.
+ * @param {object} options
+ * @param {'SCHEDULED'|'MANUAL'} [options.trigger]
+ * @param {string} [options.userId]
+ * @param {number} [options.lookbackDays]
+ * @param {boolean} [options.wait]
+ */
+async function runReconciliation({ trigger = 'SCHEDULED', userId = null, lookbackDays = LOOKBACK_DAYS, wait = true } = {}) {
+  const now = new Date();
+  const running = await EmpostReconciliationReport.findOne({
+    status: 'RUNNING',
+    started_at: { $gt: new Date(now.getTime() - STALE_RUN_MS) },
+  }).select('-findings').lean();
+  if (running) {
+    return { success: false, statusCode: 409, error: 'A reconciliation is already running', report: running };
+  }
+  await EmpostReconciliationReport.updateMany(
+    { status: 'RUNNING' },
+    { $set: { status: 'FAILED', error: 'Interrupted', completed_at: now } }
+  );
+
+  const report = await EmpostReconciliationReport.create({
+    trigger,
+    run_by: userId || undefined,
+    started_at: now,
+    lookback_days: lookbackDays,
+    grace_minutes: GRACE_MINUTES,
+  });
+  const range = {
+    since: new Date(now.getTime() - lookbackDays * DAY_MS),
+    cutoff: new Date(now.getTime() - GRACE_MINUTES * 60 * 1000),
+  };
+
+  if (!wait) {
+    finishRun(report, range);
+    return { success: true, report };
+  }
+  return finishRun(report, range);
+}
+
+async function listReports({ limit = 30 } = {}) {
+  return EmpostReconciliationReport.find()
+    .select('-findings')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit, 10) || 30, 200))
+    .populate('run_by', 'full_name email')
+    .lean();
+}
+
+/**
+ * Report with its findings, optionally narrowed by issue, record_type and resync status
+ * (QUEUED, FAILED or NONE).
+ */
+async function getReport(id, { issue, recordType, resync } = {}) {
+  const report = await EmpostReconciliationReport.findById(id).populate('run_by', 'full_name email').lean();
+  if (!report) return null;
+
+  report.findings = report.findings.filter(finding =>
+    (!issue || finding.issue === issue) &&
+    (!recordType || finding.record_type === recordType) &&
+    (!resync || (finding.resync?.status || 'NONE') === resync)
+  );
+  return report;
+}
+
+async function getLatestReport() {
+  const latest = await EmpostReconciliationReport.findOne({ status: 'COMPLETED' }).sort({ createdAt: -1 }).select('_id').lean();
+  return latest ? getReport(latest._id) : null;
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : '');
+
+/**
+ * Workbook with the run summary and one row per finding.
+ * @returns {Buffer}
+ */
+function reportToXlsx(report) {
+  const workbook = XLSX.utils.book_new();
+
+  const summary = XLSX.utils.aoa_to_sheet([
+    [`EMPOST reconciliation ${formatDate(report.started_at)} UTC (${report.trigger.toLowerCase()}, last ${report.lookback_days} days)`],
+    [],
+    ['Checked', 'Count'],
+    ['Invoices', report.checked?.invoices || 0],
+    ['Invoice requests', report.checked?.invoice_requests || 0],
+    ['Cancelled delivery assignments', report.checked?.delivery_assignments || 0],
+    [],
+    ['Finding', 'Count'],
+    ['Missing UHAWB', report.summary?.missing_uhawb || 0],
+    ['Cancellation not synced', report.summary?.cancellation_not_synced || 0],
+    ['Status mismatch', report.summary?.status_mismatch || 0],
+    ['Total', report.summary?.total || 0],
+    ...(report.truncated ? [[], [`Only the first ${report.findings.length} findings are listed`]] : []),
+  ]);
+  XLSX.utils.book_append_sheet(workbook, summary, 'Summary');
+
+  const detail = XLSX.utils.json_to_sheet(report.findings.map(finding => ({
+    'Issue': finding.issue,
+    'Record Type': finding.record_type,
+    'Reference': finding.reference || '',
+    'Tracking Number': finding.tracking_number || '',
+    'UHAWB': finding.empost_uhawb || '',
+    'Our Status': finding.our_status || '',
+    'Expected EMPOST Status': finding.expected_empost_status || '',
+    'Reported EMPOST Status': finding.reported_empost_status || '',
+    'Reported At': formatDate(finding.reported_at),
+    'Outbox Status': finding.outbox_status || '',
+    'Last Error': finding.last_error || '',
+    'Resync': finding.resync?.status || '',
+    'Resync Error': finding.resync?.error || '',
+    'Record ID': String(finding.record_id),
+  })));
+  XLSX.utils.book_append_sheet(workbook, detail, 'Findings');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Current status of a flagged record, as compared when the report ran
+async function currentStatus(finding) {
+  if (finding.record_type === 'InvoiceRequest') {
+    const invoiceRequest = await InvoiceRequest.findById(finding.record_id);
+    if (!invoiceRequest) throw new Error('Invoice request no longer exists');
+    return { status: invoiceRequestStatus(invoiceRequest), additionalData: { invoiceRequest, empost_uhawb: validUhawb(invoiceRequest.empost_uhawb) } };
+  }
+
+  const invoice = await Invoice.findById(finding.record_id)
+    .populate('client_id', 'company_name contact_name email phone address city country');
+  if (!invoice) throw new Error('Invoice no longer exists');
+  let status = mapInvoiceStatusToDeliveryStatus(invoice.status);
+  if (!status) {
+    const invoiceRequest = invoice.request_id
+      ? await InvoiceRequest.findById(invoice.request_id).select('status delivery_status').lean()
+      : null;
+    status = invoiceRequest ? invoiceRequestStatus(invoiceRequest) : 'PENDING';
+  }
+  return { status, additionalData: { invoice, empost_uhawb: validUhawb(invoice.empost_uhawb) } };
+}
+
+/**
+ * Queue the EMPOST call that should have happened for a finding.
+ * @returns {Promise<object|null>} outbox item
+ */
+async function resyncFinding(finding) {
+  const options = { reason: RESYNC_REASON };
+
+  if (finding.issue === 'MISSING_UHAWB' && finding.record_type === 'Invoice') {
+    return syncInvoiceWithEMPost({ invoiceId: finding.record_id, reason: RESYNC_REASON });
+  }
+
+  if (finding.issue === 'MISSING_UHAWB') {
+    const invoiceRequest = await InvoiceRequest.findById(finding.record_id);
+    if (!invoiceRequest) throw new Error('Invoice request no longer exists');
+    return queueInvoiceRequestShipment(invoiceRequest, options);
+  }
+
+  if (finding.issue === 'CANCELLATION_NOT_SYNCED') {
+    const assignment = await DeliveryAssignment.findById(finding.record_id)
+      .populate('invoice_id', 'awb_number receiver_name receiver_phone receiver_address total_amount')
+      .populate('request_id', 'awb_number');
+    if (!assignment) throw new Error('Delivery assignment no longer exists');
+    if (assignment.status !== 'CANCELLED') throw new Error('Delivery assignment is no longer cancelled');
+    return queueDeliveryCancellation(buildDeliveryCancellationData(assignment), assignment._id, options);
+  }
+
+  const { status, additionalData } = await currentStatus(finding);
+  return queueStatusUpdate(finding.tracking_number, status, additionalData, options);
+}
+
+/**
+ * Queue EMPOST calls for findings in a report: the given finding ids, or every finding (of one
+ * issue, if given) not already queued. At most RESYNC_BATCH per call.
+ * @param {string} reportId
+ * @param {object} options
+ * @param {string[]} [options.findingIds]
+ * @param {string} [options.issue]
+ * @param {string} userId
+ */
+async function resyncFindings(reportId, { findingIds, issue } = {}, userId) {
+  if (isEmpostDisabled()) {
+    return { success: false, statusCode: 503, error: 'EMPOST API is disabled' };
+  }
+  if (issue && !ISSUES.includes(issue)) {
+    return { success: false, statusCode: 400, error: `issue must be one of ${ISSUES.join(', ')}` };
+  }
+  if (findingIds !== undefined && (!Array.isArray(findingIds) || !findingIds.length)) {
+    return { success: false, statusCode: 400, error: 'finding_ids must be a non-empty array' };
+  }
+
+  const report = await EmpostReconciliationReport.findById(reportId);
+  if (!report) {
+    return { success: false, statusCode: 404, error: 'Reconciliation report not found' };
+  }
+  if (report.status !== 'COMPLETED') {
+    return { success: false, statusCode: 409, error: `Report is ${report.status.toLowerCase()}` };
+  }
+
+  let selected;
+  if (findingIds) {
+    selected = findingIds.map(id => report.findings.id(id));
+    const missing = findingIds.filter((id, index) => !selected[index]);
+    if (missing.length) {
+      return { success: false, statusCode: 400, error: `Unknown finding id(s): ${missing.join(', ')}` };
+    }
+  } else {
+    selected = report.findings.filter(finding =>
+      finding.resync?.status !== 'QUEUED' && (!issue || finding.issue === issue)
+    );
+  }
+
+  const batch = selected.slice(0, RESYNC_BATCH);
+  let queued = 0;
+  for (const finding of batch) {
+    const at = new Date();
+    try {
+      const item = await resyncFinding(finding);
+      if (item) {
+        finding.resync = { status: 'QUEUED', outbox_id: item._id, at, by: userId };
+        queued += 1;
+      } else {
+        finding.resync = { status: 'FAILED', error: 'Nothing was queued', at, by: userId };
+      }
+    } catch (error) {
+      console.error(`[EMPOST RECONCILIATION] Resync of ${finding.record_type} ${finding.record_id} failed:`, error.message);
+      finding.resync = { status: 'FAILED', error: error.message, at, by: userId };
+    }
+  }
+  await report.save();
+
+  return {
+    success: true,
+    queued,
+    failed: batch.length - queued,
+    remaining: selected.length - batch.length,
+  };
+}
+
+/**
+ * Schedule the reconciliation run. Set EMPOST_RECONCILIATION_JOB_DISABLED=true to turn it off,
+ * e.g. on a second app instance.
+ */
+function startEmpostReconciliationJob() {
+  if (reconciliationTask) return reconciliationTask;
+  if (process.env.EMPOST_RECONCILIATION_JOB_DISABLED === 'true') {
+    console.log('[EMPOST RECONCILIATION] Job disabled by EMPOST_RECONCILIATION_JOB_DISABLED');
+    return null;
+  }
+
+  let schedule = process.env.EMPOST_RECONCILIATION_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    console.warn(`[EMPOST RECONCILIATION] Invalid EMPOST_RECONCILIATION_CRON "${schedule}"; using ${DEFAULT_SCHEDULE}`);
+    schedule = DEFAULT_SCHEDULE;
+  }
+  const timezone = process.env.EMPOST_RECONCILIATION_TZ || DEFAULT_TIMEZONE;
+
+  reconciliationTask = cron.schedule(schedule, () => {
+    runReconciliation().catch((err) => {
+      console.error('[EMPOST RECONCILIATION] Run failed:', err.message);
+    });
+  }, { timezone, name: 'empost-reconciliation', noOverlap: true });
+
+  console.log(`[EMPOST RECONCILIATION] Scheduled "${schedule}" (${timezone})`);
+  return reconciliationTask;
+}
+
+function stopEmpostReconciliationJob() {
+  if (reconciliationTask) {
+    reconciliationTask.stop();
+    reconciliationTask = null;
+  }
+}
+
+module.exports = {
+  ISSUES,
+  RECORD_TYPES,
+  runReconciliation,
+  listReports,
+  getReport,
+  getLatestReport,
+  reportToXlsx,
+  resyncFindings,
+  startEmpostReconciliationJob,
+  stopEmpostReconciliationJob,
+};
@@ -0,0 +1,168 @@
+/**
+ * Exchange rates.
+ *
+ * AED is the book currency: pricing, VAT, the payments ledger and EMPOST all work in AED.
+ * Invoices, quotes and cash entries may be in PHP; they snapshot the rate in force on their
+ * date so the PHP figures never move when finance enters new rates. A rate is quoted as PHP
+ * per 1 AED and applies from its effective date until the next one.
+ */
+
+const { ExchangeRate } = require('../models/unified-schema');
+
+const BASE_CURRENCY = 'AED';
+const SUPPORTED_CURRENCIES = ['AED', 'PHP'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * @returns {string|null} upper-cased supported currency, or null
+ */
+function normalizeCurrency(value) {
+  const currency = String(value || '').trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(currency) ? currency : null;
+}
+
+// Rates apply per calendar day (UTC)
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Latest rate for a currency effective on or before `at`.
+ * @returns {Promise<object|null>} lean ExchangeRate
+ */
+async function getRateInForce(currency, at = new Date()) {
+  return ExchangeRate.findOne({ currency, effective_date: { $lte: at } })
+    .sort({ effective_date: -1 })
+    .lean();
+}
+
+/**
+ * Rate snapshot to store on a document. The base currency converts at 1.
+ * @returns {Promise<object|null>} null when no rate is on file for the date
+ */
+async function getRateSnapshot(currency, at = new Date()) {
+  if (currency === BASE_CURRENCY) {
+    return { currency, base_currency: BASE_CURRENCY, rate: 1 };
+  }
+  const rate = await getRateInForce(currency, at);
+  if (!rate) return null;
+  return {
+    currency,
+    base_currency: rate.base_currency,
+    rate: rate.rate,
+    rate_id: rate._id,
+    effective_date: rate.effective_date,
+  };
+}
+
+/**
+ * Amount in the snapshot's currency -> AED.
+ */
+function toBase(amount, snapshot) {
+  const rate = snapshot?.rate || 1;
+  return round2((Number(amount) || 0) / rate);
+}
+
+/**
+ * AED amount -> the snapshot's currency.
+ */
+function fromBase(amount, snapshot) {
+  const rate = snapshot?.rate || 1;
+  return round2((Number(amount) || 0) * rate);
+}
+
+/**
+ * Aggregation expression for an amount in AED. Entries from before multi-currency have no
+ * base_amount and are in AED.
+ */
+const baseAmountExpression = (amountField = '$amount', baseField = '$base_amount') => ({
+  $toDouble: { $ifNull: [baseField, amountField] },
+});
+
+async function listRates({ currency, from, to } = {}) {
+  const query = {};
+  if (currency) query.currency = currency;
+  if (from || to) {
+    query.effective_date = {};
+    if (from) query.effective_date.$gte = from;
+    if (to) query.effective_date.$lte = to;
+  }
+  return ExchangeRate.find(query)
+    .sort({ currency: 1, effective_date: -1 })
+    .populate('created_by', 'full_name email')
+    .limit(500)
+    .lean();
+}
+
+/**
+ * Record the rate for a currency from a date (default today).
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, rate?: object }>}
+ */
+async function createRate({ currency, rate, effectiveDate, source, notes, userId }) {
+  const normalized = normalizeCurrency(currency);
+  if (!normalized || normalized === BASE_CURRENCY) {
+    return {
+      success: false,
+      statusCode: 400,
+      error: `currency must be one of ${SUPPORTED_CURRENCIES.filter(c => c !== BASE_CURRENCY).join(', ')}`,
+    };
+  }
+  const value = parseFloat(rate);
+  if (isNaN(value) || value <= 0) {
+    return { success: false, statusCode: 400, error: 'rate must be a number > 0' };
+  }
+  const effective = effectiveDate ? new Date(effectiveDate) : new Date();
+  if (isNaN(effective.getTime())) {
+    return { success: false, statusCode: 400, error: 'effective_date must be a valid date' };
+  }
+
+  try {
+    const created = await ExchangeRate.create({
+      currency: normalized,
+      base_currency: BASE_CURRENCY,
+      rate: value,
+      effective_date: startOfDay(effective),
+      source: source || undefined,
+      notes: notes || undefined,
+      created_by: userId || undefined,
+    });
+    return { success: true, rate: created.toObject() };
+  } catch (error) {
+    if (error.code === 11000) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: `A ${normalized} rate for ${startOfDay(effective).toISOString().slice(0, 10)} already exists`,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a rate entered in error. Documents that used it keep their snapshot.
+ */
+async function deleteRate(id) {
+  const rate = await ExchangeRate.findByIdAndDelete(id).lean();
+  if (!rate) {
+    return { success: false, statusCode: 404, error: 'Exchange rate not found' };
+  }
+  return { success: true, rate };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  getRateInForce,
+  getRateSnapshot,
+  toBase,
+  fromBase,
+  baseAmountExpression,
+  listRates,
+  createRate,
+  deleteRate,
+};
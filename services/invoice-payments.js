@@ -0,0 +1,322 @@
+/**
+ * Invoice payments sub-ledger.
+ *
+ * Every receipt against an invoice is an InvoicePayment: manual entries, driver collections
+ * (QR flow or marked on delivery) and finance collections. paid_amount, balance_due and the
+ * payment part of Invoice.status are derived from the posted receipts and issued credit notes;
+ * nothing else should set them.
+ */
+
+const mongoose = require('mongoose');
+const { Invoice, InvoicePayment, CreditNote } = require('../models/unified-schema');
+const { BASE_CURRENCY, normalizeCurrency, toBase } = require('./exchange-rates');
+const { emitWebhookEvent } = require('./webhooks');
+
+const PAYMENT_METHODS = ['CASH', 'COD', 'BANK_TRANSFER', 'BANK_PAYMENT', 'CARD', 'CHEQUE', 'TABBY', 'OTHER'];
+
+// Statuses that mean the invoice is settled (driver custody and remittance included)
+const PAID_STATUSES = ['PAID', 'COLLECTED_BY_DRIVER', 'REMITTED'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return 0;
+  return parseFloat(value.toString()) || 0;
+};
+
+const toDecimal = (value) => mongoose.Types.Decimal128.fromString(round2(value).toFixed(2));
+
+/**
+ * What the customer still owes. Settled invoices owe nothing, including ones marked paid
+ * before the ledger existed.
+ */
+function computeBalanceDue(
+  invoice,
+  { creditedAmount = toNumber(invoice.credited_amount), paidAmount = toNumber(invoice.paid_amount) } = {}
+) {
+  if (invoice.status === 'CANCELLED' || PAID_STATUSES.includes(invoice.status)) {
+    return 0;
+  }
+  return Math.max(round2(toNumber(invoice.total_amount) - creditedAmount - paidAmount), 0);
+}
+
+/**
+ * Payment status implied by the ledger. Invoices without any ledger entries keep their status.
+ */
+function deriveInvoiceStatus(invoice, { paidAmount, balanceDue, hasLedgerEntries, settledStatus = 'PAID' }) {
+  if (invoice.status === 'CANCELLED' || !hasLedgerEntries) {
+    return invoice.status;
+  }
+  if (balanceDue <= 0 && paidAmount > 0) {
+    if (invoice.status === 'REMITTED') return 'REMITTED';
+    if (settledStatus === 'PAID' && invoice.status === 'COLLECTED_BY_DRIVER') return 'COLLECTED_BY_DRIVER';
+    return settledStatus;
+  }
+  if (paidAmount > 0) {
+    return 'PARTIALLY_PAID';
+  }
+  if (['PAID', 'PARTIALLY_PAID', 'COLLECTED_BY_DRIVER'].includes(invoice.status)) {
+    return invoice.due_date && new Date(invoice.due_date) < new Date() ? 'OVERDUE' : 'UNPAID';
+  }
+  return invoice.status;
+}
+
+/**
+ * Recompute credited_amount, paid_amount, balance_due and status from credit notes and the
+ * payments ledger.
+ * @param {object} [options.settledStatus] - status to use when the balance reaches zero
+ */
+async function refreshInvoiceBalance(invoiceId, { session = null, settledStatus = 'PAID' } = {}) {
+  const invoice = await Invoice.findById(invoiceId).session(session);
+  if (!invoice) return null;
+
+  const [creditNotes, payments] = await Promise.all([
+    CreditNote.find({ invoice_id: invoiceId, status: 'ISSUED' }).select('total_amount').session(session).lean(),
+    InvoicePayment.find({ invoice_id: invoiceId }).select('amount status reference received_at').session(session).lean(),
+  ]);
+  const posted = payments.filter(payment => payment.status === 'POSTED');
+
+  const creditedAmount = round2(creditNotes.reduce((sum, cn) => sum + toNumber(cn.total_amount), 0));
+  const paidAmount = round2(posted.reduce((sum, payment) => sum + toNumber(payment.amount), 0));
+  const total = toNumber(invoice.total_amount);
+  const balanceDue = invoice.status === 'CANCELLED' ? 0 : Math.max(round2(total - creditedAmount - paidAmount), 0);
+  const status = deriveInvoiceStatus(invoice, {
+    paidAmount,
+    balanceDue,
+    hasLedgerEntries: payments.length > 0,
+    settledStatus,
+  });
+
+  const update = {
+    credited_amount: toDecimal(creditedAmount),
+    paid_amount: toDecimal(paidAmount),
+    // Legacy invoices marked paid without ledger entries owe nothing
+    balance_due: toDecimal(payments.length > 0 ? balanceDue : computeBalanceDue(invoice, { creditedAmount, paidAmount })),
+    status,
+  };
+  const unset = {};
+  if (payments.length > 0) {
+    const latest = [...posted].sort((a, b) => new Date(b.received_at) - new Date(a.received_at))[0];
+    if (PAID_STATUSES.includes(status)) {
+      update.paid_at = latest.received_at;
+      if (latest.reference) update.payment_reference = latest.reference;
+    } else {
+      unset.paid_at = '';
+    }
+  }
+
+  await Invoice.updateOne(
+    { _id: invoiceId },
+    { $set: update, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+    { session }
+  );
+
+  return {
+    total_amount: total,
+    credited_amount: creditedAmount,
+    paid_amount: paidAmount,
+    balance_due: toNumber(update.balance_due),
+    status,
+  };
+}
+
+// invoice.paid webhook, once the invoice becomes settled
+async function emitIfSettled(invoice, previousStatus, balance) {
+  if (!balance || PAID_STATUSES.includes(previousStatus) || !PAID_STATUSES.includes(balance.status)) return;
+  await emitWebhookEvent('invoice.paid', {
+    invoice_id: invoice._id,
+    invoice_number: invoice.invoice_id,
+    awb: invoice.awb_number || null,
+    status: balance.status,
+    total_amount: balance.total_amount,
+    paid_amount: balance.paid_amount,
+    credited_amount: balance.credited_amount,
+    currency: BASE_CURRENCY,
+    paid_at: new Date(),
+  });
+}
+
+/**
+ * Post a receipt to an invoice and refresh its balance and status. A receipt in the invoice's
+ * billing currency (e.g. PHP) is converted to AED at the invoice's rate snapshot.
+ * @param {object} params
+ * @param {boolean} [params.clampToBalance] - post at most the open balance (collections posted
+ *   automatically); otherwise an amount above the balance is rejected
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, payment?: object, balance?: object, skipped?: boolean }>}
+ */
+async function recordPayment({
+  invoiceId,
+  amount,
+  method,
+  currency,
+  reference,
+  receivedAt,
+  notes,
+  source = 'MANUAL',
+  sourceId = null,
+  userId = null,
+  clampToBalance = false,
+  settledStatus = 'PAID',
+}) {
+  let paymentAmount = round2(parseFloat(amount));
+  if (isNaN(paymentAmount) || paymentAmount <= 0) {
+    return { success: false, statusCode: 400, error: 'amount must be a number > 0' };
+  }
+  const normalizedMethod = (method || '').toString().trim().toUpperCase();
+  if (!PAYMENT_METHODS.includes(normalizedMethod)) {
+    return { success: false, statusCode: 400, error: `method must be one of ${PAYMENT_METHODS.join(', ')}` };
+  }
+  const paymentCurrency = currency ? normalizeCurrency(currency) : BASE_CURRENCY;
+  if (!paymentCurrency) {
+    return { success: false, statusCode: 400, error: 'currency must be AED or PHP' };
+  }
+  const receivedDate = receivedAt ? new Date(receivedAt) : new Date();
+  if (isNaN(receivedDate.getTime())) {
+    return { success: false, statusCode: 400, error: 'received_at must be a valid date' };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const invoice = await Invoice.findById(invoiceId).session(session);
+    if (!invoice) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 404, error: 'Invoice not found' };
+    }
+    if (invoice.status === 'CANCELLED') {
+      await session.abortTransaction();
+      return { success: false, statusCode: 400, error: 'Cannot record a payment on a cancelled invoice' };
+    }
+
+    let originalAmount = null;
+    if (paymentCurrency !== BASE_CURRENCY) {
+      if (invoice.currency !== paymentCurrency || !invoice.exchange_rate?.rate) {
+        await session.abortTransaction();
+        return {
+          success: false,
+          statusCode: 400,
+          error: `Invoice ${invoice.invoice_id} is billed in ${invoice.currency || BASE_CURRENCY}; record the payment in ${BASE_CURRENCY}${invoice.currency && invoice.currency !== BASE_CURRENCY ? ` or ${invoice.currency}` : ''}`,
+        };
+      }
+      originalAmount = paymentAmount;
+      paymentAmount = toBase(paymentAmount, invoice.exchange_rate);
+    }
+
+    if (sourceId) {
+      const existing = await InvoicePayment.findOne({ source, source_id: sourceId, status: 'POSTED' }).session(session);
+      if (existing) {
+        await session.abortTransaction();
+        return { success: true, payment: existing, skipped: true };
+      }
+    }
+
+    const balanceDue = computeBalanceDue(invoice);
+    if (paymentAmount > balanceDue) {
+      if (!clampToBalance) {
+        await session.abortTransaction();
+        return {
+          success: false,
+          statusCode: 400,
+          error: `Payment of ${paymentAmount.toFixed(2)} AED exceeds the ${balanceDue.toFixed(2)} AED balance due on invoice ${invoice.invoice_id}`,
+        };
+      }
+      if (balanceDue <= 0) {
+        // Nothing left to collect; only the status moves (e.g. COD on an invoice paid by transfer)
+        const balance = await refreshInvoiceBalance(invoice._id, { session, settledStatus });
+        await session.commitTransaction();
+        await emitIfSettled(invoice, invoice.status, balance);
+        return { success: true, skipped: true, balance };
+      }
+      console.warn(`⚠️ ${source} payment of ${paymentAmount} AED on ${invoice.invoice_id} capped at balance ${balanceDue} AED`);
+      paymentAmount = balanceDue;
+    }
+
+    const [payment] = await InvoicePayment.create([{
+      invoice_id: invoice._id,
+      amount: toDecimal(paymentAmount),
+      method: normalizedMethod,
+      currency: paymentCurrency,
+      ...(originalAmount !== null ? {
+        original_amount: toDecimal(originalAmount),
+        exchange_rate: invoice.exchange_rate.rate,
+      } : {}),
+      reference: reference || undefined,
+      received_at: receivedDate,
+      source,
+      source_id: sourceId || undefined,
+      notes: notes || undefined,
+      recorded_by: userId || undefined,
+    }], { session });
+
+    const balance = await refreshInvoiceBalance(invoice._id, { session, settledStatus });
+
+    await session.commitTransaction();
+    await emitIfSettled(invoice, invoice.status, balance);
+    return { success: true, payment, balance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Reverse a posted receipt (bounced transfer, wrong invoice, collection undone).
+ */
+async function reversePayment(paymentId, { reason } = {}) {
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return { success: false, statusCode: 400, error: 'reason is required' };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const payment = await InvoicePayment.findById(paymentId).session(session);
+    if (!payment) {
+      await session.abortTransaction();
+      return { success: false, statusCode: 404, error: 'Payment not found' };
+    }
+    if (payment.status === 'REVERSED') {
+      await session.abortTransaction();
+      return { success: false, statusCode: 400, error: 'Payment is already reversed' };
+    }
+
+    payment.status = 'REVERSED';
+    payment.reversed_at = new Date();
+    payment.reversal_reason = reason.trim();
+    await payment.save({ session });
+
+    const balance = await refreshInvoiceBalance(payment.invoice_id, { session });
+
+    await session.commitTransaction();
+    return { success: true, payment, balance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Reverse whatever a driver collection or collections entry posted, if anything.
+ */
+async function reverseSourcePayment(source, sourceId, reason) {
+  const payment = await InvoicePayment.findOne({ source, source_id: sourceId, status: 'POSTED' }).select('_id').lean();
+  if (!payment) return { success: true, skipped: true };
+  return reversePayment(payment._id, { reason });
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAID_STATUSES,
+  computeBalanceDue,
+  deriveInvoiceStatus,
+  refreshInvoiceBalance,
+  recordPayment,
+  reversePayment,
+  reverseSourcePayment,
+};
@@ -0,0 +1,69 @@
+const cron = require('node-cron');
+const { Invoice } = require('../models/unified-schema');
+
+// Daily at 01:00 Dubai time unless overridden
+const DEFAULT_SCHEDULE = '0 1 * * *';
+const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+let overdueTask = null;
+
+/**
+ * Move UNPAID invoices past their due date to OVERDUE. Partially paid invoices keep
+ * PARTIALLY_PAID; the aging report shows how late they are.
+ * @returns {Promise<number>} number of invoices marked
+ */
+async function markOverdueInvoices(now = new Date()) {
+  const result = await Invoice.updateMany(
+    { status: 'UNPAID', due_date: { $lt: now } },
+    { $set: { status: 'OVERDUE' } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[overdue-invoices] Marked ${result.modifiedCount} invoice(s) OVERDUE`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Schedule the overdue sweep (and run it once now). Set OVERDUE_INVOICE_JOB_DISABLED=true to
+ * turn it off, e.g. on a second app instance.
+ */
+function startOverdueInvoiceJob() {
+  if (overdueTask) return overdueTask;
+  if (process.env.OVERDUE_INVOICE_JOB_DISABLED === 'true') {
+    console.log('[overdue-invoices] Job disabled by OVERDUE_INVOICE_JOB_DISABLED');
+    return null;
+  }
+
+  let schedule = process.env.OVERDUE_INVOICE_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    console.warn(`[overdue-invoices] Invalid OVERDUE_INVOICE_CRON "${schedule}"; using ${DEFAULT_SCHEDULE}`);
+    schedule = DEFAULT_SCHEDULE;
+  }
+  const timezone = process.env.OVERDUE_INVOICE_TZ || DEFAULT_TIMEZONE;
+
+  overdueTask = cron.schedule(schedule, () => {
+    markOverdueInvoices().catch((err) => {
+      console.error('[overdue-invoices] Run failed:', err.message);
+    });
+  }, { timezone, name: 'overdue-invoices', noOverlap: true });
+
+  markOverdueInvoices().catch((err) => {
+    console.error('[overdue-invoices] Startup run failed:', err.message);
+  });
+
+  console.log(`[overdue-invoices] Scheduled "${schedule}" (${timezone})`);
+  return overdueTask;
+}
+
+function stopOverdueInvoiceJob() {
+  if (overdueTask) {
+    overdueTask.stop();
+    overdueTask = null;
+  }
+}
+
+module.exports = {
+  markOverdueInvoices,
+  startOverdueInvoiceJob,
+  stopOverdueInvoiceJob,
+};
@@ -0,0 +1,167 @@
+/**
+ * Partners and their API keys.
+ *
+ * Partner agents create bookings through /api/partner with an API key sent in X-API-Key. Keys
+ * carry scopes (bookings:create, bookings:read), can expire and be revoked, and only their
+ * SHA-256 hash is stored. Every authenticated request is logged in PartnerApiUsage.
+ */
+
+const crypto = require('crypto');
+const { Partner, PartnerApiKey, PartnerApiUsage } = require('../models');
+
+const PARTNER_SCOPES = ['bookings:create', 'bookings:read'];
+const KEY_PREFIX = 'knx_';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Without the hash
+const KEY_FIELDS = '-key_hash';
+
+async function listPartners() {
+  return Partner.find().sort({ name: 1 }).lean();
+}
+
+async function createPartner({ name, code, contact_email, notes } = {}, userId) {
+  if (!name || !String(name).trim()) {
+    return { success: false, statusCode: 400, error: 'name is required' };
+  }
+  const normalizedCode = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{2,20}$/.test(normalizedCode)) {
+    return { success: false, statusCode: 400, error: 'code must be 2-20 letters, digits, - or _' };
+  }
+  if (await Partner.exists({ code: normalizedCode })) {
+    return { success: false, statusCode: 409, error: `Partner code ${normalizedCode} is already in use` };
+  }
+  const partner = await Partner.create({
+    name: String(name).trim(),
+    code: normalizedCode,
+    contact_email,
+    notes,
+    created_by: userId,
+  });
+  return { success: true, partner };
+}
+
+// The code is on the partner's bookings and cannot change
+async function updatePartner(id, { name, contact_email, notes, active } = {}) {
+  const partner = await Partner.findById(id);
+  if (!partner) {
+    return { success: false, statusCode: 404, error: 'Partner not found' };
+  }
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      return { success: false, statusCode: 400, error: 'name cannot be empty' };
+    }
+    partner.name = String(name).trim();
+  }
+  if (contact_email !== undefined) partner.contact_email = contact_email;
+  if (notes !== undefined) partner.notes = notes;
+  if (active !== undefined) partner.active = active === true;
+  await partner.save();
+  return { success: true, partner };
+}
+
+async function listApiKeys(partnerId) {
+  return PartnerApiKey.find({ partner_id: partnerId }).select(KEY_FIELDS).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Issue a key. The plain key is only returned here.
+ * @returns {Promise<{ success: boolean, key?: string, apiKey?: object, statusCode?: number, error?: string }>}
+ */
+async function createApiKey(partnerId, { name, scopes, expires_at } = {}, userId) {
+  const partner = await Partner.findById(partnerId).select('_id').lean();
+  if (!partner) {
+    return { success: false, statusCode: 404, error: 'Partner not found' };
+  }
+  if (!name || !String(name).trim()) {
+    return { success: false, statusCode: 400, error: 'name is required' };
+  }
+  const keyScopes = [...new Set([].concat(scopes || PARTNER_SCOPES))];
+  if (!keyScopes.length || keyScopes.some(scope => !PARTNER_SCOPES.includes(scope))) {
+    return { success: false, statusCode: 400, error: `scopes must be some of ${PARTNER_SCOPES.join(', ')}` };
+  }
+  const expiresAt = expires_at ? new Date(expires_at) : undefined;
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    return { success: false, statusCode: 400, error: 'expires_at must be a future date' };
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await PartnerApiKey.create({
+    partner_id: partnerId,
+    name: String(name).trim(),
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    key_hash: hashApiKey(key),
+    scopes: keyScopes,
+    expires_at: expiresAt,
+    created_by: userId,
+  });
+  const { key_hash, ...stored } = apiKey.toObject();
+  return { success: true, key, apiKey: stored };
+}
+
+async function revokeApiKey(partnerId, keyId, userId) {
+  const apiKey = await PartnerApiKey.findOne({ _id: keyId, partner_id: partnerId }).select(KEY_FIELDS);
+  if (!apiKey) {
+    return { success: false, statusCode: 404, error: 'API key not found' };
+  }
+  if (!apiKey.revoked_at) {
+    apiKey.revoked_at = new Date();
+    apiKey.revoked_by = userId;
+    await apiKey.save();
+  }
+  return { success: true, apiKey };
+}
+
+/**
+ * Look up a key sent by a partner.
+ * @returns {Promise<{ apiKey: object, partner: object } | { error: string }>}
+ */
+async function authenticateApiKey(key) {
+  if (!key || !String(key).startsWith(KEY_PREFIX)) return { error: 'Invalid API key' };
+
+  const apiKey = await PartnerApiKey.findOne({ key_hash: hashApiKey(key) }).select(KEY_FIELDS).lean();
+  if (!apiKey || apiKey.revoked_at) return { error: 'Invalid API key' };
+  if (apiKey.expires_at && apiKey.expires_at <= new Date()) return { error: 'API key has expired' };
+
+  const partner = await Partner.findById(apiKey.partner_id).lean();
+  if (!partner || !partner.active) return { error: 'Partner account is disabled' };
+
+  PartnerApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date() } })
+    .catch(err => console.error('[partners] Failed to update key last_used_at:', err.message));
+  return { apiKey, partner };
+}
+
+/**
+ * Log a partner API request. Never throws.
+ */
+async function logPartnerUsage(entry) {
+  try {
+    await PartnerApiUsage.create(entry);
+  } catch (error) {
+    console.error('[partners] Failed to log API usage:', error.message);
+  }
+}
+
+async function listUsage(partnerId, { keyId, limit = 100 } = {}) {
+  const query = { partner_id: partnerId };
+  if (keyId) query.api_key_id = keyId;
+  return PartnerApiUsage.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+    .lean();
+}
+
+module.exports = {
+  PARTNER_SCOPES,
+  hashApiKey,
+  listPartners,
+  createPartner,
+  updatePartner,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  logPartnerUsage,
+  listUsage,
+};
@@ -0,0 +1,263 @@
+/**
+ * Permission registry and resolution.
+ *
+ * Every protected action is a string "<resource>:<verb>". Users get permissions through
+ * roles: the built-in role for their legacy account role (SUPERADMIN/ADMIN/USER), the roles
+ * of their department, and any roles assigned to them directly.
+ */
+
+const { Role } = require('../models');
+
+const PERMISSIONS = {
+  'user:manage': 'Create, update, disable and delete user accounts',
+  'user:reset-password': 'Reset another user\'s password',
+  'employee:manage': 'View and manage employees',
+  'department:view': 'List departments',
+  'role:manage': 'Edit roles and assign them to users and departments',
+  'system-settings:manage': 'View and change system settings',
+  'data-retention:manage': 'View retention statistics and run retention jobs',
+  'price-bracket:edit': 'Change route price brackets',
+  'rate-card:manage': 'Create and edit client contract rate cards',
+  'invoice:create': 'Generate invoices from invoice requests',
+  'credit-note:create': 'Issue and void credit notes against invoices',
+  'payment:record': 'Record and reverse invoice payments',
+  'receivables:view': 'View the accounts-receivable aging report',
+  'exchange-rate:manage': 'Enter and delete dated exchange rates',
+  'quote:create': 'Price shipments with the server-side quote engine',
+  'booking:review': 'Approve or reject bookings',
+  'remittance:confirm': 'Confirm driver payment remittances',
+  'batch:manage': 'Create batches, assign bookings and record departure and arrival',
+  'shipment-status:override': 'Correct a shipment status backwards or reopen a delivered or cancelled shipment',
+  'watchlist:manage': 'Edit the sender/receiver watchlist and view screening hits',
+  'partner:manage': 'Manage partners, their API keys and API usage logs',
+  'webhook:manage': 'Register webhook endpoints and view or redeliver webhook deliveries',
+  'hs-code:manage': 'Edit the HS code mappings used on customs documents',
+  'empost-outbox:manage': 'View queued EMPOST calls and retry or skip failed ones',
+  'empost-reconciliation:manage': 'Run and export EMPOST reconciliation reports and resync what they flag',
+  'carrier:manage': 'Choose the carrier per route or destination',
+  'carrier-tracking:record': 'View, key in and refresh carrier tracking events',
+};
+
+// Roles seeded on first use; admins may edit their permissions afterwards
+const SYSTEM_ROLES = {
+  superadmin: {
+    description: 'Full access',
+    permissions: ['*'],
+  },
+  admin: {
+    description: 'Account and system administration',
+    permissions: [
+      'user:manage',
+      'employee:manage',
+      'department:view',
+      'role:manage',
+      'system-settings:manage',
+      'data-retention:manage',
+      'rate-card:manage',
+      'partner:manage',
+      'webhook:manage',
+      'empost-outbox:manage',
+      'empost-reconciliation:manage',
+      'carrier:manage',
+      'carrier-tracking:record',
+    ],
+  },
+  staff: {
+    description: 'Baseline for every active user',
+    permissions: ['invoice:create', 'quote:create', 'booking:review', 'remittance:confirm'],
+  },
+  finance: {
+    description: 'Finance department',
+    permissions: ['price-bracket:edit', 'rate-card:manage', 'invoice:create', 'credit-note:create', 'payment:record', 'receivables:view', 'exchange-rate:manage', 'quote:create', 'remittance:confirm', 'watchlist:manage'],
+  },
+  management: {
+    description: 'Management department',
+    permissions: ['system-settings:manage', 'receivables:view', 'shipment-status:override', 'watchlist:manage'],
+  },
+  sales: {
+    description: 'Sales department',
+    permissions: ['booking:review', 'quote:create'],
+  },
+  operations: {
+    description: 'Operations department',
+    permissions: ['booking:review', 'batch:manage', 'hs-code:manage', 'carrier-tracking:record'],
+  },
+};
+
+// Legacy User.role -> built-in role name
+const ACCOUNT_ROLE_MAP = {
+  SUPERADMIN: 'superadmin',
+  ADMIN: 'admin',
+  USER: 'staff',
+};
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+let systemRolesEnsured = false;
+
+/**
+ * Create missing built-in roles and grant them permissions added to the registry since they
+ * were last seeded. Permissions an admin removed from a role are not put back.
+ */
+async function ensureSystemRoles() {
+  if (systemRolesEnsured) return;
+  for (const [name, def] of Object.entries(SYSTEM_ROLES)) {
+    const existing = await Role.findOne({ name }).select('seeded_permissions').lean();
+    if (!existing) {
+      await Role.updateOne(
+        { name },
+        {
+          $setOnInsert: {
+            name,
+            description: def.description,
+            permissions: def.permissions,
+            seeded_permissions: def.permissions,
+            is_system: true,
+          },
+        },
+        { upsert: true }
+      );
+      continue;
+    }
+
+    const seeded = new Set(existing.seeded_permissions || []);
+    const added = def.permissions.filter((permission) => !seeded.has(permission));
+    if (added.length > 0) {
+      await Role.updateOne(
+        { name },
+        {
+          $addToSet: {
+            permissions: { $each: added },
+            seeded_permissions: { $each: added },
+          },
+        }
+      );
+    }
+  }
+  systemRolesEnsured = true;
+}
+
+async function loadRoles() {
+  const now = Date.now();
+  if (roleCache && now - roleCacheLoadedAt < ROLE_CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  await ensureSystemRoles();
+  const roles = await Role.find().lean();
+  roleCache = {
+    byId: new Map(roles.map((role) => [role._id.toString(), role])),
+    byName: new Map(roles.map((role) => [role.name, role])),
+  };
+  roleCacheLoadedAt = now;
+  return roleCache;
+}
+
+/** Drop cached roles after an edit so the next request sees it. */
+function invalidateRoleCache() {
+  roleCache = null;
+  roleCacheLoadedAt = 0;
+}
+
+function getDepartmentName(department) {
+  if (!department) return null;
+  if (typeof department === 'object' && department.name) return department.name;
+  return null;
+}
+
+function toIdStrings(ids) {
+  if (!Array.isArray(ids)) return [];
+  return ids
+    .map((id) => (id && typeof id === 'object' && id._id ? id._id : id))
+    .filter(Boolean)
+    .map((id) => id.toString());
+}
+
+/**
+ * Collect the roles that apply to an authenticated user (req.user shape from middleware/auth).
+ */
+async function resolveUserRoles(user) {
+  const { byId, byName } = await loadRoles();
+  const roles = [];
+  const add = (role) => {
+    if (role && !roles.includes(role)) roles.push(role);
+  };
+
+  add(byName.get(ACCOUNT_ROLE_MAP[user.role] || 'staff'));
+
+  const departmentRoleIds = toIdStrings(user.department?.role_ids);
+  if (departmentRoleIds.length > 0) {
+    departmentRoleIds.forEach((id) => add(byId.get(id)));
+  } else {
+    const deptName = getDepartmentName(user.department);
+    if (deptName) add(byName.get(deptName.toLowerCase()));
+  }
+
+  toIdStrings(user.roleIds).forEach((id) => add(byId.get(id)));
+
+  return roles;
+}
+
+async function resolveUserPermissions(user) {
+  const roles = await resolveUserRoles(user);
+  const permissions = new Set();
+  roles.forEach((role) => (role.permissions || []).forEach((p) => permissions.add(p)));
+  return { roles: roles.map((role) => role.name), permissions };
+}
+
+/**
+ * Match an action against a granted set. Supports "*" and "<resource>:*".
+ */
+function hasPermission(permissions, action) {
+  if (!permissions) return false;
+  if (permissions.has('*') || permissions.has(action)) return true;
+  const [resource] = action.split(':');
+  return permissions.has(`${resource}:*`);
+}
+
+/**
+ * Resolve permissions for the current request once and memoize them on req.
+ */
+async function getRequestPermissions(req) {
+  if (!req.user) return null;
+  if (!req.permissions) {
+    req.permissions = await resolveUserPermissions(req.user);
+  }
+  return req.permissions.permissions;
+}
+
+/**
+ * Permissions in `requested` that a caller holding `granted` may not hand out. Wildcards can
+ * only be granted by someone who holds the same wildcard (or "*").
+ */
+function ungrantablePermissions(granted, requested) {
+  return (requested || []).filter((action) => {
+    if (!granted) return true;
+    if (granted.has('*')) return false;
+    if (action === '*') return true;
+    const [resource, verb] = action.split(':');
+    return verb === '*' ? !granted.has(`${resource}:*`) : !hasPermission(granted, action);
+  });
+}
+
+function isKnownPermission(action) {
+  if (action === '*') return true;
+  if (PERMISSIONS[action]) return true;
+  const [resource, verb] = action.split(':');
+  return verb === '*' && Object.keys(PERMISSIONS).some((key) => key.startsWith(`${resource}:`));
+}
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  ACCOUNT_ROLE_MAP,
+  ensureSystemRoles,
+  invalidateRoleCache,
+  resolveUserRoles,
+  resolveUserPermissions,
+  getRequestPermissions,
+  hasPermission,
+  ungrantablePermissions,
+  isKnownPermission,
+};
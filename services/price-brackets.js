@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const { PriceBracket, PriceBracketVersion } = require('../models/unified-schema');
+
+const PRICE_BRACKET_ROUTES = ['PH_TO_UAE', 'UAE_TO_PH'];
+
+// Baseline versions cover all history so any past date resolves to a bracket set
+const BASELINE_EFFECTIVE_FROM = new Date(0);
+
+// A version may start "now" even if the request took a moment to arrive
+const EFFECTIVE_FROM_GRACE_MS = 5 * 60 * 1000;
+
+// Default brackets for PH_TO_UAE
+const DEFAULT_PH_TO_UAE_BRACKETS = [
+  { min: 1, max: 15, rate: 39, label: "1-15 KG" },
+  { min: 16, max: 29, rate: 38, label: "16-29 KG" },
+  { min: 30, max: 69, rate: 36, label: "30-69 KG" },
+  { min: 70, max: 199, rate: 34, label: "70-199 KG" },
+  { min: 200, max: 299, rate: 31, label: "200-299 KG" },
+  { min: 300, max: null, rate: 30, label: "300+ KG" },
+  { min: 0, max: null, rate: 29, label: "SPECIAL RATE" }
+];
+
+// Default brackets for UAE_TO_PH
+const DEFAULT_UAE_TO_PH_BRACKETS = [
+  { min: 1, max: 15, rate: 39, label: "1-15 KG" },
+  { min: 16, max: 29, rate: 38, label: "16-29 KG" },
+  { min: 30, max: 69, rate: 36, label: "30-69 KG" },
+  { min: 70, max: 99, rate: 34, label: "70-99 KG" },
+  { min: 100, max: 199, rate: 31, label: "100-199 KG" },
+  { min: 200, max: null, rate: 30, label: "200+ KG" },
+  { min: 0, max: null, rate: 29, label: "SPECIAL RATE" },
+  { min: 1000, max: null, rate: 28, label: "1 TON UP" }
+];
+
+// Get default brackets for a route
+const getDefaultBrackets = (route) => {
+  if (route === 'PH_TO_UAE') {
+    return DEFAULT_PH_TO_UAE_BRACKETS;
+  } else if (route === 'UAE_TO_PH') {
+    return DEFAULT_UAE_TO_PH_BRACKETS;
+  }
+  return [];
+};
+
+// Helper function to generate label from min/max
+function generateLabel(min, max) {
+  if (max === null) {
+    if (min === 0) {
+      return 'SPECIAL RATE';
+    }
+    return `${min}+ KG`;
+  }
+  return `${min}-${max} KG`;
+}
+
+// Validate brackets
+const validateBrackets = (brackets) => {
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    return { valid: false, error: 'Brackets array is required and must not be empty' };
+  }
+
+  // Check each bracket
+  for (let i = 0; i < brackets.length; i++) {
+    const bracket = brackets[i];
+    
+    // Check required fields
+    if (typeof bracket.min !== 'number' || bracket.min < 0) {
+      return { valid: false, error: `Invalid min weight: ${bracket.min}. Must be a number >= 0` };
+    }
+    
+    if (bracket.max !== null && bracket.max !== undefined && (typeof bracket.max !== 'number' || bracket.max <= bracket.min)) {
+      return { valid: false, error: `Invalid max weight: ${bracket.max}. Must be null or a number > min` };
+    }
+    
+    if (typeof bracket.rate !== 'number' || bracket.rate < 0) {
+      return { valid: false, error: `Invalid rate: ${bracket.rate}. Must be a number >= 0` };
+    }
+    
+    // Label is optional - will be auto-generated if not provided
+    if (bracket.label !== undefined && bracket.label !== null && typeof bracket.label !== 'string') {
+      return { valid: false, error: 'Label must be a string' };
+    }
+  }
+
+  // Check for overlapping brackets (excluding special rate brackets with min: 0)
+  const sortedBrackets = [...brackets]
+    .filter(b => b.min !== 0 || b.max !== null) // Exclude special rate brackets from overlap check
+    .sort((a, b) => a.min - b.min);
+  
+  for (let i = 0; i < sortedBrackets.length - 1; i++) {
+    const current = sortedBrackets[i];
+    const next = sortedBrackets[i + 1];
+    
+    // If current bracket has a max, it should not overlap with next bracket
+    if (current.max !== null && current.max >= next.min) {
+      return { 
+        valid: false, 
+        error: `Bracket overlap detected: ${current.label || generateLabel(current.min, current.max)} overlaps with ${next.label || generateLabel(next.min, next.max)}` 
+      };
+    }
+  }
+
+  return { valid: true };
+};
+
+
+// Brackets ready to store: null max for open-ended ranges and labels filled in
+const normalizeBrackets = (brackets) => brackets.map(bracket => ({
+  min: bracket.min,
+  max: bracket.max === '' || bracket.max === undefined ? null : bracket.max,
+  rate: bracket.rate,
+  label: bracket.label || generateLabel(bracket.min, bracket.max)
+}));
+
+/**
+ * Map a shipment service code (PH_TO_UAE_*, UAE_TO_PH_*, UAE_TO_PINAS_*) to a bracket route.
+ * @returns {string|null}
+ */
+function getBracketRouteForService(serviceCode) {
+  const normalized = String(serviceCode || '').toUpperCase().replace(/[\s-]+/g, '_');
+  if (normalized.startsWith('PH_TO_UAE')) return 'PH_TO_UAE';
+  if (normalized.startsWith('UAE_TO_PH') || normalized.startsWith('UAE_TO_PINAS')) return 'UAE_TO_PH';
+  return null;
+}
+
+/**
+ * Make sure a route has at least one version. The first version is copied from the legacy
+ * PriceBracket document (or the defaults) and applies to all dates before the next version.
+ */
+async function ensureBaselineVersion(route, session = null) {
+  const existing = await PriceBracketVersion.findOne({ route }).select('_id').session(session);
+  if (existing) return;
+
+  const legacy = await PriceBracket.findOne({ route }).session(session);
+  const brackets = legacy?.brackets?.length ? legacy.brackets.map(b => b.toObject()) : getDefaultBrackets(route);
+
+  try {
+    await PriceBracketVersion.create([{
+      route,
+      version: 1,
+      brackets: normalizeBrackets(brackets),
+      effective_from: BASELINE_EFFECTIVE_FROM,
+      effective_to: null,
+      notes: legacy ? 'Migrated from price bracket settings' : 'Default brackets',
+      created_by: legacy?.updated_by
+    }], { session });
+  } catch (error) {
+    // Another request seeded the route first
+    if (error.code !== 11000) throw error;
+  }
+}
+
+/**
+ * Bracket version in force for a route at a given moment.
+ * @returns {Promise<object|null>} lean PriceBracketVersion
+ */
+async function getVersionInForce(route, at = new Date()) {
+  await ensureBaselineVersion(route);
+  return PriceBracketVersion.findOne({
+    route,
+    effective_from: { $lte: at },
+    $or: [{ effective_to: null }, { effective_to: { $gt: at } }]
+  })
+    .sort({ effective_from: -1 })
+    .lean();
+}
+
+async function listVersions(route) {
+  await ensureBaselineVersion(route);
+  return PriceBracketVersion.find({ route })
+    .sort({ effective_from: -1 })
+    .populate('created_by', 'full_name email')
+    .lean();
+}
+
+/**
+ * Pick the bracket for a weight. Ranges are matched by the highest min not above the weight,
+ * so fractional weights between "1-15" and "16-29" stay in the lower bracket. The open-ended
+ * SPECIAL RATE bracket (min 0, no max) is only applied on request and is never matched here.
+ */
+function findBracketForWeight(brackets, weight) {
+  const ranges = (brackets || [])
+    .filter(b => !(b.min === 0 && (b.max === null || b.max === undefined)))
+    .sort((a, b) => a.min - b.min);
+  if (ranges.length === 0) return null;
+
+  const value = Number(weight) || 0;
+  let match = ranges[0];
+  for (const bracket of ranges) {
+    if (bracket.min <= value) match = bracket;
+  }
+  return match;
+}
+
+/**
+ * Add a bracket version for a route. Without effectiveFrom the version applies immediately;
+ * a future date schedules it. Versions cannot start in the past, so rates already used for
+ * invoices never change.
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, version?: object, scheduled?: boolean }>}
+ */
+async function createVersion(route, brackets, { effectiveFrom, notes, userId } = {}) {
+  const now = new Date();
+  let startsAt = now;
+  if (effectiveFrom !== undefined && effectiveFrom !== null && effectiveFrom !== '') {
+    startsAt = new Date(effectiveFrom);
+    if (isNaN(startsAt.getTime())) {
+      return { success: false, statusCode: 400, error: 'effective_from must be a valid date' };
+    }
+    if (startsAt.getTime() < now.getTime() - EFFECTIVE_FROM_GRACE_MS) {
+      return { success: false, statusCode: 400, error: 'effective_from cannot be in the past' };
+    }
+    if (startsAt < now) startsAt = now;
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await ensureBaselineVersion(route, session);
+
+    const clash = await PriceBracketVersion.findOne({ route, effective_from: startsAt }).session(session);
+    if (clash) {
+      await session.abortTransaction();
+      session.endSession();
+      return { success: false, statusCode: 409, error: `Version ${clash.version} already starts at ${startsAt.toISOString()}` };
+    }
+
+    const previous = await PriceBracketVersion.findOne({ route, effective_from: { $lt: startsAt } })
+      .sort({ effective_from: -1 })
+      .session(session);
+    const next = await PriceBracketVersion.findOne({ route, effective_from: { $gt: startsAt } })
+      .sort({ effective_from: 1 })
+      .session(session);
+    const latest = await PriceBracketVersion.findOne({ route })
+      .sort({ version: -1 })
+      .select('version')
+      .session(session);
+
+    if (previous) {
+      previous.effective_to = startsAt;
+      await previous.save({ session });
+    }
+
+    const [version] = await PriceBracketVersion.create([{
+      route,
+      version: (latest?.version || 0) + 1,
+      brackets: normalizeBrackets(brackets),
+      effective_from: startsAt,
+      effective_to: next ? next.effective_from : null,
+      notes,
+      created_by: userId
+    }], { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { success: true, version: version.toObject(), scheduled: startsAt > now };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+}
+
+/**
+ * Remove a version that has not taken effect yet and close the gap it leaves.
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, version?: object }>}
+ */
+async function cancelScheduledVersion(route, versionId) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const version = await PriceBracketVersion.findOne({ _id: versionId, route }).session(session);
+    if (!version) {
+      await session.abortTransaction();
+      session.endSession();
+      return { success: false, statusCode: 404, error: 'Price bracket version not found' };
+    }
+    if (version.effective_from <= new Date()) {
+      await session.abortTransaction();
+      session.endSession();
+      return { success: false, statusCode: 400, error: 'Only versions that have not taken effect can be cancelled' };
+    }
+
+    await PriceBracketVersion.updateOne(
+      { route, effective_to: version.effective_from },
+      { $set: { effective_to: version.effective_to } },
+      { session }
+    );
+    await PriceBracketVersion.deleteOne({ _id: version._id }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { success: true, version: version.toObject() };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+}
+
+/**
+ * Snapshot of the bracket version (and matching bracket) an invoice is priced against.
+ * @returns {Promise<object|null>} value for Invoice.price_bracket_version, or null for unknown routes
+ */
+async function getPricingSnapshot(serviceCode, weight, at = new Date()) {
+  const route = getBracketRouteForService(serviceCode);
+  if (!route) return null;
+
+  const version = await getVersionInForce(route, at);
+  if (!version) return null;
+
+  const bracket = findBracketForWeight(version.brackets, weight);
+  return {
+    version_id: version._id,
+    route,
+    version: version.version,
+    effective_from: version.effective_from,
+    bracket_label: bracket?.label,
+    bracket_rate: bracket?.rate
+  };
+}
+
+module.exports = {
+  PRICE_BRACKET_ROUTES,
+  getDefaultBrackets,
+  generateLabel,
+  validateBrackets,
+  normalizeBrackets,
+  getBracketRouteForService,
+  getVersionInForce,
+  listVersions,
+  findBracketForWeight,
+  createVersion,
+  cancelScheduledVersion,
+  getPricingSnapshot,
+};
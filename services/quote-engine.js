@@ -0,0 +1,291 @@
+/**
+ * Server-side rate quotes.
+ *
+ * Mirrors the charge rules applied when an invoice is generated in routes/invoices-unified.js
+ * and the chargeable-weight rule of PUT /api/invoice-requests/:id/verification, priced
+ * against the client's rate card or, failing that, the PriceBracketVersion in force.
+ */
+
+const mongoose = require('mongoose');
+const {
+  getBracketRouteForService,
+  getVersionInForce,
+  findBracketForWeight,
+} = require('./price-brackets');
+const { resolveClientRateCard, priceShipping } = require('./client-rate-cards');
+
+const VAT_RATE = 5;
+
+// cm³ per kg for volumetric weight (L × W × H / divisor)
+const VOLUMETRIC_DIVISOR = parseFloat(process.env.QUOTE_VOLUMETRIC_DIVISOR) || 5000;
+
+// Insurance for UAE_TO_PH is a percentage of declared value ("percent" insurance option)
+const DEFAULT_INSURANCE_PERCENT = parseFloat(process.env.QUOTE_INSURANCE_PERCENT) || 1;
+
+const DEFAULT_DELIVERY_BASE_AMOUNT = 20;
+const PER_EXTRA_BOX_DELIVERY_CHARGE = 5;
+const COD_FREE_DELIVERY_MIN_KG = 15;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeServiceCode = (code = '') =>
+  code.toString().toUpperCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Chargeable weight is the higher of actual and volumetric weight; weight_type records which
+ * one won (ties count as ACTUAL).
+ */
+function calculateChargeableWeight(actualWeight, volumetricWeight) {
+  const actual = Number(actualWeight) || 0;
+  const volumetric = Number(volumetricWeight) || 0;
+  return {
+    chargeable_weight: Math.max(actual, volumetric),
+    weight_type: actual >= volumetric ? 'ACTUAL' : 'VOLUMETRIC',
+  };
+}
+
+/**
+ * Volumetric weight of a list of boxes given in centimetres.
+ */
+function calculateVolumetricWeight(boxes = []) {
+  const total = boxes.reduce((sum, box) => {
+    const quantity = parseInt(box.quantity, 10) || 1;
+    const volume = (Number(box.length) || 0) * (Number(box.width) || 0) * (Number(box.height) || 0);
+    return sum + (volume / VOLUMETRIC_DIVISOR) * quantity;
+  }, 0);
+  return round2(total);
+}
+
+const countBoxes = (boxes = []) =>
+  boxes.reduce((sum, box) => sum + (parseInt(box.quantity, 10) || 1), 0);
+
+// PH_TO_UAE tax-invoice delivery: base amount plus a flat fee per extra box
+const boxBasedDeliveryCharge = (baseAmount, numberOfBoxes) =>
+  round2(numberOfBoxes <= 1 ? baseAmount : baseAmount + (numberOfBoxes - 1) * PER_EXTRA_BOX_DELIVERY_CHARGE);
+
+/**
+ * Validate and normalise a quote request body.
+ * @returns {{ error?: string, input?: object }}
+ */
+function parseQuoteInput(body = {}) {
+  const serviceCode = normalizeServiceCode(body.route || body.service_code || '');
+  const route = getBracketRouteForService(serviceCode);
+  if (!route) {
+    return { error: 'route must be PH_TO_UAE or UAE_TO_PH (or a service code of either)' };
+  }
+
+  const actualWeight = parseFloat(body.actual_weight);
+  if (isNaN(actualWeight) || actualWeight < 0) {
+    return { error: 'actual_weight must be a number >= 0' };
+  }
+
+  const boxes = Array.isArray(body.boxes) ? body.boxes : [];
+  for (const box of boxes) {
+    for (const field of ['length', 'width', 'height']) {
+      const value = parseFloat(box[field]);
+      if (isNaN(value) || value < 0) {
+        return { error: `Each box needs a ${field} >= 0 (cm)` };
+      }
+    }
+  }
+
+  let volumetricWeight = null;
+  if (body.volumetric_weight !== undefined && body.volumetric_weight !== null && body.volumetric_weight !== '') {
+    volumetricWeight = parseFloat(body.volumetric_weight);
+    if (isNaN(volumetricWeight) || volumetricWeight < 0) {
+      return { error: 'volumetric_weight must be a number >= 0' };
+    }
+  }
+
+  let numberOfBoxes = boxes.length > 0 ? countBoxes(boxes) : 1;
+  if (body.number_of_boxes !== undefined && body.number_of_boxes !== null && body.number_of_boxes !== '') {
+    numberOfBoxes = parseInt(body.number_of_boxes, 10);
+    if (isNaN(numberOfBoxes) || numberOfBoxes < 1) {
+      return { error: 'number_of_boxes must be a number greater than or equal to 1' };
+    }
+  }
+
+  const clientId = body.client_id || null;
+  if (clientId && !mongoose.Types.ObjectId.isValid(clientId)) {
+    return { error: 'client_id must be a valid ObjectId' };
+  }
+
+  const shipmentType = route === 'PH_TO_UAE'
+    ? 'GENERAL'
+    : (body.shipment_type || body.shipment_classification || '').toString().trim().toUpperCase();
+  if (route === 'UAE_TO_PH' && !['FLOMIC', 'PERSONAL', 'COMMERCIAL'].includes(shipmentType)) {
+    return { error: 'shipment_type is required for UAE_TO_PH (FLOMIC, PERSONAL or COMMERCIAL)' };
+  }
+
+  const numberOrNull = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? NaN : parsed;
+  };
+
+  const amounts = {
+    delivery_base_amount: numberOrNull(body.delivery_base_amount),
+    delivery_charge: numberOrNull(body.delivery_charge),
+    pickup_base_amount: numberOrNull(body.pickup_base_amount),
+    declared_value: numberOrNull(body.declared_value),
+    insurance_percent: numberOrNull(body.insurance_percent),
+    special_rate: numberOrNull(body.special_rate),
+  };
+  for (const [field, value] of Object.entries(amounts)) {
+    if (value !== null && (isNaN(value) || value < 0)) {
+      return { error: `${field} must be a number >= 0` };
+    }
+  }
+
+  return {
+    input: {
+      service_code: serviceCode,
+      route,
+      client_id: clientId ? clientId.toString() : null,
+      actual_weight: actualWeight,
+      volumetric_weight: volumetricWeight,
+      boxes,
+      number_of_boxes: numberOfBoxes,
+      shipment_type: shipmentType,
+      has_delivery: body.has_delivery === true || body.has_delivery === 'true',
+      has_pickup: body.has_pickup === true || body.has_pickup === 'true' || amounts.pickup_base_amount > 0,
+      insured: body.insured === true || body.insured === 'true',
+      ...amounts,
+    },
+  };
+}
+
+/**
+ * Shipping charge for a shipment. Quotes and invoices both price through here so a shipment is
+ * invoiced at the price it was quoted: a special rate overrides contract and bracket pricing
+ * alike, then the client's rate card applies, then the route bracket.
+ * @returns {Promise<{ pricing: object, rate_source: string, version: object|null, bracket: object|null }>}
+ *   pricing as from priceShipping; pricing.rate is null when no bracket is in force
+ */
+async function priceShipmentShipping({ route, clientId = null, chargeableWeight, specialRate = null }, at = new Date()) {
+  const version = await getVersionInForce(route, at);
+  const bracket = version ? findBracketForWeight(version.brackets, chargeableWeight) : null;
+
+  if (specialRate !== null) {
+    return { pricing: priceShipping(null, chargeableWeight, specialRate), rate_source: 'special_rate', version, bracket };
+  }
+  const rateCard = await resolveClientRateCard(clientId, route, at);
+  const pricing = priceShipping(rateCard, chargeableWeight, bracket?.rate);
+  return { pricing, rate_source: pricing.rate_card ? pricing.rate_card.rate_source : 'bracket', version, bracket };
+}
+
+/**
+ * Price a shipment. `input` is the normalised object from parseQuoteInput.
+ * @returns {Promise<object>} quote breakdown (amounts in AED)
+ */
+async function calculateQuote(input, at = new Date()) {
+  const volumetricWeight = input.volumetric_weight !== null
+    ? input.volumetric_weight
+    : calculateVolumetricWeight(input.boxes);
+  const { chargeable_weight: chargeableWeight, weight_type: weightType } =
+    calculateChargeableWeight(input.actual_weight, volumetricWeight);
+
+  const { pricing, rate_source: rateSource, version, bracket } = await priceShipmentShipping({
+    route: input.route,
+    clientId: input.client_id,
+    chargeableWeight,
+    specialRate: input.special_rate,
+  }, at);
+  if (pricing.rate === null) {
+    throw new Error(`No price bracket in force for ${input.route}`);
+  }
+
+  const { rate, shipping } = pricing;
+  const pickup = input.has_pickup ? round2(input.pickup_base_amount || 0) : 0;
+
+  const quote = {
+    route: input.route,
+    service_code: input.service_code,
+    client_id: input.client_id,
+    shipment_type: input.shipment_type,
+    quoted_at: at,
+    weights: {
+      actual: round2(input.actual_weight),
+      volumetric: round2(volumetricWeight),
+      chargeable: round2(chargeableWeight),
+      weight_type: weightType,
+      volumetric_divisor: VOLUMETRIC_DIVISOR,
+    },
+    number_of_boxes: input.number_of_boxes,
+    price_bracket_version: version ? {
+      version_id: version._id,
+      version: version.version,
+      effective_from: version.effective_from,
+    } : null,
+    bracket: bracket ? { min: bracket.min, max: bracket.max, rate: bracket.rate, label: bracket.label } : null,
+    rate,
+    rate_source: rateSource,
+    rate_card: pricing.rate_card,
+    discount_amount: pricing.discount_amount,
+    minimum_charge_applied: pricing.minimum_applied,
+  };
+
+  if (input.route === 'PH_TO_UAE') {
+    // COD invoice: shipping + pickup + base delivery (free from 15 kg); Tax invoice: box-based
+    // delivery + 5% VAT on delivery. Insurance is not offered on this route.
+    const deliveryBase = input.delivery_base_amount || DEFAULT_DELIVERY_BASE_AMOUNT;
+    const codDelivery = input.has_delivery && chargeableWeight < COD_FREE_DELIVERY_MIN_KG ? deliveryBase : 0;
+    const taxInvoiceDelivery = input.has_delivery ? boxBasedDeliveryCharge(deliveryBase, input.number_of_boxes) : 0;
+    const taxInvoiceVat = round2(taxInvoiceDelivery * (VAT_RATE / 100));
+
+    quote.charges = { shipping, pickup, delivery: taxInvoiceDelivery, cod_delivery: codDelivery, insurance: 0 };
+    quote.cod_invoice = {
+      subtotal: round2(shipping + pickup + codDelivery),
+      vat_rate: 0,
+      vat_amount: 0,
+      total: round2(shipping + pickup + codDelivery),
+    };
+    quote.tax_invoice = {
+      subtotal: taxInvoiceDelivery,
+      vat_rate: VAT_RATE,
+      vat_amount: taxInvoiceVat,
+      total: round2(taxInvoiceDelivery + taxInvoiceVat),
+    };
+    quote.subtotal = round2(quote.cod_invoice.subtotal + quote.tax_invoice.subtotal);
+    quote.vat = { rate: VAT_RATE, amount: taxInvoiceVat, inclusive: false, basis: 'delivery' };
+    quote.total = round2(quote.cod_invoice.total + quote.tax_invoice.total);
+    return quote;
+  }
+
+  // UAE_TO_PH: delivery is entered manually; insurance is a percentage of declared value
+  const delivery = input.has_delivery ? round2(input.delivery_charge || 0) : 0;
+  const insurancePercent = input.insurance_percent !== null ? input.insurance_percent : DEFAULT_INSURANCE_PERCENT;
+  const insurance = input.insured && input.declared_value
+    ? round2(input.declared_value * (insurancePercent / 100))
+    : 0;
+  const gross = round2(shipping + pickup + delivery + insurance);
+
+  quote.charges = { shipping, pickup, delivery, insurance };
+  quote.insurance_percent = input.insured ? insurancePercent : 0;
+
+  const vatInclusive = input.service_code.includes('UAE_TO_PH') &&
+    (input.shipment_type === 'FLOMIC' || input.shipment_type === 'PERSONAL');
+  if (vatInclusive) {
+    // Flomic/Personal prices already include 5% VAT; split it out
+    const subtotal = gross / (1 + VAT_RATE / 100);
+    quote.subtotal = round2(subtotal);
+    quote.vat = { rate: VAT_RATE, amount: round2(subtotal * (VAT_RATE / 100)), inclusive: true, basis: 'total' };
+    quote.total = gross;
+  } else {
+    quote.subtotal = gross;
+    quote.vat = { rate: 0, amount: 0, inclusive: false, basis: null };
+    quote.total = gross;
+  }
+
+  return quote;
+}
+
+module.exports = {
+  VAT_RATE,
+  VOLUMETRIC_DIVISOR,
+  calculateChargeableWeight,
+  calculateVolumetricWeight,
+  parseQuoteInput,
+  priceShipmentShipping,
+  calculateQuote,
+};
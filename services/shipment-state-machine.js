@@ -0,0 +1,401 @@
+/**
+ * Shipment lifecycle state machine.
+ *
+ * One shipment is spread over three records: Booking.shipment_status (cargo status shown to
+ * operations), InvoiceRequest.delivery_status (delivery status synced to EMPOST) and the
+ * DeliveryAssignment of its invoice. Every status change goes through transitionShipment(),
+ * which checks the move against TRANSITIONS, writes all records together and runs the side
+ * effects (EMPOST sync, identity document purge, delivery assignment).
+ *
+ * Moves not listed in TRANSITIONS (going backwards, reopening a delivered or cancelled
+ * shipment) are corrections: they need OVERRIDE_PERMISSION and a reason.
+ */
+
+const mongoose = require('mongoose');
+const { Booking, InvoiceRequest } = require('../models');
+const { Invoice, DeliveryAssignment } = require('../models/unified-schema');
+const { purgeBookingIdentityIfEligible } = require('../utils/booking-identity-purge');
+const { cleanupBookingIdentityDocumentsForDeliveredInvoiceRequest } = require('../utils/booking-identity-cleanup');
+const { syncStatusToEMPost, getTrackingNumberFromInvoiceRequest } = require('../utils/empost-status-sync');
+const { hasPermission } = require('./permissions');
+const { emitWebhookEvent } = require('./webhooks');
+
+const OVERRIDE_PERMISSION = 'shipment-status:override';
+
+/**
+ * Lifecycle states and what each record shows in that state. `order` ranks progress; FAILED
+ * shares a rank with OUT_FOR_DELIVERY because the parcel goes back out from there.
+ */
+const SHIPMENT_STATES = {
+  RECEIVED: { order: 0, booking_status: 'Shipment Received', delivery_status: 'PENDING', label: 'Shipment received' },
+  PROCESSING: { order: 1, booking_status: 'Shipment Processing', delivery_status: 'PENDING', label: 'Shipment processing' },
+  DEPARTED: { order: 2, booking_status: 'Shipment Departed', delivery_status: 'IN_TRANSIT', label: 'Shipment departed' },
+  ARRIVED: { order: 3, booking_status: 'Shipment Arrived', delivery_status: 'IN_TRANSIT', label: 'Shipment arrived' },
+  OUT_FOR_DELIVERY: { order: 4, booking_status: 'Shipment Arrived', delivery_status: 'PICKED_UP', label: 'Out for delivery' },
+  FAILED: { order: 4, booking_status: 'Shipment Arrived', delivery_status: 'FAILED', label: 'Delivery attempt failed' },
+  DELIVERED: { order: 5, booking_status: 'Shipment Delivered', delivery_status: 'DELIVERED', label: 'Shipment delivered', terminal: true },
+  CANCELLED: { order: 5, booking_status: 'Shipment Cancelled', delivery_status: 'CANCELLED', label: 'Shipment cancelled', terminal: true },
+};
+
+/**
+ * Allowed moves: from -> { to: permission required (null = any signed-in user) }.
+ */
+const TRANSITIONS = {
+  RECEIVED: { PROCESSING: null, DEPARTED: null, CANCELLED: 'booking:review' },
+  PROCESSING: { DEPARTED: null, CANCELLED: 'booking:review' },
+  DEPARTED: { ARRIVED: null },
+  ARRIVED: { OUT_FOR_DELIVERY: null, DELIVERED: null, FAILED: null },
+  OUT_FOR_DELIVERY: { DELIVERED: null, FAILED: null },
+  FAILED: { OUT_FOR_DELIVERY: null, DELIVERED: null },
+  DELIVERED: {},
+  CANCELLED: {},
+};
+
+// Booking.shipment_status values, including legacy ones, -> state
+const BOOKING_STATUS_STATES = {
+  'shipment received': 'RECEIVED',
+  'shipment processing': 'PROCESSING',
+  'shipment departed': 'DEPARTED',
+  'shipment arrived': 'ARRIVED',
+  'shipment delivered': 'DELIVERED',
+  'shipment cancelled': 'CANCELLED',
+  shipment_received: 'RECEIVED',
+  shipment_processing: 'PROCESSING',
+  departed_from_manila: 'DEPARTED',
+  in_transit_to_dubai: 'DEPARTED',
+  arrived_at_dubai: 'ARRIVED',
+  shipment_clearance: 'ARRIVED',
+  out_for_delivery: 'OUT_FOR_DELIVERY',
+  delivered: 'DELIVERED',
+};
+
+// InvoiceRequest.delivery_status -> state. PENDING says nothing beyond "not yet shipped".
+const DELIVERY_STATUS_STATES = {
+  PICKED_UP: 'OUT_FOR_DELIVERY',
+  IN_TRANSIT: 'DEPARTED',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * Map any status value callers send (state key, booking status, legacy status or delivery
+ * status) to a lifecycle state.
+ * @returns {string|null}
+ */
+function toShipmentState(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  const upper = trimmed.toUpperCase().replace(/[\s-]+/g, '_');
+  if (SHIPMENT_STATES[upper]) return upper;
+  return BOOKING_STATUS_STATES[trimmed.toLowerCase()] || DELIVERY_STATUS_STATES[upper] || null;
+}
+
+/**
+ * Current state from the booking and invoice request; the further along wins.
+ */
+function currentShipmentState(booking, invoiceRequest) {
+  const candidates = [
+    booking ? (toShipmentState(booking.shipment_status) || 'RECEIVED') : null,
+    invoiceRequest ? DELIVERY_STATUS_STATES[invoiceRequest.delivery_status] || null : null,
+  ].filter(Boolean);
+  if (candidates.length === 0) return 'RECEIVED';
+  const terminal = candidates.find(state => SHIPMENT_STATES[state].terminal);
+  if (terminal) return terminal;
+  return candidates.reduce((best, state) => (SHIPMENT_STATES[state].order > SHIPMENT_STATES[best].order ? state : best));
+}
+
+/**
+ * Check a move. `permissions` is the caller's permission set; leave it undefined for trusted
+ * internal callers (jobs, batch departure), which skip permission checks.
+ * @returns {{ allowed: boolean, override?: boolean, statusCode?: number, error?: string }}
+ */
+function checkTransition(from, to, { permissions, notes } = {}) {
+  if (!SHIPMENT_STATES[to]) {
+    return { allowed: false, statusCode: 400, error: `Unknown shipment status. Must be one of: ${Object.keys(SHIPMENT_STATES).join(', ')}` };
+  }
+  const edges = TRANSITIONS[from] || {};
+  if (Object.prototype.hasOwnProperty.call(edges, to)) {
+    const permission = edges[to];
+    if (permission && permissions && !hasPermission(permissions, permission)) {
+      return { allowed: false, statusCode: 403, error: `Moving a shipment from ${from} to ${to} requires permission ${permission}` };
+    }
+    return { allowed: true };
+  }
+
+  const allowedNext = Object.keys(edges);
+  const illegal = `Cannot move a shipment from ${from} to ${to}` +
+    (allowedNext.length ? ` (allowed: ${allowedNext.join(', ')})` : ` (${from} is final)`);
+  if (!permissions || !hasPermission(permissions, OVERRIDE_PERMISSION)) {
+    return { allowed: false, statusCode: 409, error: illegal };
+  }
+  if (!notes || !String(notes).trim()) {
+    return { allowed: false, statusCode: 400, error: `${illegal} without a reason; notes are required for corrections` };
+  }
+  return { allowed: true, override: true };
+}
+
+const toId = (value) => (value && typeof value === 'object' && value._id ? value._id : value) || null;
+
+/**
+ * Load the booking, invoice request and invoice behind a shipment.
+ * @param {object} target - one of { booking, bookingId, invoiceRequest, invoiceRequestId, invoice, invoiceId, awb }
+ */
+async function resolveShipment(target, session = null) {
+  let booking = target.booking || null;
+  let invoiceRequest = target.invoiceRequest || null;
+  let invoice = target.invoice || null;
+
+  if (!booking && target.bookingId) {
+    booking = await Booking.findById(target.bookingId).session(session);
+  }
+  if (!invoiceRequest && target.invoiceRequestId) {
+    invoiceRequest = await InvoiceRequest.findById(target.invoiceRequestId).session(session);
+  }
+  if (!invoice && target.invoiceId) {
+    invoice = await Invoice.findById(target.invoiceId).session(session);
+  }
+  if (!booking && !invoiceRequest && target.awb) {
+    const awb = String(target.awb).trim();
+    booking = await Booking.findOne({ $or: [{ awb }, { awb_number: awb }, { tracking_code: awb }] }).session(session);
+    invoiceRequest = await InvoiceRequest.findOne({ tracking_code: awb }).session(session);
+  }
+
+  // Invoice -> invoice request, same lookups as the delivery flow
+  if (invoice && !invoiceRequest) {
+    if (invoice.request_id && mongoose.Types.ObjectId.isValid(toId(invoice.request_id))) {
+      invoiceRequest = await InvoiceRequest.findById(toId(invoice.request_id)).session(session);
+    }
+    if (!invoiceRequest && invoice.invoice_id) {
+      invoiceRequest = await InvoiceRequest.findOne({ invoice_number: invoice.invoice_id }).session(session);
+    }
+    if (!invoiceRequest && invoice.notes) {
+      const match = invoice.notes.match(/Invoice for request ([a-fA-F0-9]{24})/);
+      if (match) invoiceRequest = await InvoiceRequest.findById(match[1]).session(session);
+    }
+    if (!invoiceRequest && invoice.awb_number) {
+      invoiceRequest = await InvoiceRequest.findOne({ tracking_code: invoice.awb_number }).session(session);
+    }
+  }
+
+  if (booking && !invoiceRequest) {
+    invoiceRequest = booking.converted_to_invoice_request_id
+      ? await InvoiceRequest.findById(booking.converted_to_invoice_request_id).session(session)
+      : await InvoiceRequest.findOne({ booking_id: booking._id }).session(session);
+  }
+  if (invoiceRequest && !booking) {
+    booking = invoiceRequest.booking_id
+      ? await Booking.findById(toId(invoiceRequest.booking_id)).session(session)
+      : await Booking.findOne({ converted_to_invoice_request_id: invoiceRequest._id }).session(session);
+  }
+  if (!booking && invoice?.awb_number) {
+    booking = await Booking.findOne({ $or: [{ awb_number: invoice.awb_number }, { tracking_code: invoice.awb_number }] }).session(session);
+  }
+
+  if (!invoice && invoiceRequest) {
+    const awb = invoiceRequest.tracking_code;
+    invoice = await Invoice.findOne(awb
+      ? { $or: [{ request_id: invoiceRequest._id }, { awb_number: awb }] }
+      : { request_id: invoiceRequest._id }).session(session);
+  }
+
+  return { booking, invoiceRequest, invoice };
+}
+
+/**
+ * Dry run of transitionShipment: would the move be accepted? Lets a route reject a status
+ * change before it saves anything else.
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, from?: string, to?: string }>}
+ */
+async function previewShipmentTransition(target, status, { permissions, notes } = {}) {
+  const to = toShipmentState(status);
+  if (!to) {
+    return {
+      success: false,
+      statusCode: 400,
+      error: `Invalid shipment status "${status}". Must be one of: ${Object.keys(SHIPMENT_STATES).join(', ')}`,
+    };
+  }
+  const { booking, invoiceRequest } = await resolveShipment(target);
+  if (!booking && !invoiceRequest) {
+    return { success: false, statusCode: 404, error: 'Shipment not found' };
+  }
+  const from = currentShipmentState(booking, invoiceRequest);
+  if (from === to) return { success: true, from, to };
+  const check = checkTransition(from, to, { permissions, notes });
+  return check.allowed
+    ? { success: true, from, to }
+    : { success: false, statusCode: check.statusCode, error: check.error, from, to };
+}
+
+/**
+ * Move a shipment to a new state and keep its records in step.
+ *
+ * @param {object} target - see resolveShipment
+ * @param {string} status - lifecycle state or any status value toShipmentState() understands
+ * @param {object} [options]
+ * @param {Set<string>} [options.permissions] - caller's permissions; undefined for internal callers
+ * @param {string} [options.updatedBy] - name for the booking's status history
+ * @param {string} [options.notes]
+ * @param {Date} [options.at] - when it happened (default now)
+ * @param {string} [options.source] - who drove the change: booking, batch, invoice_request, delivery_assignment, invoice, carrier
+ * @param {boolean} [options.ifAllowed] - skip quietly instead of failing when the move is not allowed
+ *   (for changes derived from another record, e.g. an invoice being paid)
+ * @param {ClientSession} [options.session] - run inside the caller's transaction; the caller must then
+ *   call result.runSideEffects() after committing
+ * @returns {Promise<object>} { success, statusCode?, error?, changed, skipped?, from, to, booking, invoiceRequest, runSideEffects }
+ */
+async function transitionShipment(target, status, options = {}) {
+  const { permissions, updatedBy, notes, source, ifAllowed = false, session = null } = options;
+  const at = options.at ? new Date(options.at) : new Date();
+  const noop = { runSideEffects: async () => {} };
+
+  const to = toShipmentState(status);
+  if (!to) {
+    return {
+      success: false,
+      statusCode: 400,
+      error: `Invalid shipment status "${status}". Must be one of: ${Object.keys(SHIPMENT_STATES).join(', ')}`,
+      ...noop,
+    };
+  }
+
+  const { booking, invoiceRequest, invoice } = await resolveShipment(target, session);
+  if (!booking && !invoiceRequest) {
+    return { success: false, statusCode: 404, error: 'Shipment not found', ...noop };
+  }
+
+  const from = currentShipmentState(booking, invoiceRequest);
+  const state = SHIPMENT_STATES[to];
+  const deliveryChanged = invoiceRequest && invoiceRequest.delivery_status !== state.delivery_status;
+  const bookingChanged = booking && booking.shipment_status !== state.booking_status;
+
+  if (from === to) {
+    // Records may have drifted apart; bring them back in line
+    if (!deliveryChanged && !bookingChanged) {
+      return { success: true, changed: false, from, to, booking, invoiceRequest, ...noop };
+    }
+  } else {
+    const check = checkTransition(from, to, { permissions, notes });
+    if (!check.allowed) {
+      if (ifAllowed) {
+        return { success: true, changed: false, skipped: true, reason: check.error, from, to, booking, invoiceRequest, ...noop };
+      }
+      return { success: false, statusCode: check.statusCode, error: check.error, from, to, ...noop };
+    }
+  }
+
+  const historyNotes = [notes, source && source !== 'booking' ? `via ${source.replace(/_/g, ' ')}` : null]
+    .filter(Boolean)
+    .join(' - ');
+
+  if (booking) {
+    booking.shipment_status = state.booking_status;
+    if (!Array.isArray(booking.shipment_status_history)) {
+      booking.shipment_status_history = [];
+    }
+    booking.shipment_status_history.push({
+      status: state.booking_status,
+      updated_at: at,
+      updated_by: updatedBy || 'System',
+      // The booking status alone does not tell out-for-delivery or failed attempts apart
+      notes: toShipmentState(state.booking_status) === to
+        ? historyNotes
+        : [state.label, historyNotes].filter(Boolean).join(' - '),
+    });
+    booking.updatedAt = new Date();
+    await booking.save({ session });
+  }
+
+  const previousDeliveryStatus = invoiceRequest?.delivery_status;
+  if (deliveryChanged) {
+    invoiceRequest.delivery_status = state.delivery_status;
+    if (notes) invoiceRequest.notes = notes;
+    await invoiceRequest.save({ session });
+  }
+
+  const runSideEffects = async () => {
+    // Delivery assignment follows unless it drove the change
+    if (invoice && source !== 'delivery_assignment') {
+      try {
+        if (to === 'DELIVERED') {
+          await DeliveryAssignment.updateMany(
+            { invoice_id: invoice._id, status: 'NOT_DELIVERED' },
+            { $set: { status: 'DELIVERED', delivery_date: at } }
+          );
+        } else if (to === 'CANCELLED') {
+          await DeliveryAssignment.updateMany(
+            { invoice_id: invoice._id, status: 'NOT_DELIVERED' },
+            { $set: { status: 'CANCELLED', cancelled_at: at, cancellation_reason: notes || 'Shipment cancelled' } }
+          );
+        }
+      } catch (error) {
+        console.error('Error updating delivery assignment after shipment status change:', error);
+      }
+    }
+
+    if (deliveryChanged) {
+      await syncStatusToEMPost({
+        trackingNumber: getTrackingNumberFromInvoiceRequest(invoiceRequest),
+        status: state.delivery_status,
+        additionalData: {
+          deliveryDate: to === 'DELIVERED' ? at : undefined,
+          notes,
+          invoiceRequest,
+        },
+      });
+      if (to === 'DELIVERED' && previousDeliveryStatus !== 'DELIVERED') {
+        await cleanupBookingIdentityDocumentsForDeliveredInvoiceRequest(invoiceRequest);
+      }
+    }
+
+    if (from !== to) {
+      await emitWebhookEvent('shipment.status_changed', {
+        booking_id: booking?._id || invoiceRequest?.booking_id || null,
+        reference_number: booking?.referenceNumber || null,
+        awb: booking?.awb || invoiceRequest?.tracking_code || null,
+        invoice_request_id: invoiceRequest?._id || null,
+        from,
+        to,
+        source: source || 'booking',
+        changed_at: at,
+      });
+    }
+
+    if (booking) {
+      try {
+        const lean = await Booking.findById(booking._id).lean();
+        if (lean) await purgeBookingIdentityIfEligible(lean);
+      } catch (error) {
+        console.error('Booking identityDocuments purge error:', error?.message || error);
+      }
+    }
+  };
+
+  if (!session) {
+    await runSideEffects();
+  }
+
+  return {
+    success: true,
+    changed: true,
+    from,
+    to,
+    override: from !== to && !Object.prototype.hasOwnProperty.call(TRANSITIONS[from] || {}, to),
+    booking,
+    invoiceRequest,
+    runSideEffects: session ? runSideEffects : noop.runSideEffects,
+  };
+}
+
+module.exports = {
+  OVERRIDE_PERMISSION,
+  SHIPMENT_STATES,
+  TRANSITIONS,
+  toShipmentState,
+  currentShipmentState,
+  checkTransition,
+  resolveShipment,
+  previewShipmentTransition,
+  transitionShipment,
+};
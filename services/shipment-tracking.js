@@ -0,0 +1,230 @@
+/**
+ * Public shipment tracking.
+ *
+ * Builds a customer-safe timeline for an AWB from the booking's shipment status history, the
+ * invoice request's delivery status, the delivery assignment and carrier tracking events (see
+ * services/carriers.js). Only statuses, dates and the service are returned: no names, addresses,
+ * phone numbers, amounts, notes or identity documents; carrier locations are left out too.
+ * (origin_place/destination_place often hold the full sender/receiver address, so they are left out.)
+ */
+
+const { Booking, InvoiceRequest, Batch, CarrierTrackingEvent } = require('../models');
+const { Invoice, DeliveryAssignment } = require('../models/unified-schema');
+
+const MAX_AWBS_PER_REQUEST = parseInt(process.env.TRACKING_MAX_AWBS, 10) || 20;
+
+// Public wording per status. Keys group equivalent statuses from different sources.
+const STATUS_LABELS = {
+  BOOKED: 'Booking received',
+  RECEIVED: 'Shipment received',
+  PROCESSING: 'Shipment processing',
+  DEPARTED: 'Shipment departed',
+  IN_TRANSIT: 'In transit',
+  ARRIVED: 'Shipment arrived',
+  CLEARANCE: 'Customs clearance',
+  OUT_FOR_DELIVERY: 'Out for delivery',
+  DELIVERED: 'Delivered',
+  DELIVERY_FAILED: 'Delivery attempt failed',
+  CANCELLED: 'Cancelled',
+};
+
+const BOOKING_STATUS_KEYS = {
+  'Shipment Received': 'RECEIVED',
+  'Shipment Processing': 'PROCESSING',
+  'Shipment Departed': 'DEPARTED',
+  'Shipment Arrived': 'ARRIVED',
+  'Shipment Delivered': 'DELIVERED',
+  'Shipment Cancelled': 'CANCELLED',
+  SHIPMENT_RECEIVED: 'RECEIVED',
+  SHIPMENT_PROCESSING: 'PROCESSING',
+  DEPARTED_FROM_MANILA: 'DEPARTED',
+  IN_TRANSIT_TO_DUBAI: 'IN_TRANSIT',
+  ARRIVED_AT_DUBAI: 'ARRIVED',
+  SHIPMENT_CLEARANCE: 'CLEARANCE',
+  OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+  DELIVERED: 'DELIVERED',
+};
+
+const REQUEST_DELIVERY_KEYS = {
+  PICKED_UP: 'OUT_FOR_DELIVERY',
+  IN_TRANSIT: 'IN_TRANSIT',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'DELIVERY_FAILED',
+  CANCELLED: 'CANCELLED',
+};
+
+// When two sources report the same status, keep the more precise timestamp
+const SOURCE_PRIORITY = { carrier: 4, delivery: 3, booking: 2, invoice_request: 1 };
+
+/**
+ * Split "A, B" into unique upper-cased alphanumeric AWBs.
+ * @returns {string[]}
+ */
+function parseAwbList(value) {
+  const awbs = String(value || '')
+    .split(',')
+    .map(awb => awb.replace(/[^a-zA-Z0-9]/g, '').toUpperCase())
+    .filter(Boolean);
+  return [...new Set(awbs)];
+}
+
+const bookingAwbs = (booking) => [booking.awb, booking.awb_number, booking.tracking_code]
+  .filter(Boolean)
+  .map(awb => String(awb).toUpperCase());
+
+// Same status at the same instant is shown once; genuine repeats (a second delivery attempt) stay
+function buildTimeline(events) {
+  const byKey = new Map();
+  for (const event of events) {
+    const time = event.at ? new Date(event.at).getTime() : NaN;
+    if (!event.key || isNaN(time)) continue;
+    const dedupeKey = `${event.key}|${time}`;
+    const existing = byKey.get(dedupeKey);
+    if (!existing || SOURCE_PRIORITY[event.source] > SOURCE_PRIORITY[existing.source]) {
+      byKey.set(dedupeKey, event);
+    }
+  }
+  return [...byKey.values()]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .map(event => ({
+      status: event.key,
+      description: STATUS_LABELS[event.key],
+      at: new Date(event.at),
+    }));
+}
+
+function trackingResult(awb, { booking, request, assignment, batch, carrierEvents = [] }) {
+  const events = [];
+
+  if (booking) {
+    events.push({ key: 'BOOKED', at: booking.createdAt, source: 'booking' });
+    for (const entry of booking.shipment_status_history || []) {
+      events.push({ key: BOOKING_STATUS_KEYS[entry.status], at: entry.updated_at, source: 'booking' });
+    }
+    // Older bookings have a status but no history
+    if (booking.shipment_status && !(booking.shipment_status_history || []).length) {
+      events.push({ key: BOOKING_STATUS_KEYS[booking.shipment_status], at: booking.updatedAt, source: 'booking' });
+    }
+  }
+
+  if (request) {
+    if (!booking) {
+      events.push({ key: 'BOOKED', at: request.createdAt, source: 'invoice_request' });
+    }
+    const key = REQUEST_DELIVERY_KEYS[request.delivery_status];
+    if (key) {
+      events.push({ key, at: request.updatedAt, source: 'invoice_request' });
+    }
+  }
+
+  if (assignment) {
+    if (assignment.pickup_date) {
+      events.push({ key: 'OUT_FOR_DELIVERY', at: assignment.pickup_date, source: 'delivery' });
+    }
+    if (assignment.status === 'DELIVERED') {
+      events.push({ key: 'DELIVERED', at: assignment.delivery_date || assignment.updatedAt, source: 'delivery' });
+    }
+  }
+
+  for (const event of carrierEvents) {
+    events.push({ key: event.status, at: event.occurred_at, source: 'carrier' });
+  }
+
+  const timeline = buildTimeline(events);
+  const latest = timeline[timeline.length - 1] || null;
+  const delivered = timeline.some(event => event.status === 'DELIVERED');
+
+  return {
+    awb,
+    found: true,
+    service: booking?.service_code || booking?.service || request?.service_code || null,
+    transport_mode: batch?.transport_mode || null,
+    current_status: latest ? latest.status : null,
+    current_status_description: latest ? latest.description : null,
+    last_updated: latest ? latest.at : null,
+    delivered,
+    estimated_arrival: !delivered && batch && !batch.arrived_at ? batch.arrival_date || null : null,
+    timeline,
+  };
+}
+
+/**
+ * Track one or more AWBs. Unknown AWBs come back with found: false.
+ * @param {string[]} awbs - upper-cased, see parseAwbList
+ * @returns {Promise<object[]>} one result per AWB, in request order
+ */
+async function trackShipments(awbs) {
+  const [bookings, requests, invoices, carrierEvents] = await Promise.all([
+    Booking.find({
+      $or: [{ awb: { $in: awbs } }, { awb_number: { $in: awbs } }, { tracking_code: { $in: awbs } }],
+    })
+      .select('awb awb_number tracking_code service service_code shipment_status shipment_status_history batch_no createdAt updatedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    InvoiceRequest.find({ tracking_code: { $in: awbs } })
+      .select('tracking_code service_code delivery_status createdAt updatedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Invoice.find({ awb_number: { $in: awbs } }).select('_id awb_number').lean(),
+    CarrierTrackingEvent.find({ awb: { $in: awbs } }).select('awb status occurred_at').sort({ occurred_at: 1 }).lean(),
+  ]);
+
+  const assignments = invoices.length
+    ? await DeliveryAssignment.find({ invoice_id: { $in: invoices.map(i => i._id) }, status: { $ne: 'CANCELLED' } })
+      .select('invoice_id status pickup_date delivery_date updatedAt')
+      .sort({ createdAt: -1 })
+      .lean()
+    : [];
+
+  const batchNos = [...new Set(bookings.map(b => b.batch_no).filter(Boolean))];
+  const batches = batchNos.length
+    ? await Batch.find({ batch_no: { $in: batchNos } }).select('batch_no transport_mode arrival_date arrived_at').lean()
+    : [];
+
+  // Newest document wins when an AWB matches several
+  const bookingByAwb = new Map();
+  for (const booking of bookings) {
+    for (const awb of bookingAwbs(booking)) {
+      if (!bookingByAwb.has(awb)) bookingByAwb.set(awb, booking);
+    }
+  }
+  const requestByAwb = new Map();
+  for (const request of requests) {
+    const awb = String(request.tracking_code).toUpperCase();
+    if (!requestByAwb.has(awb)) requestByAwb.set(awb, request);
+  }
+  const awbByInvoice = new Map(invoices.map(i => [i._id.toString(), String(i.awb_number).toUpperCase()]));
+  const assignmentByAwb = new Map();
+  for (const assignment of assignments) {
+    const awb = awbByInvoice.get(assignment.invoice_id.toString());
+    if (awb && !assignmentByAwb.has(awb)) assignmentByAwb.set(awb, assignment);
+  }
+  const batchByNo = new Map(batches.map(b => [b.batch_no, b]));
+  const carrierEventsByAwb = new Map();
+  for (const event of carrierEvents) {
+    if (!carrierEventsByAwb.has(event.awb)) carrierEventsByAwb.set(event.awb, []);
+    carrierEventsByAwb.get(event.awb).push(event);
+  }
+
+  return awbs.map((awb) => {
+    const booking = bookingByAwb.get(awb);
+    const request = requestByAwb.get(awb);
+    if (!booking && !request) {
+      return { awb, found: false };
+    }
+    return trackingResult(awb, {
+      booking,
+      request,
+      assignment: assignmentByAwb.get(awb),
+      batch: booking?.batch_no ? batchByNo.get(booking.batch_no) : null,
+      carrierEvents: carrierEventsByAwb.get(awb),
+    });
+  });
+}
+
+module.exports = {
+  MAX_AWBS_PER_REQUEST,
+  STATUS_LABELS,
+  parseAwbList,
+  trackShipments,
+};
@@ -117,9 +117,59 @@ async function getPublicSystemSettings() {
   return {
     booking_auto_review_enabled: doc.booking_auto_review_enabled === true,
     booking_auto_review_updated_at: doc.booking_auto_review_updated_at || null,
+    booking_auto_review_default_action: doc.booking_auto_review_default_action || 'APPROVE',
+    booking_auto_review_rule_count: (doc.booking_auto_review_rules || []).length,
   };
 }
 
+function autoReviewRulesView(doc) {
+  return {
+    default_action: doc.booking_auto_review_default_action || 'APPROVE',
+    rules: doc.booking_auto_review_rules || [],
+    sender_blacklist: doc.booking_sender_blacklist || [],
+    updated_at: doc.booking_auto_review_updated_at || null,
+  };
+}
+
+async function getBookingAutoReviewRules() {
+  return autoReviewRulesView(await getOrCreateSettings());
+}
+
+/**
+ * Replace the auto-review rules, default action and/or sender blacklist (fields left out are kept).
+ * @returns {Promise<{ success: boolean, statusCode?: number, error?: string, data?: object }>}
+ */
+async function setBookingAutoReviewRules({ rules, default_action, sender_blacklist }, userId) {
+  const { AUTO_REVIEW_ACTIONS, validateRules } = require('./booking-auto-review-rules');
+  const doc = await getOrCreateSettings();
+
+  if (rules !== undefined) {
+    const result = validateRules(rules);
+    if (!result.success) {
+      return { success: false, statusCode: 400, error: result.error };
+    }
+    doc.booking_auto_review_rules = result.rules;
+  }
+  if (default_action !== undefined) {
+    const action = String(default_action).toUpperCase();
+    if (!AUTO_REVIEW_ACTIONS.includes(action)) {
+      return { success: false, statusCode: 400, error: `default_action must be one of ${AUTO_REVIEW_ACTIONS.join(', ')}` };
+    }
+    doc.booking_auto_review_default_action = action;
+  }
+  if (sender_blacklist !== undefined) {
+    if (!Array.isArray(sender_blacklist)) {
+      return { success: false, statusCode: 400, error: 'sender_blacklist must be an array' };
+    }
+    doc.booking_sender_blacklist = [...new Set(sender_blacklist.map(entry => String(entry).trim()).filter(Boolean))];
+  }
+
+  doc.booking_auto_review_updated_by = userId || null;
+  doc.booking_auto_review_updated_at = new Date();
+  await doc.save();
+  return { success: true, data: autoReviewRulesView(doc) };
+}
+
 module.exports = {
   getOrCreateSettings,
   isBookingAutoReviewEnabled,
@@ -127,5 +177,7 @@ module.exports = {
   isPendingReviewStatus,
   resolveAutoReviewReviewerId,
   getPublicSystemSettings,
+  getBookingAutoReviewRules,
+  setBookingAutoReviewRules,
   toValidObjectIdString,
 };
@@ -0,0 +1,448 @@
+/**
+ * Watchlist screening.
+ *
+ * Entries name a sender or receiver by name, phone and/or ID number, with an action: BLOCK
+ * (refuse the shipment) or ESCALATE (a reviewer has to confirm it). Phones and ID numbers match
+ * exactly after normalization; names match fuzzily, token by token. Shipments are screened when a
+ * booking is created, when it is reviewed and when its invoice is created, and every match is
+ * logged in WatchlistHit.
+ */
+
+const mongoose = require('mongoose');
+const { WatchlistEntry, WatchlistHit, Booking } = require('../models');
+
+const NAME_THRESHOLD = parseFloat(process.env.WATCHLIST_NAME_THRESHOLD) || 0.85;
+
+const ACTIONS = ['BLOCK', 'ESCALATE'];
+const PARTIES = ['SENDER', 'RECEIVER', 'ANY'];
+const CATEGORIES = ['UNPAID_BALANCE', 'FRAUD', 'CUSTOMS_HOLD', 'OTHER'];
+const STAGES = ['BOOKING_CREATE', 'BOOKING_REVIEW', 'INVOICE_CREATE'];
+
+const nameTokens = (value) => [...new Set(String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean))].sort();
+
+// Digits only, last 9 so +971 50..., 050... and 50... compare equal
+const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-9) : '';
+};
+
+// 784-1990-1234567-1 and 784199012345671 compare equal
+const normalizeIdNumber = (value) => {
+  const text = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return text.length >= 5 ? text : '';
+};
+
+// Edit distance counting a swap of neighbouring letters as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+const tokenSimilarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+/**
+ * How well a name matches an entry name, 0..1: the average, over the entry's tokens, of the
+ * closest token in the name. Extra tokens in the name (a middle name) do not lower the score.
+ */
+function nameSimilarity(entryTokens, tokens) {
+  if (!entryTokens.length || !tokens.length) return 0;
+  const total = entryTokens.reduce(
+    (sum, entryToken) => sum + Math.max(...tokens.map(token => tokenSimilarity(entryToken, token))),
+    0
+  );
+  return Math.round((total / entryTokens.length) * 100) / 100;
+}
+
+const compact = (values) => [...new Set(values.filter(Boolean))];
+
+const partyName = (party = {}, fallback) => (party.firstName || party.lastName
+  ? `${party.firstName || ''} ${party.lastName || ''}`
+  : party.fullName || party.name || fallback || '');
+
+function partyValues(party = {}, { names = [], phones = [], idNumbers = [] } = {}) {
+  return {
+    names: compact([partyName(party), party.fullName, ...names].map(name => nameTokens(name).join(' ')))
+      .map(name => name.split(' ')),
+    phones: compact([party.contactNo, party.phoneNumber, party.phone, ...phones].map(normalizePhone)),
+    id_numbers: compact([
+      party.idNumber, party.id_number, party.eidNumber, party.eid_number, party.passportNumber, ...idNumbers,
+    ].map(normalizeIdNumber)),
+  };
+}
+
+/**
+ * Sender and receiver names, phones and ID numbers of a booking. UAE PASS details count for
+ * the sender.
+ */
+function bookingParties(doc) {
+  const booking = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const sender = booking.sender || {};
+  const receiver = booking.receiver || {};
+  const uaePass = booking.uaePassUserInfo || sender.uaePassUserInfo || booking.collections?.uaePassUserInfo || {};
+  return [
+    {
+      party: 'SENDER',
+      ...partyValues(sender, {
+        names: [booking.customer_name, uaePass.fullnameEN],
+        phones: [booking.customer_phone, uaePass.mobile],
+        idNumbers: [uaePass.eid_number],
+      }),
+    },
+    {
+      party: 'RECEIVER',
+      ...partyValues(receiver, {
+        names: [booking.receiver_name],
+        phones: [booking.receiver_phone],
+      }),
+    },
+  ];
+}
+
+/**
+ * Parties of an invoice request, together with those of its booking when there is one.
+ */
+function invoiceRequestParties(invoiceRequest, booking) {
+  const fromRequest = [
+    { party: 'SENDER', ...partyValues({}, { names: [invoiceRequest.customer_name], phones: [invoiceRequest.customer_phone] }) },
+    { party: 'RECEIVER', ...partyValues({}, { names: [invoiceRequest.receiver_name], phones: [invoiceRequest.receiver_phone] }) },
+  ];
+  if (!booking) return fromRequest;
+
+  return bookingParties(booking).map((party, index) => {
+    const other = fromRequest[index];
+    const names = new Map([...party.names, ...other.names].map(tokens => [tokens.join(' '), tokens]));
+    return {
+      party: party.party,
+      names: [...names.values()],
+      phones: compact([...party.phones, ...other.phones]),
+      id_numbers: party.id_numbers,
+    };
+  });
+}
+
+async function loadActiveEntries() {
+  return WatchlistEntry.find({
+    active: true,
+    $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }],
+  }).lean();
+}
+
+// Strongest match of one entry against one party: ID number, then phone, then name
+function matchEntry(entry, party) {
+  if (entry.id_number_normalized && party.id_numbers.includes(entry.id_number_normalized)) {
+    return { matched_on: 'id_number', matched_value: entry.id_number_normalized, score: 1 };
+  }
+  if (entry.phone_normalized && party.phones.includes(entry.phone_normalized)) {
+    return { matched_on: 'phone', matched_value: entry.phone_normalized, score: 1 };
+  }
+  if (entry.name_tokens?.length) {
+    let best = null;
+    for (const tokens of party.names) {
+      const score = nameSimilarity(entry.name_tokens, tokens);
+      if (score >= NAME_THRESHOLD && (!best || score > best.score)) {
+        best = { matched_on: 'name', matched_value: tokens.join(' '), score };
+      }
+    }
+    return best;
+  }
+  return null;
+}
+
+/**
+ * Match parties against the active watchlist.
+ * @param {object[]} parties - from bookingParties / invoiceRequestParties
+ * @returns {Promise<object[]>} one match per entry and party
+ */
+async function findMatches(parties) {
+  const entries = await loadActiveEntries();
+  const matches = [];
+  for (const entry of entries) {
+    for (const party of parties) {
+      if (entry.party !== 'ANY' && entry.party !== party.party) continue;
+      const match = matchEntry(entry, party);
+      if (match) matches.push({ entry, party: party.party, ...match });
+    }
+  }
+  return matches;
+}
+
+const summarize = (matches) => matches.map(match => ({
+  entry_id: match.entry._id,
+  action: match.entry.action,
+  category: match.entry.category,
+  reason: match.entry.reason,
+  party: match.party,
+  matched_on: match.matched_on,
+  score: match.score,
+}));
+
+/**
+ * Log matches. Never throws: a logging failure must not change the screening result.
+ */
+async function recordHits(matches, outcomeFor, { stage, bookingId, invoiceRequestId, userId } = {}) {
+  if (!matches.length) return;
+  try {
+    await WatchlistHit.insertMany(matches.map(match => ({
+      entry_id: match.entry._id,
+      stage,
+      action: match.entry.action,
+      outcome: outcomeFor(match),
+      party: match.party,
+      matched_on: match.matched_on,
+      matched_value: match.matched_value,
+      score: match.score,
+      reason: match.entry.reason,
+      booking_id: bookingId || undefined,
+      invoice_request_id: invoiceRequestId || undefined,
+      user_id: userId && mongoose.Types.ObjectId.isValid(userId) ? userId : undefined,
+    })));
+  } catch (error) {
+    console.error('[watchlist] Failed to log hits:', error.message);
+  }
+}
+
+/**
+ * Screen a shipment and log the hits.
+ *  - BLOCKED: a BLOCK entry matched
+ *  - ESCALATED: only ESCALATE entries matched and not all of them were acknowledged
+ *  - ACKNOWLEDGED: the ESCALATE entries were acknowledged now (acknowledge) or earlier
+ *    (acknowledgedEntryIds, e.g. when the booking was reviewed)
+ *  - CLEAR: no match
+ * @param {object} options - { stage, parties, bookingId, invoiceRequestId, userId, acknowledge, acknowledgedEntryIds }
+ * @returns {Promise<{ status: string, entry_ids: ObjectId[], hits: object[] }>}
+ */
+async function screenShipment({
+  stage,
+  parties,
+  bookingId,
+  invoiceRequestId,
+  userId,
+  acknowledge = false,
+  acknowledgedEntryIds = [],
+}) {
+  const matches = await findMatches(parties);
+  if (!matches.length) return { status: 'CLEAR', entry_ids: [], hits: [] };
+
+  const acknowledged = new Set(acknowledgedEntryIds.map(id => id.toString()));
+  const blocked = matches.some(match => match.entry.action === 'BLOCK');
+  const pending = matches.filter(match => match.entry.action === 'ESCALATE' && !acknowledged.has(match.entry._id.toString()));
+
+  let status = 'ACKNOWLEDGED';
+  if (blocked) status = 'BLOCKED';
+  else if (pending.length && !acknowledge) status = 'ESCALATED';
+
+  const outcomeFor = (match) => {
+    if (match.entry.action === 'BLOCK') return 'BLOCKED';
+    return status !== 'ACKNOWLEDGED' && pending.includes(match) ? 'ESCALATED' : 'ACKNOWLEDGED';
+  };
+  // A booking refused on creation is never saved
+  const hitBookingId = blocked && stage === 'BOOKING_CREATE' ? undefined : bookingId;
+  await recordHits(matches, outcomeFor, { stage, bookingId: hitBookingId, invoiceRequestId, userId });
+
+  if (blocked || status === 'ESCALATED') {
+    console.log(`[watchlist] ${stage} ${bookingId || invoiceRequestId || 'new booking'}: ${status} (${matches.length} match(es))`);
+  }
+  return {
+    status,
+    entry_ids: [...new Set(matches.map(match => match.entry._id.toString()))],
+    hits: summarize(matches),
+  };
+}
+
+/**
+ * Entry IDs a reviewer already acknowledged on the booking.
+ */
+function acknowledgedEntryIds(booking) {
+  return booking?.watchlist_flag?.status === 'CLEARED' ? booking.watchlist_flag.entry_ids || [] : [];
+}
+
+/**
+ * Store the result of a screening on the booking: ESCALATED flags it for review (and keeps it
+ * out of auto-review), ACKNOWLEDGED or CLEAR after a flag clears it.
+ */
+async function applyScreeningToBooking(bookingId, screening, userId) {
+  if (screening.status === 'ESCALATED') {
+    await Booking.updateOne({ _id: bookingId }, {
+      $set: { 'watchlist_flag.status': 'PENDING', 'watchlist_flag.flagged_at': new Date() },
+      $addToSet: { 'watchlist_flag.entry_ids': { $each: screening.entry_ids } },
+      $unset: { 'watchlist_flag.cleared_by': 1, 'watchlist_flag.cleared_at': 1 },
+    });
+    return;
+  }
+  // A clear screening only lifts a pending flag; an acknowledgement is kept for later stages
+  if (screening.status === 'CLEAR' || screening.status === 'ACKNOWLEDGED') {
+    const filter = screening.status === 'CLEAR'
+      ? { _id: bookingId, 'watchlist_flag.status': 'PENDING' }
+      : { _id: bookingId };
+    const $set = { 'watchlist_flag.status': 'CLEARED', 'watchlist_flag.cleared_at': new Date() };
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) $set['watchlist_flag.cleared_by'] = userId;
+    await Booking.updateOne(filter, {
+      $set,
+      $addToSet: { 'watchlist_flag.entry_ids': { $each: screening.entry_ids } },
+    });
+  }
+}
+
+/**
+ * Check and normalize an entry sent by an admin.
+ * @param {object} input
+ * @param {object} [existing] - entry being updated; unspecified fields keep their value
+ * @returns {{ success: boolean, error?: string, entry?: object }}
+ */
+function validateEntry(input = {}, existing = {}) {
+  const pick = (key) => (input[key] !== undefined ? input[key] : existing[key]);
+  const text = (key) => {
+    const value = pick(key);
+    return value === null || value === undefined ? '' : String(value).trim();
+  };
+
+  const entry = {
+    name: text('name') || undefined,
+    phone: text('phone') || undefined,
+    id_number: text('id_number') || undefined,
+    party: String(pick('party') || 'ANY').toUpperCase(),
+    action: String(pick('action') || '').toUpperCase(),
+    category: String(pick('category') || 'OTHER').toUpperCase(),
+    reason: text('reason'),
+    active: pick('active') !== false,
+    expires_at: pick('expires_at') ? new Date(pick('expires_at')) : undefined,
+  };
+
+  if (!entry.name && !entry.phone && !entry.id_number) {
+    return { success: false, error: 'At least one of name, phone or id_number is required' };
+  }
+  entry.name_tokens = nameTokens(entry.name);
+  entry.phone_normalized = normalizePhone(entry.phone) || undefined;
+  entry.id_number_normalized = normalizeIdNumber(entry.id_number) || undefined;
+  // One-word names would match far too many people
+  if (entry.name && entry.name_tokens.length < 2) {
+    return { success: false, error: 'name must have at least two words' };
+  }
+  if (entry.phone && !entry.phone_normalized) {
+    return { success: false, error: 'phone must have at least 7 digits' };
+  }
+  if (entry.id_number && !entry.id_number_normalized) {
+    return { success: false, error: 'id_number must have at least 5 letters or digits' };
+  }
+  if (!ACTIONS.includes(entry.action)) {
+    return { success: false, error: `action must be one of ${ACTIONS.join(', ')}` };
+  }
+  if (!PARTIES.includes(entry.party)) {
+    return { success: false, error: `party must be one of ${PARTIES.join(', ')}` };
+  }
+  if (!CATEGORIES.includes(entry.category)) {
+    return { success: false, error: `category must be one of ${CATEGORIES.join(', ')}` };
+  }
+  if (!entry.reason) {
+    return { success: false, error: 'reason is required' };
+  }
+  if (entry.expires_at && isNaN(entry.expires_at.getTime())) {
+    return { success: false, error: 'expires_at must be a valid date' };
+  }
+  return { success: true, entry };
+}
+
+async function listEntries({ q, action, active, limit = 200 } = {}) {
+  const query = {};
+  if (action) query.action = String(action).toUpperCase();
+  if (active !== undefined) query.active = active === true || active === 'true';
+  if (q) {
+    const phone = normalizePhone(q);
+    const idNumber = normalizeIdNumber(q);
+    const tokens = nameTokens(q);
+    query.$or = [
+      ...(phone ? [{ phone_normalized: phone }] : []),
+      ...(idNumber ? [{ id_number_normalized: idNumber }] : []),
+      ...(tokens.length ? [{ name_tokens: { $all: tokens } }] : []),
+    ];
+    if (!query.$or.length) return [];
+  }
+  return WatchlistEntry.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000))
+    .lean();
+}
+
+async function createEntry(input, userId) {
+  const result = validateEntry(input);
+  if (!result.success) return { ...result, statusCode: 400 };
+  const entry = await WatchlistEntry.create({ ...result.entry, created_by: userId, updated_by: userId });
+  return { success: true, entry };
+}
+
+async function updateEntry(id, input, userId) {
+  const entry = await WatchlistEntry.findById(id);
+  if (!entry) {
+    return { success: false, statusCode: 404, error: 'Watchlist entry not found' };
+  }
+  const result = validateEntry(input, entry.toObject());
+  if (!result.success) return { ...result, statusCode: 400 };
+  entry.set({ ...result.entry, updated_by: userId });
+  await entry.save();
+  return { success: true, entry };
+}
+
+async function listHits({ entryId, bookingId, stage, outcome, limit = 100 } = {}) {
+  const query = {};
+  if (entryId) query.entry_id = entryId;
+  if (bookingId) query.booking_id = bookingId;
+  if (stage) query.stage = String(stage).toUpperCase();
+  if (outcome) query.outcome = String(outcome).toUpperCase();
+  return WatchlistHit.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+    .populate('entry_id', 'name phone id_number action category active')
+    .populate('user_id', 'full_name email')
+    .lean();
+}
+
+/**
+ * Matches for ad-hoc values ({ name, phone, id_number }) against either party. Not logged.
+ */
+async function checkValues({ name, phone, id_number } = {}) {
+  const values = partyValues({}, { names: [name], phones: [phone], idNumbers: [id_number] });
+  const matches = await findMatches([
+    { party: 'SENDER', ...values },
+    { party: 'RECEIVER', ...values },
+  ]);
+  const seen = new Set();
+  return summarize(matches.filter((match) => {
+    const key = match.entry._id.toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  })).map(({ party, ...hit }) => hit);
+}
+
+module.exports = {
+  NAME_THRESHOLD,
+  STAGES,
+  nameSimilarity,
+  bookingParties,
+  invoiceRequestParties,
+  screenShipment,
+  acknowledgedEntryIds,
+  applyScreeningToBooking,
+  validateEntry,
+  listEntries,
+  createEntry,
+  updateEntry,
+  listHits,
+  checkValues,
+};
@@ -0,0 +1,404 @@
+/**
+ * Outbound webhooks.
+ *
+ * Admins register endpoints with a secret and the events they want. emitWebhookEvent() queues one
+ * WebhookDelivery per subscribed endpoint; deliveries are POSTed as JSON, signed with
+ * HMAC-SHA256 over "<timestamp>.<body>", and retried with exponential backoff until they get a
+ * 2xx or run out of attempts. A cron job picks up due retries; failed deliveries can be sent
+ * again by hand.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const cron = require('node-cron');
+const { WebhookEndpoint, WebhookDelivery } = require('../models');
+
+const WEBHOOK_EVENTS = WebhookEndpoint.schema.path('events').caster.enumValues;
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 12 * 60 * 60 * 1000;
+// A delivery stuck in SENDING this long (process restarted mid-request) is retried
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const JOB_SCHEDULE = '* * * * *';
+
+// Endpoints must be public: loopback, private (RFC1918, unique local), link-local (cloud
+// metadata), CGNAT, unspecified and multicast addresses are refused
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+let deliveryTask = null;
+let runInFlight = false;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header value for a body sent at `timestamp` (Unix seconds).
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// 1 min, 2 min, 4 min, ... capped at 12 h
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  return BLOCKED_ADDRESSES.check(ip, net.isIPv4(ip) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Addresses of a host, refusing it when any of them is not public. Also the DNS lookup for
+ * deliveries, so a record changed after the endpoint was saved cannot reach an internal service.
+ * @returns {Promise<{ address: string, family: number }[]>}
+ */
+async function lookupPublicAddresses(hostname) {
+  const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+  if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+    const error = new Error(`${hostname} resolves to a private or loopback address`);
+    error.code = 'EADDRNOTALLOWED';
+    throw error;
+  }
+  return addresses;
+}
+
+/**
+ * @returns {Promise<{ url?: string, error?: string }>}
+ */
+async function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'url must be an http(s) URL' };
+  }
+  try {
+    await lookupPublicAddresses(parsed.hostname);
+  } catch (error) {
+    return { error: error.code === 'EADDRNOTALLOWED' ? 'url must point to a public address' : `Cannot resolve ${parsed.hostname}` };
+  }
+  return { url: parsed.toString() };
+}
+
+function validateEvents(events) {
+  const list = [...new Set([].concat(events || []))];
+  if (!list.length || list.some(event => !WEBHOOK_EVENTS.includes(event))) return null;
+  return list;
+}
+
+/**
+ * Queue an event for every active endpoint subscribed to it. Never throws: a webhook problem
+ * must not fail the request that raised the event.
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {object} data - event body; keep it to ids, references and statuses
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const endpoints = await WebhookEndpoint.find({ active: true, events: event }).select('_id').lean();
+    if (!endpoints.length) return;
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = { id: eventId, event, created_at: new Date().toISOString(), data };
+    await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpoint_id: endpoint._id,
+      event,
+      event_id: eventId,
+      payload,
+      next_attempt_at: new Date(),
+    })));
+    setImmediate(() => {
+      processDueDeliveries().catch(err => console.error('[webhooks] Delivery run failed:', err.message));
+    });
+  } catch (error) {
+    console.error(`[webhooks] Failed to queue ${event}:`, error.message);
+  }
+}
+
+/**
+ * Send one claimed delivery and record the attempt.
+ */
+async function attemptDelivery(delivery) {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint_id).select('+secret').lean();
+  const attempts = delivery.attempts + 1;
+  const at = new Date();
+
+  if (!endpoint || !endpoint.active) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { status: 'FAILED', attempts, last_error: 'Endpoint removed or disabled' },
+      $unset: { locked_at: 1, next_attempt_at: 1 },
+    }, { new: true });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(at.getTime() / 1000);
+  let statusCode;
+  let error;
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'KNEX-Webhooks/1.0',
+        'X-Webhook-Id': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body),
+      },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: async (hostname) => lookupPublicAddresses(hostname),
+      // Only the status code is kept; the body is never read back to the caller
+      responseType: 'stream',
+      validateStatus: () => true,
+    });
+    statusCode = response.status;
+    response.data.destroy();
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = err.code || err.message;
+  }
+
+  const durationMs = Date.now() - at.getTime();
+  const succeeded = !error;
+  const exhausted = !succeeded && attempts >= MAX_ATTEMPTS;
+  const update = {
+    $set: {
+      status: succeeded ? 'SUCCEEDED' : (exhausted ? 'FAILED' : 'PENDING'),
+      attempts,
+      last_status_code: statusCode,
+      last_error: error,
+    },
+    $push: { attempt_log: { at, status_code: statusCode, error, duration_ms: durationMs } },
+    $unset: { locked_at: 1 },
+  };
+  if (succeeded) {
+    update.$set.delivered_at = new Date();
+    update.$unset.next_attempt_at = 1;
+  } else if (exhausted) {
+    update.$unset.next_attempt_at = 1;
+    console.warn(`[webhooks] Delivery ${delivery._id} (${delivery.event}) failed after ${attempts} attempt(s): ${error}`);
+  } else {
+    update.$set.next_attempt_at = new Date(Date.now() + retryDelayMs(attempts));
+  }
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+}
+
+// Atomically take the next due delivery so two runs never send it twice
+const claimNextDue = () => WebhookDelivery.findOneAndUpdate(
+  { status: 'PENDING', next_attempt_at: { $lte: new Date() } },
+  { $set: { status: 'SENDING', locked_at: new Date() } },
+  { sort: { next_attempt_at: 1 }, new: true }
+).lean();
+
+/**
+ * Send due deliveries, oldest first.
+ * @returns {Promise<number>} deliveries attempted
+ */
+async function processDueDeliveries(limit = 50) {
+  if (runInFlight) return 0;
+  runInFlight = true;
+  try {
+    await WebhookDelivery.updateMany(
+      { status: 'SENDING', locked_at: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: 'PENDING', next_attempt_at: new Date() }, $unset: { locked_at: 1 } }
+    );
+
+    let processed = 0;
+    while (processed < limit) {
+      const delivery = await claimNextDue();
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+      processed += 1;
+    }
+    return processed;
+  } finally {
+    runInFlight = false;
+  }
+}
+
+/**
+ * Send a delivery again as a new delivery with fresh attempts; the original stays in the log.
+ */
+async function redeliver(deliveryId, userId) {
+  const original = await WebhookDelivery.findById(deliveryId).lean();
+  if (!original) {
+    return { success: false, statusCode: 404, error: 'Delivery not found' };
+  }
+  if (['PENDING', 'SENDING'].includes(original.status)) {
+    return { success: false, statusCode: 409, error: 'Delivery is still being retried' };
+  }
+
+  const delivery = await WebhookDelivery.create({
+    endpoint_id: original.endpoint_id,
+    event: original.event,
+    event_id: original.event_id,
+    payload: original.payload,
+    status: 'SENDING',
+    locked_at: new Date(),
+    redelivery_of: original._id,
+    redelivered_by: userId,
+  });
+  return { success: true, delivery: await attemptDelivery(delivery) };
+}
+
+/**
+ * Send a ping event to one endpoint right away.
+ */
+async function sendTestEvent(endpointId) {
+  const endpoint = await WebhookEndpoint.findById(endpointId).select('_id active').lean();
+  if (!endpoint) {
+    return { success: false, statusCode: 404, error: 'Webhook endpoint not found' };
+  }
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const delivery = await WebhookDelivery.create({
+    endpoint_id: endpoint._id,
+    event: 'ping',
+    event_id: eventId,
+    payload: { id: eventId, event: 'ping', created_at: new Date().toISOString(), data: {} },
+    status: 'SENDING',
+    locked_at: new Date(),
+  });
+  return { success: true, delivery: await attemptDelivery(delivery) };
+}
+
+async function listEndpoints() {
+  return WebhookEndpoint.find().sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * @returns {Promise<{ success: boolean, endpoint?: object, secret?: string, statusCode?: number, error?: string }>}
+ */
+async function createEndpoint({ url, description, events, secret } = {}, userId) {
+  const validUrl = await validateUrl(url);
+  if (validUrl.error) {
+    return { success: false, statusCode: 400, error: validUrl.error };
+  }
+  const validEvents = validateEvents(events);
+  if (!validEvents) {
+    return { success: false, statusCode: 400, error: `events must be some of ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return { success: false, statusCode: 400, error: 'secret must be at least 16 characters' };
+  }
+
+  const endpointSecret = secret || generateSecret();
+  const endpoint = await WebhookEndpoint.create({
+    url: validUrl.url,
+    description,
+    events: validEvents,
+    secret: endpointSecret,
+    created_by: userId,
+  });
+  const { secret: omitted, ...stored } = endpoint.toObject();
+  return { success: true, endpoint: stored, secret: endpointSecret };
+}
+
+async function updateEndpoint(id, { url, description, events, active } = {}) {
+  const endpoint = await WebhookEndpoint.findById(id);
+  if (!endpoint) {
+    return { success: false, statusCode: 404, error: 'Webhook endpoint not found' };
+  }
+  if (url !== undefined) {
+    const validUrl = await validateUrl(url);
+    if (validUrl.error) {
+      return { success: false, statusCode: 400, error: validUrl.error };
+    }
+    endpoint.url = validUrl.url;
+  }
+  if (events !== undefined) {
+    const validEvents = validateEvents(events);
+    if (!validEvents) {
+      return { success: false, statusCode: 400, error: `events must be some of ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    endpoint.events = validEvents;
+  }
+  if (description !== undefined) endpoint.description = description;
+  if (active !== undefined) endpoint.active = active === true;
+  await endpoint.save();
+  return { success: true, endpoint };
+}
+
+async function rotateEndpointSecret(id) {
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.findByIdAndUpdate(id, { $set: { secret } }, { new: true });
+  if (!endpoint) {
+    return { success: false, statusCode: 404, error: 'Webhook endpoint not found' };
+  }
+  return { success: true, endpoint, secret };
+}
+
+async function listDeliveries({ endpointId, event, status, eventId, limit = 100 } = {}) {
+  const query = {};
+  if (endpointId) query.endpoint_id = endpointId;
+  if (event) query.event = event;
+  if (status) query.status = String(status).toUpperCase();
+  if (eventId) query.event_id = eventId;
+  return WebhookDelivery.find(query)
+    .select('-payload -attempt_log -last_response_body')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+    .populate('endpoint_id', 'url description')
+    .lean();
+}
+
+async function getDelivery(id) {
+  // last_response_body is no longer written; hide what older deliveries stored
+  return WebhookDelivery.findById(id).select('-last_response_body').populate('endpoint_id', 'url description').lean();
+}
+
+/**
+ * Schedule the retry sweep. Set WEBHOOK_DELIVERY_JOB_DISABLED=true to turn it off, e.g. on a
+ * second app instance.
+ */
+function startWebhookDeliveryJob() {
+  if (deliveryTask) return deliveryTask;
+  if (process.env.WEBHOOK_DELIVERY_JOB_DISABLED === 'true') {
+    console.log('[webhooks] Delivery job disabled by WEBHOOK_DELIVERY_JOB_DISABLED');
+    return null;
+  }
+
+  deliveryTask = cron.schedule(JOB_SCHEDULE, () => {
+    processDueDeliveries().catch((err) => {
+      console.error('[webhooks] Delivery run failed:', err.message);
+    });
+  }, { name: 'webhook-deliveries', noOverlap: true });
+
+  console.log('[webhooks] Delivery job scheduled every minute');
+  return deliveryTask;
+}
+
+function stopWebhookDeliveryJob() {
+  if (deliveryTask) {
+    deliveryTask.stop();
+    deliveryTask = null;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  emitWebhookEvent,
+  processDueDeliveries,
+  redeliver,
+  sendTestEvent,
+  listEndpoints,
+  createEndpoint,
+  updateEndpoint,
+  rotateEndpointSecret,
+  listDeliveries,
+  getDelivery,
+  startWebhookDeliveryJob,
+  stopWebhookDeliveryJob,
+};
@@ -1,7 +1,7 @@
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const { ChatRoom, ChatMessage, User, Employee } = require('../models');
+const { verifyAccessToken } = require('./auth-sessions');
 
 class WebSocketServer {
   constructor(server) {
@@ -56,14 +56,14 @@ class WebSocketServer {
           return;
         }
         
-        // Verify token
+        // Verify token (also rejects revoked sessions and deactivated users)
         try {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-          userId = decoded.userId || decoded._id || decoded.id;
-          
-          if (!userId) {
-            throw new Error('Invalid token: no user ID found');
+          const result = await verifyAccessToken(token);
+          if (result.error) {
+            throw new Error(result.error);
           }
+          userId = result.user._id.toString();
+          ws.sessionId = result.decoded.sid || null;
         } catch (error) {
           console.error('WebSocket authentication error:', {
             message: error.message,
@@ -322,6 +322,27 @@ class WebSocketServer {
     console.log(`❌ WebSocket disconnected: User ${userId}`);
   }
   
+  /**
+   * Close a user's live connection after their session is revoked.
+   * When sessionId is given, only a connection opened with that session is closed.
+   */
+  disconnectUser(userId, { sessionId = null, reason = 'Session revoked' } = {}) {
+    const userIdStr = userId.toString();
+    const ws = this.userConnections.get(userIdStr);
+    if (!ws) return false;
+    if (sessionId && ws.sessionId && ws.sessionId !== sessionId.toString()) {
+      return false;
+    }
+
+    try {
+      ws.close(4001, reason);
+    } catch (error) {
+      // Connection might already be closed
+    }
+    this.handleDisconnect(userIdStr);
+    return true;
+  }
+  
   sendToUser(userId, message) {
     const ws = this.userConnections.get(userId.toString());
     if (ws && ws.readyState === WebSocket.OPEN) {
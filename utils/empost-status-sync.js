@@ -1,9 +1,9 @@
-const empostAPI = require('../services/empost-api');
+const { resolveCarrierForTracking } = require('../services/carriers');
 const { isEmpostDisabled } = require('./empost-disabled-check');
 const { storeBackendError } = require('./error-monitoring');
 
 /**
- * Sync shipment status to EMPOST API
+ * Sync shipment status to the shipment's carrier (EMPOST unless a carrier rule says otherwise)
  * This function is called whenever a shipment status changes
  * 
  * @param {Object} options - Sync options
@@ -14,13 +14,6 @@ const { storeBackendError } = require('./error-monitoring');
  * @returns {Promise<void>}
  */
 async function syncStatusToEMPost({ trackingNumber, status, additionalData = {}, silent = false }) {
-  if (isEmpostDisabled()) {
-    if (!silent) {
-      console.log('[EMPOST STATUS SYNC] EMPOST API is disabled. Skipping status sync.');
-    }
-    return;
-  }
-
   // Skip if no tracking number or status
   if (!trackingNumber || !status || trackingNumber === 'N/A') {
     if (!silent) {
@@ -52,20 +45,27 @@ async function syncStatusToEMPost({ trackingNumber, status, additionalData = {},
   };
 
   try {
-
-    if (!silent) {
-      console.log(`🔄 Syncing status to EMPOST: ${trackingNumber} -> ${status}`);
+    const carrier = await resolveCarrierForTracking(
+      trackingNumber,
+      additionalData.invoice || additionalData.invoiceRequest || null
+    );
+    if (carrier.code === 'EMPOST' && isEmpostDisabled()) {
+      if (!silent) {
+        console.log('[EMPOST STATUS SYNC] EMPOST API is disabled. Skipping status sync.');
+      }
+      return;
     }
 
-    await empostAPI.updateShipmentStatus(trackingNumber, status, mergedAdditionalData);
-
     if (!silent) {
-      console.log('✅ EMPOST status synced successfully');
+      console.log(`🔄 Queuing ${carrier.code} status update: ${trackingNumber} -> ${status}`);
     }
+
+    // EMPOST updates are sent and retried by the EMPOST outbox worker
+    await carrier.updateStatus(trackingNumber, status, mergedAdditionalData);
   } catch (error) {
     // Don't fail the main operation if EMPOST sync fails
     if (!silent) {
-      console.error('❌ Failed to sync status to EMPOST (non-critical):', error.message);
+      console.error('❌ Failed to queue EMPOST status update (non-critical):', error.message);
       const context = {
         trackingNumber,
         status,
@@ -84,7 +84,7 @@ async function syncStatusToEMPost({ trackingNumber, status, additionalData = {},
       };
 
       await storeBackendError({
-        message: `EMPOST sync non-critical failure: ${error.message || 'Unknown error'} | context=${JSON.stringify(context)}`,
+        message: `EMPOST status update could not be queued: ${error.message || 'Unknown error'} | context=${JSON.stringify(context)}`,
         stackTrace: `${error?.stack || ''}\ncontext=${JSON.stringify(context)}`.trim(),
         timestamp: new Date().toISOString(),
         environment: process.env.NODE_ENV || 'production',
@@ -150,8 +150,37 @@ function mapInvoiceStatusToDeliveryStatus(invoiceStatus) {
   return statusMap[invoiceStatus] || null;
 }
 
+/**
+ * Cancellation data for empostAPI.buildCancelDeliveryPayload from a cancelled delivery
+ * assignment populated with invoice_id and request_id
+ * @param {Object} assignment - DeliveryAssignment object
+ * @returns {Object}
+ */
+function buildDeliveryCancellationData(assignment) {
+  const awbNumber = assignment.invoice_id?.awb_number ||
+                   assignment.request_id?.awb_number ||
+                   assignment.assignment_id;
+
+  return {
+    assignment_id: assignment.assignment_id,
+    awb_number: awbNumber,
+    tracking_code: assignment.assignment_id,
+    customer_name: assignment.receiver_name || assignment.invoice_id?.receiver_name || 'N/A',
+    customer_phone: assignment.receiver_phone || assignment.invoice_id?.receiver_phone || 'N/A',
+    delivery_address: assignment.delivery_address || assignment.invoice_id?.receiver_address || 'N/A',
+    amount: assignment.amount ? parseFloat(assignment.amount.toString()) : 0,
+    status: 'CANCELLED',
+    cancellation_reason: assignment.cancellation_reason,
+    cancelled_at: assignment.cancelled_at || new Date().toISOString(),
+    invoice_id: assignment.invoice_id?._id?.toString(),
+    driver_id: assignment.driver_id?.toString(),
+    original_status: 'NOT_DELIVERED'
+  };
+}
+
 module.exports = {
   syncStatusToEMPost,
+  buildDeliveryCancellationData,
   getTrackingNumberFromInvoiceRequest,
   getTrackingNumberFromInvoice,
   getTrackingNumberFromShipmentRequest,
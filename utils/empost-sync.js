@@ -1,15 +1,14 @@
 const { Invoice } = require('../models/unified-schema');
-const empostAPI = require('../services/empost-api');
-const { isEmpostDisabled } = require('./empost-disabled-check');
+const { resolveCarrier } = require('../services/carriers');
 
 const REQUEST_POPULATE_FIELDS = 'request_id awb_number customer route status shipment verification number_of_boxes origin_place destination_place receiver_name receiver_address receiver_phone';
 
+/**
+ * Create or refresh the shipment for an invoice with its carrier (EMPOST unless a carrier rule
+ * says otherwise, see services/carriers.js).
+ * @returns {Promise<object|null|undefined>} what the carrier returned, e.g. the EMPOST outbox item
+ */
 async function syncInvoiceWithEMPost({ invoiceId, requestId, reason }) {
-  if (isEmpostDisabled()) {
-    console.log('[EMPOST SYNC] EMPOST API is disabled. Skipping sync.');
-    return;
-  }
-
   try {
     let invoiceQuery;
 
@@ -32,19 +31,14 @@ async function syncInvoiceWithEMPost({ invoiceId, requestId, reason }) {
       return;
     }
 
+    const carrier = await resolveCarrier(invoice);
     const context = reason ? ` (${reason})` : '';
-    console.log(`[EMPOST SYNC] Creating/updating EMPOST shipment for invoice ${invoice.invoice_id || invoice._id}${context}`);
+    console.log(`[EMPOST SYNC] Queuing ${carrier.code} shipment update for invoice ${invoice.invoice_id || invoice._id}${context}`);
 
-    // Create/update shipment in EMPOST when invoice is created or updated
-    const shipmentResult = await empostAPI.createShipment(invoice);
-
-    if (shipmentResult?.data?.uhawb && invoice.empost_uhawb !== shipmentResult.data.uhawb) {
-      invoice.empost_uhawb = shipmentResult.data.uhawb;
-      await invoice.save();
-      console.log('✅ [EMPOST SYNC] Updated invoice with latest UHAWB from EMPOST.');
-    }
+    // Create/update the shipment when the invoice is created or updated; the EMPOST outbox saves the UHAWB
+    return await carrier.createShipment({ invoice }, { reason });
   } catch (error) {
-    console.error('❌ [EMPOST SYNC] Failed to push shipment update to EMPOST:', error.response?.data || error.message);
+    console.error('❌ [EMPOST SYNC] Failed to queue shipment update for EMPOST:', error.message);
   }
 }
 
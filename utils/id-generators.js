@@ -1,6 +1,6 @@
 /**
  * ID Generator Utilities
- * Generates Invoice IDs and AWB numbers with specific formats
+ * Generates Invoice IDs, Credit Note IDs and AWB numbers with specific formats
  */
 
 const mongoose = require('mongoose');
@@ -115,6 +115,20 @@ async function generateInvoiceID(sequenceName = 'invoice_number_seq') {
   return `INV-${String(nextNumber).padStart(6, '0')}`;
 }
 
+/**
+ * Generate Credit Note ID
+ * Format: CN- followed by 6 digits (e.g., CN-000001); own sequence, independent of invoices
+ */
+async function generateCreditNoteID(sequenceName = 'credit_note_number_seq') {
+  const counter = await Counter.findByIdAndUpdate(
+    sequenceName,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const nextNumber = counter.seq || 1;
+  return `CN-${String(nextNumber).padStart(6, '0')}`;
+}
+
 /**
  * True if this string is already used as an invoice identifier anywhere we care about.
  * InvoiceRequest uses `invoice_number`; Invoice uses `invoice_id`. They must not collide
@@ -169,5 +183,6 @@ module.exports = {
   generateUniqueAWBNumber,
   generateInvoiceID,
   generateUniqueInvoiceID,
+  generateCreditNoteID,
 };
 